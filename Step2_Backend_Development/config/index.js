@@ -1,3 +1,4 @@
+const os = require('os');
 const dotenv = require('dotenv');
 dotenv.config();
 
@@ -15,6 +16,36 @@ const envSchema = Joi.object({
   REDIS_HOST: Joi.string().required(),
   REDIS_PORT: Joi.number().required(),
   JWT_SECRET: Joi.string().required(),
+  SEED_MODE: Joi.string().valid('chain', 'random').default('chain'),
+  SEED_CHAIN_LENGTH: Joi.number().integer().min(1).max(1000000).default(10000),
+  RTP_TARGET: Joi.number().min(0.8).max(0.995).default(0.97),
+  MAX_MULTIPLIER: Joi.number().min(2).max(100000).default(1000),
+  MULTIPLIER_GROWTH_RATE: Joi.number().min(0.01).max(1).default(0.1),
+  CASHOUT_LAG_COMPENSATION_MS: Joi.number().integer().min(0).max(1000).default(0),
+  MAX_BETS_PER_ROUND: Joi.number().integer().min(1).max(10).default(3),
+  GAME_ROOMS: Joi.string().allow('').optional(),
+  PRACTICE_BALANCE: Joi.number().positive().default(100000),
+  MAX_PAYOUT_PER_BET: Joi.number().positive().default(10000000),
+  MAX_PAYOUT_PER_ROUND: Joi.number().positive().default(50000000),
+  SPECIAL_BLOCKS_ENABLED: Joi.boolean().default(true),
+  WITHDRAWAL_MIN: Joi.number().positive().default(1000),
+  WITHDRAWAL_MAX: Joi.number().positive().default(1000000),
+  WITHDRAWAL_DAILY_LIMIT: Joi.number().positive().default(2000000),
+  WITHDRAWAL_AUTO_APPROVE_MAX: Joi.number().min(0).default(0),
+  IDEMPOTENCY_TTL_SECONDS: Joi.number().integer().min(60).max(604800).default(86400),
+  IDEMPOTENCY_LOCK_MS: Joi.number().integer().min(1000).max(300000).default(30000),
+  WEBHOOK_TOLERANCE_SECONDS: Joi.number().integer().min(30).max(3600).default(300),
+  STRIPE_WEBHOOK_SECRET: Joi.string().allow('').optional(),
+  MTN_WEBHOOK_SECRET: Joi.string().allow('').optional(),
+  ORANGE_WEBHOOK_SECRET: Joi.string().allow('').optional(),
+  BANK_WEBHOOK_SECRET: Joi.string().allow('').optional(),
+  STRIPE_WEBHOOK_IPS: Joi.string().allow('').optional(),
+  MTN_WEBHOOK_IPS: Joi.string().allow('').optional(),
+  ORANGE_WEBHOOK_IPS: Joi.string().allow('').optional(),
+  BANK_WEBHOOK_IPS: Joi.string().allow('').optional(),
+  INSTANCE_ID: Joi.string().default(`${os.hostname()}-${process.pid}`),
+  LEADER_LOCK_TTL_MS: Joi.number().integer().min(1000).max(60000).default(5000),
+  CLUSTER_COMMAND_TIMEOUT_MS: Joi.number().integer().min(500).max(30000).default(3000),
 }).unknown();
 
 const { error, value: envVars } = envSchema.validate(process.env);
@@ -37,6 +68,51 @@ const config = {
     port: envVars.REDIS_PORT,
   },
   jwtSecret: envVars.JWT_SECRET,
+  game: {
+    seedMode: envVars.SEED_MODE,
+    seedChainLength: envVars.SEED_CHAIN_LENGTH,
+    targetRtp: envVars.RTP_TARGET,
+    maxMultiplier: envVars.MAX_MULTIPLIER,
+    multiplierGrowthRate: envVars.MULTIPLIER_GROWTH_RATE,
+    cashoutLagCompensationMs: envVars.CASHOUT_LAG_COMPENSATION_MS,
+    maxBetsPerRound: envVars.MAX_BETS_PER_ROUND,
+    rooms: envVars.GAME_ROOMS,
+    practiceBalance: envVars.PRACTICE_BALANCE,
+    maxPayoutPerBet: envVars.MAX_PAYOUT_PER_BET,
+    maxPayoutPerRound: envVars.MAX_PAYOUT_PER_ROUND,
+    specialBlocksEnabled: envVars.SPECIAL_BLOCKS_ENABLED,
+  },
+  payments: {
+    withdrawalMin: envVars.WITHDRAWAL_MIN,
+    withdrawalMax: envVars.WITHDRAWAL_MAX,
+    withdrawalDailyLimit: envVars.WITHDRAWAL_DAILY_LIMIT,
+    withdrawalAutoApproveMax: envVars.WITHDRAWAL_AUTO_APPROVE_MAX,
+  },
+  idempotency: {
+    ttlSeconds: envVars.IDEMPOTENCY_TTL_SECONDS,
+    lockMs: envVars.IDEMPOTENCY_LOCK_MS,
+  },
+  // Gateway callbacks: signing secrets, and comma-separated IPs/CIDR ranges they may come from (any when empty)
+  webhooks: {
+    toleranceSeconds: envVars.WEBHOOK_TOLERANCE_SECONDS,
+    secrets: {
+      stripe: envVars.STRIPE_WEBHOOK_SECRET,
+      mtn: envVars.MTN_WEBHOOK_SECRET,
+      orange: envVars.ORANGE_WEBHOOK_SECRET,
+      bank: envVars.BANK_WEBHOOK_SECRET,
+    },
+    allowedIps: {
+      stripe: envVars.STRIPE_WEBHOOK_IPS,
+      mtn: envVars.MTN_WEBHOOK_IPS,
+      orange: envVars.ORANGE_WEBHOOK_IPS,
+      bank: envVars.BANK_WEBHOOK_IPS,
+    },
+  },
+  cluster: {
+    instanceId: envVars.INSTANCE_ID,
+    leaderLockTtlMs: envVars.LEADER_LOCK_TTL_MS,
+    commandTimeoutMs: envVars.CLUSTER_COMMAND_TIMEOUT_MS,
+  },
 };
 
 module.exports = config;
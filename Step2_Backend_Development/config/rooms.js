@@ -0,0 +1,57 @@
+const Joi = require('joi');
+const config = require('./index');
+
+// Room every client joins until it picks another one; it keeps the single-room game's limits and timings
+const DEFAULT_ROOM_ID = 'main';
+
+const DEFAULT_ROOMS = [
+  { id: DEFAULT_ROOM_ID, name: 'Main', minBet: 100, maxBet: 100000, waitingMs: 5000, crashedMs: 3000, resultsMs: 5000 },
+  { id: 'low-stakes', name: 'Low Stakes', minBet: 100, maxBet: 5000, waitingMs: 5000, crashedMs: 3000, resultsMs: 5000 },
+  { id: 'high-roller', name: 'High Roller', minBet: 10000, maxBet: 1000000, waitingMs: 8000, crashedMs: 3000, resultsMs: 5000 },
+  { id: 'fast', name: 'Fast', minBet: 100, maxBet: 50000, waitingMs: 3000, crashedMs: 1500, resultsMs: 2000 }
+];
+
+const roomSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9-]+$/).max(32).required(),
+  name: Joi.string().max(64).required(),
+  minBet: Joi.number().positive().required(),
+  maxBet: Joi.number().min(Joi.ref('minBet')).required(),
+  waitingMs: Joi.number().integer().min(1000).max(60000).default(5000),
+  crashedMs: Joi.number().integer().min(500).max(30000).default(3000),
+  resultsMs: Joi.number().integer().min(500).max(30000).default(5000),
+  // Published RTP config version the room is pinned to; null follows the active version
+  rtpConfigVersion: Joi.number().integer().positive().allow(null).default(null),
+  // House exposure limits; null uses MAX_PAYOUT_PER_BET / MAX_PAYOUT_PER_ROUND
+  maxPayoutPerBet: Joi.number().positive().allow(null).default(null),
+  maxPayoutPerRound: Joi.number().positive().allow(null).default(null),
+  // Whether rounds get special blocks; null uses SPECIAL_BLOCKS_ENABLED
+  specialBlocks: Joi.boolean().allow(null).default(null)
+});
+
+const roomsSchema = Joi.array().items(roomSchema).min(1).unique('id')
+  .has(Joi.object({ id: Joi.valid(DEFAULT_ROOM_ID) }).unknown())
+  .messages({ 'array.hasUnknown': `must include the "${DEFAULT_ROOM_ID}" room` });
+
+// GAME_ROOMS replaces the default rooms with a JSON array of room definitions
+const parseRooms = (json) => {
+  let rooms = DEFAULT_ROOMS;
+  if (json) {
+    try {
+      rooms = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Config validation error: GAME_ROOMS is not valid JSON (${error.message})`);
+    }
+  }
+
+  const { error, value } = roomsSchema.validate(rooms);
+  if (error) {
+    throw new Error(`Config validation error: GAME_ROOMS ${error.message}`);
+  }
+  return value;
+};
+
+module.exports = {
+  DEFAULT_ROOM_ID,
+  rooms: parseRooms(config.game.rooms),
+  parseRooms
+};
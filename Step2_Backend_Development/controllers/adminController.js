@@ -1,4 +1,10 @@
 const adminService = require('../services/adminService');
+const gameRoomService = require('../services/gameRoomService');
+const seedChainService = require('../services/seedChainService');
+const rtpConfigService = require('../services/rtpConfigService');
+const crashDistribution = require('../services/crashDistribution');
+const ledgerService = require('../services/ledgerService');
+const withdrawalService = require('../services/withdrawalService');
 const logger = require('../utils/logger');
 const db = require('../db');
 
@@ -8,7 +14,9 @@ class AdminController {
     console.log('Admin controller - getProfitabilityMetrics called');
     console.log('Request user:', req.user);
     try {
-      const metrics = await adminService.getProfitabilityMetrics();
+      // ?room= limits the metrics to one game room
+      const roomId = gameRoomService.resolveRoomFilter(req.query.room);
+      const metrics = await adminService.getProfitabilityMetrics(roomId);
       console.log('Admin controller - returning metrics:', metrics);
       res.json({
         success: true,
@@ -18,7 +26,7 @@ class AdminController {
     } catch (error) {
       console.log('Admin controller - error:', error);
       logger.error('Error getting profitability metrics:', error);
-      res.status(500).json({ 
+      res.status(error.message.includes('Room not found') ? 404 : 500).json({ 
         success: false,
         error: 'Failed to get profitability metrics',
         details: error.message,
@@ -28,46 +36,67 @@ class AdminController {
   }
 
   // GAME CONTROL ENDPOINTS
+  // Game controls act on one room: ?room= (or room in the body), the default room otherwise
   async getGameStatus(req, res) {
     try {
-      const status = await adminService.getGameStatus();
+      const roomId = gameRoomService.resolveRoomId(req.query.room);
+      const status = await adminService.getGameStatus(roomId);
       res.json(status);
     } catch (error) {
       logger.error('Error getting game status:', error);
-      res.status(500).json({ error: 'Failed to get game status' });
+      if (error.message.includes('Room not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        res.status(500).json({ error: 'Failed to get game status' });
+      }
     }
   }
 
   async pauseGame(req, res) {
     try {
-      const result = await adminService.pauseGame();
-      await adminService.logAdminAction(req.user.id, 'pause_game', 'Game paused');
+      const roomId = gameRoomService.resolveRoomId(req.body?.room || req.query.room);
+      const result = await adminService.pauseGame(roomId);
+      await adminService.logAdminAction(req.user.id, 'pause_game', `Game room ${roomId} paused`);
       res.json(result);
     } catch (error) {
       logger.error('Error pausing game:', error);
-      res.status(500).json({ error: 'Failed to pause game' });
+      if (error.message.includes('Room not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        res.status(500).json({ error: 'Failed to pause game' });
+      }
     }
   }
 
   async resumeGame(req, res) {
     try {
-      const result = await adminService.resumeGame();
-      await adminService.logAdminAction(req.user.id, 'resume_game', 'Game resumed');
+      const roomId = gameRoomService.resolveRoomId(req.body?.room || req.query.room);
+      const result = await adminService.resumeGame(roomId);
+      await adminService.logAdminAction(req.user.id, 'resume_game', `Game room ${roomId} resumed`);
       res.json(result);
     } catch (error) {
       logger.error('Error resuming game:', error);
-      res.status(500).json({ error: 'Failed to resume game' });
+      if (error.message.includes('Room not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        res.status(500).json({ error: 'Failed to resume game' });
+      }
     }
   }
 
   async emergencyStop(req, res) {
     try {
-      const result = await adminService.emergencyStop();
-      await adminService.logAdminAction(req.user.id, 'emergency_stop', 'Game emergency stopped');
+      const roomId = gameRoomService.resolveRoomId(req.body?.room || req.query.room);
+      const result = await adminService.emergencyStop(roomId);
+      await adminService.logAdminAction(req.user.id, 'emergency_stop', `Game room ${roomId} emergency stopped`);
       res.json(result);
     } catch (error) {
       logger.error('Error emergency stopping game:', error);
-      res.status(500).json({ error: 'Failed to emergency stop game' });
+      if (error.message.includes('Room not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        res.status(500).json({ error: 'Failed to emergency stop game' });
+      }
     }
   }
 
@@ -78,12 +107,178 @@ class AdminController {
         return res.status(400).json({ error: 'Invalid crash point. Must be between 1.0 and 100.0' });
       }
       
-      const result = await adminService.setCrashPoint(crashPoint);
-      await adminService.logAdminAction(req.user.id, 'set_crash_point', `Crash point set to ${crashPoint}x`);
+      const roomId = gameRoomService.resolveRoomId(req.body.room || req.query.room);
+      const result = await adminService.setCrashPoint(crashPoint, roomId);
+      await adminService.logAdminAction(req.user.id, 'set_crash_point', `Crash point of room ${roomId} set to ${crashPoint}x`);
       res.json(result);
     } catch (error) {
       logger.error('Error setting crash point:', error);
-      res.status(500).json({ error: 'Failed to set crash point' });
+      if (error.message.includes('Room not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        res.status(500).json({ error: 'Failed to set crash point' });
+      }
+    }
+  }
+
+  // RISK ENDPOINTS
+  // Current house exposure and advantage of every room (or of ?room=), from the leader's risk snapshots
+  async getRiskExposure(req, res) {
+    try {
+      const roomId = gameRoomService.resolveRoomFilter(req.query.room);
+      const engines = roomId ? [gameRoomService.getEngine(roomId)] : gameRoomService.getEngines();
+      const exposure = await Promise.all(engines.map(async engine => {
+        const state = await engine.getGameState();
+        const { liability, houseAdvantageStats } = await engine.getRiskState();
+        return {
+          roomId: engine.roomId,
+          roundId: state.roundId,
+          gameState: state.gameState,
+          multiplier: state.multiplier,
+          ...liability,
+          houseAdvantage: houseAdvantageStats
+        };
+      }));
+      res.json({ success: true, data: exposure });
+    } catch (error) {
+      logger.error('Error getting risk exposure:', error);
+      if (error.message.includes('Room not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        res.status(500).json({ error: 'Failed to get risk exposure' });
+      }
+    }
+  }
+
+  // LEDGER ENDPOINTS
+  // Whether every ledger entry balances and every player's balance matches their ledger accounts
+  async getLedgerConsistency(req, res) {
+    try {
+      const report = await ledgerService.checkConsistency();
+      res.json({ success: true, data: report });
+    } catch (error) {
+      logger.error('Error checking ledger consistency:', error);
+      res.status(500).json({ error: 'Failed to check ledger consistency' });
+    }
+  }
+
+  // WITHDRAWAL ENDPOINTS
+  // Approval queue: pending withdrawals oldest first, or those in ?status= (all)
+  async getWithdrawals(req, res) {
+    try {
+      const status = req.query.status === 'all' ? null : (req.query.status || 'pending');
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const withdrawals = await withdrawalService.getWithdrawals(status, limit);
+      res.json({ success: true, data: withdrawals });
+    } catch (error) {
+      logger.error('Error getting withdrawals:', error);
+      res.status(500).json({ error: 'Failed to get withdrawals' });
+    }
+  }
+
+  async approveWithdrawal(req, res) {
+    try {
+      const withdrawalId = parseInt(req.params.id);
+      const withdrawal = await withdrawalService.approveWithdrawal(withdrawalId, req.user.id);
+      await adminService.logAdminAction(req.user.id, 'approve_withdrawal', `Withdrawal ${withdrawalId} approved: ${withdrawal.amount} FCFA`);
+      res.json({ success: true, data: withdrawal });
+    } catch (error) {
+      logger.error('Error approving withdrawal:', error);
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        res.status(500).json({ error: 'Failed to approve withdrawal' });
+      }
+    }
+  }
+
+  async rejectWithdrawal(req, res) {
+    try {
+      const withdrawalId = parseInt(req.params.id);
+      const { reason } = req.body;
+      if (!reason) {
+        return res.status(400).json({ error: 'Reason is required' });
+      }
+
+      const withdrawal = await withdrawalService.rejectWithdrawal(withdrawalId, req.user.id, reason);
+      await adminService.logAdminAction(req.user.id, 'reject_withdrawal', `Withdrawal ${withdrawalId} rejected: ${reason}`);
+      res.json({ success: true, data: withdrawal });
+    } catch (error) {
+      logger.error('Error rejecting withdrawal:', error);
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else if (error.message.includes('can no longer be rejected')) {
+        res.status(409).json({ error: error.message });
+      } else {
+        res.status(500).json({ error: 'Failed to reject withdrawal' });
+      }
+    }
+  }
+
+  // SEED CHAIN ENDPOINTS
+  async getSeedChains(req, res) {
+    try {
+      const limit = parseInt(req.query.limit) || 20;
+      const chains = await seedChainService.getChains(limit);
+      res.json({ success: true, data: chains });
+    } catch (error) {
+      logger.error('Error getting seed chains:', error);
+      res.status(500).json({ error: 'Failed to get seed chains' });
+    }
+  }
+
+  async rotateSeedChain(req, res) {
+    try {
+      const length = req.body.length !== undefined ? parseInt(req.body.length) : undefined;
+      if (length !== undefined && (!Number.isInteger(length) || length < 1 || length > seedChainService.maxLength)) {
+        return res.status(400).json({ error: `Invalid chain length. Must be between 1 and ${seedChainService.maxLength}` });
+      }
+
+      const chain = await seedChainService.rotateChain(length, req.user.id);
+      await adminService.logAdminAction(req.user.id, 'rotate_seed_chain', `Seed chain ${chain.chainId} published with anchor ${chain.anchorHash}`);
+      res.json({ success: true, data: chain });
+    } catch (error) {
+      logger.error('Error rotating seed chain:', error);
+      res.status(500).json({ error: 'Failed to rotate seed chain' });
+    }
+  }
+
+  // RTP CONFIG ENDPOINTS
+  async getRtpConfigs(req, res) {
+    try {
+      const limit = parseInt(req.query.limit) || 20;
+      const configs = await rtpConfigService.getConfigs(limit);
+      res.json({ success: true, data: { configs, models: crashDistribution.listModels() } });
+    } catch (error) {
+      logger.error('Error getting RTP configs:', error);
+      res.status(500).json({ error: 'Failed to get RTP configs' });
+    }
+  }
+
+  async publishRtpConfig(req, res) {
+    try {
+      const { model, notes } = req.body;
+      const targetRtp = req.body.targetRtp !== undefined ? parseFloat(req.body.targetRtp) : undefined;
+      const maxMultiplier = req.body.maxMultiplier !== undefined ? parseFloat(req.body.maxMultiplier) : undefined;
+
+      if (targetRtp === undefined || maxMultiplier === undefined) {
+        return res.status(400).json({ error: 'targetRtp and maxMultiplier are required' });
+      }
+
+      const rtpConfig = await rtpConfigService.publishConfig({ model, targetRtp, maxMultiplier, notes }, req.user.id);
+      await adminService.logAdminAction(
+        req.user.id,
+        'publish_rtp_config',
+        `RTP config v${rtpConfig.version} published (${rtpConfig.model}, RTP ${rtpConfig.targetRtp}, max ${rtpConfig.maxMultiplier}x)`
+      );
+      res.json({ success: true, data: rtpConfig });
+    } catch (error) {
+      logger.error('Error publishing RTP config:', error);
+      if (error.message.includes('must be') || error.message.includes('Unknown crash model') || error.message.includes('requires')) {
+        res.status(400).json({ error: error.message });
+      } else {
+        res.status(500).json({ error: 'Failed to publish RTP config' });
+      }
     }
   }
 
@@ -293,24 +488,31 @@ class AdminController {
         default: interval = '24 hours';
       }
       
-      const result = await adminService.db.query(`
+      // ?room= limits the analytics to one game room
+      const roomId = gameRoomService.resolveRoomFilter(req.query.room);
+
+      const result = await db.query(`
         SELECT 
-          DATE_TRUNC('hour', created_at) as time_bucket,
+          DATE_TRUNC('hour', b.timestamp) as time_bucket,
           COUNT(*) as bet_count,
-          COALESCE(SUM(amount), 0) as total_amount,
-          COUNT(CASE WHEN result = 'win' THEN 1 END) as wins,
-          COUNT(CASE WHEN result = 'loss' THEN 1 END) as losses
+          COALESCE(SUM(b.amount), 0) as total_amount,
+          COUNT(CASE WHEN b.result = 'win' THEN 1 END) as wins,
+          COUNT(CASE WHEN b.result = 'loss' THEN 1 END) as losses
         FROM bets b
-        LEFT JOIN round_results r ON b.id = r.bet_id
-        WHERE b.created_at >= NOW() - INTERVAL '${interval}'
+        WHERE b.timestamp >= NOW() - INTERVAL '${interval}' AND NOT b.is_practice
+          AND ($1::varchar IS NULL OR b.room_id = $1)
         GROUP BY time_bucket
         ORDER BY time_bucket DESC
-      `);
+      `, [roomId]);
       
       res.json(result.rows);
     } catch (error) {
       logger.error('Error getting betting analytics:', error);
-      res.status(500).json({ error: 'Failed to get betting analytics' });
+      if (error.message.includes('Room not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        res.status(500).json({ error: 'Failed to get betting analytics' });
+      }
     }
   }
 
@@ -327,6 +529,9 @@ class AdminController {
         default: interval = '24 hours';
       }
       
+      // ?room= limits the analytics to one game room
+      const roomId = gameRoomService.resolveRoomFilter(req.query.room);
+
       const result = await db.query(`
         SELECT 
           crash_point,
@@ -336,15 +541,20 @@ class AdminController {
           MAX(crash_point) as max_crash
         FROM rounds
         WHERE timestamp >= NOW() - INTERVAL '${interval}'
+          AND ($1::varchar IS NULL OR room_id = $1)
         GROUP BY crash_point
         ORDER BY frequency DESC
         LIMIT 20
-      `);
+      `, [roomId]);
       
       res.json(result.rows);
     } catch (error) {
       logger.error('Error getting crash point analytics:', error);
-      res.status(500).json({ error: 'Failed to get crash point analytics' });
+      if (error.message.includes('Room not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        res.status(500).json({ error: 'Failed to get crash point analytics' });
+      }
     }
   }
 
@@ -362,24 +572,31 @@ class AdminController {
         default: interval = '24 hours';
       }
       
+      // ?room= limits the figures to one game room
+      const roomId = gameRoomService.resolveRoomFilter(req.query.room);
+
       const result = await db.query(`
         SELECT 
           DATE_TRUNC('hour', b.timestamp) as time_bucket,
           COUNT(*) as bet_count,
           COALESCE(SUM(b.amount), 0) as revenue,
-          COALESCE(SUM(CASE WHEN r.result = 'win' THEN r.winnings ELSE 0 END), 0) as payouts,
-          COALESCE(SUM(b.amount), 0) - COALESCE(SUM(CASE WHEN r.result = 'win' THEN r.winnings ELSE 0 END), 0) as profit
+          COALESCE(SUM(CASE WHEN b.result = 'win' THEN b.winnings ELSE 0 END), 0) as payouts,
+          COALESCE(SUM(b.amount), 0) - COALESCE(SUM(CASE WHEN b.result = 'win' THEN b.winnings ELSE 0 END), 0) as profit
         FROM bets b
-        LEFT JOIN round_results r ON b.id = r.bet_id
-        WHERE b.timestamp >= NOW() - INTERVAL '${interval}'
+        WHERE b.timestamp >= NOW() - INTERVAL '${interval}' AND NOT b.is_practice
+          AND ($1::varchar IS NULL OR b.room_id = $1)
         GROUP BY time_bucket
         ORDER BY time_bucket DESC
-      `);
+      `, [roomId]);
       
       res.json(result.rows);
     } catch (error) {
       logger.error('Error getting profitability by time range:', error);
-      res.status(500).json({ error: 'Failed to get profitability by time range' });
+      if (error.message.includes('Room not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        res.status(500).json({ error: 'Failed to get profitability by time range' });
+      }
     }
   }
 
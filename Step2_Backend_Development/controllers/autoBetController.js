@@ -0,0 +1,227 @@
+const Joi = require('joi');
+const autoBetService = require('../services/autoBetService');
+const logger = require('../utils/logger');
+
+const adjustmentSchema = Joi.object({
+  action: Joi.string().valid('reset', 'increase').required(),
+  percent: Joi.number().min(0).max(1000).default(0)
+});
+
+// Bet limits are checked against the strategy's room; every bet it places goes through the room's engine
+const strategySchema = Joi.object({
+  name: Joi.string().max(64).optional(),
+  room: Joi.string().max(32).default('main'),
+  baseAmount: Joi.number().positive().required(),
+  autoCashoutAt: Joi.number().min(1.01).required(),
+  onWin: adjustmentSchema.default({ action: 'reset', percent: 0 }),
+  onLoss: adjustmentSchema.default({ action: 'reset', percent: 0 }),
+  maxBets: Joi.number().integer().min(1).max(1000).required(),
+  stopOnProfit: Joi.number().positive().optional(),
+  stopOnLoss: Joi.number().positive().optional(),
+  practice: Joi.boolean().default(false)
+});
+
+const parseStrategyId = (req) => {
+  const strategyId = parseInt(req.params.id);
+  return Number.isInteger(strategyId) && strategyId > 0 ? strategyId : null;
+};
+
+/**
+ * @swagger
+ * /api/v1/auto-bet/strategies:
+ *   post:
+ *     summary: Start an auto-bet strategy
+ *     description: The server bets for the player every round in the strategy's room, cashing out at autoCashoutAt,
+ *       and adjusts the amount after each win and loss until maxBets, the profit target or the loss limit is reached.
+ *       A player runs one strategy at a time.
+ *     tags: [Auto-bet]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [baseAmount, autoCashoutAt, maxBets]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               room:
+ *                 type: string
+ *                 default: main
+ *               baseAmount:
+ *                 type: number
+ *               autoCashoutAt:
+ *                 type: number
+ *                 minimum: 1.01
+ *               onWin:
+ *                 type: object
+ *                 properties:
+ *                   action:
+ *                     type: string
+ *                     enum: [reset, increase]
+ *                   percent:
+ *                     type: number
+ *               onLoss:
+ *                 type: object
+ *                 properties:
+ *                   action:
+ *                     type: string
+ *                     enum: [reset, increase]
+ *                   percent:
+ *                     type: number
+ *               maxBets:
+ *                 type: integer
+ *               stopOnProfit:
+ *                 type: number
+ *               stopOnLoss:
+ *                 type: number
+ *                 description: Hard limit; the strategy stops rather than place a bet that could lose more
+ *               practice:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Strategy started
+ *       400:
+ *         description: Invalid strategy
+ *       404:
+ *         description: Room not found
+ *       409:
+ *         description: A strategy is already running
+ */
+const createStrategy = async (req, res) => {
+  try {
+    const { error, value } = strategySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { room, ...definition } = value;
+    const strategy = await autoBetService.createStrategy(req.user.id, { ...definition, roomId: room });
+    res.status(201).json(strategy);
+  } catch (error) {
+    logger.error('Error creating auto-bet strategy:', error);
+    if (error.message.includes('Room not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('already running')) {
+      res.status(409).json({ error: error.message });
+    } else if (error.message.includes('must be between') || error.message.includes('must not exceed')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to start auto-bet strategy' });
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/auto-bet/strategies:
+ *   get:
+ *     summary: Get the player's auto-bet strategies with their progress, newest first
+ *     tags: [Auto-bet]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Strategies
+ */
+const getStrategies = async (req, res) => {
+  try {
+    const strategies = await autoBetService.getStrategies(req.user.id);
+    res.json(strategies);
+  } catch (error) {
+    logger.error('Error getting auto-bet strategies:', error);
+    res.status(500).json({ error: 'Failed to get auto-bet strategies' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/auto-bet/strategies/{id}/stop:
+ *   post:
+ *     summary: Stop a running auto-bet strategy
+ *     description: A bet the strategy already placed still plays out and is counted.
+ *     tags: [Auto-bet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Strategy stopped
+ *       404:
+ *         description: No running strategy found
+ */
+const stopStrategy = async (req, res) => {
+  const strategyId = parseStrategyId(req);
+  if (!strategyId) {
+    return res.status(400).json({ error: 'Invalid strategy ID' });
+  }
+
+  try {
+    const strategy = await autoBetService.stopStrategy(req.user.id, strategyId);
+    res.json(strategy);
+  } catch (error) {
+    logger.error('Error stopping auto-bet strategy:', error);
+    if (error.message.includes('No running strategy')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to stop auto-bet strategy' });
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/auto-bet/strategies/{id}/start:
+ *   post:
+ *     summary: Run a saved auto-bet strategy again from its base amount
+ *     tags: [Auto-bet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Strategy started
+ *       404:
+ *         description: Strategy not found or its last bet has not settled yet
+ *       409:
+ *         description: A strategy is already running
+ */
+const restartStrategy = async (req, res) => {
+  const strategyId = parseStrategyId(req);
+  if (!strategyId) {
+    return res.status(400).json({ error: 'Invalid strategy ID' });
+  }
+
+  try {
+    const strategy = await autoBetService.restartStrategy(req.user.id, strategyId);
+    res.json(strategy);
+  } catch (error) {
+    logger.error('Error restarting auto-bet strategy:', error);
+    if (error.message.includes('already running')) {
+      res.status(409).json({ error: error.message });
+    } else if (error.message.includes('Strategy not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to start auto-bet strategy' });
+    }
+  }
+};
+
+module.exports = {
+  createStrategy,
+  getStrategies,
+  stopStrategy,
+  restartStrategy
+};
@@ -1,15 +1,33 @@
 const Joi = require('joi');
 const gameEngine = require('../services/gameEngine');
+const clusterService = require('../services/clusterService');
+const gameRoomService = require('../services/gameRoomService');
+const seedChainService = require('../services/seedChainService');
+const rtpConfigService = require('../services/rtpConfigService');
+const practiceWalletService = require('../services/practiceWalletService');
 const logger = require('../utils/logger');
 
 // Validation schemas
 const placeBetSchema = Joi.object({
-  amount: Joi.number().min(1).max(1000).required(),
-  insuranceType: Joi.string().valid('basic', 'premium', 'elite').optional()
+  // Bet limits are set per room and checked by the room's engine
+  amount: Joi.number().positive().required(),
+  insuranceType: Joi.string().valid('basic', 'premium', 'elite').optional(),
+  autoCashoutAt: Joi.number().min(1.01).optional(),
+  room: Joi.string().max(32).optional(),
+  // Bet play money from the practice wallet
+  practice: Joi.boolean().default(false)
 });
 
 const cashoutSchema = Joi.object({
-  // No body needed for cashout, just authentication
+  // Optional when the player holds a single bet in the round
+  betId: Joi.number().integer().positive().optional(),
+  room: Joi.string().max(32).optional(),
+  // Share of the stake to cash out; the rest keeps riding
+  fraction: Joi.number().greater(0).max(1).optional()
+});
+
+const cancelBetSchema = Joi.object({
+  room: Joi.string().max(32).optional()
 });
 
 /**
@@ -18,6 +36,13 @@ const cashoutSchema = Joi.object({
  *   get:
  *     summary: Get current game state
  *     tags: [Game]
+ *     parameters:
+ *       - in: query
+ *         name: room
+ *         schema:
+ *           type: string
+ *           default: main
+ *         description: Room to get the state of
  *     responses:
  *       200:
  *         description: Current game state
@@ -42,14 +67,83 @@ const cashoutSchema = Joi.object({
  *                   type: array
  *                   items:
  *                     type: integer
+ *       404:
+ *         description: Room not found
  */
 const getGameState = async (req, res) => {
   try {
-    const gameState = await gameEngine.getGameState();
+    const gameState = await gameRoomService.getEngine(req.query.room).getGameState();
     res.json(gameState);
   } catch (error) {
     logger.error('Error getting game state:', error);
-    res.status(500).json({ error: 'Failed to get game state' });
+    if (error.message.includes('Room not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to get game state' });
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/game/rooms:
+ *   get:
+ *     summary: List the game rooms with their live status
+ *     description: Every room runs its own rounds with its own bet limits, phase timings and RTP config.
+ *     tags: [Game]
+ *     responses:
+ *       200:
+ *         description: Rooms, the default room first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   minBet:
+ *                     type: number
+ *                   maxBet:
+ *                     type: number
+ *                   waitingMs:
+ *                     type: integer
+ *                   crashedMs:
+ *                     type: integer
+ *                   resultsMs:
+ *                     type: integer
+ *                   rtpConfigVersion:
+ *                     type: integer
+ *                     nullable: true
+ *                   default:
+ *                     type: boolean
+ *                   status:
+ *                     type: object
+ *                     properties:
+ *                       roundId:
+ *                         type: integer
+ *                       roundNumber:
+ *                         type: integer
+ *                       gameState:
+ *                         type: string
+ *                         enum: [waiting, running, crashed, results]
+ *                       multiplier:
+ *                         type: number
+ *                       activePlayers:
+ *                         type: integer
+ *                       activeBets:
+ *                         type: integer
+ */
+const getRooms = async (req, res) => {
+  try {
+    const rooms = await gameRoomService.getRooms();
+    res.json(rooms);
+  } catch (error) {
+    logger.error('Error getting game rooms:', error);
+    res.status(500).json({ error: 'Failed to get game rooms' });
   }
 };
 
@@ -66,6 +160,11 @@ const getGameState = async (req, res) => {
  *           type: integer
  *           default: 10
  *         description: Number of rounds to return
+ *       - in: query
+ *         name: room
+ *         schema:
+ *           type: string
+ *         description: Only rounds of this room (all rooms by default)
  *     responses:
  *       200:
  *         description: Round history
@@ -78,21 +177,34 @@ const getGameState = async (req, res) => {
  *                 properties:
  *                   id:
  *                     type: integer
+ *                   room_id:
+ *                     type: string
+ *                   round_number:
+ *                     type: integer
  *                   crash_point:
  *                     type: number
+ *                     nullable: true
+ *                     description: Null until the round has crashed
  *                   timestamp:
  *                     type: string
+ *       404:
+ *         description: Room not found
  */
 const getRoundHistory = async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
     const userId = req.user?.id || null;
+    const roomId = gameRoomService.resolveRoomFilter(req.query.room);
     
-    const history = await gameEngine.getRoundHistory(limit, userId);
+    const history = await gameEngine.getRoundHistory(limit, userId, roomId);
     res.json(history);
   } catch (error) {
     logger.error('Error getting round history:', error);
-    res.status(500).json({ error: 'Failed to get round history' });
+    if (error.message.includes('Room not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to get round history' });
+    }
   }
 };
 
@@ -111,6 +223,11 @@ const getRoundHistory = async (req, res) => {
  *           type: integer
  *           default: 10
  *         description: Number of rounds to return
+ *       - in: query
+ *         name: room
+ *         schema:
+ *           type: string
+ *         description: Only rounds of this room (all rooms by default)
  *     responses:
  *       200:
  *         description: User round history retrieved successfully
@@ -123,8 +240,14 @@ const getRoundHistory = async (req, res) => {
  *                 properties:
  *                   round_id:
  *                     type: integer
+ *                   room_id:
+ *                     type: string
+ *                   round_number:
+ *                     type: integer
  *                   crash_point:
  *                     type: number
+ *                     nullable: true
+ *                     description: Null until the round has crashed
  *                   timestamp:
  *                     type: string
  *                   result:
@@ -140,6 +263,8 @@ const getRoundHistory = async (req, res) => {
  *                     type: number
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Room not found
  *       500:
  *         description: Server error
  */
@@ -147,12 +272,17 @@ const getUserRoundHistory = async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
     const userId = req.user.id;
+    const roomId = gameRoomService.resolveRoomFilter(req.query.room);
     
-    const history = await gameEngine.getRoundHistory(limit, userId);
+    const history = await gameEngine.getRoundHistory(limit, userId, roomId);
     res.json(history);
   } catch (error) {
     logger.error('Error getting user round history:', error);
-    res.status(500).json({ error: 'Failed to get user round history' });
+    if (error.message.includes('Room not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to get user round history' });
+    }
   }
 };
 
@@ -161,9 +291,16 @@ const getUserRoundHistory = async (req, res) => {
  * /api/v1/game/bet:
  *   post:
  *     summary: Place a bet
+ *     description: Bets placed while a round is in progress are queued for the next round.
  *     tags: [Game]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Unique key of this bet; a retry with the same key gets the first response back
  *     requestBody:
  *       required: true
  *       content:
@@ -175,9 +312,19 @@ const getUserRoundHistory = async (req, res) => {
  *             properties:
  *               amount:
  *                 type: number
- *                 minimum: 1
- *                 maximum: 1000
- *                 description: Bet amount in dollars
+ *                 description: Bet amount in FCFA, within the room's minBet and maxBet
+ *               autoCashoutAt:
+ *                 type: number
+ *                 minimum: 1.01
+ *                 description: Multiplier at which the server cashes the bet out, even if the player disconnects
+ *               room:
+ *                 type: string
+ *                 default: main
+ *                 description: Room to bet in
+ *               practice:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Bet play money from the practice wallet; practice bets cannot be insured
  *     responses:
  *       200:
  *         description: Bet placed successfully
@@ -192,8 +339,23 @@ const getUserRoundHistory = async (req, res) => {
  *                   type: number
  *                 betAmount:
  *                   type: number
+ *                 betId:
+ *                   type: integer
+ *                 roundId:
+ *                   type: integer
+ *                   nullable: true
+ *                 queued:
+ *                   type: boolean
+ *                   description: True when the bet waits for the next round
+ *                 practice:
+ *                   type: boolean
+ *                   description: True when newBalance is the practice wallet balance
+ *                 roomId:
+ *                   type: string
  *       400:
- *         description: Invalid bet amount or insufficient balance
+ *         description: Invalid bet amount, insufficient balance, no free bet slot or insured practice bet
+ *       404:
+ *         description: Room not found
  *       401:
  *         description: Unauthorized
  */
@@ -206,27 +368,22 @@ const placeBet = async (req, res) => {
     }
 
     const userId = req.user.id;
-    const { amount, insuranceType } = value;
+    const { amount, insuranceType, autoCashoutAt, room, practice } = value;
 
-    // Check if game is in waiting state
-    const gameState = await gameEngine.getGameState();
-    if (gameState.gameState !== 'waiting') {
-      return res.status(400).json({ error: 'Bets can only be placed during waiting phase' });
-    }
-
-    // Check if user already has an active bet
-    if (gameState.activePlayers.includes(userId)) {
-      return res.status(400).json({ error: 'You already have an active bet' });
-    }
-
-    const result = await gameEngine.placeBet(userId, amount, insuranceType);
+    const result = await clusterService.placeBet(room, userId, amount, insuranceType, 1, autoCashoutAt, practice);
     res.json(result);
   } catch (error) {
     logger.error('Error placing bet:', error);
-    if (error.message.includes('Insufficient balance')) {
+    if (error.message.includes('Room not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Insufficient balance')) {
       res.status(400).json({ error: 'Insufficient balance' });
-    } else if (error.message.includes('Bet amount must be between')) {
+    } else if (error.message.includes('Bet amount must be between') || error.message.includes('Auto cashout must be') ||
+      error.message.includes('bets per round') || error.message.includes('Betting has closed') ||
+      error.message.includes('not available on practice bets')) {
       res.status(400).json({ error: error.message });
+    } else if (error.message.includes('Game server unavailable')) {
+      res.status(503).json({ error: error.message });
     } else {
       res.status(500).json({ error: 'Failed to place bet' });
     }
@@ -241,6 +398,32 @@ const placeBet = async (req, res) => {
  *     tags: [Game]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Unique key of this cash-out; a retry with the same key gets the first response back
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               betId:
+ *                 type: integer
+ *                 description: Bet to cash out; required when the player holds more than one bet in the round
+ *               room:
+ *                 type: string
+ *                 default: main
+ *                 description: Room the bet was placed in
+ *               fraction:
+ *                 type: number
+ *                 minimum: 0
+ *                 exclusiveMinimum: true
+ *                 maximum: 1
+ *                 default: 1
+ *                 description: Share of the stake to cash out. Below 1 the rest of the bet keeps riding; both parts must be at least the room's minimum bet.
  *     responses:
  *       200:
  *         description: Cash out successful
@@ -251,35 +434,143 @@ const placeBet = async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
+ *                 betId:
+ *                   type: integer
+ *                 settledBetId:
+ *                   type: integer
+ *                   description: Bet row holding the settled part; the bet itself unless the cash-out was partial
  *                 cashoutMultiplier:
  *                   type: number
  *                 winnings:
  *                   type: number
  *                 betAmount:
  *                   type: number
+ *                   description: Stake cashed out
+ *                 partial:
+ *                   type: boolean
+ *                 remainingAmount:
+ *                   type: number
+ *                   description: Stake still riding after a partial cash-out
  *       400:
- *         description: No active bet or game not running
+ *         description: No active bet, game not running or invalid fraction
+ *       404:
+ *         description: Room not found
  *       401:
  *         description: Unauthorized
  */
 const cashOut = async (req, res) => {
+  // Cash-outs are priced from the moment the server received them
+  const receivedAt = Date.now();
   try {
+    const { error: validationError, value } = cashoutSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
     const userId = req.user.id;
 
-    const result = await gameEngine.cashOut(userId);
+    const result = await clusterService.cashOut(value.room, userId, value.betId || null, receivedAt, value.fraction ?? 1);
     res.json(result);
   } catch (error) {
     logger.error('Error cashing out:', error);
-    if (error.message.includes('No active bet found')) {
+    if (error.message.includes('Room not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('No active bet found')) {
       res.status(400).json({ error: 'No active bet found' });
-    } else if (error.message.includes('Cannot cash out')) {
-      res.status(400).json({ error: 'Cannot cash out - game not running' });
+    } else if (error.message.includes('Multiple active bets')) {
+      res.status(400).json({ error: error.message });
+    } else if (error.message.includes('Cannot cash out') || error.message.includes('Cash-out fraction')) {
+      res.status(400).json({ error: error.message });
+    } else if (error.message.includes('Game server unavailable')) {
+      res.status(503).json({ error: error.message });
     } else {
       res.status(500).json({ error: 'Failed to cash out' });
     }
   }
 };
 
+/**
+ * @swagger
+ * /api/v1/game/bet/{id}/cancel:
+ *   post:
+ *     summary: Cancel a bet before its round starts
+ *     description: Refunds the stake and any insurance premium. Queued bets can be cancelled until their round starts.
+ *     tags: [Game]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               room:
+ *                 type: string
+ *                 default: main
+ *                 description: Room the bet was placed in
+ *     responses:
+ *       200:
+ *         description: Bet cancelled and refunded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 betId:
+ *                   type: integer
+ *                 refunded:
+ *                   type: number
+ *                 stakeRefunded:
+ *                   type: number
+ *                 premiumRefunded:
+ *                   type: number
+ *       400:
+ *         description: Invalid bet ID
+ *       404:
+ *         description: No active bet with this ID, or room not found
+ *       409:
+ *         description: The bet's round has already started
+ *       401:
+ *         description: Unauthorized
+ */
+const cancelBet = async (req, res) => {
+  try {
+    const betId = parseInt(req.params.id);
+    if (!Number.isInteger(betId) || betId <= 0) {
+      return res.status(400).json({ error: 'Invalid bet ID' });
+    }
+
+    const { error: validationError, value } = cancelBetSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    const result = await clusterService.cancelBet(value.room, req.user.id, betId);
+    res.json(result);
+  } catch (error) {
+    logger.error('Error cancelling bet:', error);
+    if (error.message.includes('Room not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('No active bet found')) {
+      res.status(404).json({ error: 'No active bet found' });
+    } else if (error.message.includes('before the round starts')) {
+      res.status(409).json({ error: error.message });
+    } else if (error.message.includes('Game server unavailable')) {
+      res.status(503).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to cancel bet' });
+    }
+  }
+};
+
 /**
  * @swagger
  * /api/v1/game/verify:
@@ -303,6 +594,9 @@ const cashOut = async (req, res) => {
  *                 type: string
  *               nonce:
  *                 type: integer
+ *               rtpConfigVersion:
+ *                 type: integer
+ *                 description: RTP config version to verify under (defaults to the active version)
  *     responses:
  *       200:
  *         description: Verification result
@@ -318,28 +612,236 @@ const cashOut = async (req, res) => {
  */
 const verifyCrashPoint = async (req, res) => {
   try {
-    const { serverSeed, clientSeed, nonce } = req.body;
+    const { serverSeed, clientSeed, nonce, rtpConfigVersion } = req.body;
 
     if (!serverSeed || !clientSeed || nonce === undefined) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
 
-    const crashPoint = gameEngine.verifyCrashPoint(serverSeed, clientSeed, nonce);
+    const rtpConfig = rtpConfigVersion !== undefined
+      ? await rtpConfigService.getConfig(parseInt(rtpConfigVersion))
+      : await rtpConfigService.getActiveConfig();
+    const crashPoint = gameEngine.verifyCrashPoint(serverSeed, clientSeed, nonce, rtpConfig);
     
     res.json({
       crashPoint: crashPoint,
+      rtpConfigVersion: rtpConfig.version,
       verified: true
     });
   } catch (error) {
     logger.error('Error verifying crash point:', error);
-    res.status(500).json({ error: 'Failed to verify crash point' });
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to verify crash point' });
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/game/verify/{roundId}:
+ *   get:
+ *     summary: Verify a finished round against its server seed commitment
+ *     tags: [Game]
+ *     parameters:
+ *       - in: path
+ *         name: roundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revealed seeds, recomputed hash and crash point, and whether they match
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 roundId:
+ *                   type: integer
+ *                 serverSeed:
+ *                   type: string
+ *                 serverSeedHash:
+ *                   type: string
+ *                 clientSeed:
+ *                   type: string
+ *                 nonce:
+ *                   type: integer
+ *                 crashPoint:
+ *                   type: number
+ *                   nullable: true
+ *                   description: Null for a voided round
+ *                 hashMatches:
+ *                   type: boolean
+ *                 crashPointMatches:
+ *                   type: boolean
+ *                 specialBlocks:
+ *                   type: array
+ *                   nullable: true
+ *                   description: Special blocks recomputed from the seeds, for rounds played with special blocks
+ *                   items:
+ *                     type: object
+ *                 specialBlocksMatch:
+ *                   type: boolean
+ *                   nullable: true
+ *                   description: Whether the round's curve carries exactly the recomputed blocks
+ *                 voided:
+ *                   type: boolean
+ *                   description: The round was voided before it crashed and its bets refunded; it has no outcome and only roundId, crashPoint, verified and message are returned
+ *                 message:
+ *                   type: string
+ *                 verified:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid round ID
+ *       404:
+ *         description: Round not found
+ *       409:
+ *         description: Round still in progress (seed not revealed yet)
+ */
+const verifyRound = async (req, res) => {
+  try {
+    const roundId = parseInt(req.params.roundId);
+    if (!Number.isInteger(roundId) || roundId <= 0) {
+      return res.status(400).json({ error: 'Invalid round ID' });
+    }
+
+    const verification = await gameEngine.verifyRound(roundId);
+    res.json(verification);
+  } catch (error) {
+    logger.error('Error verifying round:', error);
+    if (error.message.includes('Round not found')) {
+      res.status(404).json({ error: 'Round not found' });
+    } else if (error.message.includes('not finished')) {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to verify round' });
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/game/rounds/{roundId}/replay:
+ *   get:
+ *     summary: Get the recorded timeline of a finished round
+ *     description: Bets, cancellations, cash-outs with the server time they were priced at, special blocks and the
+ *       crash, each timed in milliseconds since the round started.
+ *     tags: [Game]
+ *     parameters:
+ *       - in: path
+ *         name: roundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Round replay
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 roundId:
+ *                   type: integer
+ *                 roomId:
+ *                   type: string
+ *                 crashPoint:
+ *                   type: number
+ *                 curve:
+ *                   type: object
+ *                 startedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       t:
+ *                         type: integer
+ *                       type:
+ *                         type: string
+ *                         enum: [bet, bet_cancelled, running, cashout, special_block, crash]
+ *       400:
+ *         description: Invalid round ID
+ *       404:
+ *         description: Round not found or no replay recorded for it
+ *       409:
+ *         description: Round still in progress
+ */
+const getRoundReplay = async (req, res) => {
+  try {
+    const roundId = parseInt(req.params.roundId);
+    if (!Number.isInteger(roundId) || roundId <= 0) {
+      return res.status(400).json({ error: 'Invalid round ID' });
+    }
+
+    const replay = await gameEngine.getRoundReplay(roundId);
+    res.json(replay);
+  } catch (error) {
+    logger.error('Error getting round replay:', error);
+    if (error.message.includes('Round not found') || error.message.includes('No replay recorded')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('not finished')) {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to get round replay' });
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/game/seed-chains:
+ *   get:
+ *     summary: List published hash-chain anchors
+ *     description: Root seeds are never published; each revealed round seed verifies against the previous round and the anchor.
+ *     tags: [Game]
+ *     responses:
+ *       200:
+ *         description: Seed chains, newest first
+ */
+const getSeedChains = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const chains = await seedChainService.getChains(limit);
+    res.json(chains);
+  } catch (error) {
+    logger.error('Error getting seed chains:', error);
+    res.status(500).json({ error: 'Failed to get seed chains' });
   }
 };
 
-// Get live bets for current round
+/**
+ * @swagger
+ * /api/v1/game/rtp-configs:
+ *   get:
+ *     summary: List published RTP config versions
+ *     description: Every round records the version it was played under; versions are never edited, only superseded.
+ *     tags: [Game]
+ *     responses:
+ *       200:
+ *         description: RTP config versions, newest first
+ */
+const getRtpConfigs = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const configs = await rtpConfigService.getConfigs(limit);
+    res.json(configs);
+  } catch (error) {
+    logger.error('Error getting RTP configs:', error);
+    res.status(500).json({ error: 'Failed to get RTP configs' });
+  }
+};
+
+// Get live bets for the current round of a room (?room=, default room otherwise)
 const getLiveBets = async (req, res) => {
   try {
-    const liveBets = Array.from(gameEngine.activeBets.values()).map(bet => ({
+    const engine = gameRoomService.getEngine(req.query.room);
+    const liveBets = Array.from(engine.activeBets.values()).map(bet => ({
+      betId: bet.betId,
       userId: bet.userId,
       username: bet.username,
       amount: bet.amount,
@@ -349,30 +851,135 @@ const getLiveBets = async (req, res) => {
     res.json(liveBets);
   } catch (error) {
     logger.error('Error getting live bets:', error);
-    res.status(500).json({ error: 'Failed to get live bets' });
+    if (error.message.includes('Room not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to get live bets' });
+    }
   }
 };
 
-// Get active players count
+/**
+ * @swagger
+ * /api/v1/game/my-bets:
+ *   get:
+ *     summary: Get the player's bets in the current round and the bets queued for the next one
+ *     tags: [Game]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: room
+ *         schema:
+ *           type: string
+ *           default: main
+ *         description: Room to get the bets of
+ *     responses:
+ *       200:
+ *         description: Active and queued bets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 active:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 queued:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 maxBetsPerRound:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Room not found
+ */
+const getMyBets = async (req, res) => {
+  try {
+    const roomId = gameRoomService.resolveRoomId(req.query.room);
+    const bets = await clusterService.getPlayerBets(roomId, req.user.id);
+    res.json({ ...bets, roomId, maxBetsPerRound: gameRoomService.getEngine(roomId).maxBetsPerRound });
+  } catch (error) {
+    logger.error('Error getting player bets:', error);
+    if (error.message.includes('Room not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to get bets' });
+    }
+  }
+};
+
+// Get active players count of a room (?room=, default room otherwise)
 const getActivePlayers = async (req, res) => {
   try {
-    const activePlayers = gameEngine.activePlayers.size;
+    const activePlayers = gameRoomService.getEngine(req.query.room).activePlayers.size;
     res.json({ activePlayers });
   } catch (error) {
     logger.error('Error getting active players:', error);
-    res.status(500).json({ error: 'Failed to get active players' });
+    if (error.message.includes('Room not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to get active players' });
+    }
   }
 };
 
-// Get user statistics
+// Get user statistics, across all rooms or one room (?room=)
 const getUserStats = async (req, res) => {
   try {
     const userId = req.user.id;
-    const stats = await gameEngine.getUserStats(userId);
+    const roomId = gameRoomService.resolveRoomFilter(req.query.room);
+    const stats = await gameEngine.getUserStats(userId, roomId);
     res.json(stats);
   } catch (error) {
     logger.error('Error getting user stats:', error);
-    res.status(500).json({ error: 'Failed to get user stats' });
+    if (error.message.includes('Room not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to get user stats' });
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/game/practice-wallet:
+ *   get:
+ *     summary: Get the practice wallet balance
+ *     description: Play money for practice bets, kept apart from the real balance. The wallet is refilled
+ *       whenever it can no longer cover a bet.
+ *     tags: [Game]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Practice wallet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 balance:
+ *                   type: number
+ *                 refillAmount:
+ *                   type: number
+ *       401:
+ *         description: Unauthorized
+ */
+const getPracticeWallet = async (req, res) => {
+  try {
+    const wallet = await practiceWalletService.getWallet(req.user.id);
+    res.json(wallet);
+  } catch (error) {
+    logger.error('Error getting practice wallet:', error);
+    if (error.message.includes('User not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to get practice wallet' });
+    }
   }
 };
 
@@ -384,26 +991,34 @@ const placeBetWithInsurance = async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { amount, insuranceType } = value;
+    const { amount, insuranceType, autoCashoutAt, room } = value;
     const userId = req.user.id;
 
-    const result = await gameEngine.placeBet(userId, amount, insuranceType);
+    const result = await clusterService.placeBet(room, userId, amount, insuranceType, 1, autoCashoutAt);
     res.json(result);
   } catch (error) {
     logger.error('Error placing bet with insurance:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.message.includes('Room not found') ? 404 : 500).json({ error: error.message });
   }
 };
 
 module.exports = {
   getGameState,
+  getRooms,
   getRoundHistory,
   getUserRoundHistory,
   placeBet,
+  cancelBet,
   cashOut,
   verifyCrashPoint,
+  verifyRound,
+  getRoundReplay,
+  getSeedChains,
+  getRtpConfigs,
   getLiveBets,
+  getMyBets,
   getActivePlayers,
   getUserStats,
+  getPracticeWallet,
   placeBetWithInsurance
 }; 
\ No newline at end of file
@@ -6,7 +6,7 @@ exports.getRoundsHistory = async (req, res) => {
     const limit = parseInt(req.query.limit) || 50;
     const offset = parseInt(req.query.offset) || 0;
     const result = await db.query(
-      `SELECT id as roundId, crash_point as "finalMultiplier", server_seed as "serverSeedHash", client_seed as "clientSeedHash", nonce, end_time as "endedAt"
+      `SELECT id as roundId, crash_point as "finalMultiplier", server_seed_hash as "serverSeedHash", server_seed as "serverSeed", client_seed as "clientSeed", nonce, end_time as "endedAt"
        FROM rounds
        WHERE end_time IS NOT NULL
        ORDER BY end_time DESC
@@ -97,7 +97,7 @@ exports.getUserRoundHistory = async (req, res) => {
     // Format the response
     const roundHistory = historyResult.rows.map(row => ({
       roundId: row.round_id,
-      crashPoint: parseFloat(row.crash_point),
+      crashPoint: row.crash_point ? parseFloat(row.crash_point) : null,
       betAmount: parseFloat(row.bet_amount),
       cashoutMultiplier: row.cashout_multiplier ? parseFloat(row.cashout_multiplier) : null,
       finalMultiplier: row.final_multiplier ? parseFloat(row.final_multiplier) : null,
@@ -146,7 +146,7 @@ exports.getRecentActivities = async (req, res) => {
         timestamp,
         'bet' as category
       FROM bets
-      WHERE user_id = $1
+      WHERE user_id = $1 AND NOT is_practice
       ORDER BY timestamp DESC
       LIMIT $2
     `;
@@ -220,6 +220,8 @@ const getRecentBigWins = async (req, res) => {
  *                     type: integer
  *                   crash_point:
  *                     type: number
+ *                     nullable: true
+ *                     description: Null until the round has crashed
  *       401:
  *         description: Unauthorized
  */
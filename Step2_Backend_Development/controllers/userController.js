@@ -262,6 +262,120 @@ const validateEmail = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/v1/user/client-seed:
+ *   get:
+ *     summary: Get the player's client seed
+ *     description: The client seed is mixed into the outcome of every round the player bets in
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current client seed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 clientSeed:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User not found
+ */
+const getClientSeed = async (req, res) => {
+  try {
+    const result = await userService.getClientSeed(req.user.id);
+    res.json(result);
+  } catch (error) {
+    logger.error('Get client seed error:', error);
+
+    if (error.message.includes('User not found')) {
+      res.status(404).json({ error: 'User not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to get client seed' });
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/user/client-seed:
+ *   put:
+ *     summary: Set the player's client seed
+ *     description: Applies to bets placed from now on; bets already placed keep the seed they were placed with
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - clientSeed
+ *             properties:
+ *               clientSeed:
+ *                 type: string
+ *                 pattern: '^[A-Za-z0-9_-]{1,64}$'
+ *     responses:
+ *       200:
+ *         description: Client seed updated
+ *       400:
+ *         description: Invalid client seed
+ *       401:
+ *         description: Unauthorized
+ */
+const setClientSeed = async (req, res) => {
+  try {
+    const result = await userService.setClientSeed(req.user.id, req.body.clientSeed);
+    res.json(result);
+  } catch (error) {
+    logger.error('Set client seed error:', error);
+
+    if (error.code === 'INVALID_CLIENT_SEED') {
+      res.status(400).json({ error: error.message });
+    } else if (error.message.includes('User not found')) {
+      res.status(404).json({ error: 'User not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to set client seed' });
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/user/client-seed/rotate:
+ *   post:
+ *     summary: Replace the player's client seed with a new random one
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Client seed rotated
+ *       401:
+ *         description: Unauthorized
+ */
+const rotateClientSeed = async (req, res) => {
+  try {
+    const result = await userService.rotateClientSeed(req.user.id);
+    res.json(result);
+  } catch (error) {
+    logger.error('Rotate client seed error:', error);
+
+    if (error.message.includes('User not found')) {
+      res.status(404).json({ error: 'User not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to rotate client seed' });
+    }
+  }
+};
+
 const refreshToken = async (req, res) => {
   try {
     const { userId } = req.body;
@@ -304,5 +418,8 @@ module.exports = {
   login,
   getProfile,
   validateEmail,
+  getClientSeed,
+  setClientSeed,
+  rotateClientSeed,
   refreshToken
 };
@@ -46,7 +46,7 @@ class UserHistoryController {
       // Format the response
       const roundHistory = historyResult.rows.map(row => ({
         roundId: row.round_id,
-        crashPoint: parseFloat(row.crash_point),
+        crashPoint: row.crash_point ? parseFloat(row.crash_point) : null,
         betAmount: parseFloat(row.bet_amount),
         cashoutMultiplier: row.cashout_multiplier ? parseFloat(row.cashout_multiplier) : null,
         finalMultiplier: row.final_multiplier ? parseFloat(row.final_multiplier) : null,
@@ -95,7 +95,7 @@ class UserHistoryController {
           timestamp,
           'bet' as category
         FROM bets
-        WHERE user_id = $1
+        WHERE user_id = $1 AND NOT is_practice
         UNION ALL
         SELECT 
           'bet_won' as activity_type,
@@ -104,7 +104,7 @@ class UserHistoryController {
           timestamp,
           'bet' as category
         FROM bets
-        WHERE user_id = $1 AND result = 'win' AND winnings > 0
+        WHERE user_id = $1 AND result = 'win' AND winnings > 0 AND NOT is_practice
         ORDER BY timestamp DESC
         LIMIT $2
       `;
@@ -218,7 +218,7 @@ class UserHistoryController {
           MAX(winnings) as biggest_win,
           MAX(amount) as biggest_bet
         FROM bets
-        WHERE user_id = $1
+        WHERE user_id = $1 AND NOT is_practice
       `;
 
       const statsResult = await db.query(statsQuery, [userId]);
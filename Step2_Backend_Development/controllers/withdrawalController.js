@@ -0,0 +1,187 @@
+const Joi = require('joi');
+const withdrawalService = require('../services/withdrawalService');
+const logger = require('../utils/logger');
+
+// Amount limits are checked by the service against the configured withdrawal limits
+const withdrawalSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required(),
+  paymentMethod: Joi.string().valid(...withdrawalService.methods).required(),
+  phoneNumber: Joi.string().pattern(/^\+?[0-9]{8,15}$/).when('paymentMethod', {
+    is: Joi.valid('mtn_mobile_money', 'orange_money'),
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  accountNumber: Joi.string().max(34).when('paymentMethod', { is: 'bank_transfer', then: Joi.required(), otherwise: Joi.forbidden() }),
+  bankCode: Joi.string().max(20).when('paymentMethod', { is: 'bank_transfer', then: Joi.required(), otherwise: Joi.forbidden() })
+});
+
+const parseWithdrawalId = (req) => {
+  const withdrawalId = parseInt(req.params.id);
+  return Number.isInteger(withdrawalId) && withdrawalId > 0 ? withdrawalId : null;
+};
+
+/**
+ * @swagger
+ * /api/v1/withdrawals:
+ *   post:
+ *     summary: Withdraw part of the balance to mobile money or a bank account
+ *     description: The amount is held from the balance at once. Withdrawals up to the auto-approval limit are sent
+ *       to the gateway straight away; larger ones wait for an admin. A payout that fails is returned to the balance.
+ *     tags: [Withdrawals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, paymentMethod]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount in FCFA
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [mtn_mobile_money, orange_money, bank_transfer]
+ *               phoneNumber:
+ *                 type: string
+ *                 description: Mobile number (required for mobile money)
+ *               accountNumber:
+ *                 type: string
+ *                 description: Bank account number (required for bank transfer)
+ *               bankCode:
+ *                 type: string
+ *                 description: Bank code (required for bank transfer)
+ *     responses:
+ *       201:
+ *         description: Withdrawal requested
+ *       400:
+ *         description: Invalid withdrawal, insufficient balance or over the limits
+ */
+const requestWithdrawal = async (req, res) => {
+  try {
+    const { error, value } = withdrawalSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const withdrawal = await withdrawalService.requestWithdrawal(req.user.id, value);
+    res.status(201).json(withdrawal);
+  } catch (error) {
+    logger.error('Error requesting withdrawal:', error);
+    if (error.message.includes('Insufficient balance') || error.message.includes('must be between') ||
+        error.message.includes('limit') || error.message.includes('Missing payout details')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to request withdrawal' });
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/withdrawals:
+ *   get:
+ *     summary: Get the player's withdrawals, newest first
+ *     tags: [Withdrawals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Withdrawals
+ */
+const getWithdrawals = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const withdrawals = await withdrawalService.getUserWithdrawals(req.user.id, limit, offset);
+    res.json(withdrawals);
+  } catch (error) {
+    logger.error('Error getting withdrawals:', error);
+    res.status(500).json({ error: 'Failed to get withdrawals' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/withdrawals/limits:
+ *   get:
+ *     summary: Get the withdrawal limits and how much of today's limit the player has left
+ *     tags: [Withdrawals]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Limits in FCFA; withdrawals up to autoApproveMax are paid out without admin review
+ */
+const getLimits = async (req, res) => {
+  try {
+    const limits = await withdrawalService.getLimits(req.user.id);
+    res.json(limits);
+  } catch (error) {
+    logger.error('Error getting withdrawal limits:', error);
+    res.status(500).json({ error: 'Failed to get withdrawal limits' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/withdrawals/{id}/cancel:
+ *   post:
+ *     summary: Cancel a withdrawal still waiting for review; the amount goes back to the balance
+ *     tags: [Withdrawals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Withdrawal cancelled
+ *       404:
+ *         description: Withdrawal not found
+ *       409:
+ *         description: The withdrawal has already been reviewed
+ */
+const cancelWithdrawal = async (req, res) => {
+  const withdrawalId = parseWithdrawalId(req);
+  if (!withdrawalId) {
+    return res.status(400).json({ error: 'Invalid withdrawal ID' });
+  }
+
+  try {
+    const withdrawal = await withdrawalService.cancelWithdrawal(req.user.id, withdrawalId);
+    res.json(withdrawal);
+  } catch (error) {
+    logger.error('Error cancelling withdrawal:', error);
+    if (error.message.includes('Withdrawal not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('can no longer be cancelled')) {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to cancel withdrawal' });
+    }
+  }
+};
+
+module.exports = {
+  requestWithdrawal,
+  getWithdrawals,
+  getLimits,
+  cancelWithdrawal
+};
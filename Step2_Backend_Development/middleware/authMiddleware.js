@@ -2,106 +2,106 @@ const jwt = require('jsonwebtoken');
 const db = require('../db');
 const config = require('../config');
 
+// Build an authentication error carrying the HTTP status and error code
+const authError = (status, message, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Verify a JWT and load the matching active user.
+// Shared by the HTTP middleware and the Socket.IO handshake so both apply the same token rules.
+const authenticateToken = async (token) => {
+  if (!token) {
+    throw authError(401, 'No token provided', 'NO_TOKEN');
+  }
+
+  // Verify JWT token
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwtSecret);
+  } catch (jwtError) {
+    if (jwtError.name === 'TokenExpiredError') {
+      throw authError(401, 'Token has expired', 'TOKEN_EXPIRED');
+    } else if (jwtError.name === 'JsonWebTokenError') {
+      throw authError(401, 'Invalid token', 'INVALID_TOKEN');
+    } else {
+      console.error('JWT verification error:', jwtError);
+      throw authError(500, 'Token verification error', 'JWT_ERROR');
+    }
+  }
+
+  const user = {
+    id: decoded.id,
+    username: decoded.username,
+    email: decoded.email,
+    role: decoded.role
+  };
+
+  // Check if user exists in database and get is_admin status
+  let result;
+  try {
+    result = await db.query(
+      'SELECT id, username, email, role, is_admin, status, created_at FROM users WHERE id = $1',
+      [decoded.id]
+    );
+  } catch (dbError) {
+    console.error('Database error in auth middleware:', dbError);
+    throw authError(500, 'Database error during authentication', 'DATABASE_ERROR');
+  }
+
+  if (result.rows.length === 0) {
+    throw authError(401, 'User not found in database', 'USER_NOT_FOUND');
+  }
+
+  const userData = result.rows[0];
+
+  // Check if user account is active
+  if (userData.status && userData.status !== 'active') {
+    throw authError(401, 'Account is not active', 'ACCOUNT_INACTIVE');
+  }
+
+  // Set isAdmin property based on role or is_admin field
+  user.isAdmin = userData.is_admin || userData.role === 'admin';
+  // Set additional properties that admin middleware expects
+  user.status = userData.status;
+  user.created_at = userData.created_at;
+
+  return user;
+};
+
 const authMiddleware = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ 
+      return res.status(401).json({
         success: false,
         error: 'Authorization header missing or malformed',
         code: 'MISSING_AUTH_HEADER'
       });
     }
-    
+
     const token = authHeader.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ 
-        success: false,
-        error: 'No token provided',
-        code: 'NO_TOKEN'
-      });
-    }
-    
-    // Verify JWT token
-    let decoded;
+
     try {
-      decoded = jwt.verify(token, config.jwtSecret);
-    } catch (jwtError) {
-      if (jwtError.name === 'TokenExpiredError') {
-        return res.status(401).json({ 
+      // Attach user info to request
+      req.user = await authenticateToken(token);
+    } catch (authFailure) {
+      if (authFailure.code) {
+        return res.status(authFailure.status).json({
           success: false,
-          error: 'Token has expired',
-          code: 'TOKEN_EXPIRED'
-        });
-      } else if (jwtError.name === 'JsonWebTokenError') {
-        return res.status(401).json({ 
-          success: false,
-          error: 'Invalid token',
-          code: 'INVALID_TOKEN'
-        });
-      } else {
-        console.error('JWT verification error:', jwtError);
-        return res.status(500).json({ 
-          success: false,
-          error: 'Token verification error',
-          code: 'JWT_ERROR'
+          error: authFailure.message,
+          code: authFailure.code
         });
       }
+      throw authFailure;
     }
-    
-    // Attach user info to request
-    req.user = { 
-      id: decoded.id,
-      username: decoded.username,
-      email: decoded.email,
-      role: decoded.role
-    };
-    
-    // Check if user exists in database and get is_admin status
-    let result;
-    try {
-      result = await db.query(
-        'SELECT id, username, email, role, is_admin, status, created_at FROM users WHERE id = $1', 
-        [decoded.id]
-      );
-    } catch (dbError) {
-      console.error('Database error in auth middleware:', dbError);
-      return res.status(500).json({ 
-        success: false,
-        error: 'Database error during authentication',
-        code: 'DATABASE_ERROR'
-      });
-    }
-    
-    if (result.rows.length === 0) {
-      return res.status(401).json({ 
-        success: false,
-        error: 'User not found in database',
-        code: 'USER_NOT_FOUND'
-      });
-    }
-    
-    const userData = result.rows[0];
-    
-    // Check if user account is active
-    if (userData.status && userData.status !== 'active') {
-      return res.status(401).json({ 
-        success: false,
-        error: 'Account is not active',
-        code: 'ACCOUNT_INACTIVE'
-      });
-    }
-    
-    // Set isAdmin property based on role or is_admin field
-    req.user.isAdmin = userData.is_admin || userData.role === 'admin';
-    // Set additional properties that admin middleware expects
-    req.user.status = userData.status;
-    req.user.created_at = userData.created_at;
-    
+
     next();
   } catch (error) {
     console.error('Unexpected error in auth middleware:', error);
-    return res.status(500).json({ 
+    return res.status(500).json({
       success: false,
       error: 'Internal server error',
       code: 'INTERNAL_ERROR'
@@ -110,3 +110,4 @@ const authMiddleware = async (req, res, next) => {
 };
 
 module.exports = authMiddleware;
+module.exports.authenticateToken = authenticateToken;
@@ -0,0 +1,60 @@
+const idempotencyService = require('../services/idempotencyService');
+const logger = require('../utils/logger');
+
+// Make a route safe to retry. A request repeated with the same Idempotency-Key header gets the first response
+// back, marked with an Idempotent-Replayed header, instead of running again. Keys are scoped to the route and the
+// player (the authenticated user, or the userId in the body of public routes); requests without the header run
+// as before.
+const idempotency = (scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  const owner = req.user ? req.user.id : req.body?.userId;
+  const recordScope = `${scope}:${owner ?? 'anonymous'}`;
+  const payload = { params: req.params, body: req.body };
+
+  let claim;
+  try {
+    claim = await idempotencyService.begin(recordScope, key, payload);
+  } catch (error) {
+    if (error.message.includes('Invalid idempotency key')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('still being processed')) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.message.includes('different request')) {
+      return res.status(422).json({ error: error.message });
+    }
+    logger.error('Idempotency check failed:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  if ('replay' in claim) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.replay.status).json(claim.replay.body);
+  }
+
+  // A response sent some other way than res.json (or a dropped connection) leaves the key locked until the lock
+  // expires, but stops renewing it
+  res.on('close', () => idempotencyService.stopRenewing(claim.token));
+
+  // Store the response before sending it, so a retry after the reply always finds it. Error responses free the
+  // key instead: nothing was applied, and the retry should run.
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    const status = res.statusCode;
+    const settled = status < 400
+      ? idempotencyService.complete(recordScope, key, payload, claim.token, { status, body })
+      : idempotencyService.release(recordScope, key, claim.token);
+    settled
+      .catch(error => logger.error('Failed to record idempotent response:', error))
+      .finally(() => send(body));
+    return res;
+  };
+  next();
+};
+
+module.exports = idempotency;
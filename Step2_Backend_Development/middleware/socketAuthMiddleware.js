@@ -0,0 +1,41 @@
+const { authenticateToken } = require('./authMiddleware');
+const logger = require('../utils/logger');
+
+// Read the JWT from the Socket.IO handshake (auth payload first, then Authorization header)
+const getHandshakeToken = (handshake = {}) => {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+
+  const authHeader = handshake.headers && handshake.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+
+  return null;
+};
+
+// Socket.IO handshake middleware.
+// Sockets without a token connect as spectators (socket.data.user = null);
+// sockets presenting an invalid token are rejected with the same codes as the HTTP middleware.
+const socketAuthMiddleware = async (socket, next) => {
+  socket.data.user = null;
+
+  const token = getHandshakeToken(socket.handshake);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    socket.data.user = await authenticateToken(token);
+    next();
+  } catch (error) {
+    logger.warn(`Socket ${socket.id} rejected during handshake: ${error.message}`);
+    const handshakeError = new Error(error.code ? error.message : 'Internal server error');
+    handshakeError.data = { code: error.code || 'INTERNAL_ERROR' };
+    next(handshakeError);
+  }
+};
+
+module.exports = socketAuthMiddleware;
+module.exports.getHandshakeToken = getHandshakeToken;
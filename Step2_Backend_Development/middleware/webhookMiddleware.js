@@ -0,0 +1,26 @@
+const webhookSecurityService = require('../services/webhookSecurityService');
+const logger = require('../utils/logger');
+
+// Let a gateway callback through only once webhookSecurityService has verified its source, signature, timestamp
+// and nonce. Rejected callbacks are recorded in webhook_rejections and answered 403 (IP not allowed) or 401, with
+// no detail on which check failed.
+const verifyWebhook = async (req, res, next) => {
+  const gateway = req.params.gateway;
+
+  let rejection;
+  try {
+    rejection = await webhookSecurityService.verify(gateway, req);
+  } catch (error) {
+    logger.error('Webhook verification failed:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+  if (!rejection) {
+    return next();
+  }
+
+  logger.warn(`Rejected ${gateway} webhook from ${req.ip}: ${rejection.reason} - ${rejection.detail}`);
+  await webhookSecurityService.recordRejection(gateway, req, rejection);
+  res.status(rejection.reason === 'ip_not_allowed' ? 403 : 401).json({ error: 'Webhook rejected' });
+};
+
+module.exports = verifyWebhook;
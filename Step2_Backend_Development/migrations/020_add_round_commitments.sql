@@ -0,0 +1,14 @@
+-- Commit-reveal provably fair rounds
+-- The SHA-256 hash of the server seed is published before betting opens;
+-- the seed itself is only revealed once the round has crashed.
+
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS server_seed_hash VARCHAR(64);
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS revealed_at TIMESTAMP;
+
+-- Rounds finished before this migration never had a commitment; treat them as revealed at their end time
+UPDATE rounds SET revealed_at = end_time WHERE revealed_at IS NULL AND end_time IS NOT NULL;
+
+-- The crash point is only stored once the round has crashed
+ALTER TABLE rounds ALTER COLUMN crash_point DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_rounds_server_seed_hash ON rounds(server_seed_hash);
@@ -0,0 +1,25 @@
+-- Pre-generated hash-chain seed series
+-- A chain is built by hashing a random root seed `length` times. The final hash (anchor_hash)
+-- is published up front and rounds consume the chain in reverse, so every round's server seed
+-- hashes to the previous round's seed and, ultimately, to the anchor.
+
+CREATE TABLE IF NOT EXISTS seed_chains (
+  id SERIAL PRIMARY KEY,
+  anchor_hash VARCHAR(64) NOT NULL UNIQUE,
+  root_seed VARCHAR(64) NOT NULL, -- never published
+  client_seed VARCHAR(64) NOT NULL, -- published together with the anchor
+  length INTEGER NOT NULL CHECK (length > 0),
+  next_index INTEGER NOT NULL DEFAULT 1,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired')),
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  retired_at TIMESTAMP
+);
+
+-- Only one chain may be active at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seed_chains_single_active ON seed_chains(status) WHERE status = 'active';
+
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS seed_chain_id INTEGER REFERENCES seed_chains(id);
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS chain_index INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_rounds_seed_chain ON rounds(seed_chain_id, chain_index);
@@ -0,0 +1,16 @@
+-- Player-contributed client seeds
+-- Each player owns a client seed; the seeds of everyone who bet in a round are mixed
+-- with the round's base client seed when betting closes, and only then is the crash point derived.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS client_seed VARCHAR(64);
+
+-- Seed the player had when the bet was placed
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS client_seed VARCHAR(64);
+
+-- base_client_seed: chain/server seed published with the commitment
+-- client_seed: final seed after mixing, client_seed_contributions: [{ userId, betId, clientSeed }] in mixing order
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS base_client_seed VARCHAR(64);
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS client_seed_contributions JSONB DEFAULT '[]'::jsonb;
+
+-- Rounds before this migration used their client seed unmixed
+UPDATE rounds SET base_client_seed = client_seed WHERE base_client_seed IS NULL;
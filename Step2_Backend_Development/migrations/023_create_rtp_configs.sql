@@ -0,0 +1,32 @@
+-- Versioned RTP configuration
+-- Each row is an immutable version of the crash model and its parameters. New rounds use the
+-- active version and record its id, so any round can be re-verified under the exact model that produced it.
+
+CREATE TABLE IF NOT EXISTS rtp_configs (
+  id SERIAL PRIMARY KEY, -- config version
+  model VARCHAR(32) NOT NULL,
+  target_rtp NUMERIC(6, 4), -- NULL for models that do not target an RTP
+  max_multiplier NUMERIC(10, 2) NOT NULL,
+  params JSONB DEFAULT '{}'::jsonb,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired')),
+  notes TEXT,
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  retired_at TIMESTAMP
+);
+
+-- Only one version may be active at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rtp_configs_single_active ON rtp_configs(status) WHERE status = 'active';
+
+-- The fixed 1-3x / 3-7x band model used before this migration
+INSERT INTO rtp_configs (model, target_rtp, max_multiplier, params, status, notes, retired_at)
+SELECT 'legacy-bands', NULL, 7.00, '{"crashProbability": 0.95}'::jsonb, 'retired', 'Hard-coded band model used before configurable RTP', NOW()
+WHERE NOT EXISTS (SELECT 1 FROM rtp_configs WHERE model = 'legacy-bands');
+
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS rtp_config_id INTEGER REFERENCES rtp_configs(id);
+
+UPDATE rounds SET rtp_config_id = (SELECT id FROM rtp_configs WHERE model = 'legacy-bands' ORDER BY id LIMIT 1)
+WHERE rtp_config_id IS NULL;
+
+-- The standard curve can exceed 999.99x
+ALTER TABLE rounds ALTER COLUMN crash_point TYPE NUMERIC(10, 2);
@@ -0,0 +1,5 @@
+-- Server-side auto-cashout
+-- A bet with auto_cashout_at is settled by the game loop at exactly that multiplier once the round reaches it,
+-- whether or not the player is still connected.
+
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS auto_cashout_at NUMERIC(10, 2) CHECK (auto_cashout_at IS NULL OR auto_cashout_at >= 1.01);
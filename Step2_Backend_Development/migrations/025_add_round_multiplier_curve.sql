@@ -0,0 +1,6 @@
+-- Time-based multiplier curve
+-- The running-phase multiplier is a function of the time elapsed since running_started_at under multiplier_curve
+-- (e.g. {"type": "exponential", "growthRate": 0.1}), so a round's timeline can be reconstructed from these two columns.
+
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS running_started_at TIMESTAMP;
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS multiplier_curve JSONB;
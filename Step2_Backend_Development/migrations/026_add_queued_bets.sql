@@ -0,0 +1,6 @@
+-- Multiple bets per round and queued bets
+-- A player can hold several bets in a round, each settled on its own row. Bets placed while a round is in
+-- progress are stored with status 'queued' and no round until the next round starts and claims them.
+
+CREATE INDEX IF NOT EXISTS idx_bets_queued ON bets(user_id) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_bets_round_status ON bets(round_id, status);
@@ -0,0 +1,27 @@
+-- Bet cancellation
+-- Bets can be cancelled (status 'cancelled') before their round starts. The stake and the insurance premium
+-- are refunded, the insurance is marked 'cancelled' and the bet's community goal contributions are removed.
+
+ALTER TABLE community_goal_contributions ADD COLUMN IF NOT EXISTS bet_id INTEGER REFERENCES bets(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_community_goal_contributions_bet_id ON community_goal_contributions(bet_id);
+
+ALTER TABLE bet_insurance DROP CONSTRAINT IF EXISTS bet_insurance_status_check;
+ALTER TABLE bet_insurance ADD CONSTRAINT bet_insurance_status_check CHECK (status IN ('active', 'claimed', 'expired', 'cancelled'));
+
+-- Refunded premiums are not revenue
+CREATE OR REPLACE VIEW insurance_statistics AS
+SELECT 
+    COUNT(*) as total_insurance_purchases,
+    SUM(premium_amount) as total_premiums_collected,
+    COUNT(CASE WHEN status = 'claimed' THEN 1 END) as total_claims,
+    SUM(CASE WHEN status = 'claimed' THEN coverage_amount ELSE 0 END) as total_payouts,
+    AVG(premium_amount) as average_premium,
+    AVG(CASE WHEN status = 'claimed' THEN coverage_amount ELSE 0 END) as average_payout,
+    (SUM(premium_amount) - SUM(CASE WHEN status = 'claimed' THEN coverage_amount ELSE 0 END)) as net_profit,
+    CASE 
+        WHEN COUNT(*) > 0 THEN 
+            ROUND((COUNT(CASE WHEN status = 'claimed' THEN 1 END)::DECIMAL / COUNT(*)::DECIMAL) * 100, 2)
+        ELSE 0 
+    END as claim_rate_percentage
+FROM bet_insurance
+WHERE status <> 'cancelled';
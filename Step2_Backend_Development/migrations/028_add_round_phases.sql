@@ -0,0 +1,15 @@
+-- Crash-safe round state machine
+-- Every round transition is persisted in rounds.phase: waiting -> running -> crashed -> settled. Rounds a restart
+-- interrupted before they crashed end as 'void'. On boot the engine settles or refunds the open bets of any round
+-- left in waiting, running or crashed (policy documented on GameEngine.recoverUnsettledRounds).
+
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS phase VARCHAR(20) NOT NULL DEFAULT 'settled';
+ALTER TABLE rounds ALTER COLUMN phase SET DEFAULT 'waiting';
+
+ALTER TABLE rounds DROP CONSTRAINT IF EXISTS rounds_phase_check;
+ALTER TABLE rounds ADD CONSTRAINT rounds_phase_check CHECK (phase IN ('waiting', 'running', 'crashed', 'settled', 'void'));
+
+-- Rounds that never finished before this migration left their bets without an outcome; recover them on the next boot
+UPDATE rounds SET phase = 'running' WHERE end_time IS NULL AND phase = 'settled';
+
+CREATE INDEX IF NOT EXISTS idx_rounds_unsettled ON rounds(id) WHERE phase IN ('waiting', 'running', 'crashed');
@@ -0,0 +1,16 @@
+-- Game rooms
+-- Several rooms run concurrently, each with its own bet limits, phase timings and RTP config (config/rooms.js).
+-- Every round and bet belongs to a room; rounds keep their global id and are numbered per room in round_number.
+-- Queued bets have no round yet, so bets carry the room too. Rounds played before rooms existed belong to 'main'.
+
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS room_id VARCHAR(32) NOT NULL DEFAULT 'main';
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS round_number INTEGER;
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS room_id VARCHAR(32) NOT NULL DEFAULT 'main';
+
+UPDATE rounds r SET round_number = numbered.round_number
+FROM (SELECT id, ROW_NUMBER() OVER (PARTITION BY room_id ORDER BY id) AS round_number FROM rounds) numbered
+WHERE r.id = numbered.id AND r.round_number IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rounds_room_number ON rounds(room_id, round_number);
+CREATE INDEX IF NOT EXISTS idx_rounds_room_timestamp ON rounds(room_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_bets_room_queued ON bets(room_id) WHERE status = 'queued';
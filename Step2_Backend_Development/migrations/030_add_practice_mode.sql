@@ -0,0 +1,9 @@
+-- Practice mode
+-- Players can bet play money from a practice wallet kept apart from users.balance. Practice bets play in the same
+-- rounds as real bets but are flagged in bets.is_practice: they never move real money and are left out of round
+-- results, player stats, leaderboards, tournaments, community goals and house revenue.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS practice_balance NUMERIC(15, 2) NOT NULL DEFAULT 100000;
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS is_practice BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_bets_practice ON bets(user_id) WHERE is_practice;
@@ -0,0 +1,7 @@
+-- Round replays
+-- Each settled round stores a compact timeline of what happened in it, for replays and dispute handling:
+-- {"startedAt": <epoch ms>, "events": [{"t": <ms since the round started>, "type": "bet" | "bet_cancelled" | "running" |
+-- "cashout" | "special_block" | "crash", ...}]}. Cash-outs carry the server time they were priced at.
+-- Rounds settled before this migration, and rounds voided by recovery, have no timeline.
+
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS timeline JSONB;
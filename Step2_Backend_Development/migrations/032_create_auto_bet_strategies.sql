@@ -0,0 +1,38 @@
+-- Auto-bet strategies
+-- A strategy repeats a bet in a room round after round on the server, adjusting the amount after each win or loss
+-- ('reset' to the base amount or 'increase' it by a percentage) until a stop condition is met. The definition and
+-- the progress of its current run live in the same row, so a restarted or newly elected leader carries on with it.
+-- pending_bet_id is the strategy's bet still riding; its result is applied when its round has settled.
+
+CREATE TABLE IF NOT EXISTS auto_bet_strategies (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    room_id VARCHAR(32) NOT NULL DEFAULT 'main',
+    name VARCHAR(64),
+    base_amount NUMERIC(15, 2) NOT NULL,
+    auto_cashout_at NUMERIC(10, 2) NOT NULL,
+    on_win_action VARCHAR(10) NOT NULL DEFAULT 'reset' CHECK (on_win_action IN ('reset', 'increase')),
+    on_win_percent NUMERIC(6, 2) NOT NULL DEFAULT 0,
+    on_loss_action VARCHAR(10) NOT NULL DEFAULT 'reset' CHECK (on_loss_action IN ('reset', 'increase')),
+    on_loss_percent NUMERIC(6, 2) NOT NULL DEFAULT 0,
+    max_bets INTEGER NOT NULL,
+    stop_on_profit NUMERIC(15, 2),
+    stop_on_loss NUMERIC(15, 2),
+    is_practice BOOLEAN NOT NULL DEFAULT FALSE,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'stopped', 'completed')),
+    current_amount NUMERIC(15, 2) NOT NULL,
+    bets_placed INTEGER NOT NULL DEFAULT 0,
+    wins INTEGER NOT NULL DEFAULT 0,
+    losses INTEGER NOT NULL DEFAULT 0,
+    net_profit NUMERIC(15, 2) NOT NULL DEFAULT 0,
+    pending_bet_id INTEGER REFERENCES bets(id),
+    stop_reason VARCHAR(255),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    stopped_at TIMESTAMP
+);
+
+-- A player runs at most one strategy at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auto_bet_strategies_active_user ON auto_bet_strategies(user_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_auto_bet_strategies_room_pending ON auto_bet_strategies(room_id) WHERE pending_bet_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_auto_bet_strategies_user ON auto_bet_strategies(user_id, created_at DESC);
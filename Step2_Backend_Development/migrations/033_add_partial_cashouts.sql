@@ -0,0 +1,8 @@
+-- Partial cash-outs
+-- A player can cash out part of a running bet and let the rest ride. The settled part becomes its own 'won' bet row
+-- pointing at the bet it was split from through parent_bet_id; the original row keeps the stake still riding and is
+-- settled like any other bet. A bet and its settled parts together count as one bet in player stats and leaderboards.
+
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS parent_bet_id INTEGER REFERENCES bets(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_bets_parent_bet_id ON bets(parent_bet_id) WHERE parent_bet_id IS NOT NULL;
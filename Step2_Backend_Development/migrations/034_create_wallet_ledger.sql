@@ -0,0 +1,95 @@
+-- Wallet ledger
+-- Every movement of real money is a double-entry journal entry: a ledger_entries row with two or more
+-- ledger_postings that sum to zero. A posting credits (positive amount) or debits (negative amount) one account:
+--   player_cash        the player's wallet (user_id set)
+--   player_bonus       the player's free bet credits (user_id set)
+--   house              the operator's own money
+--   insurance_pool     premiums collected and insurance payouts made
+--   tournament_escrow  tournament entry fees held until the prizes are paid
+--   gateway_clearing   money moving in and out through the payment gateways
+-- An account's balance is the sum of its postings. users.balance and users.free_bet_credits are snapshots of the
+-- player accounts that only the ledger service writes; services/ledgerService.js checks that they agree.
+-- Entries are immutable: corrections are new entries.
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id BIGSERIAL PRIMARY KEY,
+    entry_type VARCHAR(40) NOT NULL,
+    reference_type VARCHAR(40),
+    reference_id VARCHAR(100),
+    description VARCHAR(255),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS ledger_postings (
+    id BIGSERIAL PRIMARY KEY,
+    entry_id BIGINT NOT NULL REFERENCES ledger_entries(id),
+    account VARCHAR(32) NOT NULL CHECK (account IN (
+        'player_cash', 'player_bonus', 'house', 'insurance_pool', 'tournament_escrow', 'gateway_clearing'
+    )),
+    user_id INTEGER REFERENCES users(id),
+    amount NUMERIC(15, 2) NOT NULL CHECK (amount <> 0),
+    CHECK ((account IN ('player_cash', 'player_bonus')) = (user_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_entry ON ledger_postings(entry_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_account ON ledger_postings(account, user_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_reference ON ledger_entries(reference_type, reference_id);
+
+-- Journal rows are never changed or removed
+CREATE OR REPLACE FUNCTION reject_ledger_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Ledger % rows are immutable', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_entries_immutable ON ledger_entries;
+CREATE TRIGGER ledger_entries_immutable
+    BEFORE UPDATE OR DELETE ON ledger_entries
+    FOR EACH ROW EXECUTE FUNCTION reject_ledger_change();
+
+DROP TRIGGER IF EXISTS ledger_postings_immutable ON ledger_postings;
+CREATE TRIGGER ledger_postings_immutable
+    BEFORE UPDATE OR DELETE ON ledger_postings
+    FOR EACH ROW EXECUTE FUNCTION reject_ledger_change();
+
+-- Checked when the transaction commits, once all of an entry's postings are in
+CREATE OR REPLACE FUNCTION check_ledger_entry_balanced()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (SELECT COALESCE(SUM(amount), 0) FROM ledger_postings WHERE entry_id = NEW.entry_id) <> 0 THEN
+        RAISE EXCEPTION 'Ledger entry % does not balance', NEW.entry_id;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_postings_balanced ON ledger_postings;
+CREATE CONSTRAINT TRIGGER ledger_postings_balanced
+    AFTER INSERT ON ledger_postings
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION check_ledger_entry_balanced();
+
+-- The snapshots are always a number
+UPDATE users SET balance = 0 WHERE balance IS NULL;
+UPDATE users SET free_bet_credits = 0 WHERE free_bet_credits IS NULL;
+ALTER TABLE users ALTER COLUMN balance SET NOT NULL;
+ALTER TABLE users ALTER COLUMN free_bet_credits SET NOT NULL;
+
+-- Open the ledger with the balances players already hold, funded by the house
+WITH opening AS (
+    INSERT INTO ledger_entries (entry_type, description)
+    SELECT 'opening_balance', 'Balances held before the ledger was introduced'
+    WHERE NOT EXISTS (SELECT 1 FROM ledger_entries WHERE entry_type = 'opening_balance')
+      AND EXISTS (SELECT 1 FROM users WHERE balance <> 0 OR free_bet_credits <> 0)
+    RETURNING id
+),
+balances AS (
+    SELECT 'player_cash' AS account, id AS user_id, balance AS amount FROM users WHERE balance <> 0
+    UNION ALL
+    SELECT 'player_bonus', id, free_bet_credits FROM users WHERE free_bet_credits <> 0
+)
+INSERT INTO ledger_postings (entry_id, account, user_id, amount)
+SELECT opening.id, balances.account, balances.user_id, balances.amount FROM opening, balances
+UNION ALL
+SELECT opening.id, 'house', NULL, -SUM(balances.amount) FROM opening, balances GROUP BY opening.id HAVING SUM(balances.amount) <> 0;
@@ -0,0 +1,40 @@
+-- Withdrawals
+-- A player cashing out part of their balance to mobile money or a bank account. The amount moves from the player's
+-- wallet to the withdrawal_hold ledger account when the request is made, so it can no longer be bet or withdrawn
+-- twice. Requests up to WITHDRAWAL_AUTO_APPROVE_MAX go straight to the gateway; larger ones wait for an admin.
+-- The gateway reports the payout by webhook: a completed payout leaves the hold through gateway_clearing, and a
+-- failed, rejected or cancelled withdrawal goes back to the player's wallet.
+--   pending     waiting in the admin approval queue
+--   processing  sent to the gateway, waiting for its webhook
+--   completed   paid out
+--   failed      the gateway could not pay it; the hold was returned
+--   rejected    refused by an admin; the hold was returned
+--   cancelled   withdrawn by the player before review; the hold was returned
+
+ALTER TABLE ledger_postings DROP CONSTRAINT IF EXISTS ledger_postings_account_check;
+ALTER TABLE ledger_postings ADD CONSTRAINT ledger_postings_account_check CHECK (account IN (
+    'player_cash', 'player_bonus', 'house', 'insurance_pool', 'tournament_escrow', 'gateway_clearing', 'withdrawal_hold'
+));
+
+CREATE TABLE IF NOT EXISTS withdrawals (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    amount NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+    payment_method VARCHAR(50) NOT NULL CHECK (payment_method IN ('mtn_mobile_money', 'orange_money', 'bank_transfer')),
+    gateway VARCHAR(20) NOT NULL,
+    destination JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'rejected', 'cancelled')),
+    gateway_transaction_id VARCHAR(255),
+    failure_reason VARCHAR(255),
+    reviewed_by INTEGER REFERENCES users(id),
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_withdrawals_user ON withdrawals(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_open ON withdrawals(status, created_at) WHERE status IN ('pending', 'processing');
+CREATE UNIQUE INDEX IF NOT EXISTS idx_withdrawals_gateway_transaction ON withdrawals(gateway, gateway_transaction_id)
+    WHERE gateway_transaction_id IS NOT NULL;
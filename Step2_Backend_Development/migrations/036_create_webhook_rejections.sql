@@ -0,0 +1,25 @@
+-- Webhook rejections
+-- Audit trail of gateway callbacks that were turned away before being processed, so forged or replayed payment
+-- notifications can be investigated. One row per rejected request:
+--   reason  ip_not_allowed     the caller is not on the gateway's IP allow-list
+--           not_configured     no webhook secret is configured for the gateway, so nothing can be verified
+--           missing_signature  the signature, timestamp or nonce header is missing
+--           stale_timestamp    the signed timestamp is outside WEBHOOK_TOLERANCE_SECONDS
+--           invalid_signature  the signature does not match the body
+--           replayed           a request with the same nonce was already accepted
+--           unsupported_gateway / unreadable_body
+
+CREATE TABLE IF NOT EXISTS webhook_rejections (
+    id SERIAL PRIMARY KEY,
+    gateway VARCHAR(20) NOT NULL,
+    reason VARCHAR(30) NOT NULL,
+    detail TEXT,
+    source_ip VARCHAR(64),
+    event_id VARCHAR(255),
+    headers JSONB NOT NULL DEFAULT '{}',
+    body TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_rejections_gateway ON webhook_rejections(gateway, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_rejections_reason ON webhook_rejections(reason, created_at DESC);
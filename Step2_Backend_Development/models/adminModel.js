@@ -1,4 +1,5 @@
 const db = require('../db');
+const userModel = require('./userModel');
 
 exports.getUsers = async () => {
   const result = await db.query('SELECT id as userId, username, balance, created_at as "createdAt" FROM users ORDER BY created_at DESC LIMIT 100');
@@ -15,8 +16,9 @@ exports.getUserById = async (userId) => {
   return result.rows[0];
 };
 
+// Posted to the ledger as an adjustment (see userModel.updateBalance)
 exports.updateUserBalance = async (userId, newBalance) => {
-  await db.query('UPDATE users SET balance = $1 WHERE id = $2', [newBalance, userId]);
+  await userModel.updateBalance(userId, newBalance);
 };
 
 exports.insertCommunityGoal = async (goal) => {
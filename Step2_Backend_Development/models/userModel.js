@@ -1,5 +1,6 @@
 const db = require('../db');
 const logger = require('../utils/logger');
+const ledgerService = require('../services/ledgerService');
 
 class UserModel {
   async createUser(userData) {
@@ -9,11 +10,26 @@ class UserModel {
       const { username, email, password_hash, balance, role } = userData;
       
       const result = await client.query(
-        'INSERT INTO users (username, email, password_hash, salt, balance, role, is_admin, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW()) RETURNING id, username, email, balance, role, is_admin, created_at',
-        [username, email, password_hash, null, balance, role, role === 'admin']
+        'INSERT INTO users (username, email, password_hash, salt, balance, role, is_admin, created_at) VALUES ($1, $2, $3, $4, 0, $5, $6, NOW()) RETURNING id, username, email, balance, role, is_admin, created_at',
+        [username, email, password_hash, null, role, role === 'admin']
       );
+      const user = result.rows[0];
+
+      // The starting balance is a welcome credit from the house
+      if (balance > 0) {
+        await ledgerService.transfer(client, {
+          type: 'signup_credit',
+          from: ledgerService.accounts.house,
+          to: ledgerService.accounts.playerCash(user.id),
+          amount: balance,
+          referenceType: 'user',
+          referenceId: user.id
+        });
+        user.balance = balance;
+      }
+
       await client.query('COMMIT');
-      return result.rows[0];
+      return user;
     } catch (error) {
       await client.query('ROLLBACK');
       logger.error('Error creating user:', error);
@@ -66,13 +82,27 @@ class UserModel {
     }
   }
 
+  // Set a balance by posting the difference as an adjustment against the house
   async updateBalance(userId, newBalance) {
     const client = await db.pool.connect();
     try {
       await client.query('BEGIN');
+      const current = await client.query('SELECT balance FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      if (current.rows.length === 0) {
+        throw new Error('User not found');
+      }
+      await ledgerService.post(client, {
+        type: 'balance_adjustment',
+        referenceType: 'user',
+        referenceId: userId,
+        postings: [
+          { ...ledgerService.accounts.house, amount: parseFloat(current.rows[0].balance) - newBalance },
+          { ...ledgerService.accounts.playerCash(userId), amount: newBalance - parseFloat(current.rows[0].balance) }
+        ]
+      });
       const result = await client.query(
-        'UPDATE users SET balance = $1, updated_at = NOW() WHERE id = $2 RETURNING id, balance',
-        [newBalance, userId]
+        'UPDATE users SET updated_at = NOW() WHERE id = $1 RETURNING id, balance',
+        [userId]
       );
       await client.query('COMMIT');
       return result.rows[0];
@@ -100,6 +130,32 @@ class UserModel {
     }
   }
 
+  async getClientSeed(userId) {
+    try {
+      const result = await db.query(
+        'SELECT client_seed FROM users WHERE id = $1',
+        [userId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting client seed:', error);
+      throw error;
+    }
+  }
+
+  async updateClientSeed(userId, clientSeed) {
+    try {
+      const result = await db.query(
+        'UPDATE users SET client_seed = $1, updated_at = NOW() WHERE id = $2 RETURNING id, client_seed',
+        [clientSeed, userId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating client seed:', error);
+      throw error;
+    }
+  }
+
   async deleteUser(userId) {
     try {
       const result = await db.query(
@@ -1,3 +1,4 @@
+const EventEmitter = require('events');
 const Redis = require('ioredis');
 const config = require('./config');
 
@@ -31,6 +32,45 @@ try {
 
 // Fallback in-memory cache if Redis is not available
 const fallbackCache = new Map();
+const fallbackExpiry = new Map(); // key -> expiresAt of values set with a TTL
+
+// Fallback locks, lists and pub/sub. They only span one process, which is enough to run several
+// cluster instances side by side in tests.
+const fallbackLocks = new Map(); // key -> { owner, expiresAt }
+const fallbackLists = new Map(); // key -> values, newest first
+const fallbackListWaiters = new Map(); // key -> [resolve] of blocked brpop calls
+const fallbackBus = new EventEmitter();
+fallbackBus.setMaxListeners(0);
+
+// Blocking reads and subscriptions need connections of their own
+let blockingRedis = null;
+let subscriberRedis = null;
+
+// Compare-and-set scripts so an instance can only extend or release a lock it still owns
+const RENEW_LOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+const RELEASE_LOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+const isReady = () => !!redis && redis.status === 'ready';
+
+// Fallback cache value, dropping it once its TTL ran out
+const fallbackGet = (key) => {
+  const expiresAt = fallbackExpiry.get(key);
+  if (expiresAt !== undefined && expiresAt <= Date.now()) {
+    fallbackCache.delete(key);
+    fallbackExpiry.delete(key);
+  }
+  return fallbackCache.get(key);
+};
+
+// Current holder of a fallback lock, dropping it once expired
+const fallbackLockHolder = (key) => {
+  const lock = fallbackLocks.get(key);
+  if (lock && lock.expiresAt <= Date.now()) {
+    fallbackLocks.delete(key);
+    return null;
+  }
+  return lock || null;
+};
 
 const redisClient = {
   async get(key) {
@@ -39,10 +79,10 @@ const redisClient = {
         return await redis.get(key);
       } catch (error) {
         console.warn('Redis get failed, using fallback:', error.message);
-        return fallbackCache.get(key);
+        return fallbackGet(key);
       }
     }
-    return fallbackCache.get(key);
+    return fallbackGet(key);
   },
 
   async set(key, value, ttl = null) {
@@ -59,6 +99,11 @@ const redisClient = {
       }
     }
     fallbackCache.set(key, value);
+    if (ttl) {
+      fallbackExpiry.set(key, Date.now() + ttl * 1000);
+    } else {
+      fallbackExpiry.delete(key);
+    }
   },
 
   async del(key) {
@@ -71,6 +116,7 @@ const redisClient = {
       }
     }
     fallbackCache.delete(key);
+    fallbackExpiry.delete(key);
   },
 
   async exists(key) {
@@ -79,10 +125,176 @@ const redisClient = {
         return await redis.exists(key);
       } catch (error) {
         console.warn('Redis exists failed, using fallback:', error.message);
-        return fallbackCache.has(key) ? 1 : 0;
+        return fallbackGet(key) !== undefined ? 1 : 0;
+      }
+    }
+    return fallbackGet(key) !== undefined ? 1 : 0;
+  },
+
+  // Connect to Redis (the client is created lazily); false means the in-memory fallback is in use
+  async connect() {
+    if (redis && redis.status === 'wait') {
+      try {
+        await redis.connect();
+      } catch (error) {
+        console.warn('Redis connect failed, using fallback:', error.message);
       }
     }
-    return fallbackCache.has(key) ? 1 : 0;
+    return isReady();
+  },
+
+  isConnected() {
+    return isReady();
+  },
+
+  async ping() {
+    if (!isReady()) {
+      throw new Error('Redis not connected');
+    }
+    return redis.ping();
+  },
+
+  // New connection to the same server (e.g. for the Socket.IO adapter), or null without Redis
+  duplicate() {
+    return isReady() ? redis.duplicate() : null;
+  },
+
+  // Take `key` for `owner` if nobody holds it; the lock expires after ttlMs unless renewed
+  async acquireLock(key, owner, ttlMs) {
+    if (isReady()) {
+      return (await redis.set(key, owner, 'PX', ttlMs, 'NX')) === 'OK';
+    }
+    if (fallbackLockHolder(key)) {
+      return false;
+    }
+    fallbackLocks.set(key, { owner, expiresAt: Date.now() + ttlMs });
+    return true;
+  },
+
+  // Extend a lock `owner` still holds; false once it expired or passed to someone else
+  async renewLock(key, owner, ttlMs) {
+    if (isReady()) {
+      return (await redis.eval(RENEW_LOCK_SCRIPT, 1, key, owner, ttlMs)) === 1;
+    }
+    const lock = fallbackLockHolder(key);
+    if (!lock || lock.owner !== owner) {
+      return false;
+    }
+    lock.expiresAt = Date.now() + ttlMs;
+    return true;
+  },
+
+  async releaseLock(key, owner) {
+    if (isReady()) {
+      await redis.eval(RELEASE_LOCK_SCRIPT, 1, key, owner);
+      return;
+    }
+    const lock = fallbackLockHolder(key);
+    if (lock && lock.owner === owner) {
+      fallbackLocks.delete(key);
+    }
+  },
+
+  async getLockOwner(key) {
+    if (isReady()) {
+      return redis.get(key);
+    }
+    const lock = fallbackLockHolder(key);
+    return lock ? lock.owner : null;
+  },
+
+  // Queue a value; brpop takes values in the order they were pushed
+  async lpush(key, value) {
+    if (isReady()) {
+      await redis.lpush(key, value);
+      return;
+    }
+    const waiters = fallbackListWaiters.get(key);
+    if (waiters && waiters.length > 0) {
+      waiters.shift()(value);
+      return;
+    }
+    if (!fallbackLists.has(key)) {
+      fallbackLists.set(key, []);
+    }
+    fallbackLists.get(key).unshift(value);
+  },
+
+  // Put a value back at the end brpop takes from, ahead of everything queued
+  async rpush(key, value) {
+    if (isReady()) {
+      await redis.rpush(key, value);
+      return;
+    }
+    const waiters = fallbackListWaiters.get(key);
+    if (waiters && waiters.length > 0) {
+      waiters.shift()(value);
+      return;
+    }
+    if (!fallbackLists.has(key)) {
+      fallbackLists.set(key, []);
+    }
+    fallbackLists.get(key).push(value);
+  },
+
+  // Take the oldest value of a list, waiting up to timeoutSeconds for one; null on timeout
+  async brpop(key, timeoutSeconds) {
+    if (isReady()) {
+      if (!blockingRedis) {
+        blockingRedis = redis.duplicate();
+      }
+      const result = await blockingRedis.brpop(key, timeoutSeconds);
+      return result ? result[1] : null;
+    }
+    const values = fallbackLists.get(key);
+    if (values && values.length > 0) {
+      return values.pop();
+    }
+    return new Promise(resolve => {
+      const waiters = fallbackListWaiters.get(key) || [];
+      fallbackListWaiters.set(key, waiters);
+      const waiter = (value) => {
+        clearTimeout(timer);
+        resolve(value);
+      };
+      const timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        resolve(null);
+      }, timeoutSeconds * 1000);
+      waiters.push(waiter);
+    });
+  },
+
+  async publish(channel, message) {
+    if (isReady()) {
+      await redis.publish(channel, message);
+      return;
+    }
+    fallbackBus.emit(channel, message);
+  },
+
+  // Call handler(message) for every message on channel; resolves to an unsubscribe function
+  async subscribe(channel, handler) {
+    if (isReady()) {
+      if (!subscriberRedis) {
+        subscriberRedis = redis.duplicate();
+      }
+      const listener = (messageChannel, message) => {
+        if (messageChannel === channel) {
+          handler(message);
+        }
+      };
+      subscriberRedis.on('message', listener);
+      await subscriberRedis.subscribe(channel);
+      return async () => {
+        subscriberRedis.off('message', listener);
+        await subscriberRedis.unsubscribe(channel);
+      };
+    }
+    fallbackBus.on(channel, handler);
+    return async () => {
+      fallbackBus.off(channel, handler);
+    };
   },
 
   // For compatibility with ioredis
@@ -95,6 +307,10 @@ const redisClient = {
   // Clear fallback cache for testing
   clearCache() {
     fallbackCache.clear();
+    fallbackExpiry.clear();
+    fallbackLocks.clear();
+    fallbackLists.clear();
+    fallbackListWaiters.forEach(waiters => waiters.splice(0).forEach(waiter => waiter(null)));
   }
 };
 
@@ -188,6 +188,206 @@
  *         description: Forbidden
  */
 
+/**
+ * @swagger
+ * /api/v1/admin/risk/exposure:
+ *   get:
+ *     summary: Current house exposure of each room's round against its payout limits, and its house advantage
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: room
+ *         schema:
+ *           type: string
+ *         description: Only this room (defaults to every room)
+ *     responses:
+ *       200:
+ *         description: Exposure per room
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       roomId:
+ *                         type: string
+ *                       roundId:
+ *                         type: integer
+ *                       gameState:
+ *                         type: string
+ *                       multiplier:
+ *                         type: number
+ *                       maxPayoutPerBet:
+ *                         type: number
+ *                       maxPayoutPerRound:
+ *                         type: number
+ *                       openBets:
+ *                         type: integer
+ *                       stakes:
+ *                         type: number
+ *                       paidOut:
+ *                         type: number
+ *                       exposure:
+ *                         type: number
+ *                         description: Payouts made plus what the open bets would pay at the current multiplier
+ *                       maxExposure:
+ *                         type: number
+ *                         description: Worst case for the round, bounded by the payout limits
+ *                       limitMultiplier:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Multiplier at which the open bets are force-settled
+ *                       utilization:
+ *                         type: number
+ *                       houseAdvantage:
+ *                         type: object
+ *                         description: Active RTP config version and the expected profit on the open real-money bets
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Room not found
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/ledger/consistency:
+ *   get:
+ *     summary: Check that the wallet ledger balances and matches player balances
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Consistency report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     consistent:
+ *                       type: boolean
+ *                     unbalancedEntries:
+ *                       type: array
+ *                       description: Entries whose postings do not sum to zero
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           entryId:
+ *                             type: integer
+ *                           total:
+ *                             type: number
+ *                     mismatchedBalances:
+ *                       type: array
+ *                       description: Players whose balance or free bet credits differ from their ledger accounts
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           userId:
+ *                             type: integer
+ *                           balance:
+ *                             type: number
+ *                           ledgerBalance:
+ *                             type: number
+ *                           freeBetCredits:
+ *                             type: number
+ *                           ledgerFreeBetCredits:
+ *                             type: number
+ *                     systemBalances:
+ *                       type: object
+ *                       description: Balance of the house, insurance_pool, tournament_escrow, gateway_clearing and withdrawal_hold accounts
+ *                       additionalProperties:
+ *                         type: number
+ *                     checkedAt:
+ *                       type: string
+ *                       format: date-time
+ *       403:
+ *         description: Forbidden
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/withdrawals:
+ *   get:
+ *     summary: Withdrawal approval queue
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, completed, failed, rejected, cancelled, all]
+ *           default: pending
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Withdrawals oldest first, with the player's username
+ *       403:
+ *         description: Forbidden
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/withdrawals/{id}/approve:
+ *   post:
+ *     summary: Approve a pending withdrawal and send it to its gateway
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Withdrawal sent; it is failed and returned to the player if the gateway refuses it
+ *       404:
+ *         description: Withdrawal not found or no longer pending
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/withdrawals/{id}/reject:
+ *   post:
+ *     summary: Reject a pending withdrawal; the amount goes back to the player's balance
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Withdrawal rejected
+ *       404:
+ *         description: Withdrawal not found
+ *       409:
+ *         description: The withdrawal has already been reviewed
+ */
+
 /**
  * @swagger
  * /api/v1/admin/logs:
@@ -368,6 +568,101 @@ router.post('/game/set-crash-point', async (req, res) => {
   }
 });
 
+// RISK ENDPOINTS
+router.get('/risk/exposure', async (req, res) => {
+  try {
+    const data = await adminController.getRiskExposure(req, res);
+    if (!res.headersSent) res.json(data);
+  } catch (error) {
+    console.error('Risk exposure error:', error);
+    res.status(500).json({ error: 'Error fetching risk exposure', details: error.message });
+  }
+});
+
+// LEDGER ENDPOINTS
+router.get('/ledger/consistency', async (req, res) => {
+  try {
+    const data = await adminController.getLedgerConsistency(req, res);
+    if (!res.headersSent) res.json(data);
+  } catch (error) {
+    console.error('Ledger consistency error:', error);
+    res.status(500).json({ error: 'Error checking ledger consistency', details: error.message });
+  }
+});
+
+// WITHDRAWAL ENDPOINTS
+router.get('/withdrawals', async (req, res) => {
+  try {
+    const data = await adminController.getWithdrawals(req, res);
+    if (!res.headersSent) res.json(data);
+  } catch (error) {
+    console.error('Withdrawals error:', error);
+    res.status(500).json({ error: 'Error fetching withdrawals', details: error.message });
+  }
+});
+
+router.post('/withdrawals/:id/approve', async (req, res) => {
+  try {
+    const data = await adminController.approveWithdrawal(req, res);
+    if (!res.headersSent) res.json(data);
+  } catch (error) {
+    console.error('Approve withdrawal error:', error);
+    res.status(500).json({ error: 'Error approving withdrawal', details: error.message });
+  }
+});
+
+router.post('/withdrawals/:id/reject', async (req, res) => {
+  try {
+    const data = await adminController.rejectWithdrawal(req, res);
+    if (!res.headersSent) res.json(data);
+  } catch (error) {
+    console.error('Reject withdrawal error:', error);
+    res.status(500).json({ error: 'Error rejecting withdrawal', details: error.message });
+  }
+});
+
+// SEED CHAIN ENDPOINTS
+router.get('/game/seed-chains', async (req, res) => {
+  try {
+    const data = await adminController.getSeedChains(req, res);
+    if (!res.headersSent) res.json(data);
+  } catch (error) {
+    console.error('Seed chains error:', error);
+    res.status(500).json({ error: 'Error fetching seed chains', details: error.message });
+  }
+});
+
+router.post('/game/seed-chains/rotate', async (req, res) => {
+  try {
+    const data = await adminController.rotateSeedChain(req, res);
+    if (!res.headersSent) res.json(data);
+  } catch (error) {
+    console.error('Rotate seed chain error:', error);
+    res.status(500).json({ error: 'Error rotating seed chain', details: error.message });
+  }
+});
+
+// RTP CONFIG ENDPOINTS
+router.get('/game/rtp-configs', async (req, res) => {
+  try {
+    const data = await adminController.getRtpConfigs(req, res);
+    if (!res.headersSent) res.json(data);
+  } catch (error) {
+    console.error('RTP configs error:', error);
+    res.status(500).json({ error: 'Error fetching RTP configs', details: error.message });
+  }
+});
+
+router.post('/game/rtp-configs', async (req, res) => {
+  try {
+    const data = await adminController.publishRtpConfig(req, res);
+    if (!res.headersSent) res.json(data);
+  } catch (error) {
+    console.error('Publish RTP config error:', error);
+    res.status(500).json({ error: 'Error publishing RTP config', details: error.message });
+  }
+});
+
 // SECURITY ENDPOINTS
 router.get('/security/overview', async (req, res) => {
   try {
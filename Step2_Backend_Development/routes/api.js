@@ -12,6 +12,8 @@ const insuranceRoutes = require('./insurance');
 const tournamentRoutes = require('./tournaments');
 const weeklyTournamentRoutes = require('./weeklyTournaments');
 const productionRoutes = require('./production');
+const autoBetRoutes = require('./autoBet');
+const withdrawalRoutes = require('./withdrawals');
 
 router.use('/auth', authRoutes);
 router.use('/user', userRoutes);
@@ -25,5 +27,7 @@ router.use('/insurance', insuranceRoutes);
 router.use('/tournaments', tournamentRoutes);
 router.use('/weekly-tournaments', weeklyTournamentRoutes);
 router.use('/production', productionRoutes);
+router.use('/auto-bet', autoBetRoutes);
+router.use('/withdrawals', withdrawalRoutes);
 
 module.exports = router; 
\ No newline at end of file
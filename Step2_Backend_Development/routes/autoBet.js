@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const autoBetController = require('../controllers/autoBetController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+router.get('/strategies', authMiddleware, autoBetController.getStrategies);
+router.post('/strategies', authMiddleware, autoBetController.createStrategy);
+router.post('/strategies/:id/stop', authMiddleware, autoBetController.stopStrategy);
+router.post('/strategies/:id/start', authMiddleware, autoBetController.restartStrategy);
+
+module.exports = router;
@@ -2,18 +2,28 @@ const express = require('express');
 const router = express.Router();
 const gameController = require('../controllers/gameController');
 const authMiddleware = require('../middleware/authMiddleware');
+const idempotency = require('../middleware/idempotencyMiddleware');
 
 // Public routes
 router.get('/history', gameController.getRoundHistory);
 router.get('/state', gameController.getGameState);
+router.get('/rooms', gameController.getRooms);
 router.get('/live-bets', gameController.getLiveBets);
 router.get('/active-players', gameController.getActivePlayers);
+router.post('/verify', gameController.verifyCrashPoint);
+router.get('/verify/:roundId', gameController.verifyRound);
+router.get('/rounds/:roundId/replay', gameController.getRoundReplay);
+router.get('/seed-chains', gameController.getSeedChains);
+router.get('/rtp-configs', gameController.getRtpConfigs);
 
-// Protected routes (require authentication)
-router.post('/bet', authMiddleware, gameController.placeBet);
-router.post('/cashout', authMiddleware, gameController.cashOut);
+// Protected routes (require authentication); money-moving ones accept an Idempotency-Key header
+router.post('/bet', authMiddleware, idempotency('bet'), gameController.placeBet);
+router.post('/bet/:id/cancel', authMiddleware, idempotency('cancel'), gameController.cancelBet);
+router.post('/cashout', authMiddleware, idempotency('cashout'), gameController.cashOut);
+router.get('/my-bets', authMiddleware, gameController.getMyBets);
 router.get('/user-history', authMiddleware, gameController.getUserRoundHistory);
 router.get('/user-stats', authMiddleware, gameController.getUserStats);
-router.post('/bet-with-insurance', authMiddleware, gameController.placeBetWithInsurance);
+router.get('/practice-wallet', authMiddleware, gameController.getPracticeWallet);
+router.post('/bet-with-insurance', authMiddleware, idempotency('bet'), gameController.placeBetWithInsurance);
 
 module.exports = router; 
\ No newline at end of file
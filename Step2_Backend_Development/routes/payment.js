@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const paymentService = require('../services/paymentService');
+const withdrawalService = require('../services/withdrawalService');
 const authMiddleware = require('../middleware/authMiddleware');
+const idempotency = require('../middleware/idempotencyMiddleware');
+const verifyWebhook = require('../middleware/webhookMiddleware');
 const logger = require('../utils/logger');
 
 /**
@@ -12,6 +15,12 @@ const logger = require('../utils/logger');
  *     tags: [Payment]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Unique key of this recharge; a retry with the same key gets the first response back
  *     requestBody:
  *       required: true
  *       content:
@@ -54,7 +63,7 @@ const logger = require('../utils/logger');
  *         description: Internal server error
  */
 // Public recharge endpoint (no authentication required)
-router.post('/recharge', async (req, res) => {
+router.post('/recharge', idempotency('recharge'), async (req, res) => {
   try {
     const { amount, paymentMethod, cardToken, phoneNumber, accountNumber, bankCode, walletAddress, userId, email } = req.body;
     
@@ -356,6 +365,15 @@ router.post('/refund/:id', authMiddleware, async (req, res) => {
  * /api/payment/webhook/{gateway}:
  *   post:
  *     summary: Webhook endpoint for payment gateways
+ *     description: MTN, Orange and bank callbacks are read in each gateway's own format (MTN's request status,
+ *       Orange's notification, or the bank's { type, reference, transactionId, status, reason }). Recharges are
+ *       found by their RC-<transaction id> reference and withdrawal payouts by their WD-<withdrawal id> reference;
+ *       a completed status credits the recharge or completes the withdrawal and a failed one fails the recharge or
+ *       returns the amount to the player. Payment events are processed once per event ID (Stripe's event id;
+ *       eventId or the X-Event-Id header for the other gateways). Callbacks must be signed with the gateway's
+ *       webhook secret (Stripe-Signature for Stripe; X-Gateway-Timestamp, X-Gateway-Nonce and X-Gateway-Signature
+ *       sha256=HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>" for the others), recent, not replayed, and from an
+ *       allowed IP when the gateway has an allow-list; rejected callbacks are recorded for audit.
  *     tags: [Payment]
  *     parameters:
  *       - in: path
@@ -365,15 +383,34 @@ router.post('/refund/:id', authMiddleware, async (req, res) => {
  *           type: string
  *           enum: [stripe, mtn, orange, bank]
  *         description: Payment gateway name
+ *       - in: header
+ *         name: X-Gateway-Signature
+ *         schema:
+ *           type: string
+ *         description: sha256=<hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>"> (MTN, Orange and bank)
+ *       - in: header
+ *         name: X-Gateway-Timestamp
+ *         schema:
+ *           type: integer
+ *         description: Unix time the callback was signed at (MTN, Orange and bank)
+ *       - in: header
+ *         name: X-Gateway-Nonce
+ *         schema:
+ *           type: string
+ *         description: Unique value of this delivery (MTN, Orange and bank)
  *     responses:
  *       200:
  *         description: Webhook processed successfully
  *       400:
  *         description: Invalid webhook data
+ *       401:
+ *         description: Missing, invalid, stale or replayed signature
+ *       403:
+ *         description: Caller IP not on the gateway's allow-list
  *       500:
  *         description: Internal server error
  */
-router.post('/webhook/:gateway', async (req, res) => {
+router.post('/webhook/:gateway', verifyWebhook, async (req, res) => {
   try {
     const gateway = req.params.gateway;
     const webhookData = {
@@ -381,8 +418,12 @@ router.post('/webhook/:gateway', async (req, res) => {
       headers: req.headers
     };
 
-    // Process webhook based on gateway
-    const transaction = await paymentService.processWebhook(webhookData, gateway);
+    // Payout updates (marked as such, or referencing a withdrawal) settle withdrawals; everything else is
+    // processed by gateway
+    const update = ['mtn', 'orange', 'bank'].includes(gateway) ? paymentService.parseWebhook(gateway, req.body) : null;
+    const transaction = update && (req.body?.type === 'payout' || /^WD-/.test(update.reference || ''))
+      ? await withdrawalService.handlePayoutUpdate(gateway, update)
+      : await paymentService.processWebhook(webhookData, gateway);
 
     if (transaction) {
       logger.info(`Webhook processed successfully: Gateway ${gateway}, Transaction ${transaction.id}`);
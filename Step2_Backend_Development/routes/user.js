@@ -6,5 +6,8 @@ const router = express.Router();
 
 router.get('/profile', authMiddleware, userController.getProfile);
 router.post('/validate-email', userController.validateEmail);
+router.get('/client-seed', authMiddleware, userController.getClientSeed);
+router.put('/client-seed', authMiddleware, userController.setClientSeed);
+router.post('/client-seed/rotate', authMiddleware, userController.rotateClientSeed);
 
 module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const withdrawalController = require('../controllers/withdrawalController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+router.get('/', authMiddleware, withdrawalController.getWithdrawals);
+router.post('/', authMiddleware, withdrawalController.requestWithdrawal);
+router.get('/limits', authMiddleware, withdrawalController.getLimits);
+router.post('/:id/cancel', authMiddleware, withdrawalController.cancelWithdrawal);
+
+module.exports = router;
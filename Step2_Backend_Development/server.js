@@ -3,6 +3,7 @@ require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const historyRoutes = require('./routes/history');
@@ -21,10 +22,16 @@ const weeklyTournamentRoutes = require('./routes/weeklyTournaments');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 const winston = require('winston');
-const gameEngine = require('./services/gameEngine');
+const gameRoomService = require('./services/gameRoomService');
+const clusterService = require('./services/clusterService');
+const redisClient = require('./redisClient');
 const logger = require('./utils/logger');
 const chatService = require('./services/chatService');
+const registerGameSocket = require('./sockets/gameSocket');
 const paymentService = require('./services/paymentService');
+const autoBetService = require('./services/autoBetService');
+const withdrawalService = require('./services/withdrawalService');
+const webhookSecurityService = require('./services/webhookSecurityService');
 const db = require('./db');
 
 const app = express();
@@ -36,8 +43,10 @@ const io = new Server(server, {
   }
 });
 
-gameEngine.setIo(io);
+gameRoomService.setIo(io);
 paymentService.setIo(io);
+autoBetService.setIo(io);
+withdrawalService.setIo(io);
 
 const swaggerSpec = swaggerJsdoc({
   definition: {
@@ -50,7 +59,8 @@ const swaggerSpec = swaggerJsdoc({
   apis: ['./routes/*.js', './controllers/*.js'],
 });
 
-app.use(express.json());
+// Webhook signatures cover the raw body, so the parser keeps it for them
+app.use(express.json({ verify: webhookSecurityService.captureRawBody }));
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
@@ -81,11 +91,13 @@ app.get('/health', async (req, res) => {
   try {
     const dbHealth = await db.query('SELECT 1 as health');
     const dbStatus = dbHealth.rows.length > 0 ? 'healthy' : 'unhealthy';
+    const cluster = await clusterService.getStatus();
     res.json({
       status: 'ok',
       timestamp: new Date().toISOString(),
       database: dbStatus,
-      redis: 'unavailable',
+      redis: cluster.redis,
+      cluster,
       uptime: process.uptime()
     });
   } catch (error) {
@@ -98,162 +110,40 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// WebSocket connection handler
-io.on('connection', async (socket) => {
-  logger.info('User connected:', socket.id);
+// WebSocket connection handling (authenticated handshake, game and chat events)
+registerGameSocket(io);
 
-  // Join game room
-  socket.join('game');
-
-  try {
-    // Send current game state to new connection - ENHANCED FOR FRONTEND SYNC
-    const gameState = await gameEngine.getGameState();
-    socket.emit('game_update', {
-      type: 'initial_state',
-      data: gameState // ✅ Use fresh state
-    });
-
-    // Send chat history to new connection
-    const chatHistory = chatService.getChatHistory(50);
-    socket.emit('chat_history', chatHistory);
-
-    // Send active users to new connection
-    const activeUsers = chatService.getActiveUsers();
-    socket.emit('active_users', activeUsers);
-
-    // ✅ CRITICAL: Send crash point information for frontend sync
-    if (gameState.crashPoint) {
-      socket.emit('game_update', {
-        type: 'crash_point_info',
-        data: {
-          crashPoint: gameState.crashPoint,
-          roundId: gameState.roundId
-        }
-      });
-    }
-  } catch (error) {
-    logger.error('Error sending initial game state:', error);
-    // Send basic state as fallback
-    socket.emit('game_update', {
-      type: 'initial_state',
-      data: { gameState: 'waiting', multiplier: 1.0, integrity: 100 }
-    });
+// Game state snapshot broadcast, per room to the clients following it.
+// The multiplier itself follows the engine's time-based curve; snapshots only resync late joiners and the sidebar.
+// Only the leader holds the game, and the Redis adapter relays its broadcasts to the other instances' clients.
+setInterval(async () => {
+  if (!clusterService.isLeader()) {
+    return;
   }
-
-  // Handle user joining chat
-  socket.on('join_chat', (data) => {
-    try {
-      const { userId, username } = data;
-      if (userId && username) {
-        chatService.addActiveUser(userId, username, socket.id);
-        
-        // Broadcast user joined message
-        const joinMessage = chatService.sendGameEventMessage('user_joined', { username });
-        io.to('game').emit('chat_message', joinMessage);
-        
-        // Broadcast updated active users
-        const updatedActiveUsers = chatService.getActiveUsers();
-        io.to('game').emit('active_users', updatedActiveUsers);
-        
-        logger.info(`User ${username} joined chat`);
-      }
-    } catch (error) {
-      logger.error('Error handling join_chat:', error);
-    }
-  });
-
-  // Handle player actions
-  socket.on('player_action', async (data) => {
-    try {
-      const { action, amount, userId, insuranceType, insuranceGames } = data;
-
-      switch (action) {
-        case 'bet':
-          if (userId && amount) {
-            const result = await gameEngine.placeBet(userId, amount, insuranceType, insuranceGames || 1);
-            socket.emit('bet_result', result);
-          }
-          break;
-        case 'cashout':
-          if (userId) {
-            const result = await gameEngine.cashOut(userId);
-            socket.emit('cashout_result', result);
-          }
-          break;
-        default:
-          socket.emit('error', { message: 'Invalid action' });
-      }
-    } catch (error) {
-      logger.error('Error handling player action:', error);
-      socket.emit('error', { message: 'Action failed', error: error.message });
-    }
-  });
-
-  // Handle chat messages
-  socket.on('chat_message', (data) => {
+  for (const engine of gameRoomService.getEngines()) {
     try {
-      const { userId, username, message } = data;
-      if (userId && username && message) {
-        const chatMessage = chatService.sendUserMessage(userId, username, message);
-        io.to('game').emit('chat_message', chatMessage);
-        logger.info(`Chat message from ${username}: ${message}`);
-      }
-    } catch (error) {
-      logger.error('Error handling chat message:', error);
-    }
-  });
+      const gameState = await engine.getGameState();
+      io.to(engine.channel).emit('game_update', {
+        type: 'state_update',
+        data: gameState
+      });
 
-  // Handle user leaving chat
-  socket.on('leave_chat', (data) => {
-    try {
-      const { userId, username } = data;
-      if (userId && username) {
-        chatService.removeActiveUser(userId);
-        
-        // Broadcast user left message
-        const leaveMessage = chatService.sendGameEventMessage('user_left', { username });
-        io.to('game').emit('chat_message', leaveMessage);
-        
-        // Broadcast updated active users
-        const updatedActiveUsers = chatService.getActiveUsers();
-        io.to('game').emit('active_users', updatedActiveUsers);
-        
-        logger.info(`User ${username} left chat`);
-      }
+      // Also emit live bets and round history for sidebar
+      const activeBets = Array.from(engine.activeBets.values()).map(bet => ({
+        betId: bet.betId,
+        userId: bet.userId,
+        username: bet.username || 'Player',
+        amount: bet.amount,
+        multiplier: gameState.multiplier,
+        timestamp: new Date()
+      }));
+
+      io.to(engine.channel).emit('live_bets', activeBets);
     } catch (error) {
-      logger.error('Error handling user_leave:', error);
+      logger.error(`Error broadcasting game state of room ${engine.roomId}:`, error);
     }
-  });
-
-  socket.on('disconnect', () => {
-    logger.info('User disconnected:', socket.id);
-  });
-});
-
-// Game state update interval (broadcast to all connected clients)
-setInterval(async () => {
-  try {
-    const gameState = await gameEngine.getGameState();
-    io.to('game').emit('game_update', {
-      type: 'state_update',
-      data: gameState
-    });
-    
-    // Also emit live bets and round history for sidebar
-    const activeBets = Array.from(gameEngine.activeBets.values()).map(bet => ({
-      userId: bet.userId,
-      username: bet.username || 'Player',
-      amount: bet.amount,
-      multiplier: gameState.multiplier,
-      timestamp: new Date()
-    }));
-    
-    io.to('game').emit('live_bets', activeBets);
-    
-  } catch (error) {
-    logger.error('Error broadcasting game state:', error);
   }
-}, 25); // Update every 25ms for much faster tower speed
+}, 500);
 
 // Chat cleanup interval (clean up inactive users every 5 minutes)
 setInterval(() => {
@@ -264,11 +154,21 @@ setInterval(() => {
   }
 }, 300000); // Every 5 minutes
 
-// Initialize game engine and payment service
+// Join the cluster (the elected leader runs the game rooms) and initialize the payment service
 async function initializeGame() {
   try {
-    await gameEngine.initialize();
-    logger.info('Game engine initialized successfully');
+    // Relay Socket.IO events between instances; without Redis this instance serves its own clients only
+    if (await redisClient.connect()) {
+      const pubClient = redisClient.duplicate();
+      io.adapter(createAdapter(pubClient, pubClient.duplicate()));
+    }
+
+    await clusterService.start({
+      onElected: async () => {
+        await gameRoomService.initialize();
+        logger.info('Game rooms initialized successfully');
+      }
+    });
     
     await paymentService.initializeGateways();
     logger.info('Payment service initialized successfully');
@@ -286,18 +186,18 @@ server.listen(PORT, async () => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
-  gameEngine.cleanup();
+  await clusterService.stop();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
   });
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
-  gameEngine.cleanup();
+  await clusterService.stop();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
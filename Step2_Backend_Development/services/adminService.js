@@ -1,6 +1,7 @@
 const db = require('../db');
 const redisClient = require('../redisClient');
 const logger = require('../utils/logger');
+const rtpConfigService = require('./rtpConfigService');
 
 class AdminService {
   constructor() {
@@ -10,23 +11,27 @@ class AdminService {
   }
 
   // PROFITABILITY CALCULATIONS - REAL DATA FROM DATABASE
-  async getProfitabilityMetrics() {
+  // roomId limits the figures to one game room; null covers all rooms. Practice bets are play money and never count.
+  async getProfitabilityMetrics(roomId = null) {
     try {
       // Get total revenue from all bets (simplified query)
       const revenueResult = await db.query(`
         SELECT COALESCE(SUM(amount), 0) as total_revenue
         FROM bets
-        WHERE timestamp >= NOW() - INTERVAL '30 days'
-      `);
+        WHERE timestamp >= NOW() - INTERVAL '30 days' AND NOT is_practice
+          AND ($1::varchar IS NULL OR room_id = $1)
+      `, [roomId]);
       
       // Get total payouts from winning bets (simplified query)
       let totalPayouts = 0;
       try {
         const payoutsResult = await db.query(`
-          SELECT COALESCE(SUM(winnings), 0) as total_payouts
-          FROM round_results
-          WHERE result = 'win' AND timestamp >= NOW() - INTERVAL '30 days'
-        `);
+          SELECT COALESCE(SUM(rr.winnings), 0) as total_payouts
+          FROM round_results rr
+          JOIN rounds r ON r.id = rr.round_id
+          WHERE rr.result = 'win' AND rr.timestamp >= NOW() - INTERVAL '30 days'
+            AND ($1::varchar IS NULL OR r.room_id = $1)
+        `, [roomId]);
         totalPayouts = parseFloat(payoutsResult.rows[0].total_payouts) || 0;
       } catch (error) {
         logger.warn('round_results table query failed, using 0 for payouts:', error.message);
@@ -40,8 +45,9 @@ class AdminService {
           COUNT(*) as total_bets,
           COALESCE(AVG(amount), 0) as average_bet_amount
         FROM bets
-        WHERE timestamp >= NOW() - INTERVAL '30 days'
-      `);
+        WHERE timestamp >= NOW() - INTERVAL '30 days' AND NOT is_practice
+          AND ($1::varchar IS NULL OR room_id = $1)
+      `, [roomId]);
       
       // Get crash rate from rounds (simplified query)
       const crashRateResult = await db.query(`
@@ -50,7 +56,8 @@ class AdminService {
           COUNT(CASE WHEN crash_point < 2.0 THEN 1 END) as early_crashes
         FROM rounds
         WHERE timestamp >= NOW() - INTERVAL '30 days'
-      `);
+          AND ($1::varchar IS NULL OR room_id = $1)
+      `, [roomId]);
       
       // Calculate metrics
       const totalRevenue = parseFloat(revenueResult.rows[0].total_revenue) || 0;
@@ -65,9 +72,9 @@ class AdminService {
       const crashRate = totalRounds > 0 ? (earlyCrashes / totalRounds) * 100 : 0;
       
       // Calculate time-based revenue
-      const hourlyRevenue = await this.getTimeBasedRevenue('1 hour');
-      const dailyRevenue = await this.getTimeBasedRevenue('1 day');
-      const weeklyRevenue = await this.getTimeBasedRevenue('1 week');
+      const hourlyRevenue = await this.getTimeBasedRevenue('1 hour', roomId);
+      const dailyRevenue = await this.getTimeBasedRevenue('1 day', roomId);
+      const weeklyRevenue = await this.getTimeBasedRevenue('1 week', roomId);
       
       // Monthly projection based on current daily average
       const monthlyProjection = dailyRevenue * 30;
@@ -76,6 +83,7 @@ class AdminService {
       const houseEdge = this.calculateHouseEdge(totalRevenue, totalPayouts, totalBets);
       
       return {
+        roomId,
         totalRevenue,
         totalPayouts,
         netProfit,
@@ -109,13 +117,14 @@ class AdminService {
     }
   }
 
-  async getTimeBasedRevenue(timeInterval) {
+  async getTimeBasedRevenue(timeInterval, roomId = null) {
     try {
       const result = await db.query(`
         SELECT COALESCE(SUM(amount), 0) as revenue
         FROM bets
-        WHERE timestamp >= NOW() - INTERVAL '${timeInterval}'
-      `);
+        WHERE timestamp >= NOW() - INTERVAL '${timeInterval}' AND NOT is_practice
+          AND ($1::varchar IS NULL OR room_id = $1)
+      `, [roomId]);
       return parseFloat(result.rows[0].revenue) || 0;
     } catch (error) {
       logger.error(`Error getting ${timeInterval} revenue:`, error);
@@ -134,33 +143,35 @@ class AdminService {
   }
 
   // GAME CONTROL FUNCTIONS
-  async getGameStatus() {
+  // Each game room keeps its own state keys (game:<roomId>:*)
+  async getGameStatus(roomId = 'main') {
     try {
       // Get current game state from Redis
-      const gameState = await redisClient.get('game:state');
-      const currentRound = await redisClient.get('game:currentRound');
-      const crashPoint = await redisClient.get('game:crashPoint');
-      const multiplier = await redisClient.get('game:multiplier');
-      const isPaused = await redisClient.get('game:paused');
+      const gameState = await redisClient.get(`game:${roomId}:state`);
+      const currentRound = await redisClient.get(`game:${roomId}:currentRound`);
+      const crashPoint = await redisClient.get(`game:${roomId}:crashPoint`);
+      const multiplier = await redisClient.get(`game:${roomId}:multiplier`);
+      const isPaused = await redisClient.get(`game:${roomId}:paused`);
       
       // Get active players count
       const activePlayersResult = await db.query(`
         SELECT COUNT(DISTINCT user_id) as active_players
         FROM bets
-        WHERE timestamp >= NOW() - INTERVAL '5 minutes'
-      `);
+        WHERE timestamp >= NOW() - INTERVAL '5 minutes' AND room_id = $1
+      `, [roomId]);
       
       // Get total bets for current round
       const totalBetsResult = await db.query(`
         SELECT COALESCE(SUM(amount), 0) as total_bets
         FROM bets
-        WHERE round_id = $1
+        WHERE round_id = $1 AND NOT is_practice
       `, [currentRound]);
       
       // Get house advantage from game engine
       const houseAdvantage = await this.calculateCurrentHouseAdvantage();
       
       return {
+        roomId,
         isPaused: isPaused === 'true',
         currentRound: parseInt(currentRound) || 0,
         gameState: gameState || 'waiting',
@@ -175,6 +186,7 @@ class AdminService {
       logger.error('Error getting game status:', error);
       // Return safe default values instead of throwing
       return {
+        roomId,
         isPaused: false,
         currentRound: 0,
         gameState: 'waiting',
@@ -190,76 +202,63 @@ class AdminService {
 
   async calculateCurrentHouseAdvantage() {
     try {
-      // Get recent bet amounts to calculate house advantage
-      const recentBetsResult = await db.query(`
-        SELECT amount FROM bets 
-        WHERE timestamp >= NOW() - INTERVAL '1 hour'
-        ORDER BY timestamp DESC LIMIT 100
-      `);
-      
-      if (recentBetsResult.rows.length === 0) return 0.10; // Default 10%
-      
-      const totalBetAmount = recentBetsResult.rows.reduce((sum, row) => sum + parseFloat(row.amount), 0);
-      const averageBetAmount = totalBetAmount / recentBetsResult.rows.length;
-      
-      // Higher bets = higher house advantage
-      if (averageBetAmount > 1000) return 0.15; // 15% for high rollers
-      if (averageBetAmount > 500) return 0.12;  // 12% for medium bets
-      return 0.10; // 10% for regular bets
+      // House edge of the RTP config version new rounds are played under
+      const rtpConfig = await rtpConfigService.getActiveConfig();
+      return rtpConfig.targetRtp !== null ? 1 - rtpConfig.targetRtp : 0;
     } catch (error) {
       logger.error('Error calculating house advantage:', error);
-      return 0.10;
+      return 1 - rtpConfigService.defaultConfig().targetRtp;
     }
   }
 
-  async pauseGame() {
+  async pauseGame(roomId = 'main') {
     try {
-      await redisClient.set('game:paused', 'true');
-      await redisClient.set('game:pauseTime', Date.now().toString());
-      logger.info('Game paused by admin');
-      return { success: true, message: 'Game paused successfully' };
+      await redisClient.set(`game:${roomId}:paused`, 'true');
+      await redisClient.set(`game:${roomId}:pauseTime`, Date.now().toString());
+      logger.info(`Game room ${roomId} paused by admin`);
+      return { success: true, roomId, message: 'Game paused successfully' };
     } catch (error) {
       logger.error('Error pausing game:', error);
       throw error;
     }
   }
 
-  async resumeGame() {
+  async resumeGame(roomId = 'main') {
     try {
-      await redisClient.del('game:paused');
-      await redisClient.del('game:pauseTime');
-      logger.info('Game resumed by admin');
-      return { success: true, message: 'Game resumed successfully' };
+      await redisClient.del(`game:${roomId}:paused`);
+      await redisClient.del(`game:${roomId}:pauseTime`);
+      logger.info(`Game room ${roomId} resumed by admin`);
+      return { success: true, roomId, message: 'Game resumed successfully' };
     } catch (error) {
       logger.error('Error resuming game:', error);
       throw error;
     }
   }
 
-  async emergencyStop() {
+  async emergencyStop(roomId = 'main') {
     try {
       // Force crash the current round
-      await redisClient.set('game:emergencyStop', 'true');
-      await redisClient.set('game:crashPoint', '1.0');
-      logger.warn('Game emergency stopped by admin');
-      return { success: true, message: 'Game emergency stopped' };
+      await redisClient.set(`game:${roomId}:emergencyStop`, 'true');
+      await redisClient.set(`game:${roomId}:crashPoint`, '1.0');
+      logger.warn(`Game room ${roomId} emergency stopped by admin`);
+      return { success: true, roomId, message: 'Game emergency stopped' };
     } catch (error) {
       logger.error('Error emergency stopping game:', error);
       throw error;
     }
   }
 
-  async setCrashPoint(crashPoint) {
+  async setCrashPoint(crashPoint, roomId = 'main') {
     try {
       if (crashPoint < 1.0 || crashPoint > 100.0) {
         throw new Error('Crash point must be between 1.0x and 100.0x');
       }
       
-      await redisClient.set('game:nextCrashPoint', crashPoint.toString());
-      await redisClient.set('game:crashPointOverride', 'true');
+      await redisClient.set(`game:${roomId}:nextCrashPoint`, crashPoint.toString());
+      await redisClient.set(`game:${roomId}:crashPointOverride`, 'true');
       
-      logger.info(`Admin set next crash point to ${crashPoint}x`);
-      return { success: true, message: `Next crash point set to ${crashPoint}x` };
+      logger.info(`Admin set next crash point of room ${roomId} to ${crashPoint}x`);
+      return { success: true, roomId, message: `Next crash point set to ${crashPoint}x` };
     } catch (error) {
       logger.error('Error setting crash point:', error);
       throw error;
@@ -435,7 +434,7 @@ class AdminService {
           0::numeric AS total_winnings,
           u.updated_at AS last_active
         FROM users u
-        LEFT JOIN bets b ON u.id = b.user_id
+        LEFT JOIN bets b ON u.id = b.user_id AND NOT b.is_practice
         GROUP BY u.id, u.username, u.balance, u.updated_at
         ORDER BY total_bets DESC, u.balance DESC
         LIMIT 10
@@ -0,0 +1,281 @@
+const db = require('../db');
+const gameRooms = require('../config/rooms');
+const logger = require('../utils/logger');
+
+// Server-side auto-play. A strategy bets in its room every round with a fixed auto-cashout target and moves its bet
+// amount after each result ('reset' to the base amount or 'increase' it by a percentage), until it has placed its
+// number of bets, reached its profit target or loss limit, or a bet is refused. The game engine drives it:
+// onRoundOpen places the next bet when betting opens, onRoundSettled applies results once a round has settled.
+// Strategies and their progress are read from the database each round, so they survive restarts and leader changes.
+class AutoBetService {
+  constructor() {
+    this.io = null;
+  }
+
+  setIo(io) {
+    this.io = io;
+  }
+
+  // Strategy row as served to its player
+  toPublic(row) {
+    return {
+      id: row.id,
+      roomId: row.room_id,
+      name: row.name,
+      baseAmount: parseFloat(row.base_amount),
+      autoCashoutAt: parseFloat(row.auto_cashout_at),
+      onWin: { action: row.on_win_action, percent: parseFloat(row.on_win_percent) },
+      onLoss: { action: row.on_loss_action, percent: parseFloat(row.on_loss_percent) },
+      maxBets: row.max_bets,
+      stopOnProfit: row.stop_on_profit !== null ? parseFloat(row.stop_on_profit) : null,
+      stopOnLoss: row.stop_on_loss !== null ? parseFloat(row.stop_on_loss) : null,
+      practice: row.is_practice,
+      status: row.status,
+      currentAmount: parseFloat(row.current_amount),
+      betsPlaced: row.bets_placed,
+      wins: row.wins,
+      losses: row.losses,
+      netProfit: parseFloat(row.net_profit),
+      pendingBetId: row.pending_bet_id,
+      stopReason: row.stop_reason,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      stoppedAt: row.stopped_at
+    };
+  }
+
+  // Tell the strategy's player about its progress, on every instance they may be connected to
+  emitProgress(row, event, data = {}) {
+    if (this.io) {
+      this.io.to(`user:${row.user_id}`).emit('auto_bet_progress', { event, strategy: this.toPublic(row), ...data });
+    }
+  }
+
+  // Save a strategy and start it; it places its first bet when betting next opens in its room
+  async createStrategy(userId, definition) {
+    const room = gameRooms.rooms.find(r => r.id === definition.roomId);
+    if (!room) {
+      throw new Error(`Room not found: ${definition.roomId}`);
+    }
+    if (definition.baseAmount < room.minBet || definition.baseAmount > room.maxBet) {
+      throw new Error(`Base amount must be between ${room.minBet.toLocaleString('en-US')} FCFA and ${room.maxBet.toLocaleString('en-US')} FCFA`);
+    }
+    if (definition.stopOnLoss && definition.baseAmount > definition.stopOnLoss) {
+      throw new Error('Base amount must not exceed the loss limit');
+    }
+
+    const running = await db.query(
+      "SELECT id FROM auto_bet_strategies WHERE user_id = $1 AND status = 'active'",
+      [userId]
+    );
+    if (running.rows.length > 0) {
+      throw new Error('An auto-bet strategy is already running');
+    }
+
+    const result = await db.query(
+      `INSERT INTO auto_bet_strategies (user_id, room_id, name, base_amount, auto_cashout_at, on_win_action, on_win_percent,
+         on_loss_action, on_loss_percent, max_bets, stop_on_profit, stop_on_loss, is_practice, current_amount)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $4)
+       RETURNING *`,
+      [userId, room.id, definition.name || null, definition.baseAmount, definition.autoCashoutAt,
+        definition.onWin.action, definition.onWin.percent, definition.onLoss.action, definition.onLoss.percent,
+        definition.maxBets, definition.stopOnProfit || null, definition.stopOnLoss || null, definition.practice]
+    );
+
+    const row = result.rows[0];
+    logger.info(`User ${userId} started auto-bet strategy ${row.id} in room ${room.id}`);
+    this.emitProgress(row, 'started');
+    return this.toPublic(row);
+  }
+
+  // Run a stopped or completed strategy again from its base amount with fresh counters
+  async restartStrategy(userId, strategyId) {
+    const running = await db.query(
+      "SELECT id FROM auto_bet_strategies WHERE user_id = $1 AND status = 'active'",
+      [userId]
+    );
+    if (running.rows.length > 0) {
+      throw new Error('An auto-bet strategy is already running');
+    }
+
+    const result = await db.query(
+      `UPDATE auto_bet_strategies
+       SET status = 'active', current_amount = base_amount, bets_placed = 0, wins = 0, losses = 0, net_profit = 0,
+           stop_reason = NULL, started_at = NOW(), stopped_at = NULL
+       WHERE id = $1 AND user_id = $2 AND status <> 'active' AND pending_bet_id IS NULL
+       RETURNING *`,
+      [strategyId, userId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('Strategy not found or its last bet has not settled yet');
+    }
+
+    const row = result.rows[0];
+    this.emitProgress(row, 'started');
+    return this.toPublic(row);
+  }
+
+  // Stop a running strategy; a bet it already placed still plays out and is counted when its round settles
+  async stopStrategy(userId, strategyId) {
+    const result = await db.query(
+      `UPDATE auto_bet_strategies SET status = 'stopped', stop_reason = $3, stopped_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND status = 'active'
+       RETURNING *`,
+      [strategyId, userId, 'Stopped by player']
+    );
+    if (result.rows.length === 0) {
+      throw new Error('No running strategy found');
+    }
+
+    const row = result.rows[0];
+    logger.info(`User ${userId} stopped auto-bet strategy ${row.id}`);
+    this.emitProgress(row, 'stopped');
+    return this.toPublic(row);
+  }
+
+  async getStrategies(userId, limit = 20) {
+    const result = await db.query(
+      'SELECT * FROM auto_bet_strategies WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2',
+      [userId, limit]
+    );
+    return result.rows.map(row => this.toPublic(row));
+  }
+
+  // Bet amount after a result: reset to the base amount or increase the current one, in whole FCFA
+  nextAmount(row, won) {
+    const action = won ? row.on_win_action : row.on_loss_action;
+    const percent = parseFloat(won ? row.on_win_percent : row.on_loss_percent);
+    if (action === 'reset') {
+      return parseFloat(row.base_amount);
+    }
+    return Math.round(parseFloat(row.current_amount) * (1 + percent / 100));
+  }
+
+  // Why a strategy must stop after its latest result, or null to carry on.
+  // The loss limit is a hard limit: a strategy stops rather than place a bet that could take it past the limit.
+  stopReason(row, netProfit, betsPlaced, nextAmount) {
+    if (betsPlaced >= row.max_bets) {
+      return `Placed all ${row.max_bets} bets`;
+    }
+    if (row.stop_on_profit !== null && netProfit >= parseFloat(row.stop_on_profit)) {
+      return 'Profit target reached';
+    }
+    if (row.stop_on_loss !== null && -netProfit + nextAmount > parseFloat(row.stop_on_loss)) {
+      return 'Loss limit reached';
+    }
+    return null;
+  }
+
+  // Apply the results of the room's settled strategy bets, together with the parts partial cash-outs split off them
+  async settlePendingBets(roomId) {
+    const result = await db.query(
+      `SELECT s.*, b.status AS bet_status, b.amount + COALESCE(p.amount, 0) AS bet_amount,
+         COALESCE(b.winnings, 0) + COALESCE(p.winnings, 0) AS bet_winnings, COALESCE(p.winnings, 0) AS partial_winnings
+       FROM auto_bet_strategies s
+       JOIN bets b ON b.id = s.pending_bet_id
+       LEFT JOIN LATERAL (SELECT SUM(amount) AS amount, SUM(winnings) AS winnings FROM bets WHERE parent_bet_id = b.id) p ON TRUE
+       WHERE s.room_id = $1 AND s.pending_bet_id IS NOT NULL AND b.status NOT IN ('active', 'queued')`,
+      [roomId]
+    );
+
+    for (const row of result.rows) {
+      try {
+        await this.applyResult(row);
+      } catch (error) {
+        logger.error(`Error applying the result of bet ${row.pending_bet_id} to auto-bet strategy ${row.id}:`, error);
+      }
+    }
+  }
+
+  async applyResult(row) {
+    // Refunded (voided round) and cancelled bets do not count as a result
+    const counted = row.bet_status === 'won' || row.bet_status === 'lost';
+    // A bet is won if any part of it was cashed out
+    const won = row.bet_status === 'won' || parseFloat(row.partial_winnings || 0) > 0;
+    const profit = counted ? (won ? parseFloat(row.bet_winnings) : 0) - parseFloat(row.bet_amount) : 0;
+    const netProfit = parseFloat(row.net_profit) + profit;
+    const nextAmount = counted ? this.nextAmount(row, won) : parseFloat(row.current_amount);
+
+    let status = row.status;
+    let stopReason = row.stop_reason;
+    if (status === 'active') {
+      stopReason = this.stopReason(row, netProfit, row.bets_placed, nextAmount);
+      status = stopReason ? 'completed' : 'active';
+    }
+
+    // Conditional on the pending bet so a result is only ever applied once
+    const updated = await db.query(
+      `UPDATE auto_bet_strategies
+       SET pending_bet_id = NULL, net_profit = $3, current_amount = $4, wins = wins + $5, losses = losses + $6,
+           status = $7, stop_reason = $8, stopped_at = CASE WHEN $7 = 'active' THEN NULL ELSE COALESCE(stopped_at, NOW()) END
+       WHERE id = $1 AND pending_bet_id = $2
+       RETURNING *`,
+      [row.id, row.pending_bet_id, netProfit, nextAmount, counted && won ? 1 : 0, counted && !won ? 1 : 0, status, stopReason]
+    );
+    if (updated.rows.length === 0) {
+      return;
+    }
+
+    const strategy = updated.rows[0];
+    this.emitProgress(strategy, 'bet_settled', { betId: row.pending_bet_id, result: row.bet_status, profit });
+    if (row.status === 'active' && status === 'completed') {
+      logger.info(`Auto-bet strategy ${row.id} completed: ${stopReason}`);
+      this.emitProgress(strategy, 'completed');
+    }
+  }
+
+  // Betting has opened in an engine's room: settle what is left of earlier rounds, then bet for every running strategy
+  async onRoundOpen(engine) {
+    await this.settlePendingBets(engine.roomId);
+
+    const result = await db.query(
+      "SELECT * FROM auto_bet_strategies WHERE room_id = $1 AND status = 'active' AND pending_bet_id IS NULL ORDER BY id",
+      [engine.roomId]
+    );
+
+    for (const row of result.rows) {
+      await this.placeStrategyBet(engine, row);
+    }
+  }
+
+  // The engine's round has settled: its strategy bets have a result now
+  async onRoundSettled(engine) {
+    await this.settlePendingBets(engine.roomId);
+  }
+
+  async placeStrategyBet(engine, row) {
+    let bet;
+    try {
+      bet = await engine.placeBet(row.user_id, parseFloat(row.current_amount), null, 1, parseFloat(row.auto_cashout_at), row.is_practice);
+    } catch (error) {
+      // A refused bet (balance, limits, ...) ends the run rather than retrying every round
+      logger.warn(`Auto-bet strategy ${row.id} stopped, its bet was refused: ${error.message}`);
+      const stopped = await db.query(
+        `UPDATE auto_bet_strategies SET status = 'stopped', stop_reason = $2, stopped_at = NOW()
+         WHERE id = $1 AND status = 'active'
+         RETURNING *`,
+        [row.id, `Bet refused: ${error.message}`]
+      );
+      if (stopped.rows.length > 0) {
+        this.emitProgress(stopped.rows[0], 'stopped');
+      }
+      return;
+    }
+
+    const updated = await db.query(
+      `UPDATE auto_bet_strategies SET pending_bet_id = $2, bets_placed = bets_placed + 1
+       WHERE id = $1
+       RETURNING *`,
+      [row.id, bet.betId]
+    );
+    this.emitProgress(updated.rows[0], 'bet_placed', {
+      betId: bet.betId,
+      amount: bet.betAmount,
+      roundId: bet.roundId,
+      queued: bet.queued,
+      newBalance: bet.newBalance
+    });
+  }
+}
+
+module.exports = new AutoBetService();
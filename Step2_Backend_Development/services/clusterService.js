@@ -0,0 +1,311 @@
+// Runs the game on exactly one of several server instances.
+// Instances elect a leader through a lock in Redis. The leader runs the engines of all rooms and executes player commands;
+// the other instances relay Socket.IO events (through the Redis adapter) and forward bet, cash-out and cancel
+// commands to the leader through a Redis list. Without Redis every process elects itself, as a single instance did.
+
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const redisClient = require('../redisClient');
+const gameRoomService = require('./gameRoomService');
+
+const LEADER_LOCK_KEY = 'game:leader';
+const COMMAND_QUEUE_KEY = 'game:commands';
+const REPLY_CHANNEL_PREFIX = 'game:replies:';
+
+// Engine methods other instances may run on the leader, in the room the command names
+const COMMANDS = ['placeBet', 'cashOut', 'cancelBet', 'getPlayerBets'];
+
+// Position of the receive time in the arguments of commands priced by it. Instance clocks may disagree, so a forwarded
+// command carries how long ago it was received and the leader turns that back into a time on its own clock.
+const RECEIVED_AT_ARG = { cashOut: 2 };
+
+// Seconds the leader blocks on the command queue before checking it is still leader
+const QUEUE_POLL_SECONDS = 1;
+
+// Extra wait for a reply to a command the leader accepted just before it expired
+const REPLY_GRACE_MS = 1000;
+
+class ClusterService {
+  constructor() {
+    this.instanceId = config.cluster.instanceId;
+    this.lockTtlMs = config.cluster.leaderLockTtlMs;
+    this.commandTimeoutMs = config.cluster.commandTimeoutMs;
+    this.rooms = gameRoomService;
+    this.running = false;
+    this.leader = false;
+    this.electionTimer = null;
+    this.unsubscribeReplies = null;
+    this.pendingCommands = new Map(); // commandId -> { resolve, reject, timer }
+    this.onElected = null;
+    this.onDeposed = null;
+  }
+
+  // Join the cluster. onElected runs when this instance becomes leader (start the game), onDeposed when it stops being one.
+  async start({ onElected = null, onDeposed = null } = {}) {
+    this.onElected = onElected;
+    this.onDeposed = onDeposed;
+    this.running = true;
+
+    if (!redisClient.isConnected()) {
+      logger.warn('Redis unavailable - leader election only spans this process, run a single instance');
+    }
+
+    this.unsubscribeReplies = await redisClient.subscribe(
+      `${REPLY_CHANNEL_PREFIX}${this.instanceId}`,
+      message => this.handleReply(message)
+    );
+
+    // Followers serve the leader's state snapshots from Redis
+    this.rooms.setRedisAvailable(redisClient.isConnected());
+
+    await this.campaign();
+    this.electionTimer = setInterval(() => this.campaign(), Math.floor(this.lockTtlMs / 3));
+
+    logger.info(`Instance ${this.instanceId} joined the cluster as ${this.leader ? 'leader' : 'follower'}`);
+  }
+
+  // Renew the lock while leading, otherwise try to take it
+  async campaign() {
+    try {
+      if (this.leader) {
+        const renewed = await redisClient.renewLock(LEADER_LOCK_KEY, this.instanceId, this.lockTtlMs);
+        if (!renewed) {
+          await this.stepDown('lost the leader lock');
+        }
+        return;
+      }
+
+      if (this.running && await redisClient.acquireLock(LEADER_LOCK_KEY, this.instanceId, this.lockTtlMs)) {
+        await this.becomeLeader();
+      }
+    } catch (error) {
+      logger.error(`Leader election failed on instance ${this.instanceId}:`, error);
+    }
+  }
+
+  async becomeLeader() {
+    this.leader = true;
+    logger.info(`Instance ${this.instanceId} elected game leader`);
+
+    try {
+      // Starting the engine recovers the round the previous leader left unfinished
+      if (this.onElected) {
+        await this.onElected();
+      }
+    } catch (error) {
+      logger.error(`Instance ${this.instanceId} failed to start the game as leader:`, error);
+      await this.stepDown('failed to start the game');
+      await redisClient.releaseLock(LEADER_LOCK_KEY, this.instanceId);
+      return;
+    }
+
+    this.consumeCommands();
+  }
+
+  async stepDown(reason) {
+    if (!this.leader) {
+      return;
+    }
+    this.leader = false;
+    this.rooms.cleanup();
+    logger.warn(`Instance ${this.instanceId} stepped down as game leader: ${reason}`);
+
+    if (this.onDeposed) {
+      try {
+        await this.onDeposed();
+      } catch (error) {
+        logger.error(`Error stepping down on instance ${this.instanceId}:`, error);
+      }
+    }
+  }
+
+  // Leave the cluster, handing leadership over straight away
+  async stop() {
+    this.running = false;
+    clearInterval(this.electionTimer);
+    this.electionTimer = null;
+
+    if (this.leader) {
+      await this.stepDown('shutting down');
+      await redisClient.releaseLock(LEADER_LOCK_KEY, this.instanceId);
+    }
+
+    if (this.unsubscribeReplies) {
+      await this.unsubscribeReplies();
+      this.unsubscribeReplies = null;
+    }
+
+    for (const [commandId, pending] of this.pendingCommands) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('Game server unavailable - try again'));
+      this.pendingCommands.delete(commandId);
+    }
+  }
+
+  isLeader() {
+    return this.leader;
+  }
+
+  async getStatus() {
+    return {
+      instanceId: this.instanceId,
+      leader: this.leader,
+      leaderId: await redisClient.getLockOwner(LEADER_LOCK_KEY),
+      redis: redisClient.isConnected() ? 'connected' : 'fallback'
+    };
+  }
+
+  // Execute commands forwarded by the other instances while this instance leads
+  async consumeCommands() {
+    while (this.running && this.leader) {
+      let raw;
+      try {
+        raw = await redisClient.brpop(COMMAND_QUEUE_KEY, QUEUE_POLL_SECONDS);
+      } catch (error) {
+        logger.error('Error reading the game command queue:', error);
+        await new Promise(resolve => setTimeout(resolve, QUEUE_POLL_SECONDS * 1000));
+        continue;
+      }
+
+      if (!raw) {
+        continue;
+      }
+
+      // Not awaited: commands from different players run concurrently, as they do on the leader's own sockets
+      this.executeCommand(JSON.parse(raw));
+    }
+  }
+
+  async executeCommand(command) {
+    if (!this.leader) {
+      // Popped just as this instance stepped down; hand it back for the next leader
+      await redisClient.rpush(COMMAND_QUEUE_KEY, JSON.stringify(command));
+      return;
+    }
+
+    // The requester has given up on expired commands, so running one would act without telling the player
+    if (Date.now() > command.expiresAt) {
+      logger.warn(`Dropping expired game command ${command.id} (${command.action}) from ${command.replyTo}`);
+      return;
+    }
+
+    let reply;
+    try {
+      if (!COMMANDS.includes(command.action)) {
+        throw new Error(`Unknown game command: ${command.action}`);
+      }
+      const result = await this.rooms.getEngine(command.roomId)[command.action](...this.toLeaderTime(command.action, command.args));
+      reply = { id: command.id, result };
+    } catch (error) {
+      reply = { id: command.id, error: error.message };
+    }
+
+    try {
+      await redisClient.publish(`${REPLY_CHANNEL_PREFIX}${command.replyTo}`, JSON.stringify(reply));
+    } catch (error) {
+      logger.error(`Error replying to game command ${command.id} from ${command.replyTo}:`, error);
+    }
+  }
+
+  handleReply(message) {
+    const reply = JSON.parse(message);
+    const pending = this.pendingCommands.get(reply.id);
+    if (!pending) {
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingCommands.delete(reply.id);
+    if (reply.error) {
+      pending.reject(new Error(reply.error));
+    } else {
+      pending.resolve(reply.result);
+    }
+  }
+
+  // Run a game command in a room on the leader. An instance that is not part of a cluster runs it itself.
+  async execute(action, roomId, ...args) {
+    if (!COMMANDS.includes(action)) {
+      throw new Error(`Unknown game command: ${action}`);
+    }
+
+    if (this.leader || !this.running) {
+      return this.rooms.getEngine(roomId)[action](...args);
+    }
+
+    // Unknown rooms are rejected here rather than on the leader
+    return this.forward(action, this.rooms.resolveRoomId(roomId), args);
+  }
+
+  // Receive time of a forwarded command as its age, taken on this instance's clock
+  toAge(action, args) {
+    const index = RECEIVED_AT_ARG[action];
+    if (index === undefined || args[index] === undefined || args[index] === null) {
+      return args;
+    }
+    const forwarded = [...args];
+    forwarded[index] = Date.now() - args[index];
+    return forwarded;
+  }
+
+  // Receive time of a forwarded command on the leader's clock. The age is bounded by the command timeout: an older
+  // command has expired, and one from the future would be priced ahead of the tower.
+  toLeaderTime(action, args) {
+    const index = RECEIVED_AT_ARG[action];
+    if (index === undefined || args[index] === undefined || args[index] === null) {
+      return args;
+    }
+    const rebased = [...args];
+    rebased[index] = Date.now() - Math.min(Math.max(args[index], 0), this.commandTimeoutMs);
+    return rebased;
+  }
+
+  // Queue a command for the leader and wait for its reply
+  forward(action, roomId, args) {
+    const command = {
+      id: crypto.randomUUID(),
+      action,
+      roomId,
+      args: this.toAge(action, args),
+      replyTo: this.instanceId,
+      expiresAt: Date.now() + this.commandTimeoutMs
+    };
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingCommands.delete(command.id);
+        logger.warn(`Game command ${command.id} (${action}) got no reply from the leader`);
+        reject(new Error('Game server unavailable - try again'));
+      }, this.commandTimeoutMs + REPLY_GRACE_MS);
+
+      this.pendingCommands.set(command.id, { resolve, reject, timer });
+
+      redisClient.lpush(COMMAND_QUEUE_KEY, JSON.stringify(command)).catch(error => {
+        clearTimeout(timer);
+        this.pendingCommands.delete(command.id);
+        reject(error);
+      });
+    });
+  }
+
+  // The room (null for the default room), then the same arguments as the engine methods they run
+  placeBet(roomId, ...args) {
+    return this.execute('placeBet', roomId, ...args);
+  }
+
+  // The receive time is taken on the instance the player is connected to; forwarding moves it onto the leader's clock
+  cashOut(roomId, ...args) {
+    return this.execute('cashOut', roomId, ...args);
+  }
+
+  cancelBet(roomId, ...args) {
+    return this.execute('cancelBet', roomId, ...args);
+  }
+
+  getPlayerBets(roomId, ...args) {
+    return this.execute('getPlayerBets', roomId, ...args);
+  }
+}
+
+module.exports = new ClusterService();
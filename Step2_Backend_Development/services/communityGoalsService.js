@@ -1,5 +1,6 @@
 const db = require('../db');
 const logger = require('../utils/logger');
+const ledgerService = require('./ledgerService');
 
 class CommunityGoalsService {
   constructor() {
@@ -157,13 +158,13 @@ class CommunityGoalsService {
   }
 
   // Contribute to all active goals for a user
-  async contributeToActiveGoals(userId, betAmount, betResult) {
+  async contributeToActiveGoals(userId, betAmount, betResult, betId = null) {
     try {
       const activeGoals = await this.getActiveGoals();
       
       for (const goal of activeGoals) {
         try {
-          await this.contributeToGoal(goal.id, userId, betAmount, betResult);
+          await this.contributeToGoal(goal.id, userId, betAmount, betResult, betId);
         } catch (error) {
           // Log error but continue with other goals
           logger.warn(`Error contributing to goal ${goal.id} for user ${userId}:`, error.message);
@@ -176,7 +177,7 @@ class CommunityGoalsService {
   }
 
   // Contribute to a goal
-  async contributeToGoal(goalId, userId, betAmount, betResult) {
+  async contributeToGoal(goalId, userId, betAmount, betResult, betId = null) {
     try {
       // Get goal
       const goal = await this.getGoalById(goalId);
@@ -201,10 +202,11 @@ class CommunityGoalsService {
         throw new Error(`Maximum bet amount is $${goal.maxBetAmount}`);
       }
 
-      // Calculate contribution amount (only count wins)
+      // Calculate contribution amount (only count wins). The bet's stake decides whether it qualifies,
+      // but a partial cash-out only contributes the profit on the part it settled.
       let contributionAmount = 0;
       if (betResult && betResult.cashoutMultiplier) {
-        contributionAmount = betAmount * (betResult.cashoutMultiplier - 1); // Only profit
+        contributionAmount = (betResult.settledAmount ?? betAmount) * (betResult.cashoutMultiplier - 1); // Only profit
       }
 
       // Add participant if not already participating
@@ -213,9 +215,9 @@ class CommunityGoalsService {
       // Record contribution
       await db.query(`
         INSERT INTO community_goal_contributions (
-          goal_id, user_id, bet_amount, contribution_amount, bet_result, timestamp
-        ) VALUES ($1, $2, $3, $4, $5, NOW())
-      `, [goalId, userId, betAmount, contributionAmount, JSON.stringify(betResult)]);
+          goal_id, user_id, bet_amount, contribution_amount, bet_result, bet_id, timestamp
+        ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      `, [goalId, userId, betAmount, contributionAmount, JSON.stringify(betResult), betId]);
 
       // Update goal progress
       await this.updateGoalProgress(goalId);
@@ -233,6 +235,32 @@ class CommunityGoalsService {
     }
   }
 
+  // Remove the contributions of a cancelled bet. A player whose only contributions came from that bet
+  // also leaves the goal, so they are not rewarded for a bet that was never played.
+  async removeBetContributions(userId, betId) {
+    try {
+      const removed = await db.query(
+        'DELETE FROM community_goal_contributions WHERE bet_id = $1 AND user_id = $2 RETURNING goal_id',
+        [betId, userId]
+      );
+
+      const goalIds = [...new Set(removed.rows.map(row => row.goal_id))];
+      for (const goalId of goalIds) {
+        await db.query(`
+          DELETE FROM community_goal_participants
+          WHERE goal_id = $1 AND user_id = $2
+            AND NOT EXISTS (SELECT 1 FROM community_goal_contributions WHERE goal_id = $1 AND user_id = $2)
+        `, [goalId, userId]);
+        await this.updateGoalProgress(goalId);
+      }
+
+      return { success: true, goalsUpdated: goalIds.length };
+    } catch (error) {
+      logger.error(`Error removing goal contributions of bet ${betId}:`, error);
+      throw error;
+    }
+  }
+
   // Add participant to goal
   async addParticipant(goalId, userId) {
     try {
@@ -357,19 +385,25 @@ class CommunityGoalsService {
           break;
 
         case 'free_bet':
-          // Add free bet credit
-          await db.query(
-            'UPDATE users SET free_bet_credits = free_bet_credits + $1 WHERE id = $2',
-            [rewardValue, userId]
-          );
+          // Add free bet credit, paid by the house into the player's bonus account
+          await ledgerService.recordTransfer({
+            type: 'community_reward',
+            from: ledgerService.accounts.house,
+            to: ledgerService.accounts.playerBonus(userId),
+            amount: parseFloat(rewardValue),
+            description: 'Community goal free bet'
+          });
           break;
 
         case 'cash_reward':
-          // Add cash to balance
-          await db.query(
-            'UPDATE users SET balance = balance + $1 WHERE id = $2',
-            [rewardValue, userId]
-          );
+          // Add cash to balance, paid by the house
+          await ledgerService.recordTransfer({
+            type: 'community_reward',
+            from: ledgerService.accounts.house,
+            to: ledgerService.accounts.playerCash(userId),
+            amount: parseFloat(rewardValue),
+            description: 'Community goal cash reward'
+          });
           break;
 
         case 'special_feature':
@@ -0,0 +1,84 @@
+// Crash-point distributions.
+// A model turns a round's seed hash into a crash point using the parameters of an RTP config version.
+// Models are pure: the same hash and config always give the same crash point, so rounds can be re-verified.
+
+const TWO_POW_52 = Math.pow(2, 52);
+
+class CrashDistribution {
+  constructor() {
+    this.defaultModel = 'inverse';
+    this.models = new Map();
+
+    // Standard crash curve: crash = (1 - edge) / U with U uniform on (0, 1].
+    // P(crash >= x) = (1 - edge) / x, so every cash-out target pays back targetRtp on average.
+    this.register('inverse', {
+      description: 'Standard (1 - edge) / U crash curve',
+      validate: (rtpConfig) => {
+        if (typeof rtpConfig.targetRtp !== 'number' || rtpConfig.targetRtp < 0.8 || rtpConfig.targetRtp > 0.995) {
+          throw new Error('Target RTP must be between 0.8 and 0.995');
+        }
+      },
+      crashPoint: (hash, rtpConfig) => {
+        const edge = 1 - rtpConfig.targetRtp;
+        const uniform = (parseInt(hash.substring(0, 13), 16) + 1) / TWO_POW_52; // (0, 1]
+        const crashPoint = Math.floor(((1 - edge) / uniform) * 100) / 100;
+        return Math.min(rtpConfig.maxMultiplier, Math.max(1.00, crashPoint));
+      }
+    });
+
+    // Band model used before configurable RTP (1-3x with crashProbability, otherwise 3-7x).
+    // Kept so rounds recorded under it can still be verified.
+    this.register('legacy-bands', {
+      description: 'Fixed 1-3x / 3-7x bands (pre-RTP model)',
+      validate: (rtpConfig) => {
+        const { crashProbability } = rtpConfig.params || {};
+        if (typeof crashProbability !== 'number' || crashProbability <= 0 || crashProbability >= 1) {
+          throw new Error('Legacy band model requires a crashProbability between 0 and 1');
+        }
+      },
+      crashPoint: (hash, rtpConfig) => {
+        const { crashProbability } = rtpConfig.params;
+        const randomValue = (parseInt(hash.substring(0, 8), 16) % 10000) / 10000; // 0 to 1
+        const crashPoint = randomValue < crashProbability
+          ? 1.00 + (randomValue / crashProbability) * 2.00
+          : 3.00 + (randomValue - crashProbability) / (1 - crashProbability) * 4.00;
+        return Math.min(rtpConfig.maxMultiplier, parseFloat(crashPoint.toFixed(2)));
+      }
+    });
+  }
+
+  // Add a crash model: { description, validate(rtpConfig), crashPoint(hash, rtpConfig) }
+  register(name, model) {
+    this.models.set(name, model);
+  }
+
+  getModel(name) {
+    const model = this.models.get(name);
+    if (!model) {
+      throw new Error(`Unknown crash model: ${name}`);
+    }
+    return model;
+  }
+
+  listModels() {
+    return Array.from(this.models.entries()).map(([name, model]) => ({ name, description: model.description }));
+  }
+
+  // Throws when an RTP config cannot be used with its model
+  validate(rtpConfig) {
+    const model = this.getModel(rtpConfig.model);
+
+    if (typeof rtpConfig.maxMultiplier !== 'number' || rtpConfig.maxMultiplier < 2 || rtpConfig.maxMultiplier > 100000) {
+      throw new Error('Max multiplier must be between 2 and 100000');
+    }
+
+    model.validate(rtpConfig);
+  }
+
+  // Crash point for a round's seed hash under an RTP config
+  crashPoint(hash, rtpConfig) {
+    return this.getModel(rtpConfig.model).crashPoint(hash, rtpConfig);
+  }
+}
+
+module.exports = new CrashDistribution();
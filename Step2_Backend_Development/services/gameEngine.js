@@ -1,37 +1,73 @@
 const crypto = require('crypto');
 const db = require('../db');
 const redisClient = require('../redisClient');
+const config = require('../config');
+const gameRooms = require('../config/rooms');
 const logger = require('../utils/logger');
 const playerStatsService = require('./playerStatsService');
+const seedChainService = require('./seedChainService');
+const rtpConfigService = require('./rtpConfigService');
+const crashDistribution = require('./crashDistribution');
+const multiplierCurve = require('./multiplierCurve');
+const practiceWalletService = require('./practiceWalletService');
+const riskService = require('./riskService');
+const specialBlockService = require('./specialBlockService');
+const ledgerService = require('./ledgerService');
+const { systemClock, systemScheduler, systemRandom } = require('../utils/runtime');
+
+// Game loop period. Ticks only broadcast the curve and detect the crash; they never decide a payout.
+const TICK_INTERVAL_MS = 100;
 
 class GameEngine {
-  constructor() {
+  // One engine runs each room (config/rooms.js); the module's instance runs the default room.
+  // The clock, scheduler and random source default to the system's; tests inject deterministic ones.
+  constructor(room = gameRooms.rooms.find(r => r.id === gameRooms.DEFAULT_ROOM_ID), { clock = systemClock, scheduler = systemScheduler, random = systemRandom } = {}) {
+    this.room = room;
+    this.clock = clock;
+    this.scheduler = scheduler;
+    this.random = random;
+    this.roomId = room.id;
+    this.riskLimits = riskService.getLimits(room); // Max payout per bet and per round
+    this.channel = `room:${room.id}`; // Socket.IO room the engine broadcasts to
     this.currentRound = null;
+    this.roundNumber = null; // Round sequence number within the room
     this.gameState = 'waiting'; // waiting, running, crashed, results
     this.multiplier = 1.00;
     this.integrity = 100;
-    this.specialBlock = null;
-    this.activePlayers = new Set();
-    this.activeBets = new Map();
+    this.specialBlock = null; // Latest special block the tower has reached
+    this.specialBlocks = []; // Special blocks of the running round; each stays private until the tower reaches it
+    this.specialBlocksTriggered = 0;
+    this.specialBlocksEnabled = room.specialBlocks ?? config.game.specialBlocksEnabled;
+    this.activePlayers = new Set(); // Users holding at least one bet in the current round
+    this.activeBets = new Map(); // betId -> bet in the current round
+    this.queuedBets = new Map(); // betId -> bet placed while a round was in progress, played in the next one
+    this.maxBetsPerRound = config.game.maxBetsPerRound;
     this.roundTimer = null;
     this.gameLoop = null;
+    this.epoch = 0; // Bumped each time the engine is stopped, so round steps still in flight stop too
     this.roundId = null;
     this.serverSeed = null;
-    this.clientSeed = null;
+    this.serverSeedHash = null; // Published commitment for the current round's server seed
+    this.baseClientSeed = null; // Chain/server client seed published with the commitment
+    this.clientSeed = null; // Final client seed once the bettors' seeds are mixed in
+    this.clientSeedContributions = []; // [{ userId, betId, clientSeed }] in bet order
     this.nonce = 0;
+    this.seedMode = config.game.seedMode; // 'chain' (pre-generated hash chain) or 'random'
+    this.seedChainId = null;
     this.crashPoint = null;
+    this.rtpConfig = rtpConfigService.defaultConfig(); // RTP config version the current round is played under
     this.roundStartTime = null;
+    this.runningStartTime = null; // Server time the multiplier curve started from
+    this.curve = multiplierCurve.getParams(); // Public curve parameters: only the effects of blocks reached so far
+    this.effectCurve = this.curve; // Curve with the effects of all the round's blocks, which the server plays
+    this.crashElapsed = null; // Milliseconds into the running phase at which the curve reaches the crash point
+    this.timeline = []; // Replay events of the current round, stored with the round once it is settled
+    this.paidOut = 0; // Real-money payouts made in the current round, counted towards its liability
+    this.lagCompensationMs = config.game.cashoutLagCompensationMs;
     this.lastUpdateTime = null;
     this.redisAvailable = false;
     this.io = null; // Socket.IO instance
     
-    // House advantage configuration - OPTIMIZED FOR FCFA PROFITABILITY
-    this.MEDIUM_BET_AMOUNT = 400.00; // 400 FCFA as medium amount (your target average)
-    this.BASE_CRASH_PROBABILITY = 0.95; // 95% base crash probability (increased for profitability)
-    this.HOUSE_ADVANTAGE_FACTOR = 0.25; // 25% house advantage (increased for profitability)
-    this.MAX_CRASH_PROBABILITY = 0.99; // 99% max crash probability (increased for profitability)
-    this.MIN_CRASH_PROBABILITY = 0.90; // 90% min crash probability (increased for profitability)
-    
     // Performance monitoring
     this.performanceMetrics = {
       roundStartTime: 0,
@@ -53,107 +89,124 @@ class GameEngine {
     this.io = io;
   }
 
-  // Calculate house advantage based on bet amount - ENHANCED FOR MAXIMUM PROFIT
-  calculateHouseAdvantage(betAmount) {
-    if (betAmount === this.MEDIUM_BET_AMOUNT || betAmount <= 0) {
-      return this.BASE_CRASH_PROBABILITY;
-    }
-    const ratio = betAmount / this.MEDIUM_BET_AMOUNT;
-    let advantage;
-    if (ratio > 1) {
-      // Higher bets = Much higher crash probability (aggressive profit strategy)
-      advantage = Math.min(this.HOUSE_ADVANTAGE_FACTOR * Math.log(ratio) * 1.5, 0.15);
-      return Math.min(this.MAX_CRASH_PROBABILITY, this.BASE_CRASH_PROBABILITY + advantage);
-    } else {
-      // Lower bets = Slightly lower crash probability (maintains player engagement)
-      advantage = Math.max(-0.03, -this.HOUSE_ADVANTAGE_FACTOR * Math.log(1/ratio) * 0.5);
-      return Math.max(this.MIN_CRASH_PROBABILITY, this.BASE_CRASH_PROBABILITY + advantage);
-    }
-  }
-
-  // Calculate crash point with house advantage
-  calculateCrashPointWithAdvantage() {
-    const combined = this.serverSeed + this.clientSeed + this.nonce.toString();
+  // Calculate crash point from the round's seeds under an RTP config version
+  // The result depends only on the seeds and the config so it can be committed before betting and verified after the reveal
+  calculateCrashPoint(serverSeed = this.serverSeed, clientSeed = this.clientSeed, nonce = this.nonce, rtpConfig = this.rtpConfig) {
+    const combined = serverSeed + clientSeed + nonce.toString();
     const hash = crypto.createHash('sha256').update(combined).digest('hex');
-    const decimal = parseInt(hash.substring(0, 8), 16);
-    const randomValue = (decimal % 10000) / 10000; // 0 to 1
-
-    // Get total bet amount for this round
-    let totalBetAmount = 0;
-    for (const [userId, bet] of this.activeBets) {
-      totalBetAmount += bet.amount;
-    }
-
-    // Calculate house advantage based on total bets
-    const crashProbability = this.calculateHouseAdvantage(totalBetAmount);
-    
-    // Ensure probability is within bounds
-    const adjustedProbability = Math.max(
-      this.MIN_CRASH_PROBABILITY,
-      Math.min(this.MAX_CRASH_PROBABILITY, crashProbability)
-    );
+    return crashDistribution.crashPoint(hash, rtpConfig);
+  }
 
-    // Calculate crash point based on probability - OPTIMIZED FOR PROFITABILITY
-    if (randomValue < adjustedProbability) {
-      // Tower will crash - calculate crash point (MORE AGGRESSIVE)
-      const crashPoint = 1.00 + (randomValue / adjustedProbability) * 2.00; // 1.00x to 3.00x (very aggressive)
-      return parseFloat(crashPoint.toFixed(2));
-    } else {
-      // Tower will continue - higher crash point (MAINTAINS ENGAGEMENT)
-      const crashPoint = 3.00 + (randomValue - adjustedProbability) / (1 - adjustedProbability) * 4.00; // 3.00x to 7.00x (much reduced max)
-      return parseFloat(crashPoint.toFixed(2));
-    }
+  // SHA-256 commitment of a server seed, published before betting opens
+  hashServerSeed(serverSeed) {
+    return crypto.createHash('sha256').update(serverSeed).digest('hex');
   }
 
   // Initialize a new round
   async startNewRound() {
+    const epoch = this.epoch;
     try {
       // Generate provably fair seeds
-      this.serverSeed = crypto.randomBytes(32).toString('hex');
-      this.clientSeed = crypto.randomBytes(32).toString('hex');
-      this.nonce = Math.floor(Math.random() * 1000000); // Use smaller integer for database compatibility
+      if (this.seedMode === 'chain') {
+        // Next link of the published hash chain; the chain index doubles as the nonce
+        const chainSeed = await seedChainService.nextSeed();
+        if (this.stoppedSince(epoch)) {
+          return null;
+        }
+        this.serverSeed = chainSeed.serverSeed;
+        this.baseClientSeed = chainSeed.clientSeed;
+        this.nonce = chainSeed.index;
+        this.seedChainId = chainSeed.chainId;
+      } else {
+        this.serverSeed = this.random.bytes(32).toString('hex');
+        this.baseClientSeed = this.random.bytes(32).toString('hex');
+        this.nonce = this.random.int(1000000); // Use smaller integer for database compatibility
+        this.seedChainId = null;
+      }
+      this.serverSeedHash = this.hashServerSeed(this.serverSeed);
+
+      // Config changes only apply from the next round, never mid-round
+      this.rtpConfig = this.room.rtpConfigVersion
+        ? await rtpConfigService.getConfig(this.room.rtpConfigVersion)
+        : await rtpConfigService.getActiveConfig();
+      if (this.stoppedSince(epoch)) {
+        return null;
+      }
+      this.curve = this.specialBlocksEnabled ? { ...multiplierCurve.getParams(), specialBlocks: true } : multiplierCurve.getParams();
+      this.effectCurve = this.curve;
 
-      // Calculate crash point using house advantage algorithm
-      this.crashPoint = this.calculateCrashPointWithAdvantage();
+      // The crash point is only derived once betting closes and the players' client seeds are mixed in
+      this.clientSeed = this.baseClientSeed;
+      this.clientSeedContributions = [];
+      this.crashPoint = null;
 
-      // Create round in database
+      // Create round in database (the server seed stays private until the round has crashed, and the crash point
+      // is only stored then, so no query can read it while the round runs)
       const roundResult = await db.query(
-        'INSERT INTO rounds (crash_point, server_seed, client_seed, nonce, timestamp) VALUES ($1, $2, $3, $4, NOW()) RETURNING id',
-        [this.crashPoint, this.serverSeed, this.clientSeed, this.nonce]
+        `INSERT INTO rounds (server_seed, server_seed_hash, base_client_seed, client_seed, nonce, seed_chain_id, chain_index, rtp_config_id, phase, timestamp, room_id, round_number)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'waiting', NOW(), $9, (SELECT COALESCE(MAX(round_number), 0) + 1 FROM rounds WHERE room_id = $9))
+         RETURNING id, round_number`,
+        [this.serverSeed, this.serverSeedHash, this.baseClientSeed, this.clientSeed, this.nonce,
+          this.seedChainId, this.seedChainId ? this.nonce : null, this.rtpConfig.version, this.roomId]
       );
 
+      if (this.stoppedSince(epoch)) {
+        return null;
+      }
+
       this.roundId = roundResult.rows[0].id;
+      this.roundNumber = roundResult.rows[0].round_number;
       this.currentRound = this.roundId; // Set currentRound for admin dashboard
-      this.roundStartTime = Date.now();
-      this.lastUpdateTime = Date.now();
+      this.roundStartTime = this.clock.now();
+      this.lastUpdateTime = this.clock.now();
+      this.runningStartTime = null;
+      this.crashElapsed = null;
+      this.timeline = [];
+      this.paidOut = 0;
 
       // Reset game state
       this.gameState = 'waiting';
       this.multiplier = 1.00;
       this.integrity = 100;
       this.specialBlock = null;
+      this.specialBlocks = [];
+      this.specialBlocksTriggered = 0;
       this.activePlayers.clear();
       this.activeBets.clear();
 
       // Store game state in Redis (if available)
       await this.updateRedisGameState();
+      if (this.stoppedSince(epoch)) {
+        return null;
+      }
 
-      // Start waiting phase (5 seconds)
-      this.roundTimer = setTimeout(() => {
-        this.startRunningPhase();
-      }, 5000);
+      // Start waiting phase
+      this.scheduleRoundStep(() => this.startRunningPhase(), this.room.waitingMs);
 
-      logger.info(`New round ${this.roundId} started with crash point: ${this.crashPoint} (House advantage applied)`);
+      logger.info(`New round ${this.roundId} (${this.roomId} #${this.roundNumber}) started with server seed commitment ${this.serverSeedHash}`);
 
-      // Emit new round event to all connected clients
+      // Emit new round event to all connected clients (commitment only, never the outcome)
       if (this.io) {
-        this.io.to('game').emit('new_round', {
+        this.io.to(this.channel).emit('new_round', {
+          roomId: this.roomId,
           roundId: this.roundId,
-          crashPoint: this.crashPoint,
-          timestamp: new Date()
+          roundNumber: this.roundNumber,
+          serverSeedHash: this.serverSeedHash,
+          baseClientSeed: this.baseClientSeed,
+          nonce: this.nonce,
+          seedChainId: this.seedChainId,
+          rtpConfigVersion: this.rtpConfig.version,
+          curve: this.curve,
+          timestamp: new Date(this.clock.now())
         });
       }
 
+      await this.activateQueuedBets();
+      if (this.stoppedSince(epoch)) {
+        return null;
+      }
+      this.runAutoBets('onRoundOpen');
+
       return {
         roundId: this.roundId,
         gameState: this.gameState,
@@ -170,164 +223,413 @@ class GameEngine {
     }
   }
 
-  // Calculate crash point using provably fair algorithm (legacy method)
-  // REMOVED: Duplicate calculateCrashPoint() method
-  // Using calculateCrashPointWithAdvantage() instead for house edge
+  // Move the bets queued during the previous round into this one
+  async activateQueuedBets() {
+    if (this.queuedBets.size === 0) {
+      return;
+    }
+
+    const bets = Array.from(this.queuedBets.values());
+    this.queuedBets.clear();
+
+    try {
+      await db.query(
+        'UPDATE bets SET round_id = $1, status = $2 WHERE id = ANY($3::int[])',
+        [this.roundId, 'active', bets.map(bet => bet.betId)]
+      );
+    } catch (error) {
+      // Still queued in the database; try again with the next round
+      bets.forEach(bet => this.queuedBets.set(bet.betId, bet));
+      logger.error(`Error activating ${bets.length} queued bets for round ${this.roundId}:`, error);
+      return;
+    }
+
+    bets.forEach(bet => {
+      bet.roundId = this.roundId;
+      bet.queued = false;
+      this.activeBets.set(bet.betId, bet);
+      this.activePlayers.add(bet.userId);
+      this.recordBetEvent(bet);
+      if (this.io) {
+        this.io.to(this.channel).emit('new_bet', bet);
+      }
+    });
+
+    logger.info(`Activated ${bets.length} queued bets for round ${this.roundId}`);
+  }
+
+  // Drive the room's auto-bet strategies from a round event. Not awaited: strategies never hold up the round.
+  runAutoBets(event) {
+    const roundId = this.roundId;
+    require('./autoBetService')[event](this).catch(error => {
+      logger.error(`Error running auto-bet strategies on ${event} of round ${roundId}:`, error);
+    });
+  }
+
+  // Add an event to the round's replay timeline, timed in milliseconds since the round started
+  recordEvent(type, data = {}, at = this.clock.now()) {
+    this.timeline.push({ t: Math.max(0, Math.round(at - this.roundStartTime)), type, ...data });
+  }
+
+  recordBetEvent(bet) {
+    this.recordEvent('bet', {
+      betId: bet.betId,
+      userId: bet.userId,
+      username: bet.username,
+      amount: bet.amount,
+      autoCashoutAt: bet.autoCashoutAt,
+      practice: bet.practice
+    });
+  }
+
+  // Bets a player holds in the current round (or in the queue for the next one)
+  getUserBets(userId, bets = this.activeBets) {
+    return Array.from(bets.values()).filter(bet => bet.userId === userId);
+  }
+
+  // A player stays active while they hold at least one bet in the round
+  releasePlayer(userId) {
+    if (this.getUserBets(userId).length === 0) {
+      this.activePlayers.delete(userId);
+    }
+  }
+
+  // Active and queued bets of a player, without round secrets
+  getPlayerBets(userId) {
+    const toPublic = bet => ({
+      betId: bet.betId,
+      roundId: bet.roundId,
+      amount: bet.amount,
+      autoCashoutAt: bet.autoCashoutAt,
+      insurance: bet.insurance,
+      practice: bet.practice,
+      status: bet.queued ? 'queued' : 'active',
+      timestamp: bet.timestamp
+    });
+    return {
+      active: this.getUserBets(userId).map(toPublic),
+      queued: this.getUserBets(userId, this.queuedBets).map(toPublic)
+    };
+  }
+
+  // Combine the round's base client seed with the client seeds of its bettors
+  mixClientSeeds(baseClientSeed, playerSeeds = []) {
+    if (playerSeeds.length === 0) {
+      return baseClientSeed;
+    }
+    return crypto.createHash('sha256').update([baseClientSeed, ...playerSeeds].join(':')).digest('hex');
+  }
+
+  // Close betting entropy: mix in every bettor's client seed and derive the round's crash point
+  lockRoundSeeds() {
+    this.clientSeedContributions = Array.from(this.activeBets.values())
+      .filter(bet => bet.clientSeed)
+      .sort((a, b) => a.betId - b.betId)
+      .map(bet => ({ userId: bet.userId, betId: bet.betId, clientSeed: bet.clientSeed }));
+
+    this.clientSeed = this.mixClientSeeds(this.baseClientSeed, this.clientSeedContributions.map(c => c.clientSeed));
+    this.crashPoint = this.calculateCrashPoint();
+
+    // The crash point itself is only stored at the crash, so no query can read it while the round runs
+    db.query(
+      'UPDATE rounds SET client_seed = $1, client_seed_contributions = $2 WHERE id = $3',
+      [this.clientSeed, JSON.stringify(this.clientSeedContributions), this.roundId]
+    ).catch(error => {
+      logger.error(`Error recording client seeds for round ${this.roundId}:`, error);
+    });
+
+    logger.info(`Round ${this.roundId} client seed locked with ${this.clientSeedContributions.length} player seeds`);
+
+    if (this.io) {
+      this.io.to(this.channel).emit('client_seed_locked', {
+        roundId: this.roundId,
+        clientSeed: this.clientSeed,
+        contributions: this.clientSeedContributions.length
+      });
+    }
+  }
 
   // Start running phase
   startRunningPhase() {
+    this.lockRoundSeeds();
     this.gameState = 'running';
     this.multiplier = 1.00;
     this.integrity = 100;
-    this.lastUpdateTime = Date.now();
-
-    // Start game loop - OPTIMIZED FOR FRONTEND SMOOTHNESS
-    this.gameLoop = setInterval(() => {
-      const now = Date.now();
-      const timeDiff = now - this.lastUpdateTime;
-      
-      // Update multiplier every 100ms for smooth frontend animation (was 1000ms)
-      if (timeDiff >= 100) {
-        this.multiplier += 0.02; // 0.02x per 100ms = 0.2x per second (4x faster for more excitement)
-        this.integrity = Math.max(0, 100 - (this.multiplier - 1) * 20);
-        
-        this.lastUpdateTime = now;
-        
-        // Update Redis every 100ms to maintain game state sync
-        this.updateRedisGameState();
-        
-        // Emit real-time updates to all connected clients - ENHANCED FOR FRONTEND SYNC
-        if (this.io) {
-          this.io.to('game').emit('game_update', {
-            type: 'multiplier',
-            data: {
-              multiplier: this.multiplier,
-              integrity: this.integrity,
-              roundTime: Math.floor((now - this.roundStartTime) / 1000),
-              crashPoint: this.crashPoint // ✅ CRITICAL: Include crash point for frontend
-            }
-          });
-        }
-        
-        // Check if tower should crash
-        if (this.multiplier >= this.crashPoint) {
-          logger.info(`Tower crashing at ${this.multiplier.toFixed(2)}x (target: ${this.crashPoint}x)`);
-          this.crashTower();
+    this.runningStartTime = this.clock.now();
+    this.lastUpdateTime = this.runningStartTime;
+    this.scheduleSpecialBlocks();
+    this.recordEvent('running', { curve: this.curve }, this.runningStartTime);
+
+    // Not awaited: a round whose 'running' transition is lost is recovered as 'waiting', which has the same policy.
+    // The stored curve carries every block; it is only served once the round has finished.
+    db.query(
+      "UPDATE rounds SET phase = 'running', running_started_at = to_timestamp($1 / 1000.0), multiplier_curve = $2 WHERE id = $3",
+      [this.runningStartTime, JSON.stringify(this.effectCurve), this.roundId]
+    ).catch(error => {
+      logger.error(`Error recording the multiplier curve for round ${this.roundId}:`, error);
+    });
+
+    // Clients draw the curve from the start time and parameters; serverTime lets them correct for clock skew
+    if (this.io) {
+      this.io.to(this.channel).emit('game_update', {
+        type: 'round_start',
+        data: {
+          round: this.roundId,
+          startedAt: this.runningStartTime,
+          serverTime: this.clock.now(),
+          curve: this.curve,
+          lagCompensationMs: this.lagCompensationMs
         }
-      }
-    }, 20); // Changed to 20ms for much faster, more engaging gameplay (0.5x per 20ms = 25x per second)
+      });
+    }
+
+    this.gameLoop = this.scheduler.setInterval(() => this.tick(), TICK_INTERVAL_MS);
 
     logger.info(`Round ${this.roundId} running phase started`);
   }
 
-  // Update game state during running phase
-  updateGameState() {
-    const now = Date.now();
-    const elapsed = now - this.lastUpdateTime;
+  // Derive the round's special blocks from its seeds (see specialBlockService) and the curve they shape
+  scheduleSpecialBlocks() {
+    this.specialBlocks = this.specialBlocksEnabled
+      ? specialBlockService.scheduleBlocks({ serverSeed: this.serverSeed, clientSeed: this.clientSeed, nonce: this.nonce }, this.crashPoint, this.curve)
+      : [];
+    this.specialBlocksTriggered = 0;
+    this.effectCurve = specialBlockService.applyEffects(this.curve, this.specialBlocks);
+    this.crashElapsed = specialBlockService.crashElapsed(this.specialBlocks, this.crashPoint, this.effectCurve);
+    specialBlockService.activateBlocks(this.roundId, this.specialBlocks, this.runningStartTime);
+  }
+
+  // Reveal the blocks the tower has reached. Their effects join the public curve, so clients keep drawing it as the server plays it.
+  triggerSpecialBlocks(elapsed) {
+    while (this.specialBlocksTriggered < this.specialBlocks.length && this.specialBlocks[this.specialBlocksTriggered].at <= elapsed) {
+      const block = this.specialBlocks[this.specialBlocksTriggered++];
+      const at = this.runningStartTime + block.at;
+      this.specialBlock = block;
+      this.curve = specialBlockService.applyEffects(this.curve, [block]);
+      this.recordEvent('special_block', { blockType: block.type, effect: block.effect, multiplier: block.multiplier, duration: block.duration }, at);
+      specialBlockService.recordBlock(this.roundId, block, at, multiplierCurve.integrityAt(block.at, this.effectCurve));
 
-    // Update multiplier (increases by 0.5 every 25ms for much faster gameplay)
-    this.multiplier += 0.5;
+      if (this.io) {
+        this.io.to(this.channel).emit('special_block', { roundId: this.roundId, block, curve: this.curve });
+      }
+
+      logger.info(`Special block generated: ${block.type} in round ${this.roundId} at ${block.multiplier}x`);
+    }
+  }
 
-    // Update integrity meter (decreases by 0-1% randomly for balanced gameplay)
-    const integrityDecrease = Math.random() * 1;
-    this.integrity = Math.max(0, this.integrity - integrityDecrease);
+  // Server time at which the tower reached `multiplier`; a crash block takes it straight to the crash point
+  timeAt(multiplier) {
+    return this.runningStartTime + Math.min(multiplierCurve.elapsedAt(multiplier, this.effectCurve), this.crashElapsed);
+  }
 
-    // Check for special blocks (5% chance)
-    if (Math.random() < 0.05) {
-      this.generateSpecialBlock();
+  // Advance the round to the current server time
+  tick(now = this.clock.now()) {
+    const elapsed = now - this.runningStartTime;
+    this.triggerSpecialBlocks(Math.min(elapsed, this.crashElapsed));
+    const reached = elapsed >= this.crashElapsed
+      ? this.crashPoint
+      : Math.min(multiplierCurve.multiplierAt(elapsed, this.effectCurve), this.crashPoint);
+
+    // Settle auto-cashouts before the crash check so targets at or below the crash point always win.
+    // Past the round's liability limit every open bet is cashed out at the limit instead.
+    const limitAt = this.getLiabilityLimitMultiplier();
+    this.processAutoCashouts(Math.min(reached, limitAt));
+    if (reached >= limitAt) {
+      this.settleAtLiabilityLimit(limitAt);
     }
 
-    // Check if tower should crash
-    if (this.multiplier >= this.crashPoint) {
-      logger.info(`Tower crashing at ${this.multiplier.toFixed(2)}x (target: ${this.crashPoint}x)`);
+    // The round is settled once the lag-compensation window after the crash instant has passed,
+    // so cash-outs sent before the crash but received inside the window are still priced and paid
+    if (elapsed >= this.crashElapsed + this.lagCompensationMs) {
+      logger.info(`Tower crashing at ${this.crashPoint}x after ${elapsed}ms`);
       this.crashTower();
       return;
     }
 
-    // Check if integrity is too low (emergency crash)
-    if (this.integrity <= 0) {
-      this.crashTower();
+    // Inside the window the public multiplier holds at its last pre-crash value
+    if (elapsed >= this.crashElapsed) {
       return;
     }
 
+    this.multiplier = reached;
+    this.integrity = multiplierCurve.integrityAt(elapsed, this.effectCurve);
     this.lastUpdateTime = now;
+
+    // Update Redis every tick to maintain game state sync
     this.updateRedisGameState();
-    
-    // Emit real-time updates to all connected clients
+
     if (this.io) {
-      this.io.to('game').emit('game_update', {
+      this.io.to(this.channel).emit('game_update', {
         type: 'multiplier',
         data: {
           multiplier: this.multiplier,
           integrity: this.integrity,
+          elapsed,
           roundTime: Math.floor((now - this.roundStartTime) / 1000)
         }
       });
     }
   }
 
-  // Generate special block
-  generateSpecialBlock() {
-    const blockTypes = ['boost', 'stability', 'bonus'];
-    const randomType = blockTypes[Math.floor(Math.random() * blockTypes.length)];
+  // Price a manual cash-out from the time the server received it, less the lag-compensation window.
+  // Cash-outs priced at or after the crash instant lose.
+  priceCashout(receivedAt) {
+    const elapsed = receivedAt - this.runningStartTime - this.lagCompensationMs;
+    if (elapsed >= this.crashElapsed) {
+      throw new Error('Cannot cash out - tower has crashed');
+    }
+    return multiplierCurve.multiplierAt(elapsed, this.effectCurve);
+  }
+
+  // Cash out every bet whose auto-cashout target or payout cap has been crossed, at exactly that multiplier
+  processAutoCashouts(reached = Math.min(this.multiplier, this.crashPoint)) {
+    for (const bet of this.activeBets.values()) {
+      const target = this.getBetCeiling(bet);
+      if (target <= reached) {
+        // Timed at the instant the curve crossed the target
+        const at = this.timeAt(target);
+        this.settleCashout(bet, target, true, at).catch(error => {
+          logger.error(`Auto cashout failed for bet ${bet.betId} at ${target}x:`, error);
+        });
+      }
+    }
+  }
 
-    this.specialBlock = {
-      type: randomType,
-      timestamp: Date.now(),
-      multiplier: this.multiplier
-    };
+  // Multiplier a bet is settled at automatically: its auto-cashout target, or the payout cap for real-money bets
+  getBetCeiling(bet) {
+    if (bet.practice) {
+      return bet.autoCashoutAt || Infinity;
+    }
+    return riskService.betCeiling(bet, this.riskLimits);
+  }
+
+  // Open real-money bets of the round; practice bets carry no house liability
+  getRiskBets() {
+    return Array.from(this.activeBets.values()).filter(bet => !bet.practice);
+  }
+
+  // Multiplier at which the round's liability reaches the per-round limit
+  getLiabilityLimitMultiplier() {
+    return riskService.limitMultiplier(this.getRiskBets(), this.paidOut, this.riskLimits);
+  }
+
+  // The round's liability has reached its limit: cash every open real-money bet out at the limit multiplier
+  settleAtLiabilityLimit(multiplier) {
+    const bets = this.getRiskBets();
+    const at = this.timeAt(multiplier);
+    logger.warn(`Round ${this.roundId} reached its liability limit of ${this.riskLimits.maxPayoutPerRound} FCFA at ${multiplier}x, settling ${bets.length} bets`);
+    this.recordEvent('liability_limit', { multiplier }, at);
+
+    if (this.io) {
+      this.io.to(this.channel).emit('liability_limit_reached', { roundId: this.roundId, multiplier });
+    }
 
-    logger.info(`Special block generated: ${randomType} at ${this.multiplier}x`);
+    bets.forEach(bet => {
+      this.settleCashout(bet, multiplier, true, at).catch(error => {
+        logger.error(`Liability limit cashout failed for bet ${bet.betId} at ${multiplier}x:`, error);
+      });
+    });
+  }
+
+  // Current house exposure of the round, for the admin risk endpoints
+  getLiabilityStats() {
+    const bets = this.getRiskBets();
+    const limitAt = this.getLiabilityLimitMultiplier();
+    const exposure = riskService.liabilityAt(bets, this.paidOut, this.multiplier, this.riskLimits);
+    const maxExposure = Math.min(riskService.liabilityAt(bets, this.paidOut, Infinity, this.riskLimits), this.riskLimits.maxPayoutPerRound);
+
+    return {
+      ...this.riskLimits,
+      openBets: bets.length,
+      stakes: bets.reduce((sum, bet) => sum + bet.amount, 0),
+      paidOut: this.paidOut,
+      exposure,
+      maxExposure,
+      limitMultiplier: Number.isFinite(limitAt) ? limitAt : null,
+      utilization: exposure / this.riskLimits.maxPayoutPerRound
+    };
   }
 
   // Crash the tower
   async crashTower() {
+    const epoch = this.epoch;
     this.gameState = 'crashed';
-    clearInterval(this.gameLoop);
+    this.multiplier = this.crashPoint;
+    this.scheduler.clearInterval(this.gameLoop);
+    const crashedAt = Number.isFinite(this.crashElapsed) ? this.runningStartTime + this.crashElapsed : this.clock.now();
+    this.recordEvent('crash', { crashPoint: this.crashPoint }, crashedAt);
+
+    // Persisted before settling: from here on a restart settles the remaining bets as lost instead of refunding them.
+    // This is also the first time the crash point is stored.
+    await db.query(
+      "UPDATE rounds SET phase = 'crashed', crash_point = $1 WHERE id = $2",
+      [this.crashPoint, this.roundId]
+    );
+    if (this.stoppedSince(epoch)) {
+      return;
+    }
 
     // Process all active bets
     await this.processCrashedBets();
+    specialBlockService.clearRoundEffects(this.roundId);
+    if (this.stoppedSince(epoch)) {
+      return;
+    }
 
-    // Update round in database
+    // Update round in database, mark the server seed as revealed and keep the round's timeline for replays.
+    // Events are stored in time order: a cash-out is timed when it was priced, which can precede its settlement.
+    const events = [...this.timeline].sort((a, b) => a.t - b.t);
     await db.query(
-      'UPDATE rounds SET end_time = NOW() WHERE id = $1',
-      [this.roundId]
+      "UPDATE rounds SET phase = 'settled', end_time = NOW(), revealed_at = NOW(), timeline = $1 WHERE id = $2",
+      [JSON.stringify({ startedAt: this.roundStartTime, events }), this.roundId]
     );
+    if (this.stoppedSince(epoch)) {
+      return;
+    }
 
     // Store final game state
     await this.updateRedisGameState();
+    if (this.stoppedSince(epoch)) {
+      return;
+    }
+    this.runAutoBets('onRoundSettled');
 
     logger.info(`Round ${this.roundId} crashed at ${this.multiplier}x`);
 
     // Emit crash event to all connected clients - ENHANCED FOR FRONTEND SYNC
     if (this.io) {
-      this.io.to('game').emit('game_update', {
+      this.io.to(this.channel).emit('game_update', {
         type: 'crash',
         data: {
           crashPoint: this.crashPoint,
           finalMultiplier: this.multiplier,
           roundId: this.roundId,
           // ✅ ADDITIONAL DATA FOR FRONTEND COMPATIBILITY
-          roundTime: Math.floor((Date.now() - this.roundStartTime) / 1000),
+          roundTime: Math.floor((this.clock.now() - this.roundStartTime) / 1000),
           integrity: 0,
-          gameState: 'crashed'
+          gameState: 'crashed',
+          // Reveal: the seed must hash to the commitment published in new_round
+          serverSeed: this.serverSeed,
+          serverSeedHash: this.serverSeedHash,
+          baseClientSeed: this.baseClientSeed,
+          clientSeed: this.clientSeed,
+          clientSeedContributions: this.clientSeedContributions,
+          nonce: this.nonce
         }
       });
 
       // Emit round history event to all connected clients
-      this.io.to('game').emit('round_history', [{
+      this.io.to(this.channel).emit('round_history', [{
         roundId: this.roundId,
         multiplier: this.multiplier,
         crashed: true,
-        timestamp: new Date(),
+        timestamp: new Date(this.clock.now()),
         crashPoint: this.crashPoint
       }]);
     }
 
-    // Start victory lap phase (3 seconds)
-    setTimeout(() => {
-      this.startVictoryLap();
-    }, 3000);
+    // Start victory lap phase
+    this.scheduleRoundStep(() => this.startVictoryLap(), this.room.crashedMs);
   }
 
   // Start victory lap phase
@@ -337,7 +639,7 @@ class GameEngine {
 
     // Emit victory lap event
     if (this.io) {
-      this.io.to('game').emit('game_update', {
+      this.io.to(this.channel).emit('game_update', {
         type: 'victory_lap',
         data: {
           finalMultiplier: this.multiplier,
@@ -348,14 +650,13 @@ class GameEngine {
 
     logger.info(`Round ${this.roundId} victory lap started`);
 
-    // Start new round after 5 seconds (total 8 seconds from crash)
-    setTimeout(() => {
-      this.startNewRound();
-    }, 5000);
+    // Start the next round once the results have been shown
+    this.scheduleRoundStep(() => this.startNewRound(), this.room.resultsMs);
   }
 
   // Process bets when tower crashes
   async processCrashedBets() {
+    const epoch = this.epoch;
     const client = await db.pool.connect();
     let retryCount = 0;
     const maxRetries = 3;
@@ -365,11 +666,11 @@ class GameEngine {
         await client.query('BEGIN');
         
         // Process all bets with rollback capability
-        for (const [userId, bet] of this.activeBets) {
+        for (const bet of this.activeBets.values()) {
           try {
-            await this.processBetLoss(userId, bet, client);
+            await this.processBetLoss(bet.userId, bet, client);
           } catch (error) {
-            logger.error(`Failed to process bet for user ${userId}:`, error);
+            logger.error(`Failed to process bet ${bet.betId} for user ${bet.userId}:`, error);
             // Continue with other bets, don't fail entire round
           }
         }
@@ -391,7 +692,10 @@ class GameEngine {
         
         // Wait before retry with exponential backoff
         const delay = Math.min(1000 * Math.pow(2, retryCount), 10000);
-        await new Promise(resolve => setTimeout(resolve, delay));
+        await new Promise(resolve => this.scheduler.setTimeout(resolve, delay));
+        if (this.stoppedSince(epoch)) {
+          break;
+        }
       }
     }
     
@@ -399,35 +703,34 @@ class GameEngine {
   }
 
   // Process bet loss with insurance handling
-  async processBetLoss(userId, bet, client) {
-    // Update existing bet record with loss result
-    await client.query(
-      'UPDATE bets SET status = $1, result = $2, final_multiplier = $3, winnings = $4 WHERE id = $5',
-      ['lost', 'loss', this.multiplier, 0, bet.betId]
+  async processBetLoss(userId, bet, client, finalMultiplier = this.multiplier, roundId = this.roundId) {
+    // Update existing bet record with loss result, unless something else settled or refunded it first
+    const settled = await client.query(
+      "UPDATE bets SET status = $1, result = $2, final_multiplier = $3, winnings = $4 WHERE id = $5 AND status = 'active' RETURNING id",
+      ['lost', 'loss', finalMultiplier, 0, bet.betId]
     );
+    if (settled.rows.length === 0) {
+      throw new Error(`Bet ${bet.betId} is no longer active`);
+    }
+
+    // A practice loss only settles the bet: no round result, insurance or player stats
+    if (bet.practice) {
+      return;
+    }
     
     // Store round result for user
-    await client.query(
-      'INSERT INTO round_results (user_id, round_id, bet_amount, cashout_multiplier, final_multiplier, result, winnings) VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT (user_id, round_id) DO UPDATE SET result = $6, final_multiplier = $5, winnings = $7',
-      [userId, this.roundId, bet.amount, 0, this.multiplier, 'loss', 0]
-    );
+    await this.recordRoundResult(client, userId, bet.amount, 0, finalMultiplier, 'loss', 0, roundId);
     
     // Process insurance claim if bet had insurance
     if (bet.insurance) {
       try {
         const insurance = require('./insuranceService');
         
-        // Process insurance claim
-        const claimResult = await insurance.processInsuranceClaim(bet.betId);
+        // Process insurance claim; the payout is posted in the round's settlement transaction
+        const claimResult = await insurance.processInsuranceClaim(bet.betId, client);
         
         if (claimResult.success) {
-          // Update user balance with insurance payout
-          await client.query(
-            'UPDATE users SET balance = balance + $1 WHERE id = $2',
-            [claimResult.payoutAmount, userId]
-          );
-          
-          logger.info(`Insurance claim processed for bet ${bet.betId}: payout ${claimResult.payoutAmount} FCFA`);
+          logger.info(`Insurance claim processed for bet ${bet.betId}: payout ${claimResult.payout} FCFA`);
         }
       } catch (error) {
         logger.error(`Error processing insurance claim for bet ${bet.betId}:`, error);
@@ -438,20 +741,62 @@ class GameEngine {
     await playerStatsService.updateStatsAfterBet(userId, bet.amount);
   }
 
-  // Place a bet with optional insurance
-  async placeBet(userId, amount, insuranceType = null, insuranceGames = 1) {
+  // Add a bet to the player's result for the round. Players can hold several bets per round, so the row
+  // sums stakes and winnings, keeps the best cash-out and counts as a win if any bet won.
+  recordRoundResult(queryable, userId, betAmount, cashoutMultiplier, finalMultiplier, result, winnings, roundId = this.roundId) {
+    return queryable.query(
+      `INSERT INTO round_results (user_id, round_id, bet_amount, cashout_multiplier, final_multiplier, result, winnings)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (user_id, round_id) DO UPDATE SET
+         bet_amount = round_results.bet_amount + EXCLUDED.bet_amount,
+         cashout_multiplier = GREATEST(round_results.cashout_multiplier, EXCLUDED.cashout_multiplier),
+         final_multiplier = EXCLUDED.final_multiplier,
+         result = CASE WHEN round_results.result = 'win' OR EXCLUDED.result = 'win' THEN 'win' ELSE 'loss' END,
+         winnings = round_results.winnings + EXCLUDED.winnings`,
+      [userId, roundId, betAmount, cashoutMultiplier, finalMultiplier, result, winnings]
+    );
+  }
+
+  // Place a bet with optional insurance and auto-cashout target.
+  // Bets placed while a round is in progress are queued for the next round.
+  // Practice bets play from the practice wallet and never reach real balances, stats, tournaments or goals.
+  async placeBet(userId, amount, insuranceType = null, insuranceGames = 1, autoCashoutAt = null, practice = false) {
+    const queued = this.gameState !== 'waiting';
+    const roundId = queued ? null : this.roundId;
+    const slots = queued ? this.queuedBets : this.activeBets;
     const client = await db.pool.connect();
+    let betData = null;
     try {
       await client.query('BEGIN');
 
-      // Validate bet amount
-      if (amount < 100 || amount > 100000) {
-        throw new Error('Bet amount must be between 100 FCFA and 100,000 FCFA');
+      // Validate bet amount against the room's limits
+      if (!(amount >= this.room.minBet && amount <= this.room.maxBet)) {
+        throw new Error(`Bet amount must be between ${this.room.minBet.toLocaleString('en-US')} FCFA and ${this.room.maxBet.toLocaleString('en-US')} FCFA`);
+      }
+
+      // Validate auto-cashout target (settled by the game loop, so it must be reachable)
+      if (autoCashoutAt !== null && autoCashoutAt !== undefined) {
+        autoCashoutAt = parseFloat(autoCashoutAt);
+        if (!Number.isFinite(autoCashoutAt) || autoCashoutAt < 1.01 || autoCashoutAt > this.rtpConfig.maxMultiplier) {
+          throw new Error(`Auto cashout must be between 1.01x and ${this.rtpConfig.maxMultiplier}x`);
+        }
+        autoCashoutAt = Math.round(autoCashoutAt * 100) / 100;
+      } else {
+        autoCashoutAt = null;
+      }
+
+      // Real-money bets are capped at the max payout per bet; an auto-cashout past the cap is scaled down to it
+      if (!practice) {
+        autoCashoutAt = riskService.checkBet(amount, autoCashoutAt, this.riskLimits);
+      }
+
+      if (practice && insuranceType) {
+        throw new Error('Insurance is not available on practice bets');
       }
 
       // Check if user has sufficient balance with row lock
       const userResult = await client.query(
-        'SELECT balance FROM users WHERE id = $1 FOR UPDATE',
+        'SELECT balance, practice_balance, username, client_seed FROM users WHERE id = $1 FOR UPDATE',
         [userId]
       );
 
@@ -459,25 +804,56 @@ class GameEngine {
         throw new Error('User not found');
       }
 
-      const userBalance = parseFloat(userResult.rows[0].balance);
+      // Counted under the row lock so concurrent bets of the same player cannot both take the last slot
+      if (this.getUserBets(userId, slots).length >= this.maxBetsPerRound) {
+        throw new Error(`Maximum of ${this.maxBetsPerRound} bets per round reached`);
+      }
+
+      // The player's client seed is captured with the bet and mixed into the round when betting closes
+      let clientSeed = userResult.rows[0].client_seed;
+      if (!clientSeed) {
+        clientSeed = this.random.bytes(16).toString('hex');
+        await client.query(
+          'UPDATE users SET client_seed = $1 WHERE id = $2',
+          [clientSeed, userId]
+        );
+      }
+
+      let userBalance;
+      if (practice) {
+        userBalance = await practiceWalletService.refill(client, userId, parseFloat(userResult.rows[0].practice_balance), amount);
+      } else {
+        userBalance = parseFloat(userResult.rows[0].balance);
+      }
       if (userBalance < amount) {
         throw new Error('Insufficient balance');
       }
 
-      // Deduct bet amount from balance
-      await client.query(
-        'UPDATE users SET balance = balance - $1 WHERE id = $2',
-        [amount, userId]
-      );
-
       // Store bet in database first to get bet ID
       const betResult = await client.query(
-        'INSERT INTO bets (user_id, round_id, amount, timestamp, status) VALUES ($1, $2, $3, NOW(), $4) RETURNING id',
-        [userId, this.roundId, amount, 'active']
+        'INSERT INTO bets (user_id, round_id, amount, timestamp, status, client_seed, auto_cashout_at, room_id, is_practice) VALUES ($1, $2, $3, NOW(), $4, $5, $6, $7, $8) RETURNING id',
+        [userId, roundId, amount, queued ? 'queued' : 'active', clientSeed, autoCashoutAt, this.roomId, practice]
       );
       
       const betId = betResult.rows[0].id;
 
+      // Take the stake: play money straight from the practice wallet, real money through the ledger
+      if (practice) {
+        await client.query(
+          'UPDATE users SET practice_balance = practice_balance - $1 WHERE id = $2',
+          [amount, userId]
+        );
+      } else {
+        await ledgerService.transfer(client, {
+          type: 'bet_stake',
+          from: ledgerService.accounts.playerCash(userId),
+          to: ledgerService.accounts.house,
+          amount,
+          referenceType: 'bet',
+          referenceId: betId
+        });
+      }
+
       // Process insurance if requested
       let insuranceDetails = null;
       if (insuranceType && ['basic', 'premium', 'elite'].includes(insuranceType)) {
@@ -491,11 +867,15 @@ class GameEngine {
           
           // Check if user has sufficient balance for insurance premium
           if (userBalance >= (amount + totalPremium)) {
-            // Deduct insurance premium
-            await client.query(
-              'UPDATE users SET balance = balance - $1 WHERE id = $2',
-              [totalPremium, userId]
-            );
+            // Pay the premium into the insurance pool
+            await ledgerService.transfer(client, {
+              type: 'insurance_premium',
+              from: ledgerService.accounts.playerCash(userId),
+              to: ledgerService.accounts.insurancePool,
+              amount: totalPremium,
+              referenceType: 'bet',
+              referenceId: betId
+            });
             
             // Create insurance record with multi-game data
             await client.query(`
@@ -525,71 +905,75 @@ class GameEngine {
         }
       }
 
-      // Add to active bets
-      const betData = {
+      // A bet for the current round must not join it once betting has closed
+      if (!queued && (this.gameState !== 'waiting' || this.roundId !== roundId)) {
+        throw new Error('Betting has closed for this round');
+      }
+
+      // Checked right before the bet joins its round so concurrent bets cannot overshoot the round's limit together
+      if (!practice) {
+        const stakes = Array.from(slots.values()).filter(bet => !bet.practice).reduce((sum, bet) => sum + bet.amount, 0);
+        riskService.checkRound(stakes, amount, this.riskLimits);
+      }
+
+      betData = {
         userId: userId,
+        roomId: this.roomId,
+        roundId: roundId,
         amount: amount,
-        timestamp: Date.now(),
+        timestamp: this.clock.now(),
         cashoutMultiplier: null,
         username: userResult.rows[0].username,
         betId: betId,
-        insurance: insuranceDetails
+        clientSeed: clientSeed,
+        autoCashoutAt: autoCashoutAt,
+        insurance: insuranceDetails,
+        practice,
+        queued
       };
-      
-      this.activeBets.set(userId, betData);
-      this.activePlayers.add(userId);
-
-      // Emit new bet event to all connected clients
-      if (this.io) {
-        this.io.to('game').emit('new_bet', betData);
-      }
 
-      // Update tournament scores if user is participating in active tournaments
-      try {
-        const tournament = require('./tournamentService');
-        await tournament.updatePlayerScore(userId, betId, amount, 'bet_placed');
-      } catch (error) {
-        logger.warn(`Error updating tournament score for user ${userId}:`, error);
-        // Continue without tournament update if there's an error
+      // Held in the round from here so betting cannot close between the check and the commit,
+      // but only acknowledged once the bet row is durable
+      slots.set(betId, betData);
+      if (!queued) {
+        this.activePlayers.add(userId);
       }
 
-      // Update weekly tournament scores if user is participating
-      try {
-        const weeklyTournamentService = require('./weeklyTournamentService');
-        await weeklyTournamentService.updateWeeklyPlayerScore(userId, betId, amount, 'bet_placed');
-      } catch (error) {
-        logger.warn(`Error updating weekly tournament score for user ${userId}:`, error);
-        // Continue without tournament update if there's an error
-      }
+      await client.query('COMMIT');
 
-      // Contribute to community goals if user is participating
-      try {
-        const communityGoalsService = require('./communityGoalsService');
-        await communityGoalsService.contributeToActiveGoals(userId, amount, null);
-      } catch (error) {
-        logger.warn(`Error contributing to community goals for user ${userId}:`, error);
-        // Continue without community goals update if there's an error
+      // Emit new bet event to all connected clients (queued bets are announced when their round starts)
+      if (!queued) {
+        this.recordBetEvent(betData);
+        if (this.io) {
+          this.io.to(this.channel).emit('new_bet', betData);
+        }
       }
 
-      // Recalculate crash point with new bet amount
-      if (this.gameState === 'waiting') {
-        this.crashPoint = this.calculateCrashPointWithAdvantage();
-        logger.info(`Crash point recalculated to ${this.crashPoint} after bet of ${amount} FCFA`);
+      if (!practice) {
+        await this.recordBetSideEffects(userId, betId, amount);
       }
 
-      await client.query('COMMIT');
-
-      logger.info(`User ${userId} placed bet of ${amount} FCFA`);
+      logger.info(`User ${userId} ${queued ? 'queued' : 'placed'} ${practice ? 'practice ' : ''}bet ${betId} of ${amount} FCFA`);
 
       return {
         success: true,
         newBalance: userBalance - amount - (insuranceDetails ? insuranceDetails.premium : 0),
         betAmount: amount,
         betId: betId,
+        roomId: this.roomId,
+        roundId: roundId,
+        queued,
+        practice,
+        autoCashoutAt: autoCashoutAt,
         insurance: insuranceDetails
       };
     } catch (error) {
       await client.query('ROLLBACK');
+      // A bet that was not committed never joins the round
+      if (betData && slots.get(betData.betId) === betData) {
+        slots.delete(betData.betId);
+        this.releasePlayer(userId);
+      }
       logger.error(`Error placing bet for user ${userId}:`, error);
       throw error;
     } finally {
@@ -597,123 +981,587 @@ class GameEngine {
     }
   }
 
-  // Cash out a bet
-  async cashOut(userId) {
-    try {
-      const bet = this.activeBets.get(userId);
-      if (!bet) {
+  // Find the bet a player targets. Without a betId the player's only bet in the round is used.
+  findUserBet(userId, betId = null) {
+    if (betId !== null && betId !== undefined) {
+      const bet = this.activeBets.get(parseInt(betId));
+      if (!bet || bet.userId !== userId) {
         throw new Error('No active bet found');
       }
+      return bet;
+    }
 
+    const bets = this.getUserBets(userId);
+    if (bets.length === 0) {
+      throw new Error('No active bet found');
+    }
+    if (bets.length > 1) {
+      throw new Error('Multiple active bets - specify a betId');
+    }
+    return bets[0];
+  }
+
+  // Cash out a bet at the multiplier priced from the server receive time.
+  // A `fraction` below 1 cashes out that share of the stake and lets the rest ride.
+  async cashOut(userId, betId = null, receivedAt = this.clock.now(), fraction = 1) {
+    let bet;
+    let multiplier;
+    try {
+      bet = this.findUserBet(userId, betId);
       if (this.gameState !== 'running') {
         throw new Error('Cannot cash out - game not running');
       }
+      fraction = fraction === null || fraction === undefined ? 1 : parseFloat(fraction);
+      if (!(fraction > 0 && fraction <= 1)) {
+        throw new Error('Cash-out fraction must be above 0 and at most 1');
+      }
+      // Never above the bet's payout cap or the round's liability limit, even if the game loop has not caught up yet
+      multiplier = Math.min(this.priceCashout(receivedAt), this.getBetCeiling(bet), this.getLiabilityLimitMultiplier());
+    } catch (error) {
+      logger.error(`Error cashing out for user ${userId}:`, error);
+      throw error;
+    }
 
-      const winnings = bet.amount * this.multiplier;
+    return this.settleCashout(bet, multiplier, false, receivedAt, fraction);
+  }
 
-      await db.query(
-        'UPDATE users SET balance = balance + $1 WHERE id = $2',
-        [winnings, userId]
-      );
+  // Stake settled by cashing out `fraction` of a bet, rounded to the cent. Both the settled part and the part
+  // left riding must be at least the room's minimum bet.
+  partialStake(bet, fraction) {
+    const stake = Math.round(bet.amount * fraction * 100) / 100;
+    if (stake >= bet.amount) {
+      return bet.amount;
+    }
+    if (stake < this.room.minBet || bet.amount - stake < this.room.minBet) {
+      throw new Error(`Cannot cash out - both parts of a partial cash-out must be at least ${this.room.minBet.toLocaleString('en-US')} FCFA`);
+    }
+    return stake;
+  }
 
-      // Store bet win in bets table with result information
-      await db.query(
-        'INSERT INTO bets (user_id, round_id, amount, cashout_multiplier, timestamp, status, result, final_multiplier, winnings) VALUES ($1, $2, $3, $4, NOW(), $5, $6, $7, $8)',
-        [userId, this.roundId, bet.amount, this.multiplier, 'won', 'win', this.multiplier, winnings]
-      );
+  // Pay a bet out at `multiplier`; auto-cashouts settled by the game loop pass their target.
+  // `at` is the server time the cash-out was priced at, kept in the round's timeline.
+  // With a `fraction` below 1 the settled part is split off into its own bet row and the rest of the bet stays in the round.
+  async settleCashout(bet, multiplier, auto, at = this.clock.now(), fraction = 1) {
+    const userId = bet.userId;
+    const placedAmount = bet.amount + (bet.settledAmount || 0);
+    const crashPoint = this.crashPoint;
+    let claimed = false;
+    let partial = false;
+    let stake = bet.amount;
+    let riding = 0;
+    let winnings = 0;
+    try {
+      if (!this.activeBets.has(bet.betId)) {
+        throw new Error('No active bet found');
+      }
 
-      // Store round result for user
-      await db.query(
-        'INSERT INTO round_results (user_id, round_id, bet_amount, cashout_multiplier, final_multiplier, result, winnings) VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT (user_id, round_id) DO UPDATE SET result = $6, final_multiplier = $5, winnings = $7',
-        [userId, this.roundId, bet.amount, this.multiplier, this.multiplier, 'win', winnings]
-      );
+      if (this.gameState !== 'running') {
+        throw new Error('Cannot cash out - game not running');
+      }
 
-      await playerStatsService.updateStatsAfterBet(userId, bet.amount, this.multiplier);
+      stake = this.partialStake(bet, fraction);
+      partial = stake < bet.amount;
+      winnings = stake * multiplier;
+
+      // Claim the bet, or the settled part of its stake, before the first await so a manual cashout,
+      // an auto-cashout and the crash cannot settle it twice
+      if (partial) {
+        bet.amount -= stake;
+        bet.settledAmount = (bet.settledAmount || 0) + stake;
+        riding = bet.amount;
+      } else {
+        this.activeBets.delete(bet.betId);
+      }
+      claimed = true;
+
+      // A bonus block doubles the first cash-out in its window, as far as the payout limits allow for real money.
+      // The bet's earlier partial cash-outs and what its riding part can still pay count towards its cap.
+      const committed = (bet.settledWinnings || 0) + (partial ? riding * this.getBetCeiling(bet) : 0);
+      const maxBonus = bet.practice
+        ? Infinity
+        : riskService.bonusAllowance(winnings, this.getRiskBets(), this.paidOut, multiplier, this.riskLimits, committed);
+      const { bonus } = specialBlockService.processCashoutWithEffects(userId, this.roundId, stake, multiplier, at, maxBonus);
+      winnings += bonus;
+      if (!bet.practice) {
+        this.paidOut += winnings;
+      }
 
-      // Update tournament scores if user is participating in active tournaments
+      // Payout and bet result commit together, so a restart can never both pay a bet and refund it
+      const client = await db.pool.connect();
+      let settledBetId = bet.betId;
       try {
-        const tournament = require('./tournamentService');
-        await tournament.updatePlayerScore(userId, bet.betId, bet.amount, 'cashout', {
-          multiplier: this.multiplier,
-          winnings: winnings
-        });
+        await client.query('BEGIN');
+
+        if (partial) {
+          // Split the settled part off into its own won bet; the bet's row keeps the stake still riding
+          const split = await client.query(
+            "UPDATE bets SET amount = amount - $1 WHERE id = $2 AND status = 'active' RETURNING id",
+            [stake, bet.betId]
+          );
+          if (split.rows.length === 0) {
+            throw new Error('No active bet found');
+          }
+          const settledResult = await client.query(
+            `INSERT INTO bets (user_id, round_id, amount, timestamp, status, result, cashout_multiplier, final_multiplier, winnings,
+               client_seed, room_id, is_practice, parent_bet_id)
+             VALUES ($1, $2, $3, NOW(), $4, $5, $6, $6, $7, $8, $9, $10, $11) RETURNING id`,
+            [userId, bet.roundId, stake, 'won', 'win', multiplier, winnings, bet.clientSeed, bet.roomId, bet.practice, bet.betId]
+          );
+          settledBetId = settledResult.rows[0].id;
+
+          // Insurance only keeps covering the part still riding
+          if (bet.insurance) {
+            await client.query(
+              'UPDATE bet_insurance SET bet_amount = bet_amount - $1, coverage_amount = coverage_amount * $2 WHERE bet_id = $3 AND status = $4',
+              [stake, riding / (riding + stake), bet.betId, 'active']
+            );
+          }
+        } else {
+          // Settle the bet's own row with the result, unless something else settled or refunded it first
+          const settled = await client.query(
+            "UPDATE bets SET status = $1, result = $2, cashout_multiplier = $3, final_multiplier = $3, winnings = $4 WHERE id = $5 AND status = 'active' RETURNING id",
+            ['won', 'win', multiplier, winnings, bet.betId]
+          );
+          if (settled.rows.length === 0) {
+            throw new Error('No active bet found');
+          }
+        }
+
+        // Pay out: play money straight into the practice wallet, real money from the house through the ledger
+        if (bet.practice) {
+          await client.query(
+            'UPDATE users SET practice_balance = practice_balance + $1 WHERE id = $2',
+            [winnings, userId]
+          );
+        } else {
+          await ledgerService.transfer(client, {
+            type: 'bet_payout',
+            from: ledgerService.accounts.house,
+            to: ledgerService.accounts.playerCash(userId),
+            amount: winnings,
+            referenceType: 'bet',
+            referenceId: settledBetId
+          });
+          await this.recordRoundResult(client, userId, stake, multiplier, multiplier, 'win', winnings);
+        }
+
+        await client.query('COMMIT');
       } catch (error) {
-        logger.warn(`Error updating tournament score for user ${userId}:`, error);
-        // Continue without tournament update if there's an error
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
       }
 
-      // Update weekly tournament scores if user is participating
-      try {
-        const weeklyTournamentService = require('./weeklyTournamentService');
-        await weeklyTournamentService.updateWeeklyPlayerScore(userId, bet.betId, bet.amount, 'cashout', {
-          multiplier: this.multiplier,
-          winnings: winnings
-        });
-      } catch (error) {
-        logger.warn(`Error updating weekly tournament score for user ${userId}:`, error);
-        // Continue without tournament update if there's an error
+      // What the bet has paid so far across its settled parts
+      const betWinnings = (bet.settledWinnings || 0) + winnings;
+      if (partial) {
+        bet.settledWinnings = betWinnings;
       }
 
-      // Contribute to community goals with winning bet result
-      try {
-        const communityGoalsService = require('./communityGoalsService');
-        await communityGoalsService.contributeToActiveGoals(userId, bet.amount, {
-          cashoutMultiplier: this.multiplier,
-          winnings: winnings
-        });
-      } catch (error) {
-        logger.warn(`Error contributing to community goals for user ${userId}:`, error);
-        // Continue without community goals update if there's an error
+      if (!bet.practice) {
+        await playerStatsService.updateStatsAfterBet(userId, stake, multiplier);
+        await this.recordBetSideEffects(userId, settledBetId, placedAmount, { multiplier, winnings, settledAmount: stake, betWinnings });
       }
 
-      this.activeBets.delete(userId);
-      this.activePlayers.delete(userId);
+      if (!partial) {
+        this.releasePlayer(userId);
+      }
+      this.recordEvent('cashout', {
+        betId: bet.betId, userId, multiplier, winnings, auto, ...(partial && { amount: stake, partial }), ...(bonus > 0 && { bonus })
+      }, at);
 
       if (this.io) {
-        this.io.to('game').emit('bet_removed', userId);
-        this.io.to('game').emit('player_cashout', {
+        if (!partial) {
+          this.io.to(this.channel).emit('bet_removed', { userId, betId: bet.betId });
+        }
+        this.io.to(this.channel).emit('player_cashout', {
           userId,
+          betId: bet.betId,
           username: (await db.query('SELECT username FROM users WHERE id = $1', [userId])).rows[0].username,
-          amount: bet.amount,
-          cashoutMultiplier: this.multiplier,
+          amount: stake,
+          cashoutMultiplier: multiplier,
           winnings: winnings,
-          timestamp: new Date()
+          bonus,
+          auto,
+          partial,
+          remainingAmount: partial ? riding : 0,
+          practice: bet.practice,
+          timestamp: new Date(this.clock.now())
         });
       }
 
-      logger.info(`User ${userId} cashed out at ${this.multiplier}x, won ${winnings} FCFA`);
+      logger.info(`User ${userId} ${auto ? 'auto-' : ''}cashed out ${partial ? `${stake} FCFA of ` : ''}bet ${bet.betId} at ${multiplier}x, won ${winnings} FCFA`);
 
       return {
         success: true,
-        cashoutMultiplier: this.multiplier,
+        betId: bet.betId,
+        settledBetId,
+        cashoutMultiplier: multiplier,
         winnings: winnings,
-        betAmount: bet.amount
+        bonus,
+        betAmount: stake,
+        partial,
+        remainingAmount: partial ? riding : 0,
+        auto,
+        practice: bet.practice
       };
     } catch (error) {
-      logger.error(`Error cashing out for user ${userId}:`, error);
+      // A claimed bet that failed to settle goes back to the round so the crash still resolves it
+      if (claimed && partial) {
+        bet.amount += stake;
+        bet.settledAmount -= stake;
+        if (!bet.practice) {
+          this.paidOut -= winnings;
+        }
+      } else if (claimed && this.gameState === 'running' && bet.roundId === this.roundId) {
+        this.activeBets.set(bet.betId, bet);
+        if (!bet.practice) {
+          this.paidOut -= winnings;
+        }
+      } else if (claimed) {
+        // The round crashed while the payout was in flight, so the crash no longer sees the bet: it loses on its own
+        if (!bet.practice && bet.roundId === this.roundId) {
+          this.paidOut -= winnings;
+        }
+        await this.settleUnpaidCashout(bet, crashPoint);
+      }
+      logger.error(`Error cashing out bet ${bet.betId} for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Settle a claimed full cash-out whose payout failed after its round crashed as a loss at the crash point
+  async settleUnpaidCashout(bet, crashPoint) {
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await this.processBetLoss(bet.userId, bet, client, crashPoint, bet.roundId);
+      await client.query('COMMIT');
+      logger.warn(`Bet ${bet.betId} lost at ${crashPoint}x after its cash-out failed to settle before the crash`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Failed to settle bet ${bet.betId} as lost after its cash-out failed. Manual intervention required:`, error);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Cancel a bet before its round starts: refund the stake and any insurance premium in one transaction,
+  // then undo the bet's tournament and community goal side effects
+  async cancelBet(userId, betId) {
+    betId = parseInt(betId);
+    const slots = this.activeBets.has(betId) ? this.activeBets : this.queuedBets;
+    const bet = slots.get(betId);
+
+    if (!bet || bet.userId !== userId) {
+      throw new Error('No active bet found');
+    }
+    if (!bet.queued && this.gameState !== 'waiting') {
+      throw new Error('Bets can only be cancelled before the round starts');
+    }
+
+    // Claim the bet before the first await so it cannot be cancelled twice or join the round while being refunded
+    slots.delete(betId);
+
+    const client = await db.pool.connect();
+    let refund;
+    try {
+      await client.query('BEGIN');
+
+      const betResult = await client.query(
+        'UPDATE bets SET status = $1 WHERE id = $2 AND user_id = $3 AND status = ANY($4) RETURNING amount',
+        ['cancelled', betId, userId, ['active', 'queued']]
+      );
+      if (betResult.rows.length === 0) {
+        throw new Error('No active bet found');
+      }
+
+      const insuranceResult = await client.query(
+        'UPDATE bet_insurance SET status = $1 WHERE bet_id = $2 AND status = $3 RETURNING premium_amount',
+        ['cancelled', betId, 'active']
+      );
+
+      const stake = parseFloat(betResult.rows[0].amount);
+      const premium = insuranceResult.rows.reduce((sum, row) => sum + parseFloat(row.premium_amount), 0);
+      refund = { stake, premium, total: stake + premium };
+
+      await this.refundBet(client, userId, betId, refund, bet.practice);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      // The bet stands if it could not be refunded
+      if (bet.queued || bet.roundId === this.roundId) {
+        slots.set(betId, bet);
+      }
+      logger.error(`Error cancelling bet ${betId} for user ${userId}:`, error);
       throw error;
+    } finally {
+      client.release();
+    }
+
+    this.releasePlayer(userId);
+    if (!bet.queued) {
+      this.recordEvent('bet_cancelled', { betId, userId });
+    }
+    if (!bet.practice) {
+      await this.revertBetSideEffects(userId, betId, bet.amount);
+    }
+
+    if (this.io) {
+      this.io.to(this.channel).emit('bet_removed', { userId, betId, cancelled: true });
+    }
+
+    logger.info(`User ${userId} cancelled bet ${betId}, refunded ${refund.total} FCFA`);
+
+    return {
+      success: true,
+      betId,
+      refunded: refund.total,
+      stakeRefunded: refund.stake,
+      premiumRefunded: refund.premium,
+      practice: bet.practice
+    };
+  }
+
+  // Give a cancelled or voided bet's stake back from the house and its insurance premium back from the insurance pool,
+  // in the caller's transaction. Practice bets go back to the practice wallet.
+  refundBet(client, userId, betId, refund, practice) {
+    if (practice) {
+      return client.query(
+        'UPDATE users SET practice_balance = practice_balance + $1 WHERE id = $2',
+        [refund.total, userId]
+      );
+    }
+    return ledgerService.post(client, {
+      type: 'bet_refund',
+      referenceType: 'bet',
+      referenceId: betId,
+      postings: [
+        { ...ledgerService.accounts.house, amount: -refund.stake },
+        { ...ledgerService.accounts.insurancePool, amount: -refund.premium },
+        { ...ledgerService.accounts.playerCash(userId), amount: refund.total }
+      ]
+    });
+  }
+
+  // Score a real-money bet in tournaments and community goals, when it is placed and again when it is cashed out.
+  // A partial cash-out is scored under the id of its settled part, with the stake it settled in `cashout.settledAmount`.
+  async recordBetSideEffects(userId, betId, amount, cashout = null) {
+    // Update tournament scores if user is participating in active tournaments
+    try {
+      const tournament = require('./tournamentService');
+      if (cashout) {
+        await tournament.updatePlayerScore(userId, betId, amount, 'cashout', cashout);
+      } else {
+        await tournament.updatePlayerScore(userId, betId, amount, 'bet_placed');
+      }
+    } catch (error) {
+      logger.warn(`Error updating tournament score for user ${userId}:`, error);
+      // Continue without tournament update if there's an error
+    }
+
+    // Update weekly tournament scores if user is participating
+    try {
+      const weeklyTournamentService = require('./weeklyTournamentService');
+      if (cashout) {
+        await weeklyTournamentService.updateWeeklyPlayerScore(userId, betId, amount, 'cashout', cashout);
+      } else {
+        await weeklyTournamentService.updateWeeklyPlayerScore(userId, betId, amount, 'bet_placed');
+      }
+    } catch (error) {
+      logger.warn(`Error updating weekly tournament score for user ${userId}:`, error);
+      // Continue without tournament update if there's an error
+    }
+
+    // Contribute to community goals if user is participating
+    try {
+      const communityGoalsService = require('./communityGoalsService');
+      const result = cashout
+        ? { cashoutMultiplier: cashout.multiplier, winnings: cashout.winnings, settledAmount: cashout.settledAmount }
+        : null;
+      await communityGoalsService.contributeToActiveGoals(userId, amount, result, betId);
+    } catch (error) {
+      logger.warn(`Error contributing to community goals for user ${userId}:`, error);
+      // Continue without community goals update if there's an error
+    }
+  }
+
+  // Undo the tournament and community goal effects of a bet that was refunded without being played.
+  // Player stats are only written when a bet is settled, so a refunded bet never reaches them.
+  async revertBetSideEffects(userId, betId, amount) {
+    try {
+      const tournament = require('./tournamentService');
+      await tournament.updatePlayerScore(userId, betId, amount, 'bet_cancelled');
+    } catch (error) {
+      logger.warn(`Error reverting tournament score for user ${userId}:`, error);
+    }
+
+    try {
+      const weeklyTournamentService = require('./weeklyTournamentService');
+      await weeklyTournamentService.updateWeeklyPlayerScore(userId, betId, amount, 'bet_cancelled');
+    } catch (error) {
+      logger.warn(`Error reverting weekly tournament score for user ${userId}:`, error);
+    }
+
+    try {
+      const communityGoalsService = require('./communityGoalsService');
+      await communityGoalsService.removeBetContributions(userId, betId);
+    } catch (error) {
+      logger.warn(`Error reverting community goal contributions for user ${userId}:`, error);
+    }
+  }
+
+  // Recover the rounds of this room a previous process left unfinished, according to the phase they reached:
+  // - waiting, running: the round is void. Bets still active get their stake and insurance premium back;
+  //   cash-outs already settled keep their winnings. Nobody saw the round crash, so no bet is held to it.
+  // - crashed: the crash point was reached, so the bets still active lose as processCrashedBets would settle them.
+  // Queued bets belong to no round yet; they are restored and play in the next round.
+  async recoverUnsettledRounds() {
+    const result = await db.query(
+      "SELECT id, phase, crash_point FROM rounds WHERE phase IN ('waiting', 'running', 'crashed') AND room_id = $1 ORDER BY id",
+      [this.roomId]
+    );
+
+    for (const round of result.rows) {
+      await this.recoverRound(round);
+    }
+
+    await this.restoreQueuedBets();
+
+    return result.rows.length;
+  }
+
+  // Settle or refund the open bets of one unfinished round and close it, in one transaction
+  async recoverRound(round) {
+    const crashed = round.phase === 'crashed';
+    const refunded = [];
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const betsResult = await client.query(
+        `SELECT b.id, b.user_id, b.amount, b.is_practice, bi.premium_amount
+         FROM bets b
+         LEFT JOIN bet_insurance bi ON bi.bet_id = b.id AND bi.status = 'active'
+         WHERE b.round_id = $1 AND b.status = 'active'
+         FOR UPDATE OF b`,
+        [round.id]
+      );
+
+      for (const row of betsResult.rows) {
+        const stake = parseFloat(row.amount);
+
+        if (crashed) {
+          const bet = { betId: row.id, amount: stake, insurance: row.premium_amount !== null, practice: row.is_practice === true };
+          await this.processBetLoss(row.user_id, bet, client, parseFloat(round.crash_point), round.id);
+          continue;
+        }
+
+        const premium = row.premium_amount !== null ? parseFloat(row.premium_amount) : 0;
+        await client.query(
+          'UPDATE bets SET status = $1, result = $2, winnings = $3 WHERE id = $4',
+          ['refunded', 'void', 0, row.id]
+        );
+        if (premium > 0) {
+          await client.query(
+            'UPDATE bet_insurance SET status = $1 WHERE bet_id = $2 AND status = $3',
+            ['cancelled', row.id, 'active']
+          );
+        }
+        await this.refundBet(client, row.user_id, row.id, { stake, premium, total: stake + premium }, row.is_practice);
+        if (!row.is_practice) {
+          refunded.push({ userId: row.user_id, betId: row.id, amount: stake });
+        }
+      }
+
+      await client.query(
+        'UPDATE rounds SET phase = $1, end_time = COALESCE(end_time, NOW()), revealed_at = COALESCE(revealed_at, NOW()) WHERE id = $2',
+        [crashed ? 'settled' : 'void', round.id]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error recovering round ${round.id} from phase ${round.phase}:`, error);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    for (const bet of refunded) {
+      await this.revertBetSideEffects(bet.userId, bet.betId, bet.amount);
+    }
+
+    logger.warn(`Recovered round ${round.id} from phase ${round.phase}: ${crashed ? 'settled' : 'voided and refunded'} its open bets`);
+  }
+
+  // Reload the bets queued for this room's next round, which only the previous process held in memory
+  async restoreQueuedBets() {
+    const result = await db.query(
+      `SELECT b.id, b.user_id, b.amount, b.timestamp, b.client_seed, b.auto_cashout_at, b.is_practice, u.username,
+              bi.insurance_type, bi.premium_amount, bi.coverage_rate, bi.coverage_amount, bi.games_count, bi.games_remaining
+       FROM bets b
+       JOIN users u ON u.id = b.user_id
+       LEFT JOIN bet_insurance bi ON bi.bet_id = b.id AND bi.status = 'active'
+       WHERE b.status = 'queued' AND b.room_id = $1
+       ORDER BY b.id`,
+      [this.roomId]
+    );
+
+    result.rows.forEach(row => {
+      this.queuedBets.set(row.id, {
+        userId: row.user_id,
+        roomId: this.roomId,
+        roundId: null,
+        amount: parseFloat(row.amount),
+        timestamp: new Date(row.timestamp).getTime(),
+        cashoutMultiplier: null,
+        username: row.username,
+        betId: row.id,
+        clientSeed: row.client_seed,
+        autoCashoutAt: row.auto_cashout_at !== null ? parseFloat(row.auto_cashout_at) : null,
+        insurance: row.insurance_type ? {
+          insuranceType: row.insurance_type,
+          coverageRate: parseFloat(row.coverage_rate),
+          totalPremium: parseFloat(row.premium_amount),
+          totalCoverage: parseFloat(row.coverage_amount),
+          gamesCount: row.games_count,
+          gamesRemaining: row.games_remaining
+        } : null,
+        practice: row.is_practice === true,
+        queued: true
+      });
+    });
+
+    if (result.rows.length > 0) {
+      logger.info(`Restored ${result.rows.length} queued bets for the next ${this.roomId} round`);
     }
   }
 
   // Get house advantage statistics for profitability monitoring
   getHouseAdvantageStats() {
-    // Return empty stats to avoid excessive calculations
+    const targetRtp = this.rtpConfig.targetRtp;
+    // Practice bets are play money and carry no house advantage
+    const realBets = Array.from(this.activeBets.values()).filter(bet => !bet.practice);
+    const totalBetAmount = realBets.reduce((sum, bet) => sum + parseFloat(bet.amount), 0);
+
     return {
-      totalBetAmount: 0,
-      highValueBets: 0,
-      mediumValueBets: 0,
-      lowValueBets: 0,
-      crashProbability: 0.87,
-      adjustedProbability: 0.87,
-      houseAdvantage: 0,
-      expectedProfit: 0,
-      activeBets: this.activeBets.size
+      rtpConfigVersion: this.rtpConfig.version,
+      model: this.rtpConfig.model,
+      targetRtp,
+      maxMultiplier: this.rtpConfig.maxMultiplier,
+      houseAdvantage: targetRtp !== null ? 1 - targetRtp : null,
+      totalBetAmount,
+      expectedProfit: targetRtp !== null ? totalBetAmount * (1 - targetRtp) : null,
+      activeBets: realBets.length
     };
   }
 
   // Get performance metrics for monitoring
   getPerformanceMetrics() {
-    const now = Date.now();
+    const now = this.clock.now();
     const currentRoundDuration = this.roundStartTime ? now - this.roundStartTime : 0;
     
     return {
@@ -728,7 +1576,9 @@ class GameEngine {
   // Update Redis game state (with fallback and caching)
   async updateRedisGameState() {
     const gameState = {
+      roomId: this.roomId,
       roundId: this.roundId,
+      roundNumber: this.roundNumber,
       currentRound: this.currentRound,
       gameState: this.gameState,
       multiplier: this.multiplier,
@@ -738,27 +1588,34 @@ class GameEngine {
       activeBets: Array.from(this.activeBets.entries()),
       crashPoint: this.crashPoint,
       serverSeed: this.serverSeed,
+      serverSeedHash: this.serverSeedHash,
+      baseClientSeed: this.baseClientSeed,
       clientSeed: this.clientSeed,
       nonce: this.nonce,
+      seedChainId: this.seedChainId,
+      rtpConfigVersion: this.rtpConfig.version,
       roundStartTime: this.roundStartTime,
-      lastUpdateTime: this.lastUpdateTime,
-      houseAdvantageStats: this.getHouseAdvantageStats()
+      runningStartTime: this.runningStartTime,
+      curve: this.curve,
+      lagCompensationMs: this.lagCompensationMs,
+      lastUpdateTime: this.lastUpdateTime
     };
 
     // Cache in memory for faster access
     this._cachedGameState = gameState;
-    this._cacheTimestamp = Date.now();
+    this._cacheTimestamp = this.clock.now();
 
     try {
       if (this.redisAvailable) {
-        await redisClient.set('game_state', JSON.stringify(gameState), 'EX', 60); // 60 second expiry
+        await redisClient.set(`game_state:${this.roomId}`, JSON.stringify(gameState), 60); // 60 second expiry
         
-        // Store individual keys for admin dashboard
-        await redisClient.set('game:state', this.gameState, 'EX', 60);
-        await redisClient.set('game:currentRound', this.currentRound?.toString() || '0', 'EX', 60);
-        await redisClient.set('game:crashPoint', this.crashPoint?.toString() || '1.0', 'EX', 60);
-        await redisClient.set('game:multiplier', this.multiplier?.toString() || '1.0', 'EX', 60);
-        await redisClient.set('game:paused', 'false', 'EX', 60);
+        // Store individual keys for the admin dashboard, per room
+        await redisClient.set(`game:${this.roomId}:state`, this.gameState, 60);
+        await redisClient.set(`game:${this.roomId}:currentRound`, this.currentRound?.toString() || '0', 60);
+        await redisClient.set(`game:${this.roomId}:crashPoint`, this.crashPoint?.toString() || '1.0', 60);
+        await redisClient.set(`game:${this.roomId}:multiplier`, this.multiplier?.toString() || '1.0', 60);
+        await redisClient.set(`game:${this.roomId}:paused`, 'false', 60);
+        await redisClient.set(`game:${this.roomId}:risk`, JSON.stringify(this.getRiskStats()), 60);
       }
     } catch (error) {
       logger.warn('Redis not available, using in-memory state only');
@@ -766,24 +1623,56 @@ class GameEngine {
     }
   }
 
+  // House exposure and advantage of the round. Only the admin risk endpoints serve them, never the public game state.
+  getRiskStats() {
+    return { liability: this.getLiabilityStats(), houseAdvantageStats: this.getHouseAdvantageStats() };
+  }
+
+  // Risk stats of the room, from the leader's Redis snapshot when there is one
+  async getRiskState() {
+    try {
+      if (this.redisAvailable) {
+        const snapshot = await redisClient.get(`game:${this.roomId}:risk`);
+        if (snapshot) {
+          return JSON.parse(snapshot);
+        }
+      }
+    } catch (error) {
+      logger.warn('Redis not available, using in-memory risk stats');
+      this.redisAvailable = false;
+    }
+    return this.getRiskStats();
+  }
+
+  // Strip round secrets from a state snapshot until the round has crashed (commit-reveal) and stamp the server time
+  toPublicGameState(state) {
+    const publicState = { ...state, serverTime: this.clock.now() };
+    const revealed = publicState.gameState === 'crashed' || publicState.gameState === 'results';
+    if (!revealed) {
+      delete publicState.crashPoint;
+      delete publicState.serverSeed;
+    }
+    return publicState;
+  }
+
   // Get current game state - OPTIMIZED WITH CACHING AND FRONTEND SYNC
   async getGameState() {
-    const now = Date.now();
+    const now = this.clock.now();
     
     // Use cached state if it's fresh (less than 100ms old)
     if (this._cachedGameState && (now - this._cacheTimestamp) < 100) {
-      return this._cachedGameState;
+      return this.toPublicGameState(this._cachedGameState);
     }
     
     try {
       if (this.redisAvailable) {
-        const redisState = await redisClient.get('game_state');
+        const redisState = await redisClient.get(`game_state:${this.roomId}`);
         if (redisState) {
           const parsedState = JSON.parse(redisState);
           // Update cache
           this._cachedGameState = parsedState;
           this._cacheTimestamp = now;
-          return parsedState;
+          return this.toPublicGameState(parsedState);
         }
       }
     } catch (error) {
@@ -795,18 +1684,23 @@ class GameEngine {
     const roundTime = this.roundStartTime ? now - this.roundStartTime : 0;
     
     const gameState = {
+      roomId: this.roomId,
       roundId: this.roundId,
+      roundNumber: this.roundNumber,
       gameState: this.gameState,
       multiplier: this.multiplier,
       integrity: this.integrity,
       specialBlock: this.specialBlock,
       activePlayers: Array.from(this.activePlayers),
       activeBets: Array.from(this.activeBets.entries()),
-      crashPoint: this.crashPoint, // ✅ CRITICAL: Frontend needs this!
+      crashPoint: this.crashPoint, // Only exposed once the round has crashed
+      serverSeedHash: this.serverSeedHash,
       roundTime: roundTime,
+      runningStartTime: this.runningStartTime,
+      curve: this.curve,
+      lagCompensationMs: this.lagCompensationMs,
       connectedPlayers: this.activePlayers.size,
       currentRound: this.roundId,
-      houseAdvantageStats: this.getHouseAdvantageStats(),
       // Additional fields for frontend compatibility
       state: this.gameState, // Frontend expects both gameState and state
       round: this.roundId,   // Frontend expects both roundId and round
@@ -818,16 +1712,18 @@ class GameEngine {
     this._cachedGameState = gameState;
     this._cacheTimestamp = now;
     
-    return gameState;
+    return this.toPublicGameState(gameState);
   }
 
-  // Get round history with win/loss information
-  async getRoundHistory(limit = 10, userId = null) {
+  // Get round history with win/loss information, across all rooms unless one is given
+  async getRoundHistory(limit = 10, userId = null, roomId = null) {
     if (userId) {
       // Get user-specific round history
       const result = await db.query(
         `SELECT 
           r.id as round_id,
+          r.room_id,
+          r.round_number,
           r.crash_point,
           r.timestamp,
           rr.result,
@@ -837,28 +1733,196 @@ class GameEngine {
           rr.winnings
         FROM rounds r
         LEFT JOIN round_results rr ON r.id = rr.round_id AND rr.user_id = $1
+        WHERE ($3::varchar IS NULL OR r.room_id = $3)
         ORDER BY r.timestamp DESC 
         LIMIT $2`,
-        [userId, limit]
+        [userId, limit, roomId]
       );
       return result.rows;
     } else {
       // Get general round history
       const result = await db.query(
-        'SELECT id, crash_point, timestamp FROM rounds ORDER BY timestamp DESC LIMIT $1',
-        [limit]
+        'SELECT id, room_id, round_number, crash_point, timestamp FROM rounds WHERE ($2::varchar IS NULL OR room_id = $2) ORDER BY timestamp DESC LIMIT $1',
+        [limit, roomId]
       );
       return result.rows;
     }
   }
 
-  // Verify provably fair result
-  verifyCrashPoint(serverSeed, clientSeed, nonce) {
-    const combined = serverSeed + clientSeed + nonce.toString();
-    const hash = crypto.createHash('sha256').update(combined).digest('hex');
-    const decimal = parseInt(hash.substring(0, 8), 16);
-    const crashPoint = (decimal % 10000) / 1000 + 1;
-    return parseFloat(crashPoint.toFixed(2));
+  // Settled results of a player (one result per round played), across all rooms unless one is given
+  async getUserStats(userId, roomId = null) {
+    const result = await db.query(
+      `SELECT
+        COUNT(*) AS rounds_played,
+        COUNT(CASE WHEN rr.result = 'win' THEN 1 END) AS wins,
+        COUNT(CASE WHEN rr.result = 'loss' THEN 1 END) AS losses,
+        COALESCE(SUM(rr.bet_amount), 0) AS total_wagered,
+        COALESCE(SUM(rr.winnings), 0) AS total_winnings,
+        COALESCE(MAX(rr.cashout_multiplier), 0) AS best_multiplier
+      FROM round_results rr
+      JOIN rounds r ON r.id = rr.round_id
+      WHERE rr.user_id = $1 AND ($2::varchar IS NULL OR r.room_id = $2)`,
+      [userId, roomId]
+    );
+
+    const row = result.rows[0];
+    const roundsPlayed = parseInt(row.rounds_played) || 0;
+    const wins = parseInt(row.wins) || 0;
+    const totalWagered = parseFloat(row.total_wagered) || 0;
+    const totalWinnings = parseFloat(row.total_winnings) || 0;
+
+    return {
+      roomId,
+      roundsPlayed,
+      wins,
+      losses: parseInt(row.losses) || 0,
+      winRate: roundsPlayed > 0 ? Math.round((wins / roundsPlayed) * 10000) / 100 : 0,
+      totalWagered,
+      totalWinnings,
+      netProfit: totalWinnings - totalWagered,
+      bestMultiplier: parseFloat(row.best_multiplier) || 0
+    };
+  }
+
+  // Verify provably fair result (recomputes the crash point exactly as the round did)
+  verifyCrashPoint(serverSeed, clientSeed, nonce, rtpConfig = this.rtpConfig) {
+    return this.calculateCrashPoint(serverSeed, clientSeed, nonce, rtpConfig);
+  }
+
+  // Verify a finished round against its published commitment
+  async verifyRound(roundId) {
+    const result = await db.query(
+      'SELECT id, room_id, round_number, phase, crash_point, server_seed, server_seed_hash, base_client_seed, client_seed, client_seed_contributions, nonce, seed_chain_id, chain_index, rtp_config_id, multiplier_curve, end_time FROM rounds WHERE id = $1',
+      [roundId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Round not found');
+    }
+
+    const round = result.rows[0];
+    if (!round.end_time) {
+      throw new Error('Round has not finished yet - server seed not revealed');
+    }
+
+    // A voided round never crashed and its bets were refunded: there is no outcome to check the seeds against
+    if (round.phase === 'void') {
+      return {
+        roundId: round.id,
+        roomId: round.room_id,
+        roundNumber: round.round_number,
+        voided: true,
+        crashPoint: null,
+        verified: false,
+        message: 'Round voided - it never crashed, so it has no outcome to verify'
+      };
+    }
+
+    // Rebuild the final client seed from the base seed and the seeds of the round's bettors
+    const contributions = typeof round.client_seed_contributions === 'string'
+      ? JSON.parse(round.client_seed_contributions)
+      : (round.client_seed_contributions || []);
+    const recomputedClientSeed = round.base_client_seed
+      ? this.mixClientSeeds(round.base_client_seed, contributions.map(c => c.clientSeed))
+      : round.client_seed;
+
+    // Recompute under the config version the round was played with
+    const rtpConfig = round.rtp_config_id
+      ? await rtpConfigService.getConfig(round.rtp_config_id)
+      : rtpConfigService.defaultConfig();
+
+    const recomputedHash = this.hashServerSeed(round.server_seed);
+    const recomputedCrashPoint = this.verifyCrashPoint(round.server_seed, recomputedClientSeed, round.nonce, rtpConfig);
+    const crashPoint = parseFloat(round.crash_point);
+    const hashMatches = recomputedHash === round.server_seed_hash;
+    const clientSeedMatches = recomputedClientSeed === round.client_seed;
+    const crashPointMatches = recomputedCrashPoint === crashPoint;
+
+    // Hash-chain rounds must also walk back to the chain's published anchor
+    let chain = null;
+    if (round.seed_chain_id) {
+      chain = await seedChainService.verifyRoundSeed(round.seed_chain_id, round.chain_index, round.server_seed);
+    }
+    const chainMatches = chain ? chain.anchorMatches && chain.previousSeedMatches !== false : true;
+
+    // Rounds played with special blocks: the blocks must follow from the seeds and be the ones the curve was played with
+    const curve = typeof round.multiplier_curve === 'string' ? JSON.parse(round.multiplier_curve) : round.multiplier_curve;
+    let specialBlocks = null;
+    let specialBlocksMatch = null;
+    if (curve && curve.specialBlocks) {
+      const { effects = [], ...baseCurve } = curve;
+      specialBlocks = specialBlockService.scheduleBlocks(
+        { serverSeed: round.server_seed, clientSeed: recomputedClientSeed, nonce: round.nonce }, recomputedCrashPoint, baseCurve
+      );
+      const recomputedEffects = specialBlockService.applyEffects(baseCurve, specialBlocks).effects || [];
+      specialBlocksMatch = JSON.stringify(recomputedEffects) === JSON.stringify(effects);
+    }
+
+    return {
+      roundId: round.id,
+      roomId: round.room_id,
+      roundNumber: round.round_number,
+      serverSeed: round.server_seed,
+      serverSeedHash: round.server_seed_hash,
+      baseClientSeed: round.base_client_seed,
+      clientSeedContributions: contributions,
+      clientSeed: round.client_seed,
+      nonce: Number(round.nonce),
+      rtpConfig: {
+        version: rtpConfig.version,
+        model: rtpConfig.model,
+        targetRtp: rtpConfig.targetRtp,
+        maxMultiplier: rtpConfig.maxMultiplier,
+        params: rtpConfig.params
+      },
+      crashPoint,
+      recomputedHash,
+      recomputedClientSeed,
+      recomputedCrashPoint,
+      hashMatches,
+      clientSeedMatches,
+      crashPointMatches,
+      chain,
+      specialBlocks,
+      specialBlocksMatch,
+      voided: false,
+      verified: hashMatches && clientSeedMatches && crashPointMatches && chainMatches && specialBlocksMatch !== false
+    };
+  }
+
+  // Timeline of a settled round, for the replay viewer and dispute handling
+  async getRoundReplay(roundId) {
+    const result = await db.query(
+      'SELECT id, room_id, round_number, crash_point, server_seed_hash, multiplier_curve, end_time, timeline FROM rounds WHERE id = $1',
+      [roundId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Round not found');
+    }
+
+    const round = result.rows[0];
+    if (!round.end_time) {
+      throw new Error('Round has not finished yet');
+    }
+    if (!round.timeline) {
+      throw new Error(`No replay recorded for round ${roundId}`);
+    }
+
+    const parse = value => (typeof value === 'string' ? JSON.parse(value) : value);
+    const timeline = parse(round.timeline);
+
+    return {
+      roundId: round.id,
+      roomId: round.room_id,
+      roundNumber: round.round_number,
+      crashPoint: parseFloat(round.crash_point),
+      serverSeedHash: round.server_seed_hash,
+      curve: parse(round.multiplier_curve),
+      startedAt: new Date(timeline.startedAt).toISOString(),
+      endedAt: round.end_time,
+      events: timeline.events
+    };
   }
 
   // Initialize game engine
@@ -868,30 +1932,61 @@ class GameEngine {
       try {
         await redisClient.ping();
         this.redisAvailable = true;
-        await redisClient.del('game_state');
+        await redisClient.del(`game_state:${this.roomId}`);
         logger.info('Redis connection established');
       } catch (error) {
         logger.warn('Redis not available, using in-memory state only');
         this.redisAvailable = false;
       }
 
+      // Load (or publish) the hash chain before the first round consumes it
+      if (this.seedMode === 'chain') {
+        await seedChainService.initialize();
+      }
+
+      // Load (or publish) the RTP config version new rounds are played under
+      await rtpConfigService.initialize();
+
+      // Settle or refund whatever a previous process left mid-round before a new round opens
+      await this.recoverUnsettledRounds();
+
       // Start first round
       await this.startNewRound();
 
-      logger.info('Game engine initialized successfully with house advantage system');
+      logger.info(`Game engine for room ${this.roomId} initialized successfully with RTP config v${this.rtpConfig.version}`);
     } catch (error) {
       logger.error('Error initializing game engine:', error);
       throw error;
     }
   }
 
+  // Schedule the next phase of the round. Only one is ever pending: a round started early drops the old round's next phase,
+  // and stopping the engine has a single timer to clear.
+  scheduleRoundStep(step, ms) {
+    if (this.roundTimer) {
+      this.scheduler.clearTimeout(this.roundTimer);
+    }
+    this.roundTimer = this.scheduler.setTimeout(step, ms);
+  }
+
+  // Whether the engine was stopped since a round step captured `epoch`. A step that is past an await when the
+  // engine stops (on losing leadership) checks this before writing or scheduling anything else.
+  stoppedSince(epoch) {
+    if (this.epoch === epoch) {
+      return false;
+    }
+    logger.warn(`Room ${this.roomId} stopped during round ${this.roundId}, abandoning the rest of the round step`);
+    return true;
+  }
+
   // Cleanup
   cleanup() {
+    this.epoch += 1;
     if (this.roundTimer) {
-      clearTimeout(this.roundTimer);
+      this.scheduler.clearTimeout(this.roundTimer);
     }
     if (this.gameLoop) {
-      clearInterval(this.gameLoop);
+      this.scheduler.clearInterval(this.gameLoop);
     }
   }
 }
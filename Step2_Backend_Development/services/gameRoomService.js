@@ -0,0 +1,99 @@
+// Runs one game engine per room. Rooms play concurrently with their own bet limits, phase timings, RTP config and
+// round sequence (config/rooms.js); clients follow a room through its Socket.IO room `room:<id>`.
+// Rooms in chain seed mode draw their seeds from the same hash chain, each round claiming the next link.
+
+const gameRooms = require('../config/rooms');
+const logger = require('../utils/logger');
+const gameEngine = require('./gameEngine');
+const riskService = require('./riskService');
+
+class GameRoomService {
+  constructor() {
+    this.defaultRoomId = gameRooms.DEFAULT_ROOM_ID;
+    this.rooms = gameRooms.rooms;
+    this.engines = new Map(); // roomId -> GameEngine
+    this.rooms.forEach(room => {
+      this.engines.set(room.id, room.id === this.defaultRoomId ? gameEngine : new gameEngine.constructor(room));
+    });
+  }
+
+  // Room id from a request; a missing id means the default room
+  resolveRoomId(roomId) {
+    if (roomId === undefined || roomId === null || roomId === '') {
+      return this.defaultRoomId;
+    }
+    if (!this.engines.has(roomId)) {
+      throw new Error(`Room not found: ${roomId}`);
+    }
+    return roomId;
+  }
+
+  // Room filter from a query string: no room means every room (null)
+  resolveRoomFilter(roomId) {
+    if (roomId === undefined || roomId === null || roomId === '') {
+      return null;
+    }
+    return this.resolveRoomId(roomId);
+  }
+
+  getEngine(roomId) {
+    return this.engines.get(this.resolveRoomId(roomId));
+  }
+
+  getEngines() {
+    return Array.from(this.engines.values());
+  }
+
+  setIo(io) {
+    this.getEngines().forEach(engine => engine.setIo(io));
+  }
+
+  // Followers serve the leader's state snapshots from Redis
+  setRedisAvailable(available) {
+    this.getEngines().forEach(engine => {
+      engine.redisAvailable = available;
+    });
+  }
+
+  // Start every room, one after the other so they do not race to publish the first seed chain or RTP config
+  async initialize() {
+    for (const engine of this.getEngines()) {
+      await engine.initialize();
+    }
+    logger.info(`Game rooms running: ${this.rooms.map(room => room.id).join(', ')}`);
+  }
+
+  cleanup() {
+    this.getEngines().forEach(engine => engine.cleanup());
+  }
+
+  // Room definitions with their live status
+  async getRooms() {
+    return Promise.all(this.rooms.map(async room => {
+      const engine = this.engines.get(room.id);
+      const state = await engine.getGameState();
+      return {
+        id: room.id,
+        name: room.name,
+        minBet: room.minBet,
+        maxBet: room.maxBet,
+        ...riskService.getLimits(room),
+        waitingMs: room.waitingMs,
+        crashedMs: room.crashedMs,
+        resultsMs: room.resultsMs,
+        rtpConfigVersion: state.rtpConfigVersion !== undefined ? state.rtpConfigVersion : engine.rtpConfig.version,
+        default: room.id === this.defaultRoomId,
+        status: {
+          roundId: state.roundId,
+          roundNumber: state.roundNumber,
+          gameState: state.gameState,
+          multiplier: state.multiplier,
+          activePlayers: Array.isArray(state.activePlayers) ? state.activePlayers.length : 0,
+          activeBets: Array.isArray(state.activeBets) ? state.activeBets.length : 0
+        }
+      };
+    }));
+  }
+}
+
+module.exports = new GameRoomService();
@@ -0,0 +1,504 @@
+const crypto = require('crypto');
+const express = require('express');
+
+// Local stand-in for the MTN MoMo Collection/Disbursement API, the Orange Money API (merchant payments and cash-in)
+// and the bank API, so the whole payment lifecycle can run offline. Requests are accepted the way the real APIs
+// accept them - as pending - and settled later by a signed callback to the webhook the request named.
+//
+// Outcomes follow scripted scenarios, matched in order against the gateway, operation and phone number/account of
+// each request; requests no scenario matches succeed:
+//   success  - accepted, then a completed callback
+//   failed   - accepted, then a failed callback with `reason`
+//   pending  - accepted and never settled, like a callback that never arrives (settle it through the control API)
+//   error    - rejected with HTTP `httpStatus` (500 by default)
+//   timeout  - answered only after `delayMs`, long enough for the client to give up; then settled as a success
+// `callbackDelayMs` delays the callback and `duplicates` delivers it that many more times, as gateways redeliver.
+//
+// Callbacks carry X-Event-Id, X-Gateway-Timestamp, X-Gateway-Nonce and, when the gateway has a secret,
+// X-Gateway-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<nonce>.<body>">. Undelivered callbacks are retried
+// `callbackAttempts` times, each attempt signed afresh with the same event ID; replay() resends a delivery as it was.
+
+const OUTCOMES = ['success', 'failed', 'pending', 'error', 'timeout'];
+
+// Status names of each API
+const STATUS_NAMES = {
+  mtn: { pending: 'PENDING', completed: 'SUCCESSFUL', failed: 'FAILED' },
+  // Orange spells it this way
+  orange: { pending: 'PENDING', completed: 'SUCCESSFULL', failed: 'FAILED' },
+  bank: { pending: 'pending', completed: 'completed', failed: 'failed' }
+};
+
+const DEFAULT_REASONS = {
+  mtn: 'PAYER_LIMIT_REACHED',
+  orange: 'Solde insuffisant',
+  bank: 'Account closed'
+};
+
+const ORANGE_API = '/omcoreapis/1.0.2';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class GatewaySimulator {
+  constructor(options = {}) {
+    // Base URL of the backend the default callbacks go to (requests may name their own callback URL)
+    this.callbackBaseUrl = options.callbackBaseUrl || 'http://localhost:3001';
+    this.secrets = options.secrets || {};
+    this.callbackDelayMs = options.callbackDelayMs ?? 500;
+    this.callbackAttempts = options.callbackAttempts ?? 3;
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    this.transactions = new Map(); // id -> transaction
+    this.scenarios = [];
+    this.callbacks = []; // delivery log, oldest first
+    this.tokens = new Set();
+    this.inFlight = new Set(); // promises of callbacks being delivered
+    this.server = null;
+    this.app = this.createApp();
+  }
+
+  // Queue a scenario; returns it so a test can check how often it was used
+  script(scenario) {
+    const outcome = scenario.outcome || 'success';
+    if (!OUTCOMES.includes(outcome)) {
+      throw new Error(`Unknown outcome: ${outcome}`);
+    }
+    const scripted = { times: 1, ...scenario, outcome, used: 0 };
+    this.scenarios.push(scripted);
+    return scripted;
+  }
+
+  reset() {
+    this.transactions.clear();
+    this.scenarios = [];
+    this.callbacks = [];
+  }
+
+  // Take the first scenario that matches a request
+  pickScenario(gateway, operation, party) {
+    const scenario = this.scenarios.find(s => s.used < s.times &&
+      (!s.gateway || s.gateway === gateway) &&
+      (!s.operation || s.operation === operation) &&
+      (!s.party || s.party === party));
+    if (!scenario) {
+      return { outcome: 'success' };
+    }
+    scenario.used += 1;
+    return scenario;
+  }
+
+  // Record a request and schedule its settlement; resolves once the API should answer, null when it should fail
+  async accept(transaction) {
+    const scenario = this.pickScenario(transaction.gateway, transaction.operation, transaction.party);
+    if (scenario.outcome === 'error') {
+      return { error: scenario.httpStatus || 500, message: scenario.reason || 'Internal server error' };
+    }
+
+    const record = {
+      ...transaction,
+      status: 'pending',
+      reason: null,
+      financialTransactionId: String(Math.floor(1e9 + Math.random() * 9e9)),
+      createdAt: new Date().toISOString()
+    };
+    this.transactions.set(record.id, record);
+
+    if (scenario.outcome === 'timeout') {
+      const delay = sleep(scenario.delayMs ?? 30000);
+      this.track(delay);
+      await delay;
+    }
+    if (scenario.outcome !== 'pending') {
+      const status = scenario.outcome === 'failed' ? 'failed' : 'completed';
+      const reason = status === 'failed' ? scenario.reason || DEFAULT_REASONS[record.gateway] : null;
+      this.track(sleep(scenario.callbackDelayMs ?? this.callbackDelayMs)
+        .then(() => this.settle(record.id, status, { reason, duplicates: scenario.duplicates || 0 })));
+    }
+    return { transaction: record };
+  }
+
+  // Settle a transaction and send its callback
+  async settle(id, status, { reason = null, duplicates = 0 } = {}) {
+    const record = this.transactions.get(id);
+    if (!record) {
+      throw new Error(`Transaction not found: ${id}`);
+    }
+    if (record.status !== 'pending') {
+      throw new Error(`Transaction ${id} is already ${record.status}`);
+    }
+    record.status = status;
+    record.reason = reason;
+
+    const eventId = `evt_${crypto.randomUUID()}`;
+    for (let i = 0; i <= duplicates; i++) {
+      await this.deliver(record, eventId);
+    }
+    return record;
+  }
+
+  // POST the callback of a settled transaction, retrying until the webhook answers 2xx
+  async deliver(record, eventId) {
+    if (!record.callbackUrl) {
+      return;
+    }
+    const body = JSON.stringify(this.callbackBody(record, eventId));
+
+    for (let attempt = 1; attempt <= this.callbackAttempts; attempt++) {
+      const delivery = {
+        transactionId: record.id,
+        eventId,
+        url: record.callbackUrl,
+        body: JSON.parse(body),
+        raw: body,
+        headers: this.signedHeaders(record.gateway, eventId, body),
+        attempt
+      };
+      if (await this.post(delivery)) {
+        return;
+      }
+      if (attempt < this.callbackAttempts) {
+        await sleep(this.retryDelayMs);
+      }
+    }
+  }
+
+  signedHeaders(gateway, eventId, body) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const nonce = crypto.randomUUID();
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Event-Id': eventId,
+      'X-Gateway-Timestamp': timestamp,
+      'X-Gateway-Nonce': nonce
+    };
+    if (this.secrets[gateway]) {
+      const signature = crypto.createHmac('sha256', this.secrets[gateway]).update(`${timestamp}.${nonce}.${body}`).digest('hex');
+      headers['X-Gateway-Signature'] = `sha256=${signature}`;
+    }
+    return headers;
+  }
+
+  // Send a delivery and log it; resolves to whether the webhook answered 2xx
+  async post(delivery) {
+    this.callbacks.push(delivery);
+    try {
+      const response = await fetch(delivery.url, { method: 'POST', headers: delivery.headers, body: delivery.raw });
+      delivery.status = response.status;
+      return response.ok;
+    } catch (error) {
+      delivery.error = error.message;
+      return false;
+    }
+  }
+
+  // Resend a logged delivery byte for byte, headers included, as an attacker who captured it would
+  replay(index) {
+    const delivery = this.callbacks[index];
+    if (!delivery) {
+      throw new Error(`Callback not found: ${index}`);
+    }
+    const replayed = { ...delivery, replayOf: index, status: undefined, error: undefined };
+    return this.post(replayed).then(() => replayed);
+  }
+
+  // Callback payload in the gateway's own format
+  callbackBody(record, eventId) {
+    switch (record.gateway) {
+      case 'mtn':
+        return this.mtnView(record);
+      case 'orange':
+        return {
+          payToken: record.id,
+          orderId: record.reference,
+          txnid: record.status === 'completed' ? `MP${record.financialTransactionId}` : null,
+          status: STATUS_NAMES.orange[record.status],
+          amount: record.amount,
+          message: record.reason || 'Transaction completed'
+        };
+      default:
+        return {
+          type: record.operation,
+          eventId,
+          reference: record.reference,
+          transactionId: record.id,
+          status: record.status,
+          reason: record.reason
+        };
+    }
+  }
+
+  mtnView(record) {
+    const view = {
+      amount: String(record.amount),
+      currency: record.currency,
+      financialTransactionId: record.status === 'completed' ? record.financialTransactionId : undefined,
+      externalId: record.reference,
+      [record.operation === 'payout' ? 'payee' : 'payer']: { partyIdType: 'MSISDN', partyId: record.party },
+      status: STATUS_NAMES.mtn[record.status]
+    };
+    if (record.reason) {
+      view.reason = record.reason;
+    }
+    return view;
+  }
+
+  orangeView(record) {
+    return {
+      id: record.numericId,
+      payToken: record.id,
+      orderId: record.reference,
+      amount: record.amount,
+      subscriberMsisdn: record.party,
+      txnid: record.status === 'completed' ? `MP${record.financialTransactionId}` : null,
+      status: STATUS_NAMES.orange[record.status],
+      inittxnmessage: record.reason
+    };
+  }
+
+  track(promise) {
+    const tracked = promise.catch(() => {}).finally(() => this.inFlight.delete(tracked));
+    this.inFlight.add(tracked);
+  }
+
+  // Resolves once every scheduled callback has been delivered
+  async idle() {
+    while (this.inFlight.size > 0) {
+      await Promise.all([...this.inFlight]);
+      // Let requests that were waiting on them schedule their callbacks
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  issueToken() {
+    const token = crypto.randomBytes(24).toString('hex');
+    this.tokens.add(token);
+    return token;
+  }
+
+  hasToken(req) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    return scheme === 'Bearer' && this.tokens.has(token);
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+    app.use((req, res, next) => {
+      req.body = req.body || {};
+      next();
+    });
+
+    const hasBasicAuth = (req) => (req.get('Authorization') || '').startsWith('Basic ');
+    const sendResult = (res, result, send) => (result.error
+      ? res.status(result.error).json({ message: result.message })
+      : send(result.transaction));
+
+    // MTN MoMo: token, request to pay (collection) and transfer (disbursement)
+    for (const product of ['collection', 'disbursement']) {
+      app.post(`/${product}/token/`, (req, res) => {
+        if (!hasBasicAuth(req) || !req.get('Ocp-Apim-Subscription-Key')) {
+          return res.status(401).json({ error: 'Access denied due to invalid subscription key or credentials' });
+        }
+        res.json({ access_token: this.issueToken(), token_type: 'access_token', expires_in: 3600 });
+      });
+    }
+
+    const mtnRequest = (operation, partyField) => async (req, res) => {
+      if (!this.hasToken(req)) {
+        return res.status(401).json({ code: 'INVALID_TOKEN', message: 'Access token is invalid' });
+      }
+      const referenceId = req.get('X-Reference-Id');
+      const party = req.body[partyField]?.partyId;
+      if (!referenceId || !party || !(parseFloat(req.body.amount) > 0)) {
+        return res.status(400).json({ code: 'INVALID_REQUEST', message: 'X-Reference-Id, amount and party are required' });
+      }
+      if (this.transactions.has(referenceId)) {
+        return res.status(409).json({ code: 'RESOURCE_ALREADY_EXIST', message: 'Duplicated reference id' });
+      }
+
+      const result = await this.accept({
+        id: referenceId,
+        gateway: 'mtn',
+        operation,
+        amount: parseFloat(req.body.amount),
+        currency: req.body.currency,
+        reference: req.body.externalId,
+        party,
+        callbackUrl: req.get('X-Callback-Url') || `${this.callbackBaseUrl}/api/payment/webhook/mtn`
+      });
+      sendResult(res, result, () => res.status(202).end());
+    };
+
+    const mtnStatus = (operation) => (req, res) => {
+      if (!this.hasToken(req)) {
+        return res.status(401).json({ code: 'INVALID_TOKEN', message: 'Access token is invalid' });
+      }
+      const record = this.transactions.get(req.params.referenceId);
+      if (!record || record.gateway !== 'mtn' || record.operation !== operation) {
+        return res.status(404).json({ code: 'RESOURCE_NOT_FOUND', message: 'Requested resource was not found' });
+      }
+      res.json(this.mtnView(record));
+    };
+
+    app.post('/collection/v1_0/requesttopay', mtnRequest('payment', 'payer'));
+    app.get('/collection/v1_0/requesttopay/:referenceId', mtnStatus('payment'));
+    app.post('/disbursement/v1_0/transfer', mtnRequest('payout', 'payee'));
+    app.get('/disbursement/v1_0/transfer/:referenceId', mtnStatus('payout'));
+
+    // Orange Money: token, then init + pay for merchant payments (mp) and cash-in
+    app.post('/token', (req, res) => {
+      if (!hasBasicAuth(req) || req.body.grant_type !== 'client_credentials') {
+        return res.status(401).json({ error: 'invalid_client' });
+      }
+      res.json({ access_token: this.issueToken(), token_type: 'Bearer', expires_in: 3600 });
+    });
+
+    const orangeAuthorized = (req, res) => {
+      if (!this.hasToken(req) || !req.get('X-AUTH-TOKEN')) {
+        res.status(401).json({ message: 'Invalid credentials' });
+        return false;
+      }
+      return true;
+    };
+
+    const pendingPayTokens = new Set();
+    for (const api of ['mp', 'cashin']) {
+      app.post(`${ORANGE_API}/${api}/init`, (req, res) => {
+        if (!orangeAuthorized(req, res)) return;
+        const payToken = `${api === 'mp' ? 'MP' : 'CI'}${Date.now()}${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+        pendingPayTokens.add(payToken);
+        res.json({ message: 'Payment request successfully initiated', data: { payToken } });
+      });
+
+      app.post(`${ORANGE_API}/${api}/pay`, async (req, res) => {
+        if (!orangeAuthorized(req, res)) return;
+        const { payToken, subscriberMsisdn, amount, orderId, notifUrl } = req.body;
+        if (!pendingPayTokens.delete(payToken)) {
+          return res.status(400).json({ message: 'Invalid or already used payToken' });
+        }
+        if (!subscriberMsisdn || !(parseFloat(amount) > 0) || !orderId) {
+          return res.status(400).json({ message: 'subscriberMsisdn, amount and orderId are required' });
+        }
+
+        const result = await this.accept({
+          id: payToken,
+          numericId: this.transactions.size + 1,
+          gateway: 'orange',
+          operation: api === 'mp' ? 'payment' : 'payout',
+          amount: parseFloat(amount),
+          currency: 'XAF',
+          reference: orderId,
+          party: subscriberMsisdn,
+          callbackUrl: notifUrl || `${this.callbackBaseUrl}/api/payment/webhook/orange`
+        });
+        sendResult(res, result, (record) => res.json({ message: 'Transaction pending', data: this.orangeView(record) }));
+      });
+
+      app.get(`${ORANGE_API}/${api}/paymentstatus/:payToken`, (req, res) => {
+        if (!orangeAuthorized(req, res)) return;
+        const record = this.transactions.get(req.params.payToken);
+        if (!record || record.gateway !== 'orange') {
+          return res.status(404).json({ message: 'Transaction not found' });
+        }
+        res.json({ message: 'Transaction status', data: this.orangeView(record) });
+      });
+    }
+
+    // Bank: collections (deposits) and payouts
+    const bankAuthorized = (req, res) => {
+      if (!(req.get('Authorization') || '').startsWith('Bearer ')) {
+        res.status(401).json({ error: 'Missing API key' });
+        return false;
+      }
+      return true;
+    };
+
+    for (const kind of ['collections', 'payouts']) {
+      app.post(`/bank/v1/${kind}`, async (req, res) => {
+        if (!bankAuthorized(req, res)) return;
+        const { amount, currency, accountNumber, bankCode, reference, callbackUrl } = req.body;
+        if (!accountNumber || !bankCode || !reference || !(parseFloat(amount) > 0)) {
+          return res.status(400).json({ error: 'amount, accountNumber, bankCode and reference are required' });
+        }
+
+        const result = await this.accept({
+          id: `BNK${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+          gateway: 'bank',
+          operation: kind === 'payouts' ? 'payout' : 'payment',
+          amount: parseFloat(amount),
+          currency: currency || 'XAF',
+          reference,
+          party: accountNumber,
+          callbackUrl: callbackUrl || `${this.callbackBaseUrl}/api/payment/webhook/bank`
+        });
+        sendResult(res, result, (record) => res.status(202).json({ id: record.id, reference, status: 'pending' }));
+      });
+
+      app.get(`/bank/v1/${kind}/:id`, (req, res) => {
+        if (!bankAuthorized(req, res)) return;
+        const record = this.transactions.get(req.params.id);
+        if (!record || record.gateway !== 'bank') {
+          return res.status(404).json({ error: 'Transfer not found' });
+        }
+        res.json({ id: record.id, reference: record.reference, status: record.status, reason: record.reason });
+      });
+    }
+
+    // Control API for scripts and tests
+    app.get('/_simulator/transactions', (req, res) => res.json([...this.transactions.values()]));
+    app.get('/_simulator/callbacks', (req, res) => res.json(this.callbacks));
+    app.post('/_simulator/callbacks/:index/replay', async (req, res) => {
+      try {
+        res.json(await this.replay(parseInt(req.params.index)));
+      } catch (error) {
+        res.status(404).json({ error: error.message });
+      }
+    });
+    app.post('/_simulator/scenarios', (req, res) => {
+      try {
+        res.status(201).json(this.script(req.body));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+    app.delete('/_simulator/scenarios', (req, res) => {
+      this.scenarios = [];
+      res.status(204).end();
+    });
+    app.post('/_simulator/transactions/:id/settle', async (req, res) => {
+      const { status = 'completed', reason = null, duplicates = 0 } = req.body;
+      if (!['completed', 'failed'].includes(status)) {
+        return res.status(400).json({ error: 'status must be completed or failed' });
+      }
+      try {
+        res.json(await this.settle(req.params.id, status, { reason, duplicates }));
+      } catch (error) {
+        res.status(error.message.includes('not found') ? 404 : 409).json({ error: error.message });
+      }
+    });
+    app.post('/_simulator/reset', (req, res) => {
+      this.reset();
+      res.status(204).end();
+    });
+
+    return app;
+  }
+
+  // Start listening; resolves to the base URL (port 0 picks a free port)
+  listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, () => resolve(`http://localhost:${this.server.address().port}`));
+      this.server.on('error', reject);
+    });
+  }
+
+  async close() {
+    await this.idle();
+    if (this.server) {
+      this.server.closeAllConnections();
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+}
+
+module.exports = GatewaySimulator;
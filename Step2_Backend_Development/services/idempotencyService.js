@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const redisClient = require('../redisClient');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{1,255}$/;
+
+// Hash of a request payload, so a reused key can be told apart from a genuine retry
+const fingerprint = (payload) => crypto.createHash('sha256').update(JSON.stringify(payload ?? null)).digest('hex');
+
+// Idempotency keys let clients retry bets, cash-outs, recharges and gateway webhooks safely. The first request
+// with a key runs and its result is stored (in Redis, or the in-memory fallback) for IDEMPOTENCY_TTL_SECONDS; a
+// repeat within that time gets the stored result back instead of running again. Only successful results are
+// stored: a request that failed can be retried with the same key.
+class IdempotencyService {
+  constructor() {
+    this.ttlSeconds = config.idempotency.ttlSeconds;
+    // How long a claimed key stays locked without renewal. The lock is renewed while its request runs, however long
+    // the gateways take, so this only bounds how long a key stays locked after the process running it died.
+    this.lockMs = config.idempotency.lockMs;
+    this.renewals = new Map(); // claim token -> timer renewing its lock
+  }
+
+  isValidKey(key) {
+    return typeof key === 'string' && KEY_PATTERN.test(key);
+  }
+
+  recordKey(scope, key) {
+    return `idempotency:${scope}:${key}`;
+  }
+
+  // Claim `key` in `scope` for a request with `payload`. Resolves to { replay: result } when the key already
+  // holds a result for the same payload, otherwise to { token } to pass to complete() or release().
+  async begin(scope, key, payload) {
+    if (!this.isValidKey(key)) {
+      throw new Error('Invalid idempotency key: use 1-255 letters, digits or . _ : -');
+    }
+
+    const recordKey = this.recordKey(scope, key);
+    const hash = fingerprint(payload);
+    const stored = await this.getRecord(recordKey, hash);
+    if (stored) {
+      return { replay: stored.result };
+    }
+
+    const token = crypto.randomUUID();
+    if (!await redisClient.acquireLock(`${recordKey}:lock`, token, this.lockMs)) {
+      // The first request may have finished between the two reads
+      const finished = await this.getRecord(recordKey, hash);
+      if (finished) {
+        return { replay: finished.result };
+      }
+      throw new Error('A request with this idempotency key is still being processed');
+    }
+    this.keepClaim(`${recordKey}:lock`, token);
+    return { token };
+  }
+
+  // Renew a claim's lock every third of its lifetime until complete(), release() or stopRenewing() ends the claim
+  keepClaim(lockKey, token) {
+    const timer = setInterval(() => {
+      redisClient.renewLock(lockKey, token, this.lockMs)
+        .then(renewed => {
+          if (!renewed) {
+            logger.warn(`Idempotency lock ${lockKey} expired while its request was running`);
+            this.stopRenewing(token);
+          }
+        })
+        .catch(error => logger.error(`Error renewing idempotency lock ${lockKey}:`, error));
+    }, Math.floor(this.lockMs / 3));
+    this.renewals.set(token, timer);
+  }
+
+  stopRenewing(token) {
+    clearInterval(this.renewals.get(token));
+    this.renewals.delete(token);
+  }
+
+  // Store the result of a request claimed with begin() and free its key for replays
+  async complete(scope, key, payload, token, result) {
+    this.stopRenewing(token);
+    const recordKey = this.recordKey(scope, key);
+    await redisClient.set(recordKey, JSON.stringify({ fingerprint: fingerprint(payload), result }), this.ttlSeconds);
+    await redisClient.releaseLock(`${recordKey}:lock`, token);
+  }
+
+  // Give up a claim without storing anything, so the request can be retried
+  async release(scope, key, token) {
+    this.stopRenewing(token);
+    await redisClient.releaseLock(`${this.recordKey(scope, key)}:lock`, token);
+  }
+
+  // Run `operation` once per key; resolves to { result, replayed }
+  async run(scope, key, payload, operation) {
+    const claim = await this.begin(scope, key, payload);
+    if ('replay' in claim) {
+      return { result: claim.replay, replayed: true };
+    }
+
+    let result;
+    try {
+      result = await operation();
+    } catch (error) {
+      await this.release(scope, key, claim.token);
+      throw error;
+    }
+    await this.complete(scope, key, payload, claim.token, result);
+    return { result, replayed: false };
+  }
+
+  async getRecord(recordKey, hash) {
+    const raw = await redisClient.get(recordKey);
+    if (!raw) {
+      return null;
+    }
+    const record = JSON.parse(raw);
+    if (record.fingerprint !== hash) {
+      throw new Error('Idempotency key was already used for a different request');
+    }
+    return record;
+  }
+}
+
+module.exports = new IdempotencyService();
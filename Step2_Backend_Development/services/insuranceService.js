@@ -1,5 +1,6 @@
 const db = require('../db');
 const logger = require('../utils/logger');
+const ledgerService = require('./ledgerService');
 
 class InsuranceService {
   constructor() {
@@ -57,41 +58,58 @@ class InsuranceService {
       // Calculate insurance details
       const insuranceDetails = this.calculateInsurancePremium(betAmount, insuranceType);
       
-      // Check if user has sufficient balance for insurance premium
-      const userResult = await db.query(
-        'SELECT balance FROM users WHERE id = $1',
-        [userId]
-      );
-
-      if (userResult.rows.length === 0) {
-        throw new Error('User not found');
-      }
-
-      const userBalance = parseFloat(userResult.rows[0].balance);
-      if (userBalance < insuranceDetails.premium) {
-        throw new Error('Insufficient balance for insurance premium');
+      // The premium is paid into the insurance pool in the same transaction that records the insurance
+      const client = await db.pool.connect();
+      let userBalance;
+      let insuranceId;
+      try {
+        await client.query('BEGIN');
+
+        // Check if user has sufficient balance for insurance premium
+        const userResult = await client.query(
+          'SELECT balance FROM users WHERE id = $1 FOR UPDATE',
+          [userId]
+        );
+
+        if (userResult.rows.length === 0) {
+          throw new Error('User not found');
+        }
+
+        userBalance = parseFloat(userResult.rows[0].balance);
+        if (userBalance < insuranceDetails.premium) {
+          throw new Error('Insufficient balance for insurance premium');
+        }
+
+        await ledgerService.transfer(client, {
+          type: 'insurance_premium',
+          from: ledgerService.accounts.playerCash(userId),
+          to: ledgerService.accounts.insurancePool,
+          amount: insuranceDetails.premium,
+          referenceType: 'bet',
+          referenceId: betId
+        });
+
+        // Create insurance record
+        const insuranceResult = await client.query(`
+          INSERT INTO bet_insurance (
+            user_id, bet_id, insurance_type, bet_amount, premium_amount, 
+            coverage_rate, coverage_amount, status, purchased_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+          RETURNING id
+        `, [
+          userId, betId, insuranceType, betAmount, insuranceDetails.premium,
+          insuranceDetails.coverageRate, insuranceDetails.coverageAmount, 'active'
+        ]);
+
+        insuranceId = insuranceResult.rows[0].id;
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
       }
 
-      // Deduct insurance premium from user balance
-      await db.query(
-        'UPDATE users SET balance = balance - $1 WHERE id = $2',
-        [insuranceDetails.premium, userId]
-      );
-
-      // Create insurance record
-      const insuranceResult = await db.query(`
-        INSERT INTO bet_insurance (
-          user_id, bet_id, insurance_type, bet_amount, premium_amount, 
-          coverage_rate, coverage_amount, status, purchased_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
-        RETURNING id
-      `, [
-        userId, betId, insuranceType, betAmount, insuranceDetails.premium,
-        insuranceDetails.coverageRate, insuranceDetails.coverageAmount, 'active'
-      ]);
-
-      const insuranceId = insuranceResult.rows[0].id;
-
       logger.info(`Insurance purchased: User ${userId}, Bet ${betId}, Type ${insuranceType}, Premium $${insuranceDetails.premium}`);
 
       return {
@@ -106,17 +124,34 @@ class InsuranceService {
     }
   }
 
-  // Process insurance claim when bet loses
-  async processInsuranceClaim(betId) {
+  // Process insurance claim when bet loses. The payout comes out of the insurance pool in the caller's
+  // transaction when given one (the engine settles a losing bet and its claim together), or in one of its own.
+  async processInsuranceClaim(betId, client = null) {
+    if (!client) {
+      const ownClient = await db.pool.connect();
+      try {
+        await ownClient.query('BEGIN');
+        const result = await this.processInsuranceClaim(betId, ownClient);
+        await ownClient.query('COMMIT');
+        return result;
+      } catch (error) {
+        await ownClient.query('ROLLBACK');
+        throw error;
+      } finally {
+        ownClient.release();
+      }
+    }
+
     try {
       // Get insurance details for the bet
-      const insuranceResult = await db.query(`
+      const insuranceResult = await client.query(`
         SELECT 
           bi.*,
           u.balance as user_balance
         FROM bet_insurance bi
         JOIN users u ON bi.user_id = u.id
         WHERE bi.bet_id = $1 AND bi.status = 'active'
+        FOR UPDATE OF bi
       `, [betId]);
 
       if (insuranceResult.rows.length === 0) {
@@ -126,16 +161,20 @@ class InsuranceService {
       const insurance = insuranceResult.rows[0];
       
       // Calculate payout
-      const payout = insurance.coverage_amount;
+      const payout = parseFloat(insurance.coverage_amount);
       
-      // Update user balance
-      await db.query(
-        'UPDATE users SET balance = balance + $1 WHERE id = $2',
-        [payout, insurance.user_id]
-      );
+      // Pay the player out of the insurance pool
+      await ledgerService.transfer(client, {
+        type: 'insurance_payout',
+        from: ledgerService.accounts.insurancePool,
+        to: ledgerService.accounts.playerCash(insurance.user_id),
+        amount: payout,
+        referenceType: 'bet',
+        referenceId: betId
+      });
 
       // Mark insurance as claimed
-      await db.query(
+      await client.query(
         'UPDATE bet_insurance SET status = $1, claimed_at = NOW() WHERE id = $2',
         ['claimed', insurance.id]
       );
@@ -184,7 +223,7 @@ class InsuranceService {
         claimedAt: row.claimed_at,
         originalBetAmount: parseFloat(row.original_bet_amount),
         cashoutMultiplier: row.cashout_multiplier,
-        crashPoint: parseFloat(row.crash_point),
+        crashPoint: row.crash_point ? parseFloat(row.crash_point) : null,
         wasWinningBet: row.cashout_multiplier !== null,
         payout: row.status === 'claimed' ? parseFloat(row.coverage_amount) : 0
       }));
@@ -0,0 +1,212 @@
+const db = require('../db');
+const logger = require('../utils/logger');
+
+// Double-entry wallet ledger (see migrations/034_create_wallet_ledger.sql and 035_create_withdrawals.sql).
+// Every movement of real money is a journal entry whose postings sum to zero: a positive amount credits an account,
+// a negative one debits it. users.balance and users.free_bet_credits are snapshots of the player accounts that
+// only this service writes, in the same transaction as the entry.
+
+// Users column holding the snapshot of each player account
+const SNAPSHOT_COLUMNS = {
+  player_cash: 'balance',
+  player_bonus: 'free_bet_credits'
+};
+
+const SYSTEM_ACCOUNTS = ['house', 'insurance_pool', 'tournament_escrow', 'gateway_clearing', 'withdrawal_hold'];
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// Entry moving `amount` from one account to another
+const transferEntry = ({ type, from, to, amount, referenceType = null, referenceId = null, description = null }) => ({
+  type,
+  referenceType,
+  referenceId,
+  description,
+  postings: [{ ...from, amount: -amount }, { ...to, amount }]
+});
+
+class LedgerService {
+  constructor() {
+    this.accounts = {
+      playerCash: (userId) => ({ account: 'player_cash', userId }),
+      playerBonus: (userId) => ({ account: 'player_bonus', userId }),
+      house: { account: 'house' },
+      insurancePool: { account: 'insurance_pool' },
+      tournamentEscrow: { account: 'tournament_escrow' },
+      gatewayClearing: { account: 'gateway_clearing' },
+      withdrawalHold: { account: 'withdrawal_hold' }
+    };
+  }
+
+  // Post an entry in the caller's transaction. `postings` are [{ account, userId, amount }], amounts in FCFA
+  // rounded to the cent; postings that round to nothing are left out. Debited player accounts are locked and
+  // checked before anything is written, so an entry that would overdraw one fails with 'Insufficient balance'.
+  async post(client, { type, referenceType = null, referenceId = null, description = null, postings }) {
+    const lines = postings
+      .map(posting => ({ ...posting, cents: toCents(posting.amount) }))
+      .filter(posting => posting.cents !== 0);
+
+    for (const line of lines) {
+      if (!Number.isFinite(line.cents)) {
+        throw new Error(`Invalid ledger amount for ${line.account}: ${line.amount}`);
+      }
+      if (SNAPSHOT_COLUMNS[line.account] ? !line.userId : !SYSTEM_ACCOUNTS.includes(line.account) || line.userId) {
+        throw new Error(`Invalid ledger account: ${line.account}${line.userId ? ` of user ${line.userId}` : ''}`);
+      }
+    }
+    if (lines.reduce((sum, line) => sum + line.cents, 0) !== 0) {
+      throw new Error(`Ledger entry ${type} does not balance`);
+    }
+    if (lines.length === 0) {
+      return;
+    }
+
+    for (const line of lines.filter(line => SNAPSHOT_COLUMNS[line.account] && line.cents < 0)) {
+      const column = SNAPSHOT_COLUMNS[line.account];
+      const result = await client.query(`SELECT ${column} FROM users WHERE id = $1 FOR UPDATE`, [line.userId]);
+      if (result.rows.length === 0) {
+        throw new Error('User not found');
+      }
+      if (toCents(parseFloat(result.rows[0][column])) + line.cents < 0) {
+        throw new Error('Insufficient balance');
+      }
+    }
+
+    await client.query(
+      `WITH entry AS (
+         INSERT INTO ledger_entries (entry_type, reference_type, reference_id, description)
+         VALUES ($1, $2, $3, $4) RETURNING id
+       )
+       INSERT INTO ledger_postings (entry_id, account, user_id, amount)
+       SELECT entry.id, p.account, p.user_id, p.amount
+       FROM entry, unnest($5::varchar[], $6::int[], $7::numeric[]) AS p(account, user_id, amount)`,
+      [
+        type, referenceType, referenceId === null ? null : String(referenceId), description,
+        lines.map(line => line.account), lines.map(line => line.userId || null), lines.map(line => line.cents / 100)
+      ]
+    );
+
+    // Keep the players' snapshots in step with their accounts
+    for (const line of lines.filter(line => SNAPSHOT_COLUMNS[line.account])) {
+      const column = SNAPSHOT_COLUMNS[line.account];
+      await client.query(
+        `UPDATE users SET ${column} = ${column} + $1 WHERE id = $2`,
+        [line.cents / 100, line.userId]
+      );
+    }
+  }
+
+  // Move `amount` from one account to another in the caller's transaction
+  transfer(client, transfer) {
+    return this.post(client, transferEntry(transfer));
+  }
+
+  // Post an entry in a transaction of its own, for callers that are not already in one
+  async record(entry) {
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await this.post(client, entry);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Transfer in a transaction of its own
+  recordTransfer(transfer) {
+    return this.record(transferEntry(transfer));
+  }
+
+  // Balances of the system accounts, from their postings
+  async getSystemBalances() {
+    const result = await db.query(
+      `SELECT account, COALESCE(SUM(amount), 0) AS balance
+       FROM ledger_postings
+       WHERE user_id IS NULL
+       GROUP BY account`
+    );
+    const balances = Object.fromEntries(SYSTEM_ACCOUNTS.map(account => [account, 0]));
+    result.rows.forEach(row => {
+      balances[row.account] = parseFloat(row.balance);
+    });
+    return balances;
+  }
+
+  // Journal of one account, newest first
+  async getAccountEntries({ account, userId = null }, limit = 50) {
+    const result = await db.query(
+      `SELECT e.id, e.entry_type, e.reference_type, e.reference_id, e.description, e.created_at, p.amount
+       FROM ledger_postings p
+       JOIN ledger_entries e ON e.id = p.entry_id
+       WHERE p.account = $1 AND p.user_id IS NOT DISTINCT FROM $2
+       ORDER BY e.id DESC
+       LIMIT $3`,
+      [account, userId, limit]
+    );
+    return result.rows.map(row => ({
+      entryId: row.id,
+      type: row.entry_type,
+      referenceType: row.reference_type,
+      referenceId: row.reference_id,
+      description: row.description,
+      amount: parseFloat(row.amount),
+      createdAt: row.created_at
+    }));
+  }
+
+  // Prove the ledger and the snapshots agree: every entry balances, so all accounts together sum to zero,
+  // and every player's users.balance and free_bet_credits equal the sums of their account postings
+  async checkConsistency() {
+    const unbalanced = await db.query(
+      `SELECT entry_id, SUM(amount) AS total
+       FROM ledger_postings
+       GROUP BY entry_id
+       HAVING SUM(amount) <> 0
+       ORDER BY entry_id
+       LIMIT 100`
+    );
+
+    const mismatched = await db.query(
+      `SELECT u.id AS user_id, COALESCE(u.balance, 0) AS balance, COALESCE(p.cash, 0) AS ledger_balance,
+              COALESCE(u.free_bet_credits, 0) AS free_bet_credits, COALESCE(p.bonus, 0) AS ledger_free_bet_credits
+       FROM users u
+       LEFT JOIN (
+         SELECT user_id,
+                SUM(amount) FILTER (WHERE account = 'player_cash') AS cash,
+                SUM(amount) FILTER (WHERE account = 'player_bonus') AS bonus
+         FROM ledger_postings
+         WHERE user_id IS NOT NULL
+         GROUP BY user_id
+       ) p ON p.user_id = u.id
+       WHERE COALESCE(u.balance, 0) <> COALESCE(p.cash, 0)
+          OR COALESCE(u.free_bet_credits, 0) <> COALESCE(p.bonus, 0)
+       ORDER BY u.id
+       LIMIT 100`
+    );
+
+    const report = {
+      consistent: unbalanced.rows.length === 0 && mismatched.rows.length === 0,
+      unbalancedEntries: unbalanced.rows.map(row => ({ entryId: row.entry_id, total: parseFloat(row.total) })),
+      mismatchedBalances: mismatched.rows.map(row => ({
+        userId: row.user_id,
+        balance: parseFloat(row.balance),
+        ledgerBalance: parseFloat(row.ledger_balance),
+        freeBetCredits: parseFloat(row.free_bet_credits),
+        ledgerFreeBetCredits: parseFloat(row.ledger_free_bet_credits)
+      })),
+      systemBalances: await this.getSystemBalances(),
+      checkedAt: new Date().toISOString()
+    };
+
+    if (!report.consistent) {
+      logger.error(`Ledger inconsistency: ${report.unbalancedEntries.length} unbalanced entries, ${report.mismatchedBalances.length} mismatched player balances`);
+    }
+    return report;
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,86 @@
+// Multiplier curve of the running phase.
+// The multiplier is a pure function of the time elapsed since the round's running phase started:
+// m(t) = e^(growthRate * t) with t in seconds. Payouts depend only on server timestamps, never on how many
+// game-loop ticks happened to run, so timer drift and event-loop lag cannot change what a cash-out pays.
+// Special blocks add `effects` to a round's params: while an effect is active, curve time runs at its growthFactor
+// (a boost speeds the climb up, a safety block holds it) and integrity is lost at its integrityFactor.
+
+const config = require('../config');
+
+class MultiplierCurve {
+  // Curve parameters of new rounds; they are sent to clients so they can draw the same curve locally
+  getParams() {
+    return { type: 'exponential', growthRate: config.game.multiplierGrowthRate };
+  }
+
+  // Spans between the boundaries of the curve's effects with their combined factors, covering [0, Infinity).
+  // Overlapping effects multiply.
+  pieces(params) {
+    const effects = params.effects || [];
+    const bounds = [...new Set([0, ...effects.flatMap(effect => [effect.from, effect.to])])].sort((a, b) => a - b);
+    return bounds.map((from, i) => {
+      const to = i + 1 < bounds.length ? bounds[i + 1] : Infinity;
+      const active = effects.filter(effect => effect.from <= from && effect.to >= to);
+      return {
+        from,
+        to,
+        growth: active.reduce((factor, effect) => factor * (effect.growthFactor ?? 1), 1),
+        integrity: active.reduce((factor, effect) => factor * (effect.integrityFactor ?? 1), 1)
+      };
+    });
+  }
+
+  // Curve time `elapsedMs` after the running phase started: the milliseconds weighted by their growth factor
+  curveTime(elapsedMs, params) {
+    if (!params.effects) {
+      return elapsedMs;
+    }
+    return this.pieces(params)
+      .filter(piece => piece.from < elapsedMs)
+      .reduce((time, piece) => time + (Math.min(piece.to, elapsedMs) - piece.from) * piece.growth, 0);
+  }
+
+  // Multiplier `elapsedMs` after the running phase started, floored to the 2-decimal precision payouts use
+  multiplierAt(elapsedMs, params = this.getParams()) {
+    if (elapsedMs <= 0) {
+      return 1.00;
+    }
+    // The epsilon keeps exact hits like e^ln(2) = 1.9999999999999998 on the right side of the floor
+    return Math.floor(100 * Math.exp(params.growthRate * this.curveTime(elapsedMs, params) / 1000) + 1e-9) / 100;
+  }
+
+  // First whole millisecond at which the curve reaches `multiplier`
+  elapsedAt(multiplier, params = this.getParams()) {
+    if (multiplier <= 1) {
+      return 0;
+    }
+    const target = Math.log(multiplier) / params.growthRate * 1000;
+    if (!params.effects) {
+      return Math.ceil(target);
+    }
+
+    // Walk the effect spans until the one in which curve time reaches the target; a held span never reaches it
+    let time = 0;
+    for (const piece of this.pieces(params)) {
+      const span = piece.growth > 0 ? (piece.to - piece.from) * piece.growth : 0;
+      if (piece.growth > 0 && time + span >= target) {
+        return Math.ceil(piece.from + (target - time) / piece.growth);
+      }
+      time += span;
+    }
+    return Infinity;
+  }
+
+  // Tower integrity `elapsedMs` after the running phase started: 100% at 1.00x, losing 20 points per 1x climbed
+  integrityAt(elapsedMs, params = this.getParams()) {
+    const loss = this.pieces(params)
+      .filter(piece => piece.from < elapsedMs)
+      .reduce((total, piece) => {
+        const climbed = this.multiplierAt(Math.min(piece.to, elapsedMs), params) - this.multiplierAt(piece.from, params);
+        return total + climbed * 20 * piece.integrity;
+      }, 0);
+    return Math.max(0, 100 - loss);
+  }
+}
+
+module.exports = new MultiplierCurve();
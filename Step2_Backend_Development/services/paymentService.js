@@ -1,7 +1,23 @@
 const db = require('../db');
 const logger = require('../utils/logger');
+const ledgerService = require('./ledgerService');
+const idempotencyService = require('./idempotencyService');
 const crypto = require('crypto');
 
+// Status names of the mobile money and bank APIs, as payment transaction statuses
+const GATEWAY_STATUSES = {
+  successful: 'completed',
+  successfull: 'completed', // Orange Money
+  success: 'completed',
+  completed: 'completed',
+  failed: 'failed',
+  rejected: 'failed',
+  cancelled: 'failed',
+  expired: 'failed'
+};
+
+const toTransactionStatus = (status) => GATEWAY_STATUSES[String(status || '').toLowerCase()] || 'pending';
+
 class PaymentService {
   constructor() {
     // Payment gateway configurations
@@ -13,21 +29,35 @@ class PaymentService {
       },
       mtn: {
         apiKey: process.env.MTN_MOBILE_MONEY_API_KEY,
+        apiUser: process.env.MTN_API_USER,
+        subscriptionKey: process.env.MTN_SUBSCRIPTION_KEY,
         merchantId: process.env.MTN_MERCHANT_ID,
-        environment: process.env.MTN_ENVIRONMENT || 'sandbox'
+        environment: process.env.MTN_ENVIRONMENT || 'sandbox',
+        baseUrl: process.env.MTN_API_BASE_URL || 'https://sandbox.momodeveloper.mtn.com'
       },
       orange: {
         apiKey: process.env.ORANGE_MONEY_API_KEY,
+        clientId: process.env.ORANGE_CLIENT_ID,
+        clientSecret: process.env.ORANGE_CLIENT_SECRET,
+        channelMsisdn: process.env.ORANGE_CHANNEL_MSISDN,
+        pin: process.env.ORANGE_CHANNEL_PIN,
         merchantId: process.env.ORANGE_MERCHANT_ID,
-        environment: process.env.ORANGE_ENVIRONMENT || 'sandbox'
+        environment: process.env.ORANGE_ENVIRONMENT || 'sandbox',
+        baseUrl: process.env.ORANGE_API_BASE_URL || 'https://api-s1.orange.cm'
       },
       bank: {
         apiKey: process.env.BANK_API_KEY,
         bankCode: process.env.BANK_CODE,
-        environment: process.env.BANK_ENVIRONMENT || 'sandbox'
+        environment: process.env.BANK_ENVIRONMENT || 'sandbox',
+        baseUrl: process.env.BANK_API_BASE_URL
       }
     };
 
+    // Where gateways send their callbacks (this server), and how long a gateway call may take
+    this.callbackBaseUrl = process.env.PAYMENT_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
+    this.requestTimeoutMs = parseInt(process.env.PAYMENT_GATEWAY_TIMEOUT_MS) || 15000;
+    this.accessTokens = {};
+
     // WebSocket instance for real-time updates
     this.io = null;
 
@@ -121,88 +151,198 @@ class PaymentService {
   }
 
   /**
-   * Create MTN Mobile Money client
+   * Call a gateway API and resolve to its JSON answer (null when empty). Refusals, network errors and
+   * answers slower than requestTimeoutMs throw.
+   */
+  async callGateway(gateway, url, { method = 'POST', headers = {}, json, form } = {}) {
+    const request = { method, headers: { ...headers }, signal: AbortSignal.timeout(this.requestTimeoutMs) };
+    if (json !== undefined) {
+      request.headers['Content-Type'] = 'application/json';
+      request.body = JSON.stringify(json);
+    } else if (form !== undefined) {
+      request.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      request.body = new URLSearchParams(form).toString();
+    }
+
+    let response;
+    let text;
+    try {
+      response = await fetch(url, request);
+      text = await response.text();
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`${gateway} API timed out after ${this.requestTimeoutMs}ms`);
+      }
+      throw new Error(`${gateway} API unreachable: ${error.message}`);
+    }
+
+    let body = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch (parseError) {
+      body = { message: text };
+    }
+    if (!response.ok) {
+      throw new Error(`${gateway} API error ${response.status}: ${body?.message || body?.error || response.statusText}`);
+    }
+    return body;
+  }
+
+  /**
+   * OAuth access token of a gateway API, reused until shortly before it expires
+   */
+  async getAccessToken(cacheKey, requestToken) {
+    const cached = this.accessTokens[cacheKey];
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.token;
+    }
+
+    const { access_token: token, expires_in: expiresIn } = await requestToken();
+    this.accessTokens[cacheKey] = { token, expiresAt: Date.now() + Math.max(expiresIn - 60, 0) * 1000 };
+    return token;
+  }
+
+  /**
+   * Create MTN Mobile Money client (Collection API for payments, Disbursement API for payouts)
    */
   createMTNClient() {
-    // This would be replaced with actual MTN Mobile Money SDK
+    const { baseUrl, apiUser, apiKey, environment } = this.gateways.mtn;
+    const subscriptionKey = this.gateways.mtn.subscriptionKey || apiKey;
+    const callbackUrl = `${this.callbackBaseUrl}/api/payment/webhook/mtn`;
+
+    const authHeaders = async (product) => {
+      const token = await this.getAccessToken(`mtn:${product}`, () => this.callGateway('mtn', `${baseUrl}/${product}/token/`, {
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${apiUser}:${apiKey}`).toString('base64')}`,
+          'Ocp-Apim-Subscription-Key': subscriptionKey
+        }
+      }));
+      return { Authorization: `Bearer ${token}`, 'Ocp-Apim-Subscription-Key': subscriptionKey, 'X-Target-Environment': environment };
+    };
+
+    // Both APIs take the request at once (202) and report its outcome to the callback URL
+    const send = async (product, path, party, amount, phoneNumber, reference) => {
+      const referenceId = crypto.randomUUID();
+      logger.info(`MTN ${product} request ${referenceId}: ${amount} FCFA, ${phoneNumber}, ref: ${reference}`);
+      await this.callGateway('mtn', `${baseUrl}/${product}/v1_0/${path}`, {
+        headers: { ...(await authHeaders(product)), 'X-Reference-Id': referenceId, 'X-Callback-Url': callbackUrl },
+        json: {
+          amount: String(amount),
+          currency: 'XAF',
+          externalId: reference,
+          [party]: { partyIdType: 'MSISDN', partyId: phoneNumber },
+          payerMessage: reference,
+          payeeNote: reference
+        }
+      });
+      return { success: true, transactionId: referenceId, status: 'pending', message: 'Request sent to phone' };
+    };
+
     return {
-      requestPayment: async (amount, phoneNumber, reference) => {
-        // Simulate MTN API call
-        logger.info(`MTN payment request: ${amount} FCFA to ${phoneNumber}, ref: ${reference}`);
-        
-        // In production, this would make actual API calls to MTN
-        return {
-          success: true,
-          transactionId: `MTN_${Date.now()}`,
-          status: 'pending',
-          message: 'Payment request sent to phone'
-        };
-      },
-      
-      checkStatus: async (transactionId) => {
-        // Simulate status check
-        return {
-          status: 'completed',
-          transactionId
-        };
+      requestPayment: (amount, phoneNumber, reference) =>
+        send('collection', 'requesttopay', 'payer', amount, phoneNumber, reference),
+
+      transfer: (amount, phoneNumber, reference) =>
+        send('disbursement', 'transfer', 'payee', amount, phoneNumber, reference),
+
+      checkStatus: async (transactionId, operation = 'payment') => {
+        const product = operation === 'payout' ? 'disbursement' : 'collection';
+        const path = operation === 'payout' ? 'transfer' : 'requesttopay';
+        const result = await this.callGateway('mtn', `${baseUrl}/${product}/v1_0/${path}/${transactionId}`, {
+          method: 'GET',
+          headers: await authHeaders(product)
+        });
+        return { ...this.parseWebhook('mtn', result), transactionId };
       }
     };
   }
 
   /**
-   * Create Orange Money client
+   * Create Orange Money client (merchant payments, and cash-in for payouts)
    */
   createOrangeClient() {
-    // This would be replaced with actual Orange Money SDK
+    const { baseUrl, apiKey, clientId, clientSecret, channelMsisdn, pin } = this.gateways.orange;
+    const notifUrl = `${this.callbackBaseUrl}/api/payment/webhook/orange`;
+    const api = `${baseUrl}/omcoreapis/1.0.2`;
+
+    const authHeaders = async () => {
+      const token = await this.getAccessToken('orange', () => this.callGateway('orange', `${baseUrl}/token`, {
+        headers: { Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}` },
+        form: { grant_type: 'client_credentials' }
+      }));
+      return { Authorization: `Bearer ${token}`, 'X-AUTH-TOKEN': apiKey };
+    };
+
+    // A payment is initialised for a payToken, then sent; the outcome comes to notifUrl
+    const send = async (kind, amount, phoneNumber, reference) => {
+      const headers = await authHeaders();
+      const init = await this.callGateway('orange', `${api}/${kind}/init`, { headers });
+      const payToken = init.data.payToken;
+
+      logger.info(`Orange ${kind} request ${payToken}: ${amount} FCFA, ${phoneNumber}, ref: ${reference}`);
+      const result = await this.callGateway('orange', `${api}/${kind}/pay`, {
+        headers,
+        json: {
+          notifUrl,
+          channelUserMsisdn: channelMsisdn,
+          amount: String(amount),
+          subscriberMsisdn: phoneNumber,
+          pin,
+          orderId: reference,
+          description: reference,
+          payToken
+        }
+      });
+      return { success: true, transactionId: payToken, status: 'pending', message: result?.message || 'Request sent to phone' };
+    };
+
     return {
-      requestPayment: async (amount, phoneNumber, reference) => {
-        // Simulate Orange API call
-        logger.info(`Orange payment request: ${amount} FCFA to ${phoneNumber}, ref: ${reference}`);
-        
-        // In production, this would make actual API calls to Orange
-        return {
-          success: true,
-          transactionId: `ORANGE_${Date.now()}`,
-          status: 'pending',
-          message: 'Payment request sent to phone'
-        };
-      },
-      
-      checkStatus: async (transactionId) => {
-        // Simulate status check
-        return {
-          status: 'completed',
-          transactionId
-        };
+      requestPayment: (amount, phoneNumber, reference) => send('mp', amount, phoneNumber, reference),
+
+      transfer: (amount, phoneNumber, reference) => send('cashin', amount, phoneNumber, reference),
+
+      checkStatus: async (transactionId, operation = 'payment') => {
+        const kind = operation === 'payout' ? 'cashin' : 'mp';
+        const result = await this.callGateway('orange', `${api}/${kind}/paymentstatus/${transactionId}`, {
+          method: 'GET',
+          headers: await authHeaders()
+        });
+        return { ...this.parseWebhook('orange', result.data), transactionId };
       }
     };
   }
 
   /**
-   * Create Bank API client
+   * Create Bank API client (collections for payments, payouts)
    */
   createBankClient() {
-    // This would be replaced with actual bank API SDK
+    const { baseUrl, apiKey } = this.gateways.bank;
+    if (!baseUrl) {
+      throw new Error('BANK_API_BASE_URL is not set');
+    }
+    const callbackUrl = `${this.callbackBaseUrl}/api/payment/webhook/bank`;
+    const headers = { Authorization: `Bearer ${apiKey}` };
+
+    const send = async (kind, amount, accountNumber, bankCode, reference) => {
+      logger.info(`Bank ${kind} request: ${amount} FCFA, account ${accountNumber}, bank ${bankCode}, ref: ${reference}`);
+      const result = await this.callGateway('bank', `${baseUrl}/bank/v1/${kind}`, {
+        headers,
+        json: { amount, currency: 'XAF', accountNumber, bankCode, reference, callbackUrl }
+      });
+      return { success: true, transactionId: result.id, status: result.status || 'pending', message: 'Transfer initiated' };
+    };
+
     return {
-      initiateTransfer: async (amount, accountNumber, reference) => {
-        // Simulate bank API call
-        logger.info(`Bank transfer request: ${amount} FCFA to ${accountNumber}, ref: ${reference}`);
-        
-        // In production, this would make actual API calls to the bank
-        return {
-          success: true,
-          transactionId: `BANK_${Date.now()}`,
-          status: 'pending',
-          message: 'Transfer initiated'
-        };
-      },
-      
-      checkStatus: async (transactionId) => {
-        // Simulate status check
-        return {
-          status: 'completed',
-          transactionId
-        };
+      initiateTransfer: (amount, accountNumber, bankCode, reference) =>
+        send('collections', amount, accountNumber, bankCode, reference),
+
+      initiatePayout: (amount, accountNumber, bankCode, reference) =>
+        send('payouts', amount, accountNumber, bankCode, reference),
+
+      checkStatus: async (transactionId, operation = 'payment') => {
+        const kind = operation === 'payout' ? 'payouts' : 'collections';
+        const result = await this.callGateway('bank', `${baseUrl}/bank/v1/${kind}/${transactionId}`, { method: 'GET', headers });
+        return { ...this.parseWebhook('bank', result), transactionId };
       }
     };
   }
@@ -319,33 +459,22 @@ class PaymentService {
         return await this.simulateMobileMoneyPayment(amount, phoneNumber, provider, userId);
       }
 
-      // Process with actual client if available
-      const paymentResult = await client.requestPayment(amount, phoneNumber, `Recharge-${Date.now()}`);
-      
-      if (paymentResult.success) {
-        const transaction = await this.createTransactionRecord({
-          userId,
-          amount,
-          paymentMethod: provider === 'mtn' ? 'mtn_mobile_money' : 'orange_money',
-          gateway: provider,
-          gatewayTransactionId: paymentResult.transactionId || `sim_${Date.now()}`,
-          status: this.statuses.PENDING,
-          metadata: {
-            phoneNumber,
-            provider,
-            paymentResult
-          }
-        });
-
-        // Simulate payment completion immediately for development
-        // Update balance FIRST, then mark transaction as completed
-        await this.handleSuccessfulPayment(userId, amount, transaction.id, provider);
-        await this.updateTransactionStatus(transaction.id, this.statuses.COMPLETED);
+      // Process with actual client if available; the player approves on their phone and the gateway calls back
+      const transaction = await this.createTransactionRecord({
+        userId,
+        amount,
+        paymentMethod: provider === 'mtn' ? 'mtn_mobile_money' : 'orange_money',
+        gateway: provider,
+        gatewayTransactionId: null,
+        status: this.statuses.PENDING,
+        metadata: {
+          phoneNumber,
+          provider
+        }
+      });
 
-        return transaction;
-      } else {
-        throw new Error(`Payment failed: ${paymentResult.message || 'Unknown error'}`);
-      }
+      return await this.requestGatewayPayment(transaction, provider,
+        (reference) => client.requestPayment(amount, phoneNumber, reference));
     } catch (error) {
       logger.error(`Error processing ${provider} mobile money payment:`, error);
       throw error;
@@ -400,32 +529,22 @@ class PaymentService {
         return await this.simulateBankTransfer(amount, accountNumber, bankCode, userId);
       }
 
-      // Process with actual bank client if available
-      const transferResult = await this.bankClient.initiateTransfer(amount, accountNumber, bankCode, `Recharge-${Date.now()}`);
-      
-      if (transferResult.success) {
-        const transaction = await this.createTransactionRecord({
-          userId,
-          amount,
-          paymentMethod: 'bank_transfer',
-          gateway: 'bank',
-          gatewayTransactionId: transferResult.transferId || `sim_bank_${Date.now()}`,
-          status: this.statuses.PENDING,
-          metadata: {
-            accountNumber,
-            bankCode,
-            transferResult
-          }
-        });
-
-        // Simulate transfer completion immediately for development
-        await this.updateTransactionStatus(transaction.id, this.statuses.COMPLETED);
-        await this.handleSuccessfulPayment(userId, amount, transaction.id, 'bank');
+      // Process with actual bank client if available; the bank calls back once the transfer arrives
+      const transaction = await this.createTransactionRecord({
+        userId,
+        amount,
+        paymentMethod: 'bank_transfer',
+        gateway: 'bank',
+        gatewayTransactionId: null,
+        status: this.statuses.PENDING,
+        metadata: {
+          accountNumber,
+          bankCode
+        }
+      });
 
-        return transaction;
-      } else {
-        throw new Error(`Bank transfer failed: ${transferResult.message || 'Unknown error'}`);
-      }
+      return await this.requestGatewayPayment(transaction, 'bank',
+        (reference) => this.bankClient.initiateTransfer(amount, accountNumber, bankCode, reference));
     } catch (error) {
       logger.error('Error processing bank transfer:', error);
       throw error;
@@ -466,6 +585,75 @@ class PaymentService {
     }
   }
 
+  /**
+   * Ask a gateway to collect a recharge, referenced RC-<transaction id>. The transaction stays pending until the
+   * gateway's callback settles it, also when the gateway did not answer in time (it may still have taken the
+   * request); a refused request fails it.
+   */
+  async requestGatewayPayment(transaction, gateway, request) {
+    const reference = `RC-${transaction.id}`;
+    try {
+      const paymentResult = await request(reference);
+      const result = await db.query(`
+        UPDATE payment_transactions
+        SET gateway_transaction_id = $1, metadata = metadata || $2, updated_at = NOW()
+        WHERE id = $3
+        RETURNING *
+      `, [paymentResult.transactionId, JSON.stringify({ reference, paymentResult }), transaction.id]);
+      return result.rows[0];
+    } catch (error) {
+      if (error.message.includes('timed out')) {
+        logger.warn(`${gateway} did not answer recharge ${reference} in time, waiting for its callback`);
+        return this.updateTransactionStatus(transaction.id, this.statuses.PENDING, { reference, timedOut: true });
+      }
+      await this.updateTransactionStatus(transaction.id, this.statuses.FAILED, { reference, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a withdrawal to the player's mobile money or bank account.
+   * Resolves to { success, transactionId, status, message }; a 'pending' payout is settled later by webhook.
+   */
+  async sendPayout(gateway, amount, destination, reference) {
+    logger.info(`Sending ${gateway} payout: ${amount} FCFA, ref: ${reference}`);
+
+    switch (gateway) {
+      case 'mtn':
+      case 'orange': {
+        const client = gateway === 'mtn' ? this.mtnClient : this.orangeClient;
+        if (!client) {
+          return this.simulatePayout(gateway, amount, reference);
+        }
+        return client.transfer(amount, destination.phoneNumber, reference);
+      }
+
+      case 'bank':
+        if (!this.bankClient) {
+          return this.simulatePayout(gateway, amount, reference);
+        }
+        return this.bankClient.initiatePayout(amount, destination.accountNumber, destination.bankCode, reference);
+
+      default:
+        throw new Error(`Unsupported gateway for payouts: ${gateway}`);
+    }
+  }
+
+  /**
+   * Simulate a payout when the gateway is not available
+   */
+  simulatePayout(gateway, amount, reference) {
+    logger.info(`Simulating ${gateway} payout of ${amount} FCFA for development, ref: ${reference}`);
+
+    // Simulate payout completion immediately for development
+    return {
+      success: true,
+      transactionId: `sim_${gateway}_payout_${Date.now()}`,
+      status: 'completed',
+      message: 'This is a simulated payout for development purposes'
+    };
+  }
+
   /**
    * Create transaction record in database
    */
@@ -521,71 +709,130 @@ class PaymentService {
   }
 
   /**
-   * Process webhook from payment gateway
+   * Process webhook from payment gateway. Gateways redeliver events they get no answer for, so every event ID is
+   * processed once; a redelivery within the idempotency TTL gets the first result back. The webhook route has
+   * verified the callback's signature (see webhookSecurityService) before it gets here.
    */
   async processWebhook(webhookData, gateway) {
     try {
-      let transaction;
-      let signature;
+      const payload = webhookData.body || {};
+      let eventId;
+      let handleEvent = null;
 
       switch (gateway) {
-        case 'stripe':
-          // Verify Stripe webhook signature
-          if (this.gateways.stripe.webhookSecret) {
-            signature = webhookData.headers['stripe-signature'];
-            const event = this.stripe.webhooks.constructEvent(
-              webhookData.body,
-              signature,
-              this.gateways.stripe.webhookSecret
+        case 'stripe': {
+          // Stripe's event, its Stripe-Signature already checked
+          const event = payload;
+          eventId = event.id;
+
+          if (event.type === 'payment_intent.succeeded') {
+            handleEvent = () => this.handleSuccessfulPayment(
+              event.data.object.metadata.userId,
+              event.data.object.amount / 100, // Convert from cents
+              event.data.object.id,
+              'stripe'
             );
-            
-            if (event.type === 'payment_intent.succeeded') {
-              transaction = await this.handleSuccessfulPayment(
-                event.data.object.metadata.userId,
-                event.data.object.amount / 100, // Convert from cents
-                event.data.object.id,
-                'stripe'
-              );
-            }
           }
           break;
+        }
 
         case 'mtn':
         case 'orange':
-          // Handle mobile money webhook
-          if (webhookData.status === 'completed') {
-            transaction = await this.handleSuccessfulPayment(
-              webhookData.userId,
-              webhookData.amount,
-              webhookData.transactionId,
-              gateway
-            );
-          }
-          break;
-
-        case 'bank':
-          // Handle bank transfer webhook
-          if (webhookData.status === 'completed') {
-            transaction = await this.handleSuccessfulPayment(
-              webhookData.userId,
-              webhookData.amount,
-              webhookData.transactionId,
-              'bank'
-            );
+        case 'bank': {
+          // Handle mobile money and bank transfer webhooks
+          const update = this.parseWebhook(gateway, payload);
+          eventId = this.getWebhookEventId(webhookData, update);
+          if (update.status !== this.statuses.PENDING) {
+            handleEvent = () => this.settleGatewayPayment(gateway, update);
           }
           break;
+        }
 
         default:
           throw new Error(`Unsupported gateway: ${gateway}`);
       }
 
-      return transaction;
+      if (!handleEvent) {
+        return undefined;
+      }
+
+      const { result, replayed } = await idempotencyService.run(`webhook:${gateway}`, String(eventId), { eventId }, handleEvent);
+      if (replayed) {
+        logger.info(`Ignored redelivered ${gateway} webhook event ${eventId}`);
+      }
+      return result;
     } catch (error) {
       logger.error('Error processing webhook:', error);
       throw error;
     }
   }
 
+  /**
+   * Event ID of a mobile money or bank webhook: the gateway's event ID when it sends one, otherwise the
+   * transaction and status it reports (a redelivery repeats both)
+   */
+  getWebhookEventId(webhookData, update) {
+    const payload = webhookData.body || {};
+    return payload.eventId || webhookData.headers?.['x-event-id'] || `${update.transactionId || update.reference}:${update.status}`;
+  }
+
+  /**
+   * Read a mobile money or bank callback (or status answer) in the gateway's format as
+   * { eventId, reference, transactionId, status, reason }, with status pending, completed or failed.
+   * The reference is ours: MTN returns it as externalId, Orange as orderId.
+   */
+  parseWebhook(gateway, body = {}) {
+    const status = toTransactionStatus(body.status);
+    let reference = body.reference;
+    let transactionId = body.transactionId;
+    let reason = body.reason;
+
+    switch (gateway) {
+      case 'mtn':
+        reference = body.externalId || reference;
+        transactionId = body.financialTransactionId || transactionId;
+        // MTN reasons are either a code or { code, message }
+        reason = reason && typeof reason === 'object' ? reason.message || reason.code : reason;
+        break;
+
+      case 'orange':
+        reference = body.orderId || reference;
+        transactionId = body.payToken || transactionId;
+        reason = reason || (status === 'failed' ? body.message || body.inittxnmessage : null);
+        break;
+    }
+
+    return { eventId: body.eventId, reference, transactionId, status, reason: reason || null };
+  }
+
+  /**
+   * Settle a recharge from its gateway callback: credit the player when it completed, fail it otherwise.
+   * The transaction is found by its RC-<id> reference or by the gateway's transaction ID.
+   */
+  async settleGatewayPayment(gateway, update) {
+    const referenceId = /^RC-(\d+)$/.exec(update.reference || '');
+    const result = await db.query(`
+      SELECT * FROM payment_transactions
+      WHERE gateway = $1 AND (id = $2 OR gateway_transaction_id = $3)
+      LIMIT 1
+    `, [gateway, referenceId ? parseInt(referenceId[1]) : null, update.transactionId || null]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`Transaction not found for ${gateway} payment ${update.reference || update.transactionId}`);
+    }
+
+    const transaction = result.rows[0];
+    if (update.status === this.statuses.COMPLETED) {
+      return this.handleSuccessfulPayment(transaction.user_id, transaction.amount, transaction.id, gateway);
+    }
+    if (transaction.status !== this.statuses.PENDING) {
+      return transaction;
+    }
+
+    logger.info(`Recharge ${transaction.id} failed at ${gateway}: ${update.reason}`);
+    return this.updateTransactionStatus(transaction.id, this.statuses.FAILED, { failureReason: update.reason });
+  }
+
   /**
    * Handle successful payment
    */
@@ -596,11 +843,13 @@ class PaymentService {
       
       console.log(`Processing successful payment: User ${userId}, Amount ${amount}, Transaction ${transactionId}, Gateway ${gateway}`);
       
-      // Find transaction by transaction ID (since we're passing transaction.id)
+      // Find transaction by transaction ID (since we're passing transaction.id), locking its row until the
+      // credit commits so a redelivered callback settled at the same time waits and then sees it completed
       console.log(`Looking for transaction with ID: ${transactionId}`);
       const result = await client.query(`
         SELECT * FROM payment_transactions 
         WHERE id = $1
+        FOR UPDATE
       `, [transactionId]);
 
       console.log(`Found ${result.rows.length} transactions with ID ${transactionId}`);
@@ -615,9 +864,11 @@ class PaymentService {
       const transaction = result.rows[0];
       console.log('Found transaction:', transaction);
 
-      // Check if transaction is already completed
-      if (transaction.status === 'completed') {
-        console.log('Transaction already completed, skipping balance update');
+      // Only credit a recharge still waiting for its money: pending, or failed when the gateway's success follows its
+      // failure. A completed one was credited already, and a cancelled one was credited and then refunded.
+      if (![this.statuses.PENDING, this.statuses.FAILED].includes(transaction.status)) {
+        console.log(`Transaction already ${transaction.status}, skipping balance update`);
+        await client.query('ROLLBACK');
         return transaction;
       }
 
@@ -640,21 +891,23 @@ class PaymentService {
           WHERE id = $2
         `, [this.statuses.COMPLETED, transaction.id]);
 
-      // Update user balance and get new balance
+      // Credit the player with the money the gateway collected
       console.log(`Updating balance: adding ${amount} to user ${userId}`);
-      const balanceResult = await client.query(`
-        UPDATE users SET balance = COALESCE(balance, 0) + $1 WHERE id = $2 RETURNING balance
-      `, [amount, userId]);
+      await ledgerService.transfer(client, {
+        type: 'recharge',
+        from: ledgerService.accounts.gatewayClearing,
+        to: ledgerService.accounts.playerCash(userId),
+        amount: parseFloat(amount),
+        referenceType: 'payment_transaction',
+        referenceId: transaction.id,
+        description: `Recharge via ${gateway}`
+      });
 
-      console.log('Balance update result:', balanceResult.rows[0]);
-      const newBalance = parseFloat(balanceResult.rows[0].balance);
-      console.log('New user balance:', newBalance);
-      
-      // Verify the balance was actually updated
-      const verifyResult = await client.query(`
+      const balanceResult = await client.query(`
         SELECT balance FROM users WHERE id = $1
       `, [userId]);
-      console.log('Balance verification:', verifyResult.rows[0]);
+      const newBalance = parseFloat(balanceResult.rows[0].balance);
+      console.log('New user balance:', newBalance);
 
       // Commit the transaction
       await client.query('COMMIT');
@@ -764,6 +1017,17 @@ class PaymentService {
       }
 
       if (refundResult.success) {
+        // Deduct from user balance; the money goes back out through the gateway
+        await ledgerService.recordTransfer({
+          type: 'recharge_refund',
+          from: ledgerService.accounts.playerCash(transaction.user_id),
+          to: ledgerService.accounts.gatewayClearing,
+          amount: parseFloat(transaction.amount),
+          referenceType: 'payment_transaction',
+          referenceId: transaction.id,
+          description: reason
+        });
+
         // Update transaction status
         await this.updateTransactionStatus(transactionId, this.statuses.CANCELLED, {
           refundedAt: new Date().toISOString(),
@@ -771,11 +1035,6 @@ class PaymentService {
           refundResult
         });
 
-        // Deduct from user balance
-        await db.query(`
-          UPDATE users SET balance = balance - $1 WHERE id = $2
-        `, [transaction.amount, transaction.user_id]);
-
         logger.info(`Transaction refunded: ${transactionId}, amount: ${transaction.amount} FCFA`);
         return { success: true, refundResult };
       }
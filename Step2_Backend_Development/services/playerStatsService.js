@@ -10,19 +10,23 @@ class PlayerStatsService {
   // Calculate player statistics
   async calculatePlayerStats(userId) {
     try {
-      // Get all bets for the user
+      // Get all bets for the user. The parts a partial cash-out split off a bet are folded back into it,
+      // so a bet counts once with everything it staked, won and lost.
       const betsResult = await db.query(`
         SELECT 
-          b.id,
-          b.amount,
-          b.cashout_multiplier,
-          b.timestamp,
-          r.crash_point,
-          r.timestamp as round_timestamp
+          COALESCE(b.parent_bet_id, b.id) as id,
+          SUM(b.amount) as amount,
+          SUM(CASE WHEN b.cashout_multiplier IS NOT NULL THEN b.amount * b.cashout_multiplier ELSE 0 END) as won,
+          SUM(CASE WHEN b.cashout_multiplier IS NULL THEN b.amount ELSE 0 END) as lost,
+          MAX(b.cashout_multiplier) as cashout_multiplier,
+          MIN(b.timestamp) as timestamp,
+          MAX(r.crash_point) as crash_point,
+          MAX(r.timestamp) as round_timestamp
         FROM bets b
         JOIN rounds r ON b.round_id = r.id
-        WHERE b.user_id = $1
-        ORDER BY b.timestamp DESC
+        WHERE b.user_id = $1 AND NOT b.is_practice
+        GROUP BY COALESCE(b.parent_bet_id, b.id)
+        ORDER BY MIN(b.timestamp) DESC
       `, [userId]);
 
       const bets = betsResult.rows;
@@ -45,13 +49,15 @@ class PlayerStatsService {
       let winRate = 0;
       let profitLoss = 0;
 
-      // Process each bet
+      // Process each bet; a bet with any cashed-out part is a win, and the parts still riding at the crash are lost
       for (const bet of bets) {
+        const lost = parseFloat(bet.lost);
         totalWagered += parseFloat(bet.amount);
+        totalLost += lost;
         
         if (bet.cashout_multiplier) {
           // Win
-          const winnings = bet.amount * bet.cashout_multiplier;
+          const winnings = parseFloat(bet.won);
           totalWon += winnings;
           wins++;
           
@@ -59,16 +65,15 @@ class PlayerStatsService {
             biggestWin = winnings;
           }
           
-          if (bet.cashout_multiplier > highestMultiplier) {
-            highestMultiplier = bet.cashout_multiplier;
+          if (parseFloat(bet.cashout_multiplier) > highestMultiplier) {
+            highestMultiplier = parseFloat(bet.cashout_multiplier);
           }
         } else {
           // Loss
-          totalLost += parseFloat(bet.amount);
           losses++;
           
-          if (bet.amount > biggestLoss) {
-            biggestLoss = bet.amount;
+          if (lost > biggestLoss) {
+            biggestLoss = lost;
           }
         }
       }
@@ -85,8 +90,8 @@ class PlayerStatsService {
       const recentStats = {
         bets: recentBets.length,
         wagered: recentBets.reduce((sum, bet) => sum + parseFloat(bet.amount), 0),
-        won: recentBets.filter(bet => bet.cashout_multiplier).reduce((sum, bet) => sum + (bet.amount * bet.cashout_multiplier), 0),
-        lost: recentBets.filter(bet => !bet.cashout_multiplier).reduce((sum, bet) => sum + parseFloat(bet.amount), 0)
+        won: recentBets.reduce((sum, bet) => sum + parseFloat(bet.won), 0),
+        lost: recentBets.reduce((sum, bet) => sum + parseFloat(bet.lost), 0)
       };
 
       const stats = {
@@ -176,7 +181,8 @@ class PlayerStatsService {
     }
   }
 
-  // Get leaderboard data
+  // Get leaderboard data (real-money bets only, practice bets never rank).
+  // The parts a partial cash-out split off a bet add to its totals but do not count as bets of their own.
   async getLeaderboard(type = 'profit', limit = 10) {
     try {
       let query = '';
@@ -188,13 +194,13 @@ class PlayerStatsService {
             SELECT 
               u.id,
               u.username,
-              COUNT(b.id) as total_bets,
+              COUNT(DISTINCT COALESCE(b.parent_bet_id, b.id)) as total_bets,
               SUM(b.amount) as total_wagered,
               SUM(CASE WHEN b.cashout_multiplier IS NOT NULL THEN b.amount * b.cashout_multiplier ELSE 0 END) as total_won,
               SUM(CASE WHEN b.cashout_multiplier IS NULL THEN b.amount ELSE 0 END) as total_lost,
               MAX(CASE WHEN b.cashout_multiplier IS NOT NULL THEN b.cashout_multiplier ELSE 0 END) as highest_multiplier
             FROM users u
-            LEFT JOIN bets b ON u.id = b.user_id
+            LEFT JOIN bets b ON u.id = b.user_id AND NOT b.is_practice
             GROUP BY u.id, u.username
             HAVING COUNT(b.id) > 0
           `;
@@ -207,9 +213,9 @@ class PlayerStatsService {
               u.id,
               u.username,
               MAX(CASE WHEN b.cashout_multiplier IS NOT NULL THEN b.amount * b.cashout_multiplier ELSE 0 END) as biggest_win,
-              COUNT(b.id) as total_bets
+              COUNT(DISTINCT COALESCE(b.parent_bet_id, b.id)) as total_bets
             FROM users u
-            LEFT JOIN bets b ON u.id = b.user_id
+            LEFT JOIN bets b ON u.id = b.user_id AND NOT b.is_practice
             GROUP BY u.id, u.username
             HAVING COUNT(b.id) > 0
           `;
@@ -222,9 +228,9 @@ class PlayerStatsService {
               u.id,
               u.username,
               MAX(CASE WHEN b.cashout_multiplier IS NOT NULL THEN b.cashout_multiplier ELSE 0 END) as highest_multiplier,
-              COUNT(b.id) as total_bets
+              COUNT(DISTINCT COALESCE(b.parent_bet_id, b.id)) as total_bets
             FROM users u
-            LEFT JOIN bets b ON u.id = b.user_id
+            LEFT JOIN bets b ON u.id = b.user_id AND NOT b.is_practice
             GROUP BY u.id, u.username
             HAVING COUNT(b.id) > 0
           `;
@@ -236,14 +242,14 @@ class PlayerStatsService {
             SELECT 
               u.id,
               u.username,
-              COUNT(b.id) as total_bets,
+              COUNT(DISTINCT COALESCE(b.parent_bet_id, b.id)) as total_bets,
               SUM(b.amount) as total_wagered
             FROM users u
-            LEFT JOIN bets b ON u.id = b.user_id
+            LEFT JOIN bets b ON u.id = b.user_id AND NOT b.is_practice
             GROUP BY u.id, u.username
             HAVING COUNT(b.id) > 0
           `;
-          orderBy = 'ORDER BY COUNT(b.id) DESC';
+          orderBy = 'ORDER BY COUNT(DISTINCT COALESCE(b.parent_bet_id, b.id)) DESC';
           break;
         
         default:
@@ -276,7 +282,7 @@ class PlayerStatsService {
         FROM bets b
         JOIN users u ON b.user_id = u.id
         JOIN rounds r ON b.round_id = r.id
-        WHERE b.cashout_multiplier IS NOT NULL
+        WHERE b.cashout_multiplier IS NOT NULL AND NOT b.is_practice
         ORDER BY (b.amount * b.cashout_multiplier) DESC
         LIMIT $1
       `, [limit]);
@@ -0,0 +1,57 @@
+const db = require('../db');
+const config = require('../config');
+const gameRooms = require('../config/rooms');
+const logger = require('../utils/logger');
+
+// Play-money wallet of practice mode, held in users.practice_balance apart from the real balance.
+// It is topped back up to PRACTICE_BALANCE whenever it can no longer cover a bet, so practice never runs dry.
+class PracticeWalletService {
+  constructor() {
+    this.refillAmount = config.game.practiceBalance;
+    // Smallest bet any room accepts; below it the wallet cannot play anywhere
+    this.minimumBet = Math.min(...gameRooms.rooms.map(room => room.minBet));
+  }
+
+  // Top the wallet up if `balance` cannot cover `amount`; returns the balance to bet from.
+  // Runs in the caller's transaction, which must hold the user row lock.
+  async refill(queryable, userId, balance, amount) {
+    if (balance >= amount || amount > this.refillAmount) {
+      return balance;
+    }
+
+    await queryable.query(
+      'UPDATE users SET practice_balance = $1 WHERE id = $2',
+      [this.refillAmount, userId]
+    );
+    logger.info(`Refilled practice wallet of user ${userId} to ${this.refillAmount} FCFA`);
+    return this.refillAmount;
+  }
+
+  // Practice balance of a player, refilled first if it cannot cover the smallest bet
+  async getWallet(userId) {
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'SELECT practice_balance FROM users WHERE id = $1 FOR UPDATE',
+        [userId]
+      );
+      if (result.rows.length === 0) {
+        throw new Error('User not found');
+      }
+
+      const balance = await this.refill(client, userId, parseFloat(result.rows[0].practice_balance), this.minimumBet);
+
+      await client.query('COMMIT');
+      return { balance, refillAmount: this.refillAmount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new PracticeWalletService();
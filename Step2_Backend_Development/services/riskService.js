@@ -0,0 +1,82 @@
+const config = require('../config');
+
+// Lowest multiplier a bet can be cashed out at (the smallest auto-cashout target)
+const MIN_PAYOUT_MULTIPLIER = 1.01;
+
+// House exposure limits. A real-money bet never pays more than the room's max payout per bet, and a round's
+// liability - what it has paid out plus what its open bets would pay at the current multiplier - never grows
+// past the room's max payout per round. Practice bets are play money and never count.
+class RiskService {
+  // Limits of a room; a room can set its own or use the global defaults
+  getLimits(room) {
+    return {
+      maxPayoutPerBet: room.maxPayoutPerBet || config.game.maxPayoutPerBet,
+      maxPayoutPerRound: room.maxPayoutPerRound || config.game.maxPayoutPerRound
+    };
+  }
+
+  // Multiplier at which a bet of `amount` reaches the payout cap, rounded down to the cent
+  payoutCapMultiplier(amount, limits) {
+    return Math.floor((limits.maxPayoutPerBet / amount) * 100) / 100;
+  }
+
+  // Check a new bet against the per-bet cap; returns its auto-cashout target scaled down to the cap
+  checkBet(amount, autoCashoutAt, limits) {
+    const capAt = this.payoutCapMultiplier(amount, limits);
+    if (capAt < MIN_PAYOUT_MULTIPLIER) {
+      throw new Error(`Bet exceeds the maximum payout of ${limits.maxPayoutPerBet.toLocaleString('en-US')} FCFA per bet`);
+    }
+    return autoCashoutAt !== null && autoCashoutAt > capAt ? capAt : autoCashoutAt;
+  }
+
+  // Check that a round holding `stakes` can take a bet of `amount` and still pay every bet back at the lowest cash-out
+  checkRound(stakes, amount, limits) {
+    if ((stakes + amount) * MIN_PAYOUT_MULTIPLIER > limits.maxPayoutPerRound) {
+      throw new Error('Round liability limit reached - try a smaller bet or the next round');
+    }
+  }
+
+  // Highest multiplier a bet can still be paid at: its auto-cashout target or the payout cap, whichever comes first.
+  // A partially cashed-out bet keeps the cap of its whole stake, so its parts together stay within the max payout.
+  betCeiling(bet, limits) {
+    const capAt = this.payoutCapMultiplier(bet.amount + (bet.settledAmount || 0), limits);
+    return bet.autoCashoutAt ? Math.min(bet.autoCashoutAt, capAt) : capAt;
+  }
+
+  // What a round would owe at `multiplier`: the payouts made plus every open bet cashed out there (or at its ceiling)
+  liabilityAt(bets, paidOut, multiplier, limits) {
+    return bets.reduce((sum, bet) => sum + bet.amount * Math.min(multiplier, this.betCeiling(bet, limits)), paidOut);
+  }
+
+  // Extra a payout of `winnings` at `multiplier` can take on top (a bonus) without going over the payout cap per bet
+  // or the round's limit, given the round's other open bets, what it has already paid out and what the same bet has
+  // paid or can still pay through its other parts (`committed`)
+  bonusAllowance(winnings, bets, paidOut, multiplier, limits, committed = 0) {
+    const perBet = limits.maxPayoutPerBet - committed - winnings;
+    const perRound = limits.maxPayoutPerRound - this.liabilityAt(bets, paidOut + winnings, multiplier, limits);
+    return Math.max(0, Math.min(perBet, perRound));
+  }
+
+  // Lowest multiplier, rounded down to the cent, at which the round's liability reaches the per-round limit.
+  // Infinity if its open bets all reach their ceilings first.
+  limitMultiplier(bets, paidOut, limits) {
+    const ceilings = bets
+      .map(bet => ({ amount: bet.amount, ceiling: this.betCeiling(bet, limits) }))
+      .sort((a, b) => a.ceiling - b.ceiling);
+
+    // Liability grows with the stakes still riding; each bet stops adding to it at its ceiling
+    let settled = paidOut;
+    let riding = ceilings.reduce((sum, bet) => sum + bet.amount, 0);
+    for (const bet of ceilings) {
+      const multiplier = (limits.maxPayoutPerRound - settled) / riding;
+      if (multiplier <= bet.ceiling) {
+        return Math.max(1, Math.floor(multiplier * 100) / 100);
+      }
+      settled += bet.amount * bet.ceiling;
+      riding -= bet.amount;
+    }
+    return Infinity;
+  }
+}
+
+module.exports = new RiskService();
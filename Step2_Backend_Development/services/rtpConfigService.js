@@ -0,0 +1,147 @@
+const db = require('../db');
+const config = require('../config');
+const logger = require('../utils/logger');
+const crashDistribution = require('./crashDistribution');
+
+class RtpConfigService {
+  constructor() {
+    this.activeConfig = null;
+    this.versions = new Map(); // Published versions never change, so they are cached by id
+  }
+
+  // Map an rtp_configs row to the config used by the crash models
+  mapRow(row) {
+    return {
+      version: row.id,
+      model: row.model,
+      targetRtp: row.target_rtp !== null ? parseFloat(row.target_rtp) : null,
+      maxMultiplier: parseFloat(row.max_multiplier),
+      params: row.params || {},
+      status: row.status,
+      notes: row.notes,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      retiredAt: row.retired_at
+    };
+  }
+
+  // Config from the environment, used for the first published version
+  defaultConfig() {
+    return {
+      version: null,
+      model: crashDistribution.defaultModel,
+      targetRtp: config.game.targetRtp,
+      maxMultiplier: config.game.maxMultiplier,
+      params: {}
+    };
+  }
+
+  // Load the active version, publishing the environment defaults if none exists
+  async initialize() {
+    const result = await db.query(
+      "SELECT * FROM rtp_configs WHERE status = 'active' ORDER BY id DESC LIMIT 1"
+    );
+
+    if (result.rows.length > 0) {
+      this.activeConfig = this.mapRow(result.rows[0]);
+      this.versions.set(this.activeConfig.version, this.activeConfig);
+      logger.info(`RTP config v${this.activeConfig.version} loaded (${this.activeConfig.model}, RTP ${this.activeConfig.targetRtp})`);
+    } else {
+      const defaults = this.defaultConfig();
+      await this.publishConfig({ ...defaults, notes: 'Initial configuration' });
+    }
+
+    return this.activeConfig;
+  }
+
+  // Config applied to new rounds. Read from the database every time: an admin may have published a new version
+  // through another server instance than the one running the game.
+  async getActiveConfig() {
+    const result = await db.query(
+      "SELECT * FROM rtp_configs WHERE status = 'active' ORDER BY id DESC LIMIT 1"
+    );
+    if (result.rows.length === 0) {
+      logger.warn('No RTP config published, using environment defaults');
+      return this.defaultConfig();
+    }
+
+    const version = result.rows[0].id;
+    if (!this.versions.has(version)) {
+      this.versions.set(version, this.mapRow(result.rows[0]));
+    }
+    this.activeConfig = this.versions.get(version);
+    return this.activeConfig;
+  }
+
+  // Config version a round was played under
+  async getConfig(version) {
+    if (this.versions.has(version)) {
+      return this.versions.get(version);
+    }
+
+    const result = await db.query('SELECT * FROM rtp_configs WHERE id = $1', [version]);
+    if (result.rows.length === 0) {
+      throw new Error(`RTP config version ${version} not found`);
+    }
+
+    const rtpConfig = this.mapRow(result.rows[0]);
+    this.versions.set(rtpConfig.version, rtpConfig);
+    return rtpConfig;
+  }
+
+  // Retire the active version and publish a new one (applies from the next round)
+  async publishConfig({ model = crashDistribution.defaultModel, targetRtp, maxMultiplier, params = {}, notes = null }, adminId = null) {
+    crashDistribution.validate({ model, targetRtp, maxMultiplier, params });
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        "UPDATE rtp_configs SET status = 'retired', retired_at = NOW() WHERE status = 'active'"
+      );
+
+      const insertResult = await client.query(
+        'INSERT INTO rtp_configs (model, target_rtp, max_multiplier, params, status, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+        [model, targetRtp, maxMultiplier, JSON.stringify(params), 'active', notes, adminId]
+      );
+
+      await client.query('COMMIT');
+
+      // Retired versions are still cached by id; only their status changed
+      for (const cached of this.versions.values()) {
+        cached.status = 'retired';
+      }
+
+      this.activeConfig = this.mapRow(insertResult.rows[0]);
+      this.versions.set(this.activeConfig.version, this.activeConfig);
+
+      logger.info(`RTP config v${this.activeConfig.version} published (${model}, RTP ${targetRtp}, max ${maxMultiplier}x)`);
+
+      return this.activeConfig;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error publishing RTP config:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Every published version, newest first
+  async getConfigs(limit = 20) {
+    const result = await db.query(
+      'SELECT * FROM rtp_configs ORDER BY id DESC LIMIT $1',
+      [limit]
+    );
+    return result.rows.map(row => this.mapRow(row));
+  }
+
+  // Clear cache for testing
+  clearCache() {
+    this.activeConfig = null;
+    this.versions.clear();
+  }
+}
+
+module.exports = new RtpConfigService();
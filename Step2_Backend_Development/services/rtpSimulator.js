@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const crashDistribution = require('./crashDistribution');
+const insuranceService = require('./insuranceService');
+
+// Histogram bucket lower bounds; the last bucket collects everything at or above its bound
+const HISTOGRAM_BOUNDS = [1, 1.01, 1.5, 2, 3, 5, 10, 100, 1000];
+
+// Synthetic bettor populations.
+//   fixed:   always cashes out at `target`
+//   auto:    picks one of `targets` per round (auto-cashout users who change their target)
+//   insured: cashes out at `target` and buys `insuranceType` cover, paid out when the bet is lost
+const POPULATIONS = {
+  default: [
+    { name: 'fixed-1.5x', type: 'fixed', target: 1.5, amount: 400, count: 3 },
+    { name: 'fixed-2x', type: 'fixed', target: 2, amount: 400, count: 3 },
+    { name: 'fixed-10x', type: 'fixed', target: 10, amount: 400, count: 1 },
+    { name: 'auto-mixed', type: 'auto', targets: [1.2, 1.5, 2, 3, 5, 10, 50], amount: 400, count: 2 },
+    { name: 'insured-basic-2x', type: 'insured', target: 2, insuranceType: 'basic', amount: 400, count: 1 },
+    { name: 'insured-elite-3x', type: 'insured', target: 3, insuranceType: 'elite', amount: 400, count: 1 }
+  ]
+};
+
+class RtpSimulator {
+  constructor() {
+    this.histogramBounds = HISTOGRAM_BOUNDS;
+    this.populations = POPULATIONS;
+  }
+
+  // Seed hash for the `index`-th simulated round (deterministic, so a run can be reproduced from its seed)
+  roundHash(seed, index) {
+    return crypto.createHash('sha256').update(`${seed}:${index}`).digest('hex');
+  }
+
+  // Cash-out target of a bettor for one round. Auto bettors draw from hash bits the crash models never read.
+  pickTarget(strategy, hash, slot) {
+    if (strategy.type !== 'auto') {
+      return strategy.target;
+    }
+    const offset = 32 + (slot % 8) * 4;
+    return strategy.targets[parseInt(hash.substring(offset, offset + 4), 16) % strategy.targets.length];
+  }
+
+  // Stake, return and insurance flows of a single bet. A cash-out at `target` succeeds when the round reaches it.
+  settleBet(strategy, target, crashPoint) {
+    const won = crashPoint >= target;
+    const payout = won ? strategy.amount * target : 0;
+
+    if (strategy.type !== 'insured') {
+      return { stake: strategy.amount, returned: payout, premium: 0, claim: 0 };
+    }
+
+    const insurance = insuranceService.calculateInsurancePremium(strategy.amount, strategy.insuranceType);
+    const claim = won ? 0 : insurance.coverageAmount;
+    return { stake: strategy.amount + insurance.premium, returned: payout + claim, premium: insurance.premium, claim };
+  }
+
+  // Running mean/variance of the per-bet return ratio (Welford)
+  createAccumulator() {
+    return { bets: 0, wagered: 0, returned: 0, premiums: 0, claims: 0, wins: 0, mean: 0, m2: 0 };
+  }
+
+  accumulate(acc, settlement) {
+    const ratio = settlement.returned / settlement.stake;
+    acc.bets += 1;
+    acc.wagered += settlement.stake;
+    acc.returned += settlement.returned;
+    acc.premiums += settlement.premium;
+    acc.claims += settlement.claim;
+    if (settlement.returned > settlement.claim) acc.wins += 1;
+
+    const delta = ratio - acc.mean;
+    acc.mean += delta / acc.bets;
+    acc.m2 += delta * (ratio - acc.mean);
+  }
+
+  summarize(acc) {
+    const variance = acc.bets > 1 ? acc.m2 / (acc.bets - 1) : 0;
+    return {
+      bets: acc.bets,
+      wagered: parseFloat(acc.wagered.toFixed(2)),
+      returned: parseFloat(acc.returned.toFixed(2)),
+      rtp: acc.wagered > 0 ? acc.returned / acc.wagered : 0,
+      variance,
+      standardError: acc.bets > 0 ? Math.sqrt(variance / acc.bets) : 0,
+      winRate: acc.bets > 0 ? acc.wins / acc.bets : 0,
+      housePnl: parseFloat((acc.wagered - acc.returned).toFixed(2)),
+      insurancePremiums: parseFloat(acc.premiums.toFixed(2)),
+      insuranceClaims: parseFloat(acc.claims.toFixed(2))
+    };
+  }
+
+  // Run `rounds` rounds through the crash-point function with a synthetic bettor population
+  simulate({ rounds = 100000, rtpConfig, population = 'default', seed = 'rtp-simulation' } = {}) {
+    if (!rtpConfig) {
+      throw new Error('An RTP config is required');
+    }
+    crashDistribution.validate(rtpConfig);
+
+    const strategies = typeof population === 'string' ? this.populations[population] : population;
+    if (!strategies || strategies.length === 0) {
+      throw new Error(`Unknown bettor population: ${population}`);
+    }
+
+    const histogram = new Array(this.histogramBounds.length).fill(0);
+    const totals = this.createAccumulator();
+    const byStrategy = strategies.map(() => this.createAccumulator());
+    let crashPointSum = 0;
+    let maxCrashPoint = 0;
+
+    for (let i = 0; i < rounds; i++) {
+      const hash = this.roundHash(seed, i);
+      const crashPoint = crashDistribution.crashPoint(hash, rtpConfig);
+
+      crashPointSum += crashPoint;
+      maxCrashPoint = Math.max(maxCrashPoint, crashPoint);
+
+      let bucket = this.histogramBounds.length - 1;
+      while (bucket > 0 && crashPoint < this.histogramBounds[bucket]) bucket--;
+      histogram[bucket] += 1;
+
+      let slot = 0;
+      strategies.forEach((strategy, s) => {
+        for (let c = 0; c < (strategy.count || 1); c++, slot++) {
+          const settlement = this.settleBet(strategy, this.pickTarget(strategy, hash, slot), crashPoint);
+          this.accumulate(totals, settlement);
+          this.accumulate(byStrategy[s], settlement);
+        }
+      });
+    }
+
+    return {
+      rounds,
+      seed,
+      rtpConfig: {
+        version: rtpConfig.version || null,
+        model: rtpConfig.model,
+        targetRtp: rtpConfig.targetRtp,
+        maxMultiplier: rtpConfig.maxMultiplier
+      },
+      ...this.summarize(totals),
+      strategies: strategies.map((strategy, s) => ({ name: strategy.name || strategy.type, ...this.summarize(byStrategy[s]) })),
+      crashPoints: {
+        mean: rounds > 0 ? crashPointSum / rounds : 0,
+        max: maxCrashPoint,
+        histogram: this.histogramBounds.map((from, b) => ({
+          from,
+          to: this.histogramBounds[b + 1] || null,
+          rounds: histogram[b],
+          share: rounds > 0 ? histogram[b] / rounds : 0
+        }))
+      }
+    };
+  }
+}
+
+module.exports = new RtpSimulator();
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const db = require('../db');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+class SeedChainService {
+  constructor() {
+    this.defaultLength = config.game.seedChainLength;
+    this.maxLength = 1000000;
+    this.activeChain = null; // { id, anchorHash, clientSeed, length, stride, checkpoints } - checkpoints[n] = sha256^(n*stride)(rootSeed)
+  }
+
+  // SHA-256 of a seed, hex encoded
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  // Hash a seed `steps` times (walks a chain seed back towards its anchor)
+  walkChain(seed, steps) {
+    let current = seed;
+    for (let i = 0; i < steps; i++) {
+      current = this.hash(current);
+    }
+    return current;
+  }
+
+  // Walk a chain from its root seed, keeping every `stride`-th link (about sqrt(length) of them) and the anchor
+  buildCheckpoints(rootSeed, length) {
+    const stride = Math.ceil(Math.sqrt(length));
+    const checkpoints = [];
+    let current = rootSeed;
+    for (let i = 0; i < length; i++) {
+      if (i % stride === 0) checkpoints.push(current);
+      current = this.hash(current);
+    }
+    return { stride, checkpoints, anchorHash: current };
+  }
+
+  // Server seed for the `index`-th round of a chain (1-based, consumed in reverse of generation),
+  // derived from the nearest checkpoint in at most `stride` hashes
+  seedAt(chain, index) {
+    if (index < 1 || index > chain.length) {
+      throw new Error(`Chain index ${index} out of range`);
+    }
+    const link = chain.length - index;
+    const checkpoint = Math.floor(link / chain.stride);
+    return this.walkChain(chain.checkpoints[checkpoint], link - checkpoint * chain.stride);
+  }
+
+  // A round seed is valid when hashing it `index` times reaches the published anchor
+  verifySeed(serverSeed, index, anchorHash) {
+    return this.walkChain(serverSeed, index) === anchorHash;
+  }
+
+  // Map a seed_chains row to the in-memory chain used by the engine
+  hydrateChain(row) {
+    const length = parseInt(row.length);
+    const { stride, checkpoints, anchorHash } = this.buildCheckpoints(row.root_seed, length);
+
+    if (anchorHash !== row.anchor_hash) {
+      throw new Error(`Seed chain ${row.id} does not match its published anchor`);
+    }
+
+    return {
+      id: row.id,
+      anchorHash,
+      clientSeed: row.client_seed,
+      length,
+      stride,
+      checkpoints
+    };
+  }
+
+  // Load the chain the database has active, keeping the one in memory if it is the same; null when there is none
+  async loadActiveChain() {
+    const result = await db.query(
+      "SELECT id, anchor_hash, root_seed, client_seed, length, next_index FROM seed_chains WHERE status = 'active' ORDER BY id DESC LIMIT 1"
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    if (!this.activeChain || this.activeChain.id !== result.rows[0].id) {
+      this.activeChain = this.hydrateChain(result.rows[0]);
+      logger.info(`Seed chain ${this.activeChain.id} loaded (anchor ${this.activeChain.anchorHash})`);
+    }
+    return this.activeChain;
+  }
+
+  // Load the active chain, creating the first one if none exists
+  async initialize() {
+    if (!(await this.loadActiveChain())) {
+      await this.rotateChain(this.defaultLength, null, { replaces: null });
+    }
+
+    return this.getChainSummary(this.activeChain);
+  }
+
+  // Retire the active chain and publish a new one. An automatic rotation names the chain it `replaces` (null for
+  // none): when another instance has already replaced that chain, its chain is loaded instead of publishing another.
+  async rotateChain(length = this.defaultLength, adminId = null, { replaces } = {}) {
+    if (!Number.isInteger(length) || length < 1 || length > this.maxLength) {
+      throw new Error(`Chain length must be an integer between 1 and ${this.maxLength}`);
+    }
+
+    const rootSeed = crypto.randomBytes(32).toString('hex');
+    const clientSeed = crypto.randomBytes(32).toString('hex');
+    const { stride, checkpoints, anchorHash } = this.buildCheckpoints(rootSeed, length);
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Rotations wait for each other on the active chain's row; the single-active index stops two first chains
+      const activeResult = await client.query("SELECT id FROM seed_chains WHERE status = 'active' FOR UPDATE");
+      const activeId = activeResult.rows.length > 0 ? activeResult.rows[0].id : null;
+      if (replaces !== undefined && activeId !== replaces) {
+        await client.query('ROLLBACK');
+        await this.loadActiveChain();
+        return this.getChainSummary(this.activeChain);
+      }
+
+      await client.query(
+        "UPDATE seed_chains SET status = 'retired', retired_at = NOW() WHERE status = 'active'"
+      );
+
+      const insertResult = await client.query(
+        'INSERT INTO seed_chains (anchor_hash, root_seed, client_seed, length, next_index, status, created_by) VALUES ($1, $2, $3, $4, 1, $5, $6) RETURNING id',
+        [anchorHash, rootSeed, clientSeed, length, 'active', adminId]
+      );
+
+      await client.query('COMMIT');
+
+      this.activeChain = {
+        id: insertResult.rows[0].id,
+        anchorHash,
+        clientSeed,
+        length,
+        stride,
+        checkpoints
+      };
+
+      logger.info(`Seed chain ${this.activeChain.id} published with anchor ${anchorHash} (${length} rounds)`);
+
+      return this.getChainSummary(this.activeChain);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      // Another instance published a chain at the same time (unique violation on the single-active index)
+      if (replaces !== undefined && error.code === '23505') {
+        await this.loadActiveChain();
+        return this.getChainSummary(this.activeChain);
+      }
+      logger.error('Error rotating seed chain:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Claim the next unused seed of the active chain (rotates automatically when exhausted)
+  async nextSeed() {
+    if (!this.activeChain) {
+      await this.initialize();
+    }
+
+    const result = await db.query(
+      "UPDATE seed_chains SET next_index = next_index + 1 WHERE id = $1 AND status = 'active' AND next_index <= length RETURNING next_index - 1 AS index",
+      [this.activeChain.id]
+    );
+
+    // Our chain is exhausted or no longer active: another instance or an admin may already have published its
+    // successor, so only rotate when the database still has this chain active
+    if (result.rows.length === 0) {
+      const chain = this.activeChain;
+      const active = await this.loadActiveChain();
+      if (!active || active.id === chain.id) {
+        logger.info(`Seed chain ${chain.id} exhausted, rotating`);
+        await this.rotateChain(chain.length, null, { replaces: active ? chain.id : null });
+      }
+      return this.nextSeed();
+    }
+
+    const index = parseInt(result.rows[0].index);
+
+    return {
+      chainId: this.activeChain.id,
+      index,
+      serverSeed: this.seedAt(this.activeChain, index),
+      clientSeed: this.activeChain.clientSeed,
+      anchorHash: this.activeChain.anchorHash
+    };
+  }
+
+  // Verify a round's server seed against its chain: the anchor and the neighbouring rounds
+  async verifyRoundSeed(chainId, index, serverSeed) {
+    const chainResult = await db.query(
+      'SELECT id, anchor_hash, client_seed, length, status FROM seed_chains WHERE id = $1',
+      [chainId]
+    );
+
+    if (chainResult.rows.length === 0) {
+      throw new Error('Seed chain not found');
+    }
+
+    const chain = chainResult.rows[0];
+    const chainIndex = parseInt(index);
+
+    // The previous round of the same chain must use exactly sha256(serverSeed)
+    const previousResult = await db.query(
+      'SELECT id, server_seed FROM rounds WHERE seed_chain_id = $1 AND chain_index = $2 AND end_time IS NOT NULL',
+      [chainId, chainIndex - 1]
+    );
+    const previousRound = previousResult.rows[0] || null;
+
+    return {
+      chainId: chain.id,
+      index: chainIndex,
+      anchorHash: chain.anchor_hash,
+      anchorMatches: this.verifySeed(serverSeed, chainIndex, chain.anchor_hash),
+      previousRoundId: previousRound ? previousRound.id : null,
+      previousSeedMatches: previousRound ? this.hash(serverSeed) === previousRound.server_seed : null
+    };
+  }
+
+  // Public view of chains. Root seeds are never published: rounds of a retired chain may still be waiting or running
+  // in another room, and every revealed round seed already verifies against the previous round and the anchor.
+  async getChains(limit = 20) {
+    const result = await db.query(
+      `SELECT id, anchor_hash, client_seed, length, next_index, status, created_at, retired_at
+       FROM seed_chains
+       ORDER BY id DESC
+       LIMIT $1`,
+      [limit]
+    );
+
+    return result.rows.map(row => ({
+      chainId: row.id,
+      anchorHash: row.anchor_hash,
+      clientSeed: row.client_seed,
+      length: parseInt(row.length),
+      roundsPlayed: parseInt(row.next_index) - 1,
+      status: row.status,
+      createdAt: row.created_at,
+      retiredAt: row.retired_at
+    }));
+  }
+
+  // Summary of an in-memory chain (never includes the seeds)
+  getChainSummary(chain) {
+    if (!chain) return null;
+    return {
+      chainId: chain.id,
+      anchorHash: chain.anchorHash,
+      clientSeed: chain.clientSeed,
+      length: chain.length
+    };
+  }
+
+  // Clear cache for testing
+  clearCache() {
+    this.activeChain = null;
+  }
+}
+
+module.exports = new SeedChainService();
@@ -1,6 +1,16 @@
+const crypto = require('crypto');
 const db = require('../db');
 const logger = require('../utils/logger');
+const multiplierCurve = require('./multiplierCurve');
 
+// A block slot comes up every second of the running phase
+const BLOCK_INTERVAL_MS = 1000;
+const TWO_POW_52 = Math.pow(2, 52);
+
+// Special blocks. Which blocks a round gets, and when, is derived from the round's seeds like its crash point, so it
+// can be recomputed once the server seed is revealed. Blocks never move the crash point: boost, safety and stability
+// blocks reshape the multiplier and integrity curve on the way there, a crash block makes the tower reach it at once,
+// and a bonus block doubles the next cash-out.
 class SpecialBlockService {
   constructor() {
     this.blockTypes = {
@@ -10,7 +20,8 @@ class SpecialBlockService {
         effect: 'multiplier_boost',
         duration: 10000, // 10 seconds
         probability: 0.05, // 5% chance
-        profitImpact: 'positive' // Increases house edge
+        profitImpact: 'positive', // Increases house edge
+        curve: { growthFactor: 1.5 }
       },
       stability: {
         name: 'Stability Block',
@@ -18,7 +29,8 @@ class SpecialBlockService {
         effect: 'integrity_stability',
         duration: 15000, // 15 seconds
         probability: 0.03, // 3% chance
-        profitImpact: 'positive' // Keeps players in longer
+        profitImpact: 'positive', // Keeps players in longer
+        curve: { integrityFactor: 0.25 }
       },
       bonus: {
         name: 'Bonus Block',
@@ -42,7 +54,8 @@ class SpecialBlockService {
         effect: 'crash_protection',
         duration: 5000, // 5 seconds
         probability: 0.04, // 4% chance
-        profitImpact: 'negative' // Reduces house edge temporarily
+        profitImpact: 'negative', // Reduces house edge temporarily
+        curve: { growthFactor: 0 } // The multiplier holds, so the crash point cannot be reached
       }
     };
 
@@ -50,127 +63,147 @@ class SpecialBlockService {
     this.effectHistory = new Map(); // roundId -> history
   }
 
-  // Generate special block based on probability
-  generateSpecialBlock(roundId, currentMultiplier, currentIntegrity) {
-    const random = Math.random();
+  // Block type drawn for slot `index` of a round, or null for none
+  drawBlock(serverSeed, clientSeed, nonce, index) {
+    const hash = crypto.createHash('sha256').update(`${serverSeed}${clientSeed}${nonce}:block:${index}`).digest('hex');
+    const random = parseInt(hash.substring(0, 13), 16) / TWO_POW_52; // [0, 1)
     let cumulativeProbability = 0;
-    
+
     for (const [type, block] of Object.entries(this.blockTypes)) {
       cumulativeProbability += block.probability;
-      
-      if (random <= cumulativeProbability) {
-        const effect = this.createEffect(roundId, type, block, currentMultiplier, currentIntegrity);
-        
-        // Store active effect
-        if (!this.activeEffects.has(roundId)) {
-          this.activeEffects.set(roundId, []);
-        }
-        this.activeEffects.get(roundId).push(effect);
-        
-        // Log effect
-        logger.info(`Special block generated: ${block.name} for round ${roundId} at ${currentMultiplier}x`);
-        
-        return effect;
+      if (random < cumulativeProbability) {
+        return type;
       }
     }
-    
-    return null; // No special block generated
+
+    return null; // No special block in this slot
+  }
+
+  // Special blocks of a round from its seeds, crash point and base curve. Slots run until the tower crashes, and
+  // the blocks drawn so far reshape the curve, so each slot is placed on the curve the earlier blocks left.
+  scheduleBlocks(seeds, crashPoint, curve) {
+    const blocks = [];
+    let effectCurve = curve;
+
+    for (let index = 1; ; index++) {
+      const at = index * BLOCK_INTERVAL_MS;
+      if (at >= multiplierCurve.elapsedAt(crashPoint, effectCurve)) {
+        break;
+      }
+
+      const type = this.drawBlock(seeds.serverSeed, seeds.clientSeed, seeds.nonce, index);
+      if (!type) {
+        continue;
+      }
+
+      const block = this.createEffect(type, this.blockTypes[type], at, multiplierCurve.multiplierAt(at, effectCurve));
+      blocks.push(block);
+      if (block.effect === 'force_crash') {
+        break;
+      }
+      effectCurve = this.applyEffects(effectCurve, [block]);
+    }
+
+    return blocks;
   }
 
-  // Create effect object
-  createEffect(roundId, type, block, currentMultiplier, currentIntegrity) {
+  // Create effect object, timed in milliseconds since the running phase started
+  createEffect(type, block, at, currentMultiplier) {
     return {
-      id: `${roundId}_${type}_${Date.now()}`,
       type,
       name: block.name,
       description: block.description,
       effect: block.effect,
-      startTime: Date.now(),
-      endTime: Date.now() + block.duration,
+      at,
       duration: block.duration,
-      currentMultiplier,
-      currentIntegrity,
-      profitImpact: block.profitImpact,
-      active: true
+      multiplier: currentMultiplier,
+      profitImpact: block.profitImpact
     };
   }
 
-  // Apply special block effects
-  applyEffects(roundId, gameState) {
-    const effects = this.activeEffects.get(roundId) || [];
-    const activeEffects = effects.filter(effect => effect.active && Date.now() < effect.endTime);
-    
-    let modifiedState = { ...gameState };
-    
-    for (const effect of activeEffects) {
-      switch (effect.effect) {
-        case 'multiplier_boost':
-          // Increase multiplier growth rate by 50%
-          modifiedState.multiplierGrowthRate = (modifiedState.multiplierGrowthRate || 0.05) * 1.5;
-          break;
-          
-        case 'integrity_stability':
-          // Slow down integrity loss by 75%
-          modifiedState.integrityLossRate = (modifiedState.integrityLossRate || 2) * 0.25;
-          break;
-          
-        case 'bonus_multiplier':
-          // Mark for bonus multiplier on cashout
-          modifiedState.bonusMultiplier = true;
-          break;
-          
-        case 'force_crash':
-          // Force immediate crash
-          modifiedState.forceCrash = true;
-          break;
-          
-        case 'crash_protection':
-          // Prevent crash for duration
-          modifiedState.crashProtected = true;
-          break;
-      }
+  // Add blocks to a curve's effects; every block is listed, so a round's curve names all of its blocks
+  applyEffects(curve, blocks) {
+    if (blocks.length === 0) {
+      return curve;
     }
-    
-    return modifiedState;
+
+    const effects = blocks.map(block => ({
+      type: block.type,
+      from: block.at,
+      to: block.at + block.duration,
+      ...this.blockTypes[block.type].curve
+    }));
+    return { ...curve, effects: [...(curve.effects || []), ...effects] };
+  }
+
+  // Milliseconds into the running phase at which a round's tower crashes: at its crash point, or at its crash block
+  crashElapsed(blocks, crashPoint, effectCurve) {
+    const crashBlock = blocks.find(block => block.effect === 'force_crash');
+    return crashBlock ? crashBlock.at : multiplierCurve.elapsedAt(crashPoint, effectCurve);
+  }
+
+  // Keep a round's bonus windows for its cash-outs, in server time
+  activateBlocks(roundId, blocks, runningStartTime) {
+    this.activeEffects.set(roundId, blocks.map(block => ({
+      ...block,
+      startTime: runningStartTime + block.at,
+      endTime: runningStartTime + block.at + block.duration,
+      active: true
+    })));
   }
 
-  // Process cashout with special effects
-  async processCashoutWithEffects(userId, roundId, betAmount, cashoutMultiplier) {
+  // Store a block once the tower has reached it
+  recordBlock(roundId, block, startTime, currentIntegrity) {
+    db.query(
+      `INSERT INTO special_blocks (round_id, block_type, block_name, description, effect_type, start_time, end_time,
+         duration, current_multiplier, current_integrity, profit_impact)
+       VALUES ($1, $2, $3, $4, $5, to_timestamp($6 / 1000.0), to_timestamp($7 / 1000.0), $8, $9, $10, $11)`,
+      [roundId, block.type, block.name, block.description, block.effect, startTime, startTime + block.duration,
+        block.duration, block.multiplier, currentIntegrity, block.profitImpact]
+    ).catch(error => {
+      logger.error(`Error recording special block ${block.type} for round ${roundId}:`, error);
+    });
+  }
+
+  // Process a cash-out priced at `at` with the round's special effects. A bonus block doubles the winnings of the
+  // first cash-out inside its window, by at most `maxBonus`. Synchronous so two cash-outs cannot claim one bonus.
+  processCashoutWithEffects(userId, roundId, betAmount, cashoutMultiplier, at = Date.now(), maxBonus = Infinity) {
     const effects = this.activeEffects.get(roundId) || [];
-    const bonusEffects = effects.filter(effect => 
-      effect.active && 
-      effect.effect === 'bonus_multiplier' && 
-      Date.now() < effect.endTime
+    const winnings = betAmount * cashoutMultiplier;
+    if (!effects.some(effect => effect.effect === 'bonus_multiplier')) {
+      return { originalMultiplier: cashoutMultiplier, finalMultiplier: cashoutMultiplier, bonusApplied: false, bonus: 0, winnings };
+    }
+
+    const bonusEffect = effects.find(effect =>
+      effect.active &&
+      effect.effect === 'bonus_multiplier' &&
+      effect.startTime <= at && at < effect.endTime
     );
-    
-    let finalMultiplier = cashoutMultiplier;
-    let bonusApplied = false;
-    
-    if (bonusEffects.length > 0) {
-      finalMultiplier = cashoutMultiplier * 2; // Double winnings
-      bonusApplied = true;
-      
-      // Deactivate bonus effect
-      bonusEffects.forEach(effect => {
-        effect.active = false;
-      });
-      
-      logger.info(`Bonus multiplier applied: User ${userId}, Original: ${cashoutMultiplier}x, Final: ${finalMultiplier}x`);
+
+    let bonus = 0;
+    if (bonusEffect) {
+      bonus = Math.max(0, Math.min(winnings, maxBonus)); // Double winnings, within the house's payout limits
+      bonusEffect.active = false;
+      logger.info(`Bonus multiplier applied: User ${userId}, ${cashoutMultiplier}x, bonus ${bonus} FCFA`);
     }
-    
+
+    const finalMultiplier = (winnings + bonus) / betAmount;
+
     // Record effect usage
-    await this.recordEffectUsage(roundId, userId, 'cashout', {
+    this.recordEffectUsage(roundId, userId, 'cashout', {
       originalMultiplier: cashoutMultiplier,
       finalMultiplier,
-      bonusApplied,
-      betAmount
+      bonusApplied: !!bonusEffect,
+      betAmount,
+      winnings: winnings + bonus
     });
-    
+
     return {
       originalMultiplier: cashoutMultiplier,
       finalMultiplier,
-      bonusApplied,
-      winnings: betAmount * finalMultiplier
+      bonusApplied: !!bonusEffect,
+      bonus,
+      winnings: winnings + bonus
     };
   }
 
@@ -188,9 +221,9 @@ class SpecialBlockService {
   }
 
   // Get active effects for a round
-  getActiveEffects(roundId) {
+  getActiveEffects(roundId, at = Date.now()) {
     const effects = this.activeEffects.get(roundId) || [];
-    return effects.filter(effect => effect.active && Date.now() < effect.endTime);
+    return effects.filter(effect => effect.active && effect.startTime <= at && at < effect.endTime);
   }
 
   // Get effect statistics
@@ -1,5 +1,6 @@
 const db = require('../db');
 const logger = require('../utils/logger');
+const ledgerService = require('./ledgerService');
 
 class TournamentService {
   constructor() {
@@ -145,9 +146,15 @@ class TournamentService {
         throw new Error('Insufficient balance for tournament entry');
       }
 
-      // Deduct entry fee
-      await db.query('UPDATE users SET balance = balance - $1 WHERE id = $2', 
-        [tournament.entryFee, userId]);
+      // Deduct entry fee into escrow until the prizes are paid
+      await ledgerService.recordTransfer({
+        type: 'tournament_entry',
+        from: ledgerService.accounts.playerCash(userId),
+        to: ledgerService.accounts.tournamentEscrow,
+        amount: tournament.entryFee,
+        referenceType: 'tournament',
+        referenceId: tournamentId
+      });
 
       // Add to tournament participants
       const participant = {
@@ -316,13 +323,19 @@ class TournamentService {
     return winners;
   }
 
-  // Distribute prizes to winners
+  // Distribute prizes to winners out of the entry fees held in escrow; what the prizes leave over goes to the house
   async distributePrizes(tournamentId, winners) {
     for (const winner of winners) {
       try {
         // Add prize to user balance
-        await db.query('UPDATE users SET balance = balance + $1 WHERE id = $2', 
-          [winner.prizeAmount, winner.userId]);
+        await ledgerService.recordTransfer({
+          type: 'tournament_prize',
+          from: ledgerService.accounts.tournamentEscrow,
+          to: ledgerService.accounts.playerCash(winner.userId),
+          amount: winner.prizeAmount,
+          referenceType: 'tournament',
+          referenceId: tournamentId
+        });
 
         // Record prize distribution
         await db.query(`
@@ -336,6 +349,24 @@ class TournamentService {
         logger.error(`Error distributing prize to ${winner.username}:`, error);
       }
     }
+
+    // A prize that failed to pay stays in escrow; only the share no prize was due from goes to the house
+    const tournament = this.activeTournaments.get(tournamentId);
+    const houseShare = tournament ? tournament.totalEntryFees - winners.reduce((sum, winner) => sum + winner.prizeAmount, 0) : 0;
+    if (houseShare > 0) {
+      try {
+        await ledgerService.recordTransfer({
+          type: 'tournament_rake',
+          from: ledgerService.accounts.tournamentEscrow,
+          to: ledgerService.accounts.house,
+          amount: houseShare,
+          referenceType: 'tournament',
+          referenceId: tournamentId
+        });
+      } catch (error) {
+        logger.error(`Error releasing the house share of tournament ${tournamentId}:`, error);
+      }
+    }
   }
 
   // Get active tournaments
@@ -543,9 +574,10 @@ class TournamentService {
               break;
               
             case 'cashout':
-              const { multiplier, winnings } = additionalData;
+              // A partial cash-out scores its own winnings; the biggest win counts the bet's settled parts together
+              const { multiplier, winnings, betWinnings = winnings } = additionalData;
               participant.totalWon += winnings;
-              participant.biggestWin = Math.max(participant.biggestWin, winnings);
+              participant.biggestWin = Math.max(participant.biggestWin, betWinnings);
               participant.highestMultiplier = Math.max(participant.highestMultiplier, multiplier);
               participant.score += winnings * 0.5; // Higher score boost for winning
               break;
@@ -553,6 +585,13 @@ class TournamentService {
             case 'bet_lost':
               participant.score += amount * 0.05; // Small score boost even for losing (participation)
               break;
+
+            case 'bet_cancelled':
+              // Undo 'bet_placed' for a bet refunded before its round started
+              participant.totalBets = Math.max(0, participant.totalBets - 1);
+              participant.totalWagered = Math.max(0, participant.totalWagered - amount);
+              participant.score = Math.max(0, participant.score - amount * 0.1);
+              break;
           }
           
           // Update participant in database
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const userModel = require('../models/userModel');
@@ -171,6 +172,65 @@ class UserService {
     }
   }
 
+  // Random client seed for players who have not chosen their own
+  generateClientSeed() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  // Personal client seed mixed into every round the player bets in (created on first use)
+  async getClientSeed(userId) {
+    try {
+      const row = await userModel.getClientSeed(userId);
+      if (!row) {
+        throw new CustomError('User not found', 'USER_NOT_FOUND');
+      }
+
+      if (row.client_seed) {
+        return { clientSeed: row.client_seed };
+      }
+
+      const updated = await userModel.updateClientSeed(userId, this.generateClientSeed());
+      return { clientSeed: updated.client_seed };
+    } catch (error) {
+      logger.error('Error getting client seed:', error);
+      throw error;
+    }
+  }
+
+  async setClientSeed(userId, clientSeed) {
+    try {
+      if (typeof clientSeed !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(clientSeed)) {
+        throw new CustomError('Client seed must be 1-64 characters of letters, digits, _ or -', 'INVALID_CLIENT_SEED');
+      }
+
+      const updated = await userModel.updateClientSeed(userId, clientSeed);
+      if (!updated) {
+        throw new CustomError('User not found', 'USER_NOT_FOUND');
+      }
+
+      logger.info(`User ${userId} set a new client seed`);
+      return { clientSeed: updated.client_seed };
+    } catch (error) {
+      logger.error('Error setting client seed:', error);
+      throw error;
+    }
+  }
+
+  async rotateClientSeed(userId) {
+    try {
+      const updated = await userModel.updateClientSeed(userId, this.generateClientSeed());
+      if (!updated) {
+        throw new CustomError('User not found', 'USER_NOT_FOUND');
+      }
+
+      logger.info(`User ${userId} rotated their client seed`);
+      return { clientSeed: updated.client_seed };
+    } catch (error) {
+      logger.error('Error rotating client seed:', error);
+      throw error;
+    }
+  }
+
   generateToken(user) {
     try {
       return jwt.sign(
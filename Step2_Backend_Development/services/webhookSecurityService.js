@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const net = require('net');
+const db = require('../db');
+const redisClient = require('../redisClient');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const GATEWAYS = ['stripe', 'mtn', 'orange', 'bank'];
+
+// Headers that are not kept in the audit trail
+const PRIVATE_HEADERS = ['authorization', 'cookie'];
+const MAX_AUDIT_BODY = 10000;
+
+const normalizeIp = (ip) => (ip || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+
+const safeEqual = (expected, actual) => {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(actual));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Stripe-Signature: t=<timestamp>,v1=<signature>[,v1=<signature>...]
+const parseStripeSignature = (header = '') => {
+  const parts = header.split(',').map(part => part.split('='));
+  return {
+    timestamp: parts.find(([key]) => key === 't')?.[1],
+    signatures: parts.filter(([key]) => key === 'v1').map(([, value]) => value)
+  };
+};
+
+// Gateway callbacks are only processed when they prove they come from the gateway. Each gateway has a webhook
+// secret: Stripe signs with its Stripe-Signature scheme, and the mobile money and bank callbacks carry
+// X-Gateway-Timestamp, X-Gateway-Nonce and X-Gateway-Signature: sha256=<hex HMAC-SHA256 of
+// "<timestamp>.<nonce>.<raw body>">. The timestamp must be within WEBHOOK_TOLERANCE_SECONDS of now, and each nonce
+// (Stripe's signature) is accepted once while its timestamp is valid, so a captured callback cannot be replayed.
+// A gateway with an IP allow-list only accepts callbacks from those addresses. Without a secret, nothing is
+// accepted. Gateway retries are signed afresh and pass; processWebhook then dedupes them by event ID.
+class WebhookSecurityService {
+  constructor() {
+    this.toleranceSeconds = config.webhooks.toleranceSeconds;
+    this.secrets = { ...config.webhooks.secrets };
+    this.allowLists = {};
+    GATEWAYS.forEach(gateway => this.setAllowedIps(gateway, config.webhooks.allowedIps[gateway]));
+  }
+
+  // Comma-separated IPs and CIDR ranges a gateway's callbacks may come from; empty allows any. Checked against
+  // req.ip, so behind a proxy Express must be set to trust it.
+  setAllowedIps(gateway, value) {
+    const entries = (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    if (entries.length === 0) {
+      this.allowLists[gateway] = null;
+      return;
+    }
+
+    const allowList = new net.BlockList();
+    entries.forEach(entry => {
+      const [address, prefix] = entry.split('/');
+      const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+      if (prefix !== undefined) {
+        allowList.addSubnet(address, parseInt(prefix), type);
+      } else {
+        allowList.addAddress(address, type);
+      }
+    });
+    this.allowLists[gateway] = allowList;
+  }
+
+  isAllowedIp(gateway, ip) {
+    const allowList = this.allowLists[gateway];
+    if (!allowList) {
+      return true;
+    }
+    const address = normalizeIp(ip);
+    return net.isIP(address) !== 0 && allowList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  }
+
+  sign(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  }
+
+  // Check a webhook request (with the raw body the parser kept). Resolves to null when it may be processed,
+  // otherwise to the rejection: { reason, detail }.
+  async verify(gateway, req) {
+    if (!GATEWAYS.includes(gateway)) {
+      return { reason: 'unsupported_gateway', detail: `Unsupported gateway: ${gateway}` };
+    }
+    if (!this.isAllowedIp(gateway, req.ip)) {
+      return { reason: 'ip_not_allowed', detail: `${normalizeIp(req.ip)} is not on the ${gateway} allow-list` };
+    }
+
+    const secret = this.secrets[gateway];
+    if (!secret) {
+      return { reason: 'not_configured', detail: `No webhook secret is configured for ${gateway}` };
+    }
+    if (!Buffer.isBuffer(req.rawBody)) {
+      return { reason: 'unreadable_body', detail: 'The raw request body was not kept' };
+    }
+
+    let timestamp;
+    let nonce;
+    let signatures;
+    let signedPayload;
+    if (gateway === 'stripe') {
+      ({ timestamp, signatures } = parseStripeSignature(req.get('Stripe-Signature')));
+      nonce = signatures[0];
+      signedPayload = `${timestamp}.${req.rawBody}`;
+    } else {
+      timestamp = req.get('X-Gateway-Timestamp');
+      nonce = req.get('X-Gateway-Nonce');
+      const signature = req.get('X-Gateway-Signature');
+      signatures = signature ? [signature.replace(/^sha256=/, '')] : [];
+      signedPayload = `${timestamp}.${nonce}.${req.rawBody}`;
+    }
+    if (!timestamp || !nonce || signatures.length === 0) {
+      return { reason: 'missing_signature', detail: 'The signature, timestamp or nonce is missing' };
+    }
+
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!/^\d+$/.test(timestamp) || age > this.toleranceSeconds) {
+      return { reason: 'stale_timestamp', detail: `Timestamp ${timestamp} is outside the ${this.toleranceSeconds}s window` };
+    }
+
+    const expected = this.sign(secret, signedPayload);
+    if (!signatures.some(signature => safeEqual(expected, signature))) {
+      return { reason: 'invalid_signature', detail: 'The signature does not match the body' };
+    }
+
+    // A nonce outlives the window its timestamp is valid in, so it cannot be accepted twice
+    const fresh = await redisClient.acquireLock(`webhook:nonce:${gateway}:${nonce}`, timestamp, this.toleranceSeconds * 2000);
+    if (!fresh) {
+      return { reason: 'replayed', detail: `Nonce ${nonce} was already used` };
+    }
+    return null;
+  }
+
+  // Keep a rejected callback for audit; a failure to record it is logged, never thrown
+  async recordRejection(gateway, req, { reason, detail }) {
+    const headers = Object.fromEntries(Object.entries(req.headers || {})
+      .filter(([name]) => !PRIVATE_HEADERS.includes(name)));
+    const body = Buffer.isBuffer(req.rawBody) ? req.rawBody.toString() : JSON.stringify(req.body ?? null);
+
+    try {
+      await db.query(
+        `INSERT INTO webhook_rejections (gateway, reason, detail, source_ip, event_id, headers, body)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          String(gateway).slice(0, 20), reason, detail, normalizeIp(req.ip) || null,
+          req.get('X-Event-Id') || req.body?.eventId || req.body?.id || null,
+          JSON.stringify(headers), body.slice(0, MAX_AUDIT_BODY)
+        ]
+      );
+    } catch (error) {
+      logger.error('Failed to record webhook rejection:', error);
+    }
+  }
+
+  // Body parser `verify` option: keeps the raw body of webhook requests, which their signatures cover
+  captureRawBody(req, res, buffer) {
+    if (req.originalUrl.includes('/webhook/')) {
+      req.rawBody = buffer;
+    }
+  }
+}
+
+module.exports = new WebhookSecurityService();
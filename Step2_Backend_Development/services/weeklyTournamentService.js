@@ -1,5 +1,6 @@
 const db = require('../db');
 const logger = require('../utils/logger');
+const ledgerService = require('./ledgerService');
 
 class WeeklyTournamentService {
   constructor() {
@@ -141,9 +142,10 @@ class WeeklyTournamentService {
                 break;
                 
               case 'cashout':
-                const { multiplier, winnings } = additionalData;
+                // A partial cash-out scores its own winnings; the biggest win counts the bet's settled parts together
+                const { multiplier, winnings, betWinnings = winnings } = additionalData;
                 participant.totalWinnings += winnings;
-                participant.biggestWin = Math.max(participant.biggestWin, winnings);
+                participant.biggestWin = Math.max(participant.biggestWin, betWinnings);
                 participant.highestMultiplier = Math.max(participant.highestMultiplier, multiplier);
                 participant.score += winnings * 0.5; // Higher score boost for winning
                 group.totalWinnings += winnings;
@@ -152,6 +154,15 @@ class WeeklyTournamentService {
               case 'bet_lost':
                 participant.score += amount * 0.05; // Small score boost even for losing (participation)
                 break;
+
+              case 'bet_cancelled':
+                // Undo 'bet_placed' for a bet refunded before its round started
+                participant.totalBets = Math.max(0, participant.totalBets - 1);
+                participant.totalWagered = Math.max(0, participant.totalWagered - amount);
+                participant.score = Math.max(0, participant.score - amount * 0.1);
+                group.totalBets = Math.max(0, group.totalBets - 1);
+                group.totalWagered = Math.max(0, group.totalWagered - amount);
+                break;
             }
             
             // Update group score
@@ -469,9 +480,15 @@ class WeeklyTournamentService {
   async distributeWeeklyPrizes(tournamentId, winners) {
     for (const winner of winners) {
       try {
-        // Add prize to user balance
-        await db.query('UPDATE users SET balance = balance + $1 WHERE id = $2', 
-          [winner.prizeAmount, winner.userId]);
+        // Add prize to user balance; weekly tournaments are free, so the house funds the prizes
+        await ledgerService.recordTransfer({
+          type: 'weekly_tournament_prize',
+          from: ledgerService.accounts.house,
+          to: ledgerService.accounts.playerCash(winner.userId),
+          amount: winner.prizeAmount,
+          referenceType: 'weekly_tournament',
+          referenceId: tournamentId
+        });
 
         // Record prize distribution
         await db.query(`
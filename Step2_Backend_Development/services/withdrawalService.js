@@ -0,0 +1,365 @@
+const db = require('../db');
+const config = require('../config');
+const logger = require('../utils/logger');
+const ledgerService = require('./ledgerService');
+const paymentService = require('./paymentService');
+
+// Players cashing out to mobile money or a bank account (see migrations/035_create_withdrawals.sql).
+// A request holds its amount in the withdrawal_hold ledger account at once. Requests up to the auto-approval limit are
+// sent to the gateway straight away, larger ones wait for an admin. The gateway's webhook then completes the payout,
+// or fails it and the hold goes back to the player, as it does when an admin rejects or the player cancels.
+
+// Gateway each withdrawal method pays out through, and the destination details it needs
+const METHODS = {
+  mtn_mobile_money: { gateway: 'mtn', fields: ['phoneNumber'] },
+  orange_money: { gateway: 'orange', fields: ['phoneNumber'] },
+  bank_transfer: { gateway: 'bank', fields: ['accountNumber', 'bankCode'] }
+};
+
+// Withdrawals whose amount counts against the daily limit: everything not returned to the player
+const OUTSTANDING_STATUSES = ['pending', 'processing', 'completed'];
+
+// Gateway webhook statuses meaning the payout went through or did not
+const PAYOUT_COMPLETED = ['completed', 'successful', 'success'];
+const PAYOUT_FAILED = ['failed', 'rejected', 'cancelled', 'expired'];
+
+const formatAmount = (amount) => `${amount.toLocaleString('en-US')} FCFA`;
+
+class WithdrawalService {
+  constructor() {
+    this.limits = {
+      min: config.payments.withdrawalMin,
+      max: config.payments.withdrawalMax,
+      daily: config.payments.withdrawalDailyLimit,
+      autoApproveMax: config.payments.withdrawalAutoApproveMax
+    };
+    this.methods = Object.keys(METHODS);
+    this.io = null;
+  }
+
+  setIo(io) {
+    this.io = io;
+  }
+
+  // Withdrawal row as served to its player
+  toPublic(row) {
+    return {
+      id: row.id,
+      amount: parseFloat(row.amount),
+      paymentMethod: row.payment_method,
+      gateway: row.gateway,
+      destination: row.destination,
+      status: row.status,
+      failureReason: row.failure_reason,
+      createdAt: row.created_at,
+      reviewedAt: row.reviewed_at,
+      completedAt: row.completed_at
+    };
+  }
+
+  // Withdrawal row as served to admins
+  toAdmin(row) {
+    return {
+      ...this.toPublic(row),
+      userId: row.user_id,
+      username: row.username,
+      gatewayTransactionId: row.gateway_transaction_id,
+      reviewedBy: row.reviewed_by
+    };
+  }
+
+  // Tell the player their withdrawal moved on, with their balance after it
+  async notify(row) {
+    if (!this.io) {
+      return;
+    }
+    const result = await db.query('SELECT balance FROM users WHERE id = $1', [row.user_id]);
+    this.io.to(`user:${row.user_id}`).emit('withdrawal_update', {
+      withdrawal: this.toPublic(row),
+      newBalance: result.rows.length > 0 ? parseFloat(result.rows[0].balance) : null
+    });
+  }
+
+  // Total a player has withdrawn or is withdrawing in the last 24 hours
+  async getWithdrawnToday(queryable, userId) {
+    const result = await queryable.query(
+      `SELECT COALESCE(SUM(amount), 0) AS total
+       FROM withdrawals
+       WHERE user_id = $1 AND status = ANY($2) AND created_at > NOW() - INTERVAL '24 hours'`,
+      [userId, OUTSTANDING_STATUSES]
+    );
+    return parseFloat(result.rows[0].total);
+  }
+
+  // Limits that apply to a player's next withdrawal
+  async getLimits(userId) {
+    const withdrawnToday = await this.getWithdrawnToday(db, userId);
+    return {
+      min: this.limits.min,
+      max: this.limits.max,
+      daily: this.limits.daily,
+      withdrawnToday,
+      remainingToday: Math.max(0, this.limits.daily - withdrawnToday),
+      autoApproveMax: this.limits.autoApproveMax,
+      methods: this.methods
+    };
+  }
+
+  // Hold `amount` of the player's balance for a payout to `destination`. Requests within the auto-approval limit
+  // are sent to the gateway before this returns; the rest wait in the admin queue.
+  async requestWithdrawal(userId, { amount, paymentMethod, ...destination }) {
+    const method = METHODS[paymentMethod];
+    if (!method) {
+      throw new Error(`Unsupported withdrawal method: ${paymentMethod}`);
+    }
+    const missing = method.fields.filter(field => !destination[field]);
+    if (missing.length > 0) {
+      throw new Error(`Missing payout details: ${missing.join(', ')}`);
+    }
+    if (amount < this.limits.min || amount > this.limits.max) {
+      throw new Error(`Withdrawal amount must be between ${formatAmount(this.limits.min)} and ${formatAmount(this.limits.max)}`);
+    }
+
+    const client = await db.pool.connect();
+    let row;
+    try {
+      await client.query('BEGIN');
+
+      // The user lock serializes a player's withdrawals, so two requests cannot both pass the daily limit
+      const userResult = await client.query('SELECT balance FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      if (userResult.rows.length === 0) {
+        throw new Error('User not found');
+      }
+      if (parseFloat(userResult.rows[0].balance) < amount) {
+        throw new Error('Insufficient balance');
+      }
+
+      const withdrawnToday = await this.getWithdrawnToday(client, userId);
+      if (withdrawnToday + amount > this.limits.daily) {
+        throw new Error(`Daily withdrawal limit of ${formatAmount(this.limits.daily)} exceeded: ${formatAmount(Math.max(0, this.limits.daily - withdrawnToday))} left today`);
+      }
+
+      const payoutDetails = Object.fromEntries(method.fields.map(field => [field, String(destination[field])]));
+      const result = await client.query(
+        `INSERT INTO withdrawals (user_id, amount, payment_method, gateway, destination, status)
+         VALUES ($1, $2, $3, $4, $5, 'pending')
+         RETURNING *`,
+        [userId, amount, paymentMethod, method.gateway, JSON.stringify(payoutDetails)]
+      );
+      row = result.rows[0];
+
+      await ledgerService.transfer(client, {
+        type: 'withdrawal_hold',
+        from: ledgerService.accounts.playerCash(userId),
+        to: ledgerService.accounts.withdrawalHold,
+        amount,
+        referenceType: 'withdrawal',
+        referenceId: row.id
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info(`User ${userId} requested withdrawal ${row.id}: ${amount} FCFA via ${paymentMethod}`);
+    await this.notify(row);
+
+    if (amount <= this.limits.autoApproveMax) {
+      row = await this.dispatch(await this.startProcessing(row.id));
+    }
+    return this.toPublic(row);
+  }
+
+  // Move a pending withdrawal to processing, recording the admin who approved it
+  async startProcessing(withdrawalId, adminId = null) {
+    const result = await db.query(
+      `UPDATE withdrawals
+       SET status = 'processing', reviewed_by = $2, reviewed_at = CASE WHEN $2::int IS NULL THEN NULL ELSE NOW() END,
+           updated_at = NOW()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [withdrawalId, adminId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('Withdrawal not found or no longer pending');
+    }
+    return result.rows[0];
+  }
+
+  // Send a processing withdrawal to its gateway. A gateway that refuses it fails the withdrawal, which returns the hold.
+  // One that did not answer in time, or could not be reached, may still have taken the payout: the withdrawal stays
+  // processing with its hold until the gateway's webhook settles it.
+  async dispatch(row) {
+    let payout;
+    try {
+      payout = await paymentService.sendPayout(row.gateway, parseFloat(row.amount), row.destination, `WD-${row.id}`);
+    } catch (error) {
+      if (error.message.includes('timed out') || error.message.includes('unreachable')) {
+        logger.warn(`${row.gateway} did not answer withdrawal ${row.id} (${error.message}), waiting for its webhook`);
+        return row;
+      }
+      logger.error(`Error sending withdrawal ${row.id} to ${row.gateway}:`, error);
+      payout = { success: false, message: error.message };
+    }
+
+    if (!payout.success) {
+      return this.finish(row.id, 'failed', { reason: payout.message || 'Payout refused by the gateway' });
+    }
+
+    await db.query(
+      'UPDATE withdrawals SET gateway_transaction_id = $1, updated_at = NOW() WHERE id = $2',
+      [payout.transactionId, row.id]
+    );
+    logger.info(`Withdrawal ${row.id} sent to ${row.gateway} as ${payout.transactionId}`);
+
+    if (PAYOUT_COMPLETED.includes(payout.status)) {
+      return this.finish(row.id, 'completed');
+    }
+    if (PAYOUT_FAILED.includes(payout.status)) {
+      return this.finish(row.id, 'failed', { reason: payout.message });
+    }
+    return { ...row, gateway_transaction_id: payout.transactionId };
+  }
+
+  // Close a withdrawal. A completed one pays the hold out through the gateway; any other outcome returns it to the
+  // player. Only withdrawals still in one of `from` are closed: otherwise nothing changes, so a repeated webhook is
+  // harmless, and a `strict` close (a review or a cancel) fails instead.
+  async finish(withdrawalId, status, { from = ['processing'], reason = null, reviewedBy = null, strict = false } = {}) {
+    const client = await db.pool.connect();
+    let row;
+    let changed = false;
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query('SELECT * FROM withdrawals WHERE id = $1 FOR UPDATE', [withdrawalId]);
+      if (result.rows.length === 0) {
+        throw new Error('Withdrawal not found');
+      }
+      row = result.rows[0];
+
+      if (strict && !from.includes(row.status)) {
+        throw new Error(`Withdrawal is ${row.status} and can no longer be ${status}`);
+      }
+      if (from.includes(row.status)) {
+        const paidOut = status === 'completed';
+        await ledgerService.transfer(client, {
+          type: paidOut ? 'withdrawal_payout' : 'withdrawal_reversal',
+          from: ledgerService.accounts.withdrawalHold,
+          to: paidOut ? ledgerService.accounts.gatewayClearing : ledgerService.accounts.playerCash(row.user_id),
+          amount: parseFloat(row.amount),
+          referenceType: 'withdrawal',
+          referenceId: row.id,
+          description: reason
+        });
+
+        const updated = await client.query(
+          `UPDATE withdrawals
+           SET status = $2, failure_reason = $3, completed_at = CASE WHEN $2 = 'completed' THEN NOW() ELSE NULL END,
+               reviewed_by = COALESCE($4, reviewed_by), reviewed_at = CASE WHEN $4::int IS NULL THEN reviewed_at ELSE NOW() END,
+               updated_at = NOW()
+           WHERE id = $1
+           RETURNING *`,
+          [withdrawalId, status, reason, reviewedBy]
+        );
+        row = updated.rows[0];
+        changed = true;
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (changed) {
+      logger.info(`Withdrawal ${withdrawalId} ${status}${reason ? `: ${reason}` : ''}`);
+      await this.notify(row);
+    }
+    return row;
+  }
+
+  // Player withdraws a request the admins have not reviewed yet
+  async cancelWithdrawal(userId, withdrawalId) {
+    const owned = await db.query('SELECT status FROM withdrawals WHERE id = $1 AND user_id = $2', [withdrawalId, userId]);
+    if (owned.rows.length === 0) {
+      throw new Error('Withdrawal not found');
+    }
+
+    const row = await this.finish(withdrawalId, 'cancelled', { from: ['pending'], reason: 'Cancelled by player', strict: true });
+    return this.toPublic(row);
+  }
+
+  // Admin approves a pending withdrawal and it is sent to the gateway
+  async approveWithdrawal(withdrawalId, adminId) {
+    const row = await this.startProcessing(withdrawalId, adminId);
+    logger.info(`Admin ${adminId} approved withdrawal ${withdrawalId}`);
+    return this.toPublic(await this.dispatch(row));
+  }
+
+  // Admin refuses a pending withdrawal; the amount goes back to the player
+  async rejectWithdrawal(withdrawalId, adminId, reason) {
+    const row = await this.finish(withdrawalId, 'rejected', { from: ['pending'], reason, reviewedBy: adminId, strict: true });
+    return this.toPublic(row);
+  }
+
+  // Payout status update from a gateway webhook: { reference: 'WD-<id>', transactionId, status, reason }.
+  // The reference finds a withdrawal whose webhook beat the gateway's reply to the payout request.
+  async handlePayoutUpdate(gateway, update) {
+    const referenceId = /^WD-(\d+)$/.exec(update.reference || '');
+    const result = await db.query(
+      `SELECT id FROM withdrawals
+       WHERE gateway = $1 AND (gateway_transaction_id = $2 OR id = $3)
+       ORDER BY gateway_transaction_id IS NOT DISTINCT FROM $2 DESC
+       LIMIT 1`,
+      [gateway, update.transactionId || null, referenceId ? parseInt(referenceId[1]) : null]
+    );
+    if (result.rows.length === 0) {
+      throw new Error(`Withdrawal not found for ${gateway} payout ${update.transactionId || update.reference}`);
+    }
+
+    const withdrawalId = result.rows[0].id;
+    if (PAYOUT_COMPLETED.includes(update.status)) {
+      return this.finish(withdrawalId, 'completed');
+    }
+    if (PAYOUT_FAILED.includes(update.status)) {
+      return this.finish(withdrawalId, 'failed', { reason: update.reason || `Payout ${update.status} by ${gateway}` });
+    }
+
+    logger.info(`Withdrawal ${withdrawalId} payout update from ${gateway}: ${update.status}`);
+    return result.rows[0];
+  }
+
+  // A player's withdrawals, newest first
+  async getUserWithdrawals(userId, limit = 20, offset = 0) {
+    const result = await db.query(
+      `SELECT * FROM withdrawals
+       WHERE user_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+    return result.rows.map(row => this.toPublic(row));
+  }
+
+  // Withdrawals for the admin queue, oldest first so they are reviewed in order; all statuses when `status` is null
+  async getWithdrawals(status = 'pending', limit = 50) {
+    const result = await db.query(
+      `SELECT w.*, u.username
+       FROM withdrawals w
+       JOIN users u ON u.id = w.user_id
+       WHERE $1::varchar IS NULL OR w.status = $1
+       ORDER BY w.created_at ASC, w.id ASC
+       LIMIT $2`,
+      [status, limit]
+    );
+    return result.rows.map(row => this.toAdmin(row));
+  }
+}
+
+module.exports = new WithdrawalService();
@@ -0,0 +1,74 @@
+// Local payment gateway simulator.
+// Serves mock MTN MoMo (Collection/Disbursement), Orange Money and bank APIs on one port. Every accepted request is
+// settled later by a signed callback to the backend's /api/payment/webhook/:gateway, so the whole payment lifecycle
+// runs offline.
+//
+//   node simulate-gateways.js [--port 4010] [--callback-url http://localhost:3001] [--delay 2000]
+//                             [--scenarios mtn:payment:failed,orange:*:timeout,bank:payout:pending]
+//     Point the backend at it with MTN_API_BASE_URL, ORANGE_API_BASE_URL and BANK_API_BASE_URL set to
+//     http://localhost:4010 (MTN_MOBILE_MONEY_API_KEY, ORANGE_MONEY_API_KEY and BANK_API_KEY may be anything).
+//     Callbacks are signed with MTN_WEBHOOK_SECRET, ORANGE_WEBHOOK_SECRET and BANK_WEBHOOK_SECRET; the backend
+//     refuses unsigned ones, so both need the same values.
+//     Scenarios are gateway:operation:outcome (outcome success, failed, pending, error or timeout; * for any) and
+//     apply once each. While it runs, more can be queued with POST /_simulator/scenarios { gateway, operation,
+//     outcome, reason, httpStatus, delayMs, callbackDelayMs, duplicates, times }, pending transactions settled
+//     with POST /_simulator/transactions/:id/settle { status, reason }, and a logged callback resent unchanged (to
+//     check replays are refused) with POST /_simulator/callbacks/:index/replay.
+
+require('dotenv').config();
+const GatewaySimulator = require('./services/gatewaySimulator');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = argv[++i];
+    }
+  }
+  return args;
+};
+
+const parseScenario = (spec) => {
+  const [gateway, operation, outcome = 'success', reason] = spec.split(':');
+  return {
+    gateway: gateway === '*' ? undefined : gateway,
+    operation: operation === '*' ? undefined : operation,
+    outcome,
+    reason
+  };
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const simulator = new GatewaySimulator({
+    callbackBaseUrl: args['callback-url'] || `http://localhost:${process.env.PORT || 3001}`,
+    callbackDelayMs: args.delay !== undefined ? parseInt(args.delay) : 2000,
+    secrets: {
+      mtn: process.env.MTN_WEBHOOK_SECRET,
+      orange: process.env.ORANGE_WEBHOOK_SECRET,
+      bank: process.env.BANK_WEBHOOK_SECRET
+    }
+  });
+
+  if (typeof args.scenarios === 'string') {
+    args.scenarios.split(',').forEach(spec => simulator.script(parseScenario(spec)));
+  }
+
+  const url = await simulator.listen(args.port !== undefined ? parseInt(args.port) : 4010);
+  console.log(`Gateway simulator listening on ${url}, calling back ${simulator.callbackBaseUrl}`);
+  simulator.scenarios.forEach(s => console.log(`  scripted: ${s.gateway || '*'} ${s.operation || '*'} -> ${s.outcome}`));
+
+  process.on('SIGINT', async () => {
+    await simulator.close();
+    process.exit(0);
+  });
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+// Headless RTP simulator.
+// Runs rounds through the same crash-point function as the game engine with a synthetic bettor population
+// and reports RTP, variance, the crash-point histogram and house P&L. No database or Redis access is needed.
+//
+//   node simulate-rtp.js [--rounds 1000000] [--seed <seed>] [--rtp 0.97] [--max 1000] [--model inverse]
+//                        [--population default] [--out report.json]
+//     Defaults to the RTP_TARGET / MAX_MULTIPLIER of the environment (the values of the first published config).
+
+const fs = require('fs');
+const config = require('./config');
+const rtpSimulator = require('./services/rtpSimulator');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = argv[++i];
+    }
+  }
+  return args;
+};
+
+const pct = (value) => `${(value * 100).toFixed(3)}%`;
+
+function printReport(report, elapsed) {
+  console.log(`Simulated ${report.rounds.toLocaleString()} rounds in ${(elapsed / 1000).toFixed(1)}s (seed "${report.seed}")`);
+  console.log(`Model ${report.rtpConfig.model}, target RTP ${report.rtpConfig.targetRtp}, max ${report.rtpConfig.maxMultiplier}x\n`);
+
+  console.log(`Overall RTP:   ${pct(report.rtp)} ± ${pct(1.96 * report.standardError)} (95%)`);
+  console.log(`Variance:      ${report.variance.toFixed(4)} (per-bet return ratio)`);
+  console.log(`Bets:          ${report.bets.toLocaleString()}, wagered ${report.wagered.toLocaleString()} FCFA`);
+  console.log(`House P&L:     ${report.housePnl.toLocaleString()} FCFA`);
+  console.log(`Insurance:     premiums ${report.insurancePremiums.toLocaleString()} FCFA, claims ${report.insuranceClaims.toLocaleString()} FCFA\n`);
+
+  console.log('Strategy               RTP         ±95%       Win rate   House P&L');
+  report.strategies.forEach(s => {
+    console.log(
+      `${s.name.padEnd(22)} ${pct(s.rtp).padStart(9)}  ${pct(1.96 * s.standardError).padStart(9)}  ${pct(s.winRate).padStart(9)}  ${s.housePnl.toLocaleString().padStart(12)}`
+    );
+  });
+
+  console.log(`\nCrash points (mean ${report.crashPoints.mean.toFixed(2)}x, max ${report.crashPoints.max}x)`);
+  report.crashPoints.histogram.forEach(bucket => {
+    const label = bucket.to ? `${bucket.from}x - ${bucket.to}x` : `>= ${bucket.from}x`;
+    const bar = '#'.repeat(Math.round(bucket.share * 60));
+    console.log(`${label.padEnd(16)} ${pct(bucket.share).padStart(9)}  ${bar}`);
+  });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const rtpConfig = {
+    model: args.model || 'inverse',
+    targetRtp: args.rtp !== undefined ? parseFloat(args.rtp) : config.game.targetRtp,
+    maxMultiplier: args.max !== undefined ? parseFloat(args.max) : config.game.maxMultiplier,
+    params: {}
+  };
+
+  const started = Date.now();
+  const report = rtpSimulator.simulate({
+    rounds: args.rounds !== undefined ? parseInt(args.rounds) : 1000000,
+    seed: args.seed || 'rtp-simulation',
+    population: args.population || 'default',
+    rtpConfig
+  });
+
+  printReport(report, Date.now() - started);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    console.log(`\nReport written to ${args.out}`);
+  }
+  process.exit(0);
+}
+
+main();
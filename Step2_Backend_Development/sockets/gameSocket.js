@@ -0,0 +1,230 @@
+const gameRoomService = require('../services/gameRoomService');
+const clusterService = require('../services/clusterService');
+const chatService = require('../services/chatService');
+const idempotencyService = require('../services/idempotencyService');
+const socketAuthMiddleware = require('../middleware/socketAuthMiddleware');
+const logger = require('../utils/logger');
+
+// Event carrying the result of each player action
+const ACTION_RESULT_EVENTS = {
+  bet: 'bet_result',
+  cancel: 'cancel_result',
+  cashout: 'cashout_result'
+};
+
+// Resolve the acting player for a socket event.
+// The identity always comes from the handshake; a payload userId is only accepted when it matches.
+const resolveActor = (socket, data = {}) => {
+  const user = socket.data.user;
+
+  if (!user) {
+    socket.emit('error', { message: 'Authentication required', code: 'AUTH_REQUIRED' });
+    return null;
+  }
+
+  if (data.userId !== undefined && data.userId !== null && String(data.userId) !== String(user.id)) {
+    logger.warn(`Socket ${socket.id} (user ${user.id}) attempted to act as user ${data.userId}`);
+    socket.emit('error', { message: 'User identity mismatch', code: 'IDENTITY_MISMATCH' });
+    return null;
+  }
+
+  return user;
+};
+
+// Send a socket the state of the room it follows, with the current round's server seed commitment
+const sendRoomState = async (socket, roomId) => {
+  const gameState = await gameRoomService.getEngine(roomId).getGameState();
+  socket.emit('game_update', {
+    type: 'initial_state',
+    data: gameState
+  });
+
+  // The crash point is only revealed after the crash
+  if (gameState.serverSeedHash) {
+    socket.emit('game_update', {
+      type: 'round_commitment',
+      data: {
+        roomId,
+        roundId: gameState.roundId,
+        serverSeedHash: gameState.serverSeedHash
+      }
+    });
+  }
+};
+
+// Register the Socket.IO handshake middleware and game/chat event handlers
+const registerGameSocket = (io) => {
+  io.use(socketAuthMiddleware);
+
+  io.on('connection', async (socket) => {
+    const user = socket.data.user;
+    logger.info(`User connected: ${socket.id} (${user ? `user ${user.id}` : 'spectator'})`);
+
+    // Chat is shared by all rooms ('game'); game events come from the followed room's channel, the default room at first
+    socket.join('game');
+    // Events for this player only (auto-bet progress), from whichever instance runs the game
+    if (user) {
+      socket.join(`user:${user.id}`);
+    }
+    socket.data.roomId = gameRoomService.defaultRoomId;
+    socket.join(gameRoomService.getEngine(socket.data.roomId).channel);
+
+    socket.emit('session', {
+      authenticated: !!user,
+      userId: user ? user.id : null,
+      username: user ? user.username : null
+    });
+
+    try {
+      // Send current game state to new connection
+      await sendRoomState(socket, socket.data.roomId);
+
+      // Send chat history to new connection
+      const chatHistory = chatService.getChatHistory(50);
+      socket.emit('chat_history', chatHistory);
+
+      // Send active users to new connection
+      const activeUsers = chatService.getActiveUsers();
+      socket.emit('active_users', activeUsers);
+    } catch (error) {
+      logger.error('Error sending initial game state:', error);
+      // Send basic state as fallback
+      socket.emit('game_update', {
+        type: 'initial_state',
+        data: { gameState: 'waiting', multiplier: 1.0, integrity: 100 }
+      });
+    }
+
+    // Follow another game room; spectators may switch rooms too
+    socket.on('join_room', async (data = {}) => {
+      try {
+        const roomId = gameRoomService.resolveRoomId(data.room);
+        socket.leave(gameRoomService.getEngine(socket.data.roomId).channel);
+        socket.data.roomId = roomId;
+        socket.join(gameRoomService.getEngine(roomId).channel);
+        socket.emit('room_joined', { roomId });
+        await sendRoomState(socket, roomId);
+      } catch (error) {
+        logger.error('Error handling join_room:', error);
+        socket.emit('error', { message: 'Could not join room', error: error.message });
+      }
+    });
+
+    // Handle user joining chat
+    socket.on('join_chat', (data) => {
+      try {
+        const actor = resolveActor(socket, data);
+        if (!actor) return;
+
+        chatService.addActiveUser(actor.id, actor.username, socket.id);
+
+        // Broadcast user joined message
+        const joinMessage = chatService.sendGameEventMessage('user_joined', { username: actor.username });
+        io.to('game').emit('chat_message', joinMessage);
+
+        // Broadcast updated active users
+        const updatedActiveUsers = chatService.getActiveUsers();
+        io.to('game').emit('active_users', updatedActiveUsers);
+
+        logger.info(`User ${actor.username} joined chat`);
+      } catch (error) {
+        logger.error('Error handling join_chat:', error);
+      }
+    });
+
+    // Handle player actions
+    socket.on('player_action', async (data = {}) => {
+      // Cash-outs are priced from the moment the server received them
+      const receivedAt = Date.now();
+      try {
+        const actor = resolveActor(socket, data);
+        if (!actor) return;
+
+        const { action, amount, insuranceType, insuranceGames, autoCashoutAt, betId, practice, fraction, requestId } = data;
+        // Actions apply to the followed room unless the payload names another one
+        const roomId = data.room || socket.data.roomId;
+
+        if (!ACTION_RESULT_EVENTS[action]) {
+          socket.emit('error', { message: 'Invalid action' });
+          return;
+        }
+        if (action === 'bet' && !amount) return;
+
+        const perform = () => {
+          switch (action) {
+            case 'bet':
+              return clusterService.placeBet(roomId, actor.id, amount, insuranceType, insuranceGames || 1, autoCashoutAt || null, practice === true);
+            case 'cancel':
+              return clusterService.cancelBet(roomId, actor.id, betId);
+            default:
+              return clusterService.cashOut(roomId, actor.id, betId || null, receivedAt, fraction ?? 1);
+          }
+        };
+
+        // A retried action with the same requestId gets the first result back instead of running twice
+        if (requestId === undefined || requestId === null) {
+          socket.emit(ACTION_RESULT_EVENTS[action], await perform());
+        } else {
+          const { result, replayed } = await idempotencyService.run(`player_action:${actor.id}`, String(requestId), data, perform);
+          socket.emit(ACTION_RESULT_EVENTS[action], { ...result, requestId, replayed });
+        }
+      } catch (error) {
+        logger.error('Error handling player action:', error);
+        socket.emit('error', { message: 'Action failed', error: error.message, requestId: data.requestId });
+      }
+    });
+
+    // Handle chat messages
+    socket.on('chat_message', async (data = {}) => {
+      try {
+        const actor = resolveActor(socket, data);
+        if (!actor) return;
+
+        if (!chatService.activeUsers.has(actor.id)) {
+          chatService.addActiveUser(actor.id, actor.username, socket.id);
+        }
+
+        const chatMessage = await chatService.sendMessage(actor.id, data.message, gameRoomService.getEngine(socket.data.roomId).roundId);
+        io.to('game').emit('chat_message', chatMessage);
+      } catch (error) {
+        logger.error('Error handling chat message:', error);
+        socket.emit('error', { message: 'Message rejected', error: error.message });
+      }
+    });
+
+    // Handle user leaving chat
+    socket.on('leave_chat', (data) => {
+      try {
+        const actor = resolveActor(socket, data);
+        if (!actor) return;
+
+        chatService.removeActiveUser(actor.id);
+
+        // Broadcast user left message
+        const leaveMessage = chatService.sendGameEventMessage('user_left', { username: actor.username });
+        io.to('game').emit('chat_message', leaveMessage);
+
+        // Broadcast updated active users
+        const updatedActiveUsers = chatService.getActiveUsers();
+        io.to('game').emit('active_users', updatedActiveUsers);
+
+        logger.info(`User ${actor.username} left chat`);
+      } catch (error) {
+        logger.error('Error handling user_leave:', error);
+      }
+    });
+
+    socket.on('disconnect', () => {
+      logger.info('User disconnected:', socket.id);
+
+      // Only drop the chat presence owned by this socket (the user may have other tabs open)
+      const chatUser = user && chatService.activeUsers.get(user.id);
+      if (chatUser && chatUser.socketId === socket.id) {
+        chatService.removeActiveUser(user.id);
+      }
+    });
+  });
+};
+
+module.exports = registerGameSocket;
+module.exports.resolveActor = resolveActor;
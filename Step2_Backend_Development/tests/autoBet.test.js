@@ -0,0 +1,277 @@
+jest.unmock('../services/gameEngine');
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const db = require('../db');
+const gameEngine = require('../services/gameEngine');
+const multiplierCurve = require('../services/multiplierCurve');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/auto-bet', require('../routes/autoBet'));
+
+// auto_bet_strategies on top of the shared tables
+const createStrategyDatabase = () => createFakeDatabase({
+  extend: ({ bets }) => {
+    const strategies = [];
+    const strategy = id => strategies.find(s => s.id === id);
+
+    return {
+      strategies,
+      query: (text, params) => {
+        if (text.includes("SELECT id FROM auto_bet_strategies WHERE user_id = $1 AND status = 'active'")) {
+          return { rows: strategies.filter(s => s.user_id === params[0] && s.status === 'active') };
+        }
+        if (text.includes('INSERT INTO auto_bet_strategies')) {
+          const [userId, roomId, name, baseAmount, autoCashoutAt, onWinAction, onWinPercent, onLossAction, onLossPercent,
+            maxBets, stopOnProfit, stopOnLoss, practice] = params;
+          const row = {
+            id: strategies.length + 1, user_id: userId, room_id: roomId, name,
+            base_amount: String(baseAmount), auto_cashout_at: String(autoCashoutAt),
+            on_win_action: onWinAction, on_win_percent: String(onWinPercent),
+            on_loss_action: onLossAction, on_loss_percent: String(onLossPercent),
+            max_bets: maxBets, stop_on_profit: stopOnProfit === null ? null : String(stopOnProfit),
+            stop_on_loss: stopOnLoss === null ? null : String(stopOnLoss), is_practice: practice,
+            status: 'active', current_amount: String(baseAmount), bets_placed: 0, wins: 0, losses: 0, net_profit: '0',
+            pending_bet_id: null, stop_reason: null, stopped_at: null
+          };
+          strategies.push(row);
+          return { rows: [{ ...row }] };
+        }
+        if (text.includes("SET status = 'stopped', stop_reason = $3")) {
+          const row = strategies.find(s => s.id === params[0] && s.user_id === params[1] && s.status === 'active');
+          if (!row) return { rows: [] };
+          Object.assign(row, { status: 'stopped', stop_reason: params[2], stopped_at: new Date() });
+          return { rows: [{ ...row }] };
+        }
+        if (text.includes("SET status = 'stopped', stop_reason = $2")) {
+          const row = strategy(params[0]);
+          Object.assign(row, { status: 'stopped', stop_reason: params[1], stopped_at: new Date() });
+          return { rows: [{ ...row }] };
+        }
+        if (text.includes('JOIN bets b ON b.id = s.pending_bet_id')) {
+          return {
+            rows: strategies
+              .filter(s => s.room_id === params[0] && s.pending_bet_id !== null)
+              .map(s => ({ ...s, bet: bets.find(b => b.id === s.pending_bet_id) }))
+              .filter(s => !['active', 'queued'].includes(s.bet.status))
+              .map(({ bet, ...s }) => ({ ...s, bet_status: bet.status, bet_amount: bet.amount, bet_winnings: bet.winnings }))
+          };
+        }
+        if (text.includes('SET pending_bet_id = NULL')) {
+          const row = strategy(params[0]);
+          if (row.pending_bet_id !== params[1]) return { rows: [] };
+          const [, , netProfit, currentAmount, wins, losses, status, stopReason] = params;
+          Object.assign(row, {
+            pending_bet_id: null, net_profit: String(netProfit), current_amount: String(currentAmount),
+            wins: row.wins + wins, losses: row.losses + losses, status, stop_reason: stopReason
+          });
+          return { rows: [{ ...row }] };
+        }
+        if (text.includes("status = 'active' AND pending_bet_id IS NULL")) {
+          return { rows: strategies.filter(s => s.room_id === params[0] && s.status === 'active' && s.pending_bet_id === null) };
+        }
+        if (text.includes('SET pending_bet_id = $2, bets_placed = bets_placed + 1')) {
+          const row = strategy(params[0]);
+          Object.assign(row, { pending_bet_id: params[1], bets_placed: row.bets_placed + 1 });
+          return { rows: [{ ...row }] };
+        }
+      }
+    };
+  }
+});
+
+// Let the strategy runner's database round trips finish
+const flushPromises = async () => {
+  for (let i = 0; i < 20; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+const signToken = (user) =>
+  jwt.sign({ id: user.id, username: user.username, role: user.role }, config.jwtSecret, { expiresIn: '1h' });
+
+describe('Auto-bet Strategy Tests', () => {
+  let fakeDb;
+  let autoBetService;
+  let progress;
+
+  beforeEach(async () => {
+    fakeDb = createStrategyDatabase();
+    db.query.mockImplementation(fakeDb.query);
+    db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+
+    // The instance the engine loads when it runs the strategies, with the database it loads
+    autoBetService = require('../services/autoBetService');
+    require('../db').query.mockImplementation(fakeDb.query);
+    progress = [];
+    autoBetService.setIo({ to: (channel) => ({ emit: (event, payload) => progress.push({ channel, event, payload }) }) });
+
+    gameEngine.setIo(null);
+    gameEngine.seedMode = 'random';
+    gameEngine.redisAvailable = false;
+    gameEngine.lagCompensationMs = 0;
+    gameEngine._cachedGameState = null;
+    gameEngine.queuedBets.clear();
+  });
+
+  afterEach(() => {
+    gameEngine.cleanup();
+  });
+
+  const definition = (overrides = {}) => ({
+    roomId: 'main',
+    baseAmount: 100,
+    autoCashoutAt: 2,
+    onWin: { action: 'reset', percent: 0 },
+    onLoss: { action: 'increase', percent: 100 },
+    maxBets: 3,
+    stopOnLoss: 1000,
+    practice: false,
+    ...overrides
+  });
+
+  // Open a round and let the strategies bet
+  const openRound = async () => {
+    await gameEngine.startNewRound();
+    clearTimeout(gameEngine.roundTimer);
+    await flushPromises();
+  };
+
+  // Run the open round to `crashPoint` and settle it
+  const runRound = async (crashPoint) => {
+    gameEngine.startRunningPhase();
+    clearInterval(gameEngine.gameLoop);
+    gameEngine.crashPoint = crashPoint;
+    gameEngine.crashElapsed = multiplierCurve.elapsedAt(crashPoint, gameEngine.curve);
+    gameEngine.processAutoCashouts(crashPoint);
+    await flushPromises();
+
+    await gameEngine.crashTower();
+    clearTimeout(gameEngine.roundTimer);
+    await flushPromises();
+  };
+
+  const playRound = async (crashPoint) => {
+    await openRound();
+    await runRound(crashPoint);
+  };
+
+  describe('Runner', () => {
+    it('should bet every round and follow the win and loss rules until it has placed its bets', async () => {
+      await autoBetService.createStrategy(1, definition());
+
+      await playRound(1.5);
+      expect(fakeDb.strategies[0]).toMatchObject({ bets_placed: 1, losses: 1, net_profit: '-100', current_amount: '200' });
+
+      await playRound(3);
+      expect(fakeDb.strategies[0]).toMatchObject({ bets_placed: 2, wins: 1, net_profit: '100', current_amount: '100' });
+
+      await playRound(1.2);
+      expect(fakeDb.strategies[0]).toMatchObject({ status: 'completed', bets_placed: 3, net_profit: '0', stop_reason: 'Placed all 3 bets' });
+
+      await playRound(5);
+      expect(fakeDb.bets.map(b => Number(b.amount))).toEqual([100, 200, 100]);
+      expect(fakeDb.users.get(1).balance).toBe(10000);
+    });
+
+    it('should stop before a bet could take it past the loss limit', async () => {
+      await autoBetService.createStrategy(1, definition({ baseAmount: 400, maxBets: 10 }));
+
+      await playRound(1.5);
+      await playRound(5);
+
+      expect(fakeDb.strategies[0]).toMatchObject({ status: 'completed', stop_reason: 'Loss limit reached', current_amount: '800' });
+      expect(fakeDb.bets).toHaveLength(1);
+    });
+
+    it('should stop when the profit target is reached', async () => {
+      await autoBetService.createStrategy(1, definition({ maxBets: 10, stopOnProfit: 150 }));
+
+      await playRound(3);
+      await playRound(3);
+
+      expect(fakeDb.strategies[0]).toMatchObject({ status: 'completed', stop_reason: 'Profit target reached', net_profit: '200' });
+    });
+
+    it('should stop when a bet is refused', async () => {
+      fakeDb.users.get(1).balance = 50;
+      await autoBetService.createStrategy(1, definition());
+
+      await playRound(2);
+
+      expect(fakeDb.strategies[0]).toMatchObject({ status: 'stopped', stop_reason: 'Bet refused: Insufficient balance' });
+      expect(progress.map(p => p.payload.event)).toEqual(['started', 'stopped']);
+    });
+
+    it('should let a bet placed before the player stopped the strategy play out', async () => {
+      await autoBetService.createStrategy(1, definition());
+      await openRound();
+
+      await autoBetService.stopStrategy(1, 1);
+      await runRound(3);
+
+      expect(fakeDb.strategies[0]).toMatchObject({ status: 'stopped', stop_reason: 'Stopped by player', wins: 1, net_profit: '100' });
+      expect(fakeDb.bets).toHaveLength(1);
+    });
+
+    it('should report its progress to the player', async () => {
+      await autoBetService.createStrategy(1, definition());
+
+      await playRound(1.5);
+
+      expect(progress.every(p => p.channel === 'user:1' && p.event === 'auto_bet_progress')).toBe(true);
+      expect(progress.map(p => p.payload)).toEqual([
+        expect.objectContaining({ event: 'started' }),
+        expect.objectContaining({ event: 'bet_placed', betId: 1, amount: 100, newBalance: 9900 }),
+        expect.objectContaining({ event: 'bet_settled', betId: 1, result: 'lost', profit: -100 })
+      ]);
+      expect(progress[2].payload.strategy).toMatchObject({ betsPlaced: 1, losses: 1, netProfit: -100, currentAmount: 200 });
+    });
+  });
+
+  describe('REST API', () => {
+    const auth = () => ({ Authorization: `Bearer ${signToken(fakeDb.users.get(1))}` });
+
+    it('should start a strategy', async () => {
+      const response = await request(app).post('/api/v1/auto-bet/strategies').set(auth())
+        .send({ baseAmount: 100, autoCashoutAt: 2, maxBets: 5, onLoss: { action: 'increase', percent: 50 } })
+        .expect(201);
+
+      expect(response.body).toMatchObject({
+        roomId: 'main', baseAmount: 100, autoCashoutAt: 2, maxBets: 5, status: 'active',
+        onWin: { action: 'reset', percent: 0 }, onLoss: { action: 'increase', percent: 50 }
+      });
+    });
+
+    it('should run one strategy at a time', async () => {
+      await autoBetService.createStrategy(1, definition());
+
+      await request(app).post('/api/v1/auto-bet/strategies').set(auth())
+        .send({ baseAmount: 100, autoCashoutAt: 2, maxBets: 5 })
+        .expect(409);
+    });
+
+    it('should reject invalid strategies', async () => {
+      await request(app).post('/api/v1/auto-bet/strategies').set(auth()).send({ baseAmount: 100, maxBets: 5 }).expect(400);
+      await request(app).post('/api/v1/auto-bet/strategies').set(auth())
+        .send({ baseAmount: 10, autoCashoutAt: 2, maxBets: 5 }).expect(400);
+      await request(app).post('/api/v1/auto-bet/strategies').set(auth())
+        .send({ baseAmount: 500, autoCashoutAt: 2, maxBets: 5, stopOnLoss: 200 }).expect(400);
+      await request(app).post('/api/v1/auto-bet/strategies').set(auth())
+        .send({ baseAmount: 500, autoCashoutAt: 2, maxBets: 5, room: 'nowhere' }).expect(404);
+    });
+
+    it('should stop a running strategy', async () => {
+      await autoBetService.createStrategy(1, definition());
+
+      const response = await request(app).post('/api/v1/auto-bet/strategies/1/stop').set(auth()).expect(200);
+
+      expect(response.body).toMatchObject({ status: 'stopped', stopReason: 'Stopped by player' });
+      await request(app).post('/api/v1/auto-bet/strategies/1/stop').set(auth()).expect(404);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+jest.unmock('../services/gameEngine');
+
+const db = require('../db');
+const gameEngine = require('../services/gameEngine');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Auto Cashout Tests', () => {
+  let fakeDb;
+  let emitted;
+
+  beforeEach(async () => {
+    fakeDb = createFakeDatabase();
+    db.query.mockImplementation(fakeDb.query);
+    db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+
+    emitted = [];
+    gameEngine.setIo({ to: () => ({ emit: (event, payload) => emitted.push({ event, payload }) }) });
+    gameEngine.seedMode = 'random';
+    gameEngine.redisAvailable = false;
+    gameEngine._cachedGameState = null;
+
+    await gameEngine.startNewRound();
+    clearTimeout(gameEngine.roundTimer);
+  });
+
+  afterEach(() => {
+    gameEngine.cleanup();
+  });
+
+  // Open the running phase with a known crash point
+  const startRunning = (crashPoint) => {
+    gameEngine.lockRoundSeeds();
+    gameEngine.crashPoint = crashPoint;
+    gameEngine.gameState = 'running';
+  };
+
+  describe('Placing bets', () => {
+    it('should persist the auto-cashout target on the bet row', async () => {
+      const { betId } = await gameEngine.placeBet(1, 500, null, 1, 2.5);
+
+      expect(fakeDb.bets[0].auto_cashout_at).toBe(2.5);
+      expect(gameEngine.activeBets.get(betId).autoCashoutAt).toBe(2.5);
+    });
+
+    it('should reject targets below 1.01x', async () => {
+      await expect(gameEngine.placeBet(1, 500, null, 1, 1)).rejects.toThrow('Auto cashout must be between');
+      expect(fakeDb.bets).toHaveLength(0);
+    });
+
+    it('should reject targets above the max multiplier', async () => {
+      await expect(gameEngine.placeBet(1, 500, null, 1, gameEngine.rtpConfig.maxMultiplier + 1))
+        .rejects.toThrow('Auto cashout must be between');
+    });
+  });
+
+  describe('Settlement', () => {
+    it('should settle at exactly the target once it is crossed', async () => {
+      const { betId } = await gameEngine.placeBet(1, 500, null, 1, 2);
+      startRunning(5);
+
+      gameEngine.multiplier = 2.0300000000000002;
+      gameEngine.processAutoCashouts();
+      await flushPromises();
+
+      expect(fakeDb.users.get(1).balance).toBe(10000 - 500 + 1000);
+      expect(gameEngine.activeBets.has(betId)).toBe(false);
+      expect(fakeDb.bets[0]).toMatchObject({ status: 'won' });
+
+      const cashout = emitted.find(e => e.event === 'player_cashout').payload;
+      expect(cashout.userId).toBe(1);
+      expect(cashout.betId).toBe(betId);
+      expect(cashout.cashoutMultiplier).toBe(2);
+      expect(cashout.winnings).toBe(1000);
+      expect(cashout.auto).toBe(true);
+    });
+
+    it('should leave bets whose target has not been reached', async () => {
+      const { betId } = await gameEngine.placeBet(1, 500, null, 1, 3);
+      startRunning(5);
+
+      gameEngine.multiplier = 2.5;
+      gameEngine.processAutoCashouts();
+      await flushPromises();
+
+      expect(gameEngine.activeBets.has(betId)).toBe(true);
+      expect(emitted.some(e => e.event === 'player_cashout')).toBe(false);
+    });
+
+    it('should not pay a target above the crash point even when one tick overshoots both', async () => {
+      const { betId } = await gameEngine.placeBet(1, 500, null, 1, 2.05);
+      startRunning(2.02);
+
+      gameEngine.multiplier = 2.06;
+      gameEngine.processAutoCashouts();
+      await flushPromises();
+
+      expect(gameEngine.activeBets.has(betId)).toBe(true);
+    });
+
+    it('should pay a target equal to the crash point', async () => {
+      await gameEngine.placeBet(1, 500, null, 1, 2.02);
+      startRunning(2.02);
+
+      gameEngine.multiplier = 2.03;
+      gameEngine.processAutoCashouts();
+      await flushPromises();
+
+      expect(fakeDb.users.get(1).balance).toBe(10000 - 500 + 1010);
+    });
+
+    it('should not settle a bet twice when the player also cashes out manually', async () => {
+      await gameEngine.placeBet(1, 500, null, 1, 2);
+      startRunning(5);
+
+      gameEngine.multiplier = 2.01;
+      gameEngine.processAutoCashouts();
+      await expect(gameEngine.cashOut(1)).rejects.toThrow('No active bet found');
+      await flushPromises();
+
+      expect(fakeDb.users.get(1).balance).toBe(10000 - 500 + 1000);
+      expect(emitted.filter(e => e.event === 'player_cashout')).toHaveLength(1);
+    });
+
+    it('should settle from the game loop without any client action', async () => {
+      jest.useFakeTimers();
+      try {
+        const autoBet = await gameEngine.placeBet(1, 500, null, 1, 1.5);
+        const manualBet = await gameEngine.placeBet(2, 500);
+        jest.spyOn(gameEngine, 'calculateCrashPoint').mockReturnValue(3);
+        gameEngine.startRunningPhase();
+
+        // e^(0.1t) crosses 1.5x after 4.05 seconds
+        await jest.advanceTimersByTimeAsync(5000);
+
+        expect(fakeDb.users.get(1).balance).toBe(10000 - 500 + 750);
+        expect(gameEngine.activeBets.has(autoBet.betId)).toBe(false);
+        expect(gameEngine.activeBets.has(manualBet.betId)).toBe(true);
+      } finally {
+        gameEngine.cleanup();
+        jest.useRealTimers();
+      }
+    });
+  });
+});
@@ -0,0 +1,195 @@
+jest.unmock('../services/gameEngine');
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const db = require('../db');
+const gameEngine = require('../services/gameEngine');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/game', require('../routes/game'));
+
+const signToken = (user) =>
+  jwt.sign({ id: user.id, username: user.username, role: user.role }, config.jwtSecret, { expiresIn: '1h' });
+
+describe('Bet Cancellation Tests', () => {
+  let fakeDb;
+  let emitted;
+
+  beforeEach(async () => {
+    fakeDb = createFakeDatabase();
+    db.query.mockImplementation(fakeDb.query);
+    db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+
+    emitted = [];
+    gameEngine.setIo({ to: () => ({ emit: (event, payload) => emitted.push({ event, payload }) }) });
+    gameEngine.seedMode = 'random';
+    gameEngine.redisAvailable = false;
+    gameEngine._cachedGameState = null;
+    gameEngine.queuedBets.clear();
+
+    await gameEngine.startNewRound();
+    clearTimeout(gameEngine.roundTimer);
+  });
+
+  afterEach(() => {
+    gameEngine.cleanup();
+  });
+
+  // Close betting with a known crash point
+  const startRunning = (crashPoint) => {
+    gameEngine.lockRoundSeeds();
+    gameEngine.crashPoint = crashPoint;
+    gameEngine.crashElapsed = Infinity;
+    gameEngine.runningStartTime = Date.now();
+    gameEngine.gameState = 'running';
+  };
+
+  describe('Waiting phase', () => {
+    it('should refund the stake and remove the bet from the round', async () => {
+      const { betId } = await gameEngine.placeBet(1, 500);
+
+      const result = await gameEngine.cancelBet(1, betId);
+
+      expect(result).toMatchObject({ success: true, betId, refunded: 500, stakeRefunded: 500, premiumRefunded: 0 });
+      expect(fakeDb.users.get(1).balance).toBe(10000);
+      expect(fakeDb.bets[0].status).toBe('cancelled');
+      expect(gameEngine.activeBets.has(betId)).toBe(false);
+      expect(gameEngine.activePlayers.has(1)).toBe(false);
+      expect(emitted).toContainEqual({ event: 'bet_removed', payload: { userId: 1, betId, cancelled: true } });
+    });
+
+    it('should refund the insurance premium together with the stake', async () => {
+      const { betId } = await gameEngine.placeBet(1, 500);
+      fakeDb.users.get(1).balance -= 50;
+      fakeDb.insurance.push({ bet_id: betId, premium_amount: 50, status: 'active' });
+
+      const result = await gameEngine.cancelBet(1, betId);
+
+      expect(result).toMatchObject({ refunded: 550, stakeRefunded: 500, premiumRefunded: 50 });
+      expect(fakeDb.users.get(1).balance).toBe(10000);
+      expect(fakeDb.insurance[0].status).toBe('cancelled');
+    });
+
+    it('should keep the player in the round while other slots remain', async () => {
+      const first = await gameEngine.placeBet(1, 500);
+      const second = await gameEngine.placeBet(1, 700);
+
+      await gameEngine.cancelBet(1, first.betId);
+
+      expect(gameEngine.activeBets.has(second.betId)).toBe(true);
+      expect(gameEngine.activePlayers.has(1)).toBe(true);
+    });
+
+    it('should not cancel another player\'s bet', async () => {
+      const { betId } = await gameEngine.placeBet(2, 500);
+
+      await expect(gameEngine.cancelBet(1, betId)).rejects.toThrow('No active bet found');
+      expect(gameEngine.activeBets.has(betId)).toBe(true);
+      expect(fakeDb.users.get(2).balance).toBe(9500);
+    });
+
+    it('should refund a bet only once', async () => {
+      const { betId } = await gameEngine.placeBet(1, 500);
+
+      const results = await Promise.allSettled([gameEngine.cancelBet(1, betId), gameEngine.cancelBet(1, betId)]);
+
+      expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(fakeDb.users.get(1).balance).toBe(10000);
+    });
+
+    it('should keep the bet when the refund fails', async () => {
+      const { betId } = await gameEngine.placeBet(1, 500);
+      fakeDb.bets[0].status = 'won';
+
+      await expect(gameEngine.cancelBet(1, betId)).rejects.toThrow('No active bet found');
+      expect(gameEngine.activeBets.has(betId)).toBe(true);
+      expect(fakeDb.users.get(1).balance).toBe(9500);
+    });
+  });
+
+  describe('Running phase', () => {
+    it('should reject cancelling a bet in a round that has started', async () => {
+      const { betId } = await gameEngine.placeBet(1, 500);
+      startRunning(50);
+
+      await expect(gameEngine.cancelBet(1, betId)).rejects.toThrow('Bets can only be cancelled before the round starts');
+      expect(gameEngine.activeBets.has(betId)).toBe(true);
+      expect(fakeDb.users.get(1).balance).toBe(9500);
+    });
+
+    it('should let queued bets for the next round be cancelled', async () => {
+      startRunning(50);
+      const { betId } = await gameEngine.placeBet(1, 500);
+
+      const result = await gameEngine.cancelBet(1, betId);
+
+      expect(result.refunded).toBe(500);
+      expect(gameEngine.queuedBets.has(betId)).toBe(false);
+      expect(fakeDb.users.get(1).balance).toBe(10000);
+
+      await gameEngine.startNewRound();
+      clearTimeout(gameEngine.roundTimer);
+      expect(gameEngine.activeBets.has(betId)).toBe(false);
+    });
+  });
+
+  describe('Side effects', () => {
+    it('should reverse tournament scores and community goal contributions', async () => {
+      const tournamentService = require('../services/tournamentService');
+      const weeklyTournamentService = require('../services/weeklyTournamentService');
+      const communityGoalsService = require('../services/communityGoalsService');
+      tournamentService.updatePlayerScore = jest.fn().mockResolvedValue();
+      weeklyTournamentService.updateWeeklyPlayerScore = jest.fn().mockResolvedValue();
+      communityGoalsService.removeBetContributions = jest.fn().mockResolvedValue();
+
+      const { betId } = await gameEngine.placeBet(1, 500);
+      await gameEngine.cancelBet(1, betId);
+
+      expect(tournamentService.updatePlayerScore).toHaveBeenCalledWith(1, betId, 500, 'bet_cancelled');
+      expect(weeklyTournamentService.updateWeeklyPlayerScore).toHaveBeenCalledWith(1, betId, 500, 'bet_cancelled');
+      expect(communityGoalsService.removeBetContributions).toHaveBeenCalledWith(1, betId);
+    });
+
+    it('should undo the tournament score a placed bet earned', async () => {
+      const tournamentService = require('../services/tournamentService');
+      const participant = { userId: 1, totalBets: 1, totalWagered: 500, score: 50, totalWon: 0 };
+      tournamentService.activeTournaments.set(7, { id: 7, status: 'active' });
+      tournamentService.tournamentParticipants.set(7, [participant]);
+      tournamentService.updateParticipantInDatabase = jest.fn().mockResolvedValue();
+      tournamentService.updateTournamentLeaderboard = jest.fn().mockResolvedValue();
+
+      await tournamentService.updatePlayerScore(1, 1, 500, 'bet_cancelled');
+
+      expect(participant).toMatchObject({ totalBets: 0, totalWagered: 0, score: 0 });
+    });
+  });
+
+  describe('REST API', () => {
+    const auth = () => ({ Authorization: `Bearer ${signToken(fakeDb.users.get(1))}` });
+
+    it('should cancel a bet by id', async () => {
+      const { betId } = await gameEngine.placeBet(1, 500);
+
+      const response = await request(app).post(`/api/v1/game/bet/${betId}/cancel`).set(auth()).expect(200);
+
+      expect(response.body).toMatchObject({ success: true, betId, refunded: 500 });
+      expect(fakeDb.users.get(1).balance).toBe(10000);
+    });
+
+    it('should answer 409 once the round has started', async () => {
+      const { betId } = await gameEngine.placeBet(1, 500);
+      startRunning(50);
+
+      const response = await request(app).post(`/api/v1/game/bet/${betId}/cancel`).set(auth()).expect(409);
+      expect(response.body.error).toContain('before the round starts');
+    });
+
+    it('should answer 404 for an unknown bet', async () => {
+      await request(app).post('/api/v1/game/bet/999/cancel').set(auth()).expect(404);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+jest.unmock('../services/gameEngine');
+
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const db = require('../db');
+const gameEngine = require('../services/gameEngine');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/user', require('../routes/user'));
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const signToken = (user) =>
+  jwt.sign({ id: user.id, username: user.username, role: user.role }, config.jwtSecret, { expiresIn: '1h' });
+
+describe('Player Client Seed Tests', () => {
+  let fakeDb;
+
+  beforeEach(() => {
+    fakeDb = createFakeDatabase({
+      users: [
+        { id: 1, username: 'alice', email: 'alice@gmail.com', client_seed: 'alice-seed' },
+        { id: 2, username: 'bob', email: 'bob@gmail.com', client_seed: null }
+      ]
+    });
+    db.query.mockImplementation(fakeDb.query);
+    db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+
+    gameEngine.setIo({ to: () => ({ emit: () => {} }) });
+    gameEngine.seedMode = 'random';
+    gameEngine.redisAvailable = false;
+    gameEngine._cachedGameState = null;
+  });
+
+  afterEach(() => {
+    gameEngine.cleanup();
+  });
+
+  describe('Profile API', () => {
+    it('should return the player\'s client seed', async () => {
+      const response = await request(app)
+        .get('/api/v1/user/client-seed')
+        .set('Authorization', `Bearer ${signToken(fakeDb.users.get(1))}`)
+        .expect(200);
+
+      expect(response.body.clientSeed).toBe('alice-seed');
+    });
+
+    it('should create a client seed on first use', async () => {
+      const response = await request(app)
+        .get('/api/v1/user/client-seed')
+        .set('Authorization', `Bearer ${signToken(fakeDb.users.get(2))}`)
+        .expect(200);
+
+      expect(response.body.clientSeed).toMatch(/^[0-9a-f]{32}$/);
+      expect(fakeDb.users.get(2).client_seed).toBe(response.body.clientSeed);
+    });
+
+    it('should let the player choose their client seed', async () => {
+      await request(app)
+        .put('/api/v1/user/client-seed')
+        .set('Authorization', `Bearer ${signToken(fakeDb.users.get(1))}`)
+        .send({ clientSeed: 'my_lucky-seed42' })
+        .expect(200);
+
+      expect(fakeDb.users.get(1).client_seed).toBe('my_lucky-seed42');
+    });
+
+    it('should reject invalid client seeds', async () => {
+      await request(app)
+        .put('/api/v1/user/client-seed')
+        .set('Authorization', `Bearer ${signToken(fakeDb.users.get(1))}`)
+        .send({ clientSeed: 'spaces are not allowed' })
+        .expect(400);
+
+      expect(fakeDb.users.get(1).client_seed).toBe('alice-seed');
+    });
+
+    it('should rotate the client seed to a new random value', async () => {
+      const response = await request(app)
+        .post('/api/v1/user/client-seed/rotate')
+        .set('Authorization', `Bearer ${signToken(fakeDb.users.get(1))}`)
+        .expect(200);
+
+      expect(response.body.clientSeed).not.toBe('alice-seed');
+      expect(fakeDb.users.get(1).client_seed).toBe(response.body.clientSeed);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/v1/user/client-seed')
+        .expect(401);
+    });
+  });
+
+  describe('Round mixing', () => {
+    it('should store the player\'s client seed with the bet', async () => {
+      await gameEngine.startNewRound();
+      const { betId } = await gameEngine.placeBet(1, 500);
+
+      expect(fakeDb.bets[0].client_seed).toBe('alice-seed');
+      expect(gameEngine.activeBets.get(betId).clientSeed).toBe('alice-seed');
+    });
+
+    it('should keep the base client seed when nobody bets', async () => {
+      await gameEngine.startNewRound();
+      gameEngine.lockRoundSeeds();
+
+      expect(gameEngine.clientSeed).toBe(gameEngine.baseClientSeed);
+      expect(gameEngine.crashPoint).toBe(
+        gameEngine.verifyCrashPoint(gameEngine.serverSeed, gameEngine.baseClientSeed, gameEngine.nonce)
+      );
+    });
+
+    it('should mix the bettors\' seeds in bet order when betting closes', async () => {
+      await gameEngine.startNewRound();
+      await gameEngine.placeBet(1, 500);
+      await gameEngine.placeBet(2, 500);
+      gameEngine.lockRoundSeeds();
+
+      const bobSeed = fakeDb.users.get(2).client_seed;
+      expect(gameEngine.clientSeed).toBe(sha256([gameEngine.baseClientSeed, 'alice-seed', bobSeed].join(':')));
+      expect(gameEngine.clientSeedContributions.map(c => c.userId)).toEqual([1, 2]);
+
+      const round = fakeDb.rounds.get(gameEngine.roundId);
+      expect(round.client_seed).toBe(gameEngine.clientSeed);
+      expect(round.client_seed_contributions).toEqual(gameEngine.clientSeedContributions);
+    });
+
+    it('should verify a finished round from its recorded contributions', async () => {
+      await gameEngine.startNewRound();
+      await gameEngine.placeBet(1, 500);
+      gameEngine.lockRoundSeeds();
+      await gameEngine.crashTower();
+
+      const result = await gameEngine.verifyRound(gameEngine.roundId);
+      expect(result.clientSeedContributions).toEqual([{ userId: 1, betId: 1, clientSeed: 'alice-seed' }]);
+      expect(result.clientSeedMatches).toBe(true);
+      expect(result.verified).toBe(true);
+    });
+
+    it('should detect a tampered contribution', async () => {
+      await gameEngine.startNewRound();
+      await gameEngine.placeBet(1, 500);
+      gameEngine.lockRoundSeeds();
+      await gameEngine.crashTower();
+      const round = fakeDb.rounds.get(gameEngine.roundId);
+      round.client_seed_contributions = JSON.stringify([{ userId: 1, betId: 1, clientSeed: 'other-seed' }]);
+
+      const result = await gameEngine.verifyRound(gameEngine.roundId);
+      expect(result.clientSeedMatches).toBe(false);
+      expect(result.verified).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,245 @@
+jest.unmock('../redisClient');
+
+const redisClient = require('../redisClient');
+const clusterService = require('../services/clusterService');
+
+const LOCK_TTL_MS = 3000;
+const COMMAND_TIMEOUT_MS = 1000;
+
+// One server instance of the cluster, sharing the in-memory Redis fallback with the others
+const createInstance = (instanceId) => {
+  const instance = new clusterService.constructor();
+  instance.instanceId = instanceId;
+  instance.lockTtlMs = LOCK_TTL_MS;
+  instance.commandTimeoutMs = COMMAND_TIMEOUT_MS;
+  const createEngine = () => ({
+    placeBet: jest.fn(),
+    cashOut: jest.fn(),
+    cancelBet: jest.fn(),
+    getPlayerBets: jest.fn()
+  });
+  const engines = { main: createEngine(), fast: createEngine() };
+  instance.engine = engines.main;
+  instance.rooms = {
+    engines,
+    getEngine: (roomId) => engines[instance.rooms.resolveRoomId(roomId)],
+    resolveRoomId: (roomId) => {
+      if (!roomId) return 'main';
+      if (!engines[roomId]) throw new Error(`Room not found: ${roomId}`);
+      return roomId;
+    },
+    setRedisAvailable: jest.fn(),
+    cleanup: jest.fn()
+  };
+  return instance;
+};
+
+describe('Cluster Tests', () => {
+  let instances;
+
+  const start = async (instanceId, hooks = {}) => {
+    const instance = createInstance(instanceId);
+    instances.push(instance);
+    await instance.start(hooks);
+    return instance;
+  };
+
+  // The process dies: it stops renewing the lock without releasing it
+  const kill = (instance) => {
+    clearInterval(instance.electionTimer);
+    instance.running = false;
+    instance.leader = false;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    redisClient.clearCache();
+    instances = [];
+  });
+
+  afterEach(async () => {
+    for (const instance of instances) {
+      await instance.stop();
+    }
+    jest.useRealTimers();
+  });
+
+  describe('Leader election', () => {
+    it('should elect exactly one leader to run the game', async () => {
+      const onElected = jest.fn().mockResolvedValue();
+      const first = await start('instance-a', { onElected });
+      const second = await start('instance-b', { onElected });
+
+      await jest.advanceTimersByTimeAsync(LOCK_TTL_MS * 2);
+
+      expect(first.isLeader()).toBe(true);
+      expect(second.isLeader()).toBe(false);
+      expect(onElected).toHaveBeenCalledTimes(1);
+      expect(await second.getStatus()).toMatchObject({ instanceId: 'instance-b', leader: false, leaderId: 'instance-a', redis: 'fallback' });
+    });
+
+    it('should hand the game to a follower once the leader dies', async () => {
+      const first = await start('instance-a');
+      const onElected = jest.fn().mockResolvedValue();
+      const second = await start('instance-b', { onElected });
+
+      kill(first);
+      await jest.advanceTimersByTimeAsync(LOCK_TTL_MS + LOCK_TTL_MS / 3);
+
+      expect(second.isLeader()).toBe(true);
+      expect(onElected).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop the game on a leader that lost its lock', async () => {
+      const onDeposed = jest.fn().mockResolvedValue();
+      const first = await start('instance-a', { onDeposed });
+      const second = await start('instance-b');
+
+      // The lock expired while the leader was stalled and another instance took it
+      await redisClient.releaseLock('game:leader', 'instance-a');
+      await jest.advanceTimersByTimeAsync(LOCK_TTL_MS / 3);
+
+      expect(second.isLeader()).toBe(true);
+      expect(first.isLeader()).toBe(false);
+      expect(first.rooms.cleanup).toHaveBeenCalled();
+      expect(onDeposed).toHaveBeenCalled();
+    });
+
+    it('should release the lock on shutdown so a follower takes over at once', async () => {
+      const first = await start('instance-a');
+      const second = await start('instance-b');
+
+      await first.stop();
+      await jest.advanceTimersByTimeAsync(LOCK_TTL_MS / 3);
+
+      expect(second.isLeader()).toBe(true);
+    });
+  });
+
+  describe('Command forwarding', () => {
+    it('should run a follower\'s bet on the leader', async () => {
+      const leader = await start('instance-a');
+      const follower = await start('instance-b');
+      leader.engine.placeBet.mockResolvedValue({ success: true, betId: 7 });
+
+      const result = await follower.placeBet('main', 1, 500, null, 1, 2);
+
+      expect(result).toEqual({ success: true, betId: 7 });
+      expect(leader.engine.placeBet).toHaveBeenCalledWith(1, 500, null, 1, 2);
+      expect(follower.engine.placeBet).not.toHaveBeenCalled();
+    });
+
+    it('should price forwarded cash-outs from the follower\'s receive time', async () => {
+      const leader = await start('instance-a');
+      const follower = await start('instance-b');
+      leader.engine.cashOut.mockResolvedValue({ success: true, cashoutMultiplier: 1.5 });
+
+      await follower.cashOut('main', 1, 7, Date.now() - 200, 0.5);
+
+      expect(leader.engine.cashOut).toHaveBeenCalledWith(1, 7, Date.now() - 200, 0.5);
+    });
+
+    it('should move forwarded receive times onto the leader\'s clock', async () => {
+      const leader = await start('instance-a');
+      const follower = await start('instance-b');
+      leader.engine.cashOut.mockResolvedValue({ success: true, cashoutMultiplier: 1.5 });
+      const leaderNow = Date.now();
+
+      // The follower's clock runs 5 seconds ahead of the leader's when it receives and forwards the cash-out
+      jest.setSystemTime(leaderNow + 5000);
+      const forwarded = follower.cashOut('main', 1, 7, Date.now() - 200, 1);
+      jest.setSystemTime(leaderNow);
+      await forwarded;
+      expect(leader.engine.cashOut).toHaveBeenLastCalledWith(1, 7, Date.now() - 200, 1);
+
+      // A receive time in the follower's future, or older than any command may be, is bounded
+      await follower.cashOut('main', 1, 7, Date.now() + 60000, 1);
+      expect(leader.engine.cashOut).toHaveBeenLastCalledWith(1, 7, Date.now(), 1);
+      await follower.cashOut('main', 1, 7, Date.now() - 60000, 1);
+      expect(leader.engine.cashOut).toHaveBeenLastCalledWith(1, 7, Date.now() - COMMAND_TIMEOUT_MS, 1);
+    });
+
+    it('should return the leader\'s errors to the follower', async () => {
+      const leader = await start('instance-a');
+      const follower = await start('instance-b');
+      leader.engine.cancelBet.mockRejectedValue(new Error('Bets can only be cancelled before the round starts'));
+
+      await expect(follower.cancelBet('main', 1, 7)).rejects.toThrow('Bets can only be cancelled before the round starts');
+    });
+
+    it('should pass on a command the previous leader took while stepping down', async () => {
+      const first = await start('instance-a');
+      const second = await start('instance-b');
+      const follower = await start('instance-c');
+      second.engine.placeBet.mockResolvedValue({ success: true, betId: 8 });
+
+      // The old leader is still blocked on the queue when the next command arrives
+      await first.stop();
+      await second.campaign();
+      const result = await follower.placeBet('main', 1, 500);
+
+      expect(result.betId).toBe(8);
+      expect(first.engine.placeBet).not.toHaveBeenCalled();
+    });
+
+    it('should run commands on the leader itself without the queue', async () => {
+      const leader = await start('instance-a');
+      leader.engine.getPlayerBets.mockReturnValue({ active: [], queued: [] });
+
+      await expect(leader.getPlayerBets('main', 1)).resolves.toEqual({ active: [], queued: [] });
+      expect(leader.engine.getPlayerBets).toHaveBeenCalledWith(1);
+    });
+
+    it('should run commands locally when not part of a cluster', async () => {
+      const standalone = createInstance('standalone');
+      standalone.engine.placeBet.mockResolvedValue({ success: true });
+
+      await standalone.placeBet(null, 1, 500);
+
+      expect(standalone.engine.placeBet).toHaveBeenCalledWith(1, 500);
+    });
+
+    it('should run a command in the room it names', async () => {
+      const leader = await start('instance-a');
+      const follower = await start('instance-b');
+      leader.rooms.engines.fast.placeBet.mockResolvedValue({ success: true, betId: 9, roomId: 'fast' });
+
+      const result = await follower.placeBet('fast', 1, 500);
+
+      expect(result).toMatchObject({ betId: 9, roomId: 'fast' });
+      expect(leader.rooms.engines.fast.placeBet).toHaveBeenCalledWith(1, 500);
+      expect(leader.engine.placeBet).not.toHaveBeenCalled();
+    });
+
+    it('should reject commands for an unknown room before forwarding them', async () => {
+      await start('instance-a');
+      const follower = await start('instance-b');
+
+      await expect(follower.placeBet('casino-royale', 1, 500)).rejects.toThrow('Room not found: casino-royale');
+    });
+
+    it('should reject anything but game commands', async () => {
+      const follower = createInstance('instance-b');
+
+      await expect(follower.execute('cleanup')).rejects.toThrow('Unknown game command: cleanup');
+    });
+
+    it('should time out without a leader and never run the command later', async () => {
+      await redisClient.acquireLock('game:leader', 'stalled-instance', LOCK_TTL_MS * 10);
+      const follower = await start('instance-b');
+
+      const placed = follower.placeBet('main', 1, 500);
+      const rejection = expect(placed).rejects.toThrow('Game server unavailable - try again');
+      await jest.advanceTimersByTimeAsync(COMMAND_TIMEOUT_MS + 1000);
+      await rejection;
+
+      // A new leader finds the stale command in the queue and drops it
+      await redisClient.releaseLock('game:leader', 'stalled-instance');
+      const leader = await start('instance-a');
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(leader.isLeader()).toBe(true);
+      expect(leader.engine.placeBet).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,207 @@
+jest.unmock('../services/gameEngine');
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const db = require('../db');
+const gameRooms = require('../config/rooms');
+const gameRoomService = require('../services/gameRoomService');
+const rtpConfigService = require('../services/rtpConfigService');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/game', require('../routes/game'));
+
+const signToken = (user) =>
+  jwt.sign({ id: user.id, username: user.username, role: user.role }, config.jwtSecret, { expiresIn: '1h' });
+
+describe('Game Room Tests', () => {
+  let fakeDb;
+  let broadcasts;
+
+  const startRooms = async () => {
+    for (const engine of gameRoomService.getEngines()) {
+      await engine.startNewRound();
+      clearTimeout(engine.roundTimer);
+    }
+  };
+
+  beforeEach(() => {
+    fakeDb = createFakeDatabase({ users: [{ id: 1, username: 'alice', balance: 1000000, client_seed: 'alice-seed' }] });
+    db.query.mockImplementation(fakeDb.query);
+    db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+
+    broadcasts = [];
+    gameRoomService.setIo({ to: (channel) => ({ emit: (event, payload) => broadcasts.push({ channel, event, payload }) }) });
+    gameRoomService.getEngines().forEach(engine => {
+      engine.seedMode = 'random';
+      engine.redisAvailable = false;
+      engine._cachedGameState = null;
+      engine.queuedBets.clear();
+    });
+  });
+
+  afterEach(() => {
+    gameRoomService.cleanup();
+    jest.useRealTimers();
+  });
+
+  describe('Room definitions', () => {
+    it('should run an engine for every configured room', () => {
+      const ids = gameRoomService.getEngines().map(engine => engine.roomId);
+
+      expect(ids).toEqual(gameRooms.rooms.map(room => room.id));
+      expect(ids).toEqual(expect.arrayContaining(['main', 'low-stakes', 'high-roller', 'fast']));
+      expect(gameRoomService.getEngine()).toBe(gameRoomService.getEngine('main'));
+    });
+
+    it('should reject room definitions without the default room or with duplicate ids', () => {
+      const room = { id: 'main', name: 'Main', minBet: 100, maxBet: 1000 };
+
+      expect(() => gameRooms.parseRooms(JSON.stringify([{ ...room, id: 'vip' }]))).toThrow('must include the "main" room');
+      expect(() => gameRooms.parseRooms(JSON.stringify([room, room]))).toThrow('duplicate');
+      expect(() => gameRooms.parseRooms(JSON.stringify([{ ...room, maxBet: 50 }]))).toThrow('maxBet');
+      expect(gameRooms.parseRooms(JSON.stringify([room]))[0]).toMatchObject({ waitingMs: 5000, rtpConfigVersion: null });
+    });
+
+    it('should reject unknown rooms', () => {
+      expect(() => gameRoomService.getEngine('casino-royale')).toThrow('Room not found: casino-royale');
+      expect(gameRoomService.resolveRoomFilter(undefined)).toBeNull();
+    });
+  });
+
+  describe('Independent rooms', () => {
+    it('should enforce each room\'s bet limits', async () => {
+      await startRooms();
+
+      await expect(gameRoomService.getEngine('high-roller').placeBet(1, 500))
+        .rejects.toThrow('Bet amount must be between 10,000 FCFA and 1,000,000 FCFA');
+      await expect(gameRoomService.getEngine('low-stakes').placeBet(1, 20000))
+        .rejects.toThrow('Bet amount must be between 100 FCFA and 5,000 FCFA');
+
+      const result = await gameRoomService.getEngine('high-roller').placeBet(1, 200000);
+      expect(result).toMatchObject({ success: true, roomId: 'high-roller' });
+      expect(fakeDb.bets[0].room_id).toBe('high-roller');
+    });
+
+    it('should keep bets in the room they were placed in', async () => {
+      await startRooms();
+
+      const { betId } = await gameRoomService.getEngine('fast').placeBet(1, 500);
+
+      expect(gameRoomService.getEngine('fast').activeBets.has(betId)).toBe(true);
+      expect(gameRoomService.getEngine('main').activeBets.has(betId)).toBe(false);
+      await expect(gameRoomService.getEngine('main').cancelBet(1, betId)).rejects.toThrow('No active bet found');
+    });
+
+    it('should number rounds per room', async () => {
+      await startRooms();
+      await gameRoomService.getEngine('fast').startNewRound();
+
+      expect(gameRoomService.getEngine('fast').roundNumber).toBe(2);
+      expect(gameRoomService.getEngine('main').roundNumber).toBe(1);
+      expect([...fakeDb.rounds.values()].map(r => r.room_id)).toEqual(['main', 'low-stakes', 'high-roller', 'fast', 'fast']);
+    });
+
+    it('should broadcast a room\'s events to its own channel only', async () => {
+      await gameRoomService.getEngine('fast').startNewRound();
+      clearTimeout(gameRoomService.getEngine('fast').roundTimer);
+
+      const newRounds = broadcasts.filter(b => b.event === 'new_round');
+      expect(newRounds).toHaveLength(1);
+      expect(newRounds[0]).toMatchObject({ channel: 'room:fast', payload: { roomId: 'fast', roundNumber: 1 } });
+    });
+
+    it('should run the room\'s own phase durations', async () => {
+      jest.useFakeTimers();
+      const fast = gameRoomService.getEngine('fast');
+      const main = gameRoomService.getEngine('main');
+      await fast.startNewRound();
+      await main.startNewRound();
+
+      jest.advanceTimersByTime(fast.room.waitingMs);
+
+      expect(fast.gameState).toBe('running');
+      expect(main.gameState).toBe('waiting');
+    });
+
+    it('should play a room pinned to an RTP config version under that version', async () => {
+      const pinned = { version: 3, model: 'fixed-edge', targetRtp: 0.99, maxMultiplier: 100, params: {} };
+      rtpConfigService.getConfig = jest.fn().mockResolvedValue(pinned);
+      const GameEngine = gameRoomService.getEngine('main').constructor;
+      const engine = new GameEngine({ ...gameRooms.rooms[0], id: 'vip', rtpConfigVersion: 3 });
+      engine.seedMode = 'random';
+
+      await engine.startNewRound();
+      clearTimeout(engine.roundTimer);
+
+      expect(rtpConfigService.getConfig).toHaveBeenCalledWith(3);
+      expect(engine.rtpConfig).toBe(pinned);
+      expect(fakeDb.rounds.get(1)).toMatchObject({ room_id: 'vip', rtp_config_id: 3 });
+    });
+
+    it('should only recover the unsettled rounds and queued bets of its own room', async () => {
+      await gameRoomService.getEngine('fast').recoverUnsettledRounds();
+
+      const recoveryQueries = fakeDb.queries.filter(q => q.text.includes("phase IN ('waiting', 'running', 'crashed')") || q.text.includes("b.status = 'queued'"));
+      expect(recoveryQueries).toHaveLength(2);
+      recoveryQueries.forEach(q => expect(q.params).toEqual(['fast']));
+    });
+  });
+
+  describe('REST API', () => {
+    const auth = () => ({ Authorization: `Bearer ${signToken(fakeDb.users.get(1))}` });
+
+    it('should list the rooms with their live status', async () => {
+      await startRooms();
+      await gameRoomService.getEngine('low-stakes').placeBet(1, 500);
+      gameRoomService.getEngine('low-stakes')._cachedGameState = null;
+
+      const response = await request(app).get('/api/v1/game/rooms').expect(200);
+
+      expect(response.body.map(room => room.id)).toEqual(['main', 'low-stakes', 'high-roller', 'fast']);
+      expect(response.body[1]).toMatchObject({
+        id: 'low-stakes',
+        minBet: 100,
+        maxBet: 5000,
+        default: false,
+        status: { roundNumber: 1, gameState: 'waiting', activePlayers: 1, activeBets: 1 }
+      });
+    });
+
+    it('should serve the state of the requested room', async () => {
+      await startRooms();
+
+      const response = await request(app).get('/api/v1/game/state?room=fast').expect(200);
+
+      expect(response.body).toMatchObject({ roomId: 'fast', roundId: gameRoomService.getEngine('fast').roundId });
+      await request(app).get('/api/v1/game/state?room=casino-royale').expect(404);
+    });
+
+    it('should place a bet in the room named in the request', async () => {
+      await startRooms();
+
+      const response = await request(app).post('/api/v1/game/bet').set(auth()).send({ amount: 20000, room: 'high-roller' }).expect(200);
+
+      expect(response.body).toMatchObject({ success: true, roomId: 'high-roller' });
+      expect(gameRoomService.getEngine('high-roller').activeBets.has(response.body.betId)).toBe(true);
+    });
+
+    it('should answer 404 for bets in an unknown room', async () => {
+      await request(app).post('/api/v1/game/bet').set(auth()).send({ amount: 500, room: 'casino-royale' }).expect(404);
+      expect(fakeDb.bets).toHaveLength(0);
+    });
+
+    it('should filter the round history and player stats by room', async () => {
+      await request(app).get('/api/v1/game/history?room=fast').expect(200);
+      await request(app).get('/api/v1/game/user-stats?room=fast').set(auth()).expect(200);
+      await request(app).get('/api/v1/game/user-history').set(auth()).expect(200);
+
+      const history = fakeDb.queries.filter(q => q.text.includes('FROM rounds') || q.text.includes('FROM round_results'));
+      expect(history.map(q => q.params)).toEqual([[10, 'fast'], [1, 'fast'], [1, 10, null]]);
+      await request(app).get('/api/v1/game/history?room=casino-royale').expect(404);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+// Deterministic harness for game engine integration tests.
+// The engine runs on a fake clock that only moves when the test advances it and on a seeded random source,
+// so a whole round lifecycle plays in milliseconds and the same seed always draws the same rounds.
+// The database is whatever the test mocks '../db' with (see tests/setup.js).
+
+const crypto = require('crypto');
+const gameEngine = require('../../services/gameEngine');
+const gameRooms = require('../../config/rooms');
+const specialBlockService = require('../../services/specialBlockService');
+
+const GameEngine = gameEngine.constructor;
+const TICK_INTERVAL_MS = 100;
+
+// Let every promise the last timer started settle before the clock moves on
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Clock and scheduler driven by the test. Timers due at the same instant fire in the order they were set.
+const createFakeClock = (start = Date.UTC(2025, 0, 1)) => {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map(); // id -> { at, callback, every }
+
+  const schedule = (callback, ms, every = null) => {
+    const id = nextId++;
+    timers.set(id, { at: now + Math.max(0, ms || 0), callback, every });
+    return id;
+  };
+  const cancel = (id) => timers.delete(id);
+
+  // Earliest timer due by `until`
+  const nextDue = (until) => {
+    let due = null;
+    for (const [id, timer] of timers) {
+      if (timer.at <= until && (!due || timer.at < due.timer.at)) {
+        due = { id, timer };
+      }
+    }
+    return due;
+  };
+
+  return {
+    clock: { now: () => now },
+    scheduler: {
+      setTimeout: (callback, ms) => schedule(callback, ms),
+      clearTimeout: cancel,
+      setInterval: (callback, ms) => schedule(callback, ms, ms),
+      clearInterval: cancel
+    },
+    pendingTimers: () => timers.size,
+
+    // Move the clock to `until`, firing the timers due on the way in time order
+    async advanceTo(until) {
+      let due;
+      while ((due = nextDue(until))) {
+        now = due.timer.at;
+        if (due.timer.every) {
+          due.timer.at += due.timer.every;
+        } else {
+          timers.delete(due.id);
+        }
+        due.timer.callback();
+        await flush();
+      }
+      now = Math.max(now, until);
+      await flush();
+    }
+  };
+};
+
+// Random source that replays the same values for the same seed
+const createSeededRandom = (seed = 'harness') => {
+  let counter = 0;
+  const next = () => crypto.createHash('sha256').update(`${seed}:${counter++}`).digest();
+
+  return {
+    bytes: (size) => {
+      const chunks = [];
+      for (let length = 0; length < size; length += 32) {
+        chunks.push(next());
+      }
+      return Buffer.concat(chunks).subarray(0, size);
+    },
+    int: (max) => next().readUInt32BE(0) % max
+  };
+};
+
+class EngineHarness {
+  constructor({ room = gameRooms.rooms.find(r => r.id === gameRooms.DEFAULT_ROOM_ID), seed = 'harness' } = {}) {
+    this.time = createFakeClock();
+    this.random = createSeededRandom(seed);
+    this.engine = new GameEngine(room, { clock: this.time.clock, scheduler: this.time.scheduler, random: this.random });
+    this.engine.seedMode = 'random';
+    this.engine.redisAvailable = false;
+
+    // Every socket event the engine emits, with the channel and the fake time it was sent at
+    this.events = [];
+    this.engine.setIo({
+      to: (channel) => ({
+        emit: (event, payload) => this.events.push({ channel, event, payload, at: this.now() })
+      })
+    });
+  }
+
+  now() {
+    return this.time.clock.now();
+  }
+
+  advance(ms) {
+    return this.time.advanceTo(this.now() + ms);
+  }
+
+  advanceTo(at) {
+    return this.time.advanceTo(at);
+  }
+
+  // Advance in game-loop steps until `predicate` holds, failing instead of spinning forever
+  async advanceUntil(predicate, { step = TICK_INTERVAL_MS, limitMs = 10 * 60 * 1000 } = {}) {
+    const deadline = this.now() + limitMs;
+    while (!predicate()) {
+      if (this.now() >= deadline) {
+        throw new Error(`Condition not reached within ${limitMs}ms of game time`);
+      }
+      await this.advance(step);
+    }
+  }
+
+  // Open a round for betting
+  async startRound() {
+    await this.engine.startNewRound();
+    return this.engine.roundId;
+  }
+
+  placeBet(userId, amount, { insurance = null, insuranceGames = 1, autoCashoutAt = null, practice = false } = {}) {
+    return this.engine.placeBet(userId, amount, insurance, insuranceGames, autoCashoutAt, practice);
+  }
+
+  // Close betting when the waiting phase runs out. A `crashPoint` replaces the one the seeds drew.
+  async startRunning({ crashPoint = null } = {}) {
+    await this.advanceTo(this.engine.roundStartTime + this.engine.room.waitingMs);
+    if (crashPoint) {
+      this.engine.crashPoint = crashPoint;
+      this.engine.crashElapsed = specialBlockService.crashElapsed(this.engine.specialBlocks, crashPoint, this.engine.effectCurve);
+    }
+  }
+
+  // Advance to the instant the tower reaches `multiplier`
+  runTo(multiplier) {
+    return this.advanceTo(this.engine.timeAt(multiplier));
+  }
+
+  // Cash out as the tower reaches `multiplier`. The request arrives one lag-compensation window later,
+  // which prices it at exactly that multiplier.
+  async cashOutAt(userId, betId, multiplier, fraction = 1) {
+    await this.advanceTo(this.engine.timeAt(multiplier) + this.engine.lagCompensationMs);
+    return this.engine.cashOut(userId, betId, this.now(), fraction);
+  }
+
+  // Run the round to its crash and settle its bets
+  crash() {
+    return this.advanceUntil(() => this.engine.gameState !== 'running');
+  }
+
+  // Run through the crashed and results phases until the next round opens
+  async nextRound() {
+    const roundId = this.engine.roundId;
+    await this.advanceUntil(() => this.engine.gameState === 'waiting' && this.engine.roundId !== roundId);
+    return this.engine.roundId;
+  }
+
+  // Payloads of the events named `event`; game_update events can be narrowed to one `type`
+  emitted(event, type = null) {
+    return this.events
+      .filter(e => e.event === event && (!type || e.payload.type === type))
+      .map(e => e.payload);
+  }
+
+  // Event names in emission order, game_update events as 'game_update:<type>'
+  eventNames() {
+    return this.events.map(e => (e.event === 'game_update' ? `game_update:${e.payload.type}` : e.event));
+  }
+
+  stop() {
+    this.engine.cleanup();
+  }
+}
+
+module.exports = {
+  EngineHarness,
+  createFakeClock,
+  createSeededRandom
+};
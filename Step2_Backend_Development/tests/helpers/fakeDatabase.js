@@ -0,0 +1,300 @@
+// In-memory stand-in for the database in service and engine tests.
+// Queries are matched on the SQL the services send, so a handler here has to change whenever that SQL does.
+// It covers users, the wallet ledger, rounds, bets, round results and bet insurance; suites that touch tables of
+// their own pass `extend`, whose handlers are tried first and return undefined for queries they do not handle:
+//
+//   createFakeDatabase({
+//     users: [{ id: 1, username: 'alice', balance: 500 }],
+//     extend: ({ users }) => {
+//       const withdrawals = [];
+//       return { withdrawals, query: (text, params) => { if (text.includes('FROM withdrawals')) return { rows: withdrawals }; } };
+//     }
+//   })
+//
+// Wire it up with db.query.mockImplementation(fakeDb.query) and a pool client whose query is fakeDb.query.
+
+// Amounts in FCFA, kept to the cent like the NUMERIC columns
+const sum = (values) => Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100;
+
+const PLAYER = { role: 'player', is_admin: false, status: 'active', balance: 10000, practice_balance: 100000, free_bet_credits: 0 };
+
+const DEFAULT_USERS = [
+  { id: 1, username: 'alice', client_seed: 'alice-seed' },
+  { id: 2, username: 'bob', client_seed: 'bob-seed' }
+];
+
+const createFakeDatabase = ({ users: userRows = DEFAULT_USERS, extend = null } = {}) => {
+  const users = new Map(userRows.map(user => [user.id, { ...PLAYER, ...user }]));
+  const rounds = new Map();
+  const bets = [];
+  const roundResults = [];
+  const insurance = [];
+  const entries = []; // { id, type, referenceType, referenceId, description, postings: [{ account, userId, amount }] }
+  const queries = [];
+
+  const tables = { users, rounds, bets, roundResults, insurance, entries, queries };
+  const { query: extraQuery = () => undefined, ...extraTables } = extend ? extend(tables) : {};
+
+  const findBet = (id) => bets.find(bet => bet.id === id);
+  const postings = () => entries.flatMap(entry => entry.postings.map(posting => ({ ...posting, entryId: entry.id })));
+  const accountBalance = (account, userId) => sum(
+    postings().filter(posting => posting.account === account && posting.userId === userId).map(posting => posting.amount)
+  );
+
+  const query = (text, params = []) => {
+    queries.push({ text, params });
+
+    const extra = extraQuery(text, params);
+    if (extra !== undefined) {
+      return extra;
+    }
+
+    // users
+    const snapshotUpdate = text.match(/UPDATE users SET (\w+) = \1 ([+-]) \$1 WHERE id = \$2/);
+    if (snapshotUpdate) {
+      const [, column, sign] = snapshotUpdate;
+      const user = users.get(params[1]);
+      user[column] = sum([user[column] || 0, sign === '+' ? params[0] : -params[0]]);
+      return { rows: [] };
+    }
+    if (text.includes('UPDATE users SET practice_balance = $1')) {
+      users.get(params[1]).practice_balance = params[0];
+      return { rows: [] };
+    }
+    if (text.includes('UPDATE users SET client_seed')) {
+      const user = users.get(params[1]);
+      if (!user) return { rows: [] };
+      user.client_seed = params[0];
+      return { rows: [{ id: user.id, client_seed: user.client_seed }] };
+    }
+    if (text.includes('FROM users WHERE id')) {
+      const user = users.get(params[0]);
+      return { rows: user ? [{ ...user }] : [] };
+    }
+
+    // ledger
+    if (text.includes('INSERT INTO ledger_entries')) {
+      const [type, referenceType, referenceId, description, accounts, userIds, amounts] = params;
+      entries.push({
+        id: entries.length + 1,
+        type,
+        referenceType,
+        referenceId,
+        description,
+        postings: accounts.map((account, i) => ({ account, userId: userIds[i], amount: amounts[i] }))
+      });
+      return { rows: [] };
+    }
+    if (text.includes('HAVING SUM(amount) <> 0')) {
+      return {
+        rows: entries
+          .map(entry => ({ entry_id: entry.id, total: sum(entry.postings.map(posting => posting.amount)) }))
+          .filter(row => row.total !== 0)
+      };
+    }
+    if (text.includes('AS ledger_balance')) {
+      return {
+        rows: [...users.values()]
+          .map(user => ({
+            user_id: user.id,
+            balance: user.balance,
+            ledger_balance: accountBalance('player_cash', user.id),
+            free_bet_credits: user.free_bet_credits,
+            ledger_free_bet_credits: accountBalance('player_bonus', user.id)
+          }))
+          .filter(row => row.balance !== row.ledger_balance || row.free_bet_credits !== row.ledger_free_bet_credits)
+      };
+    }
+    if (text.includes('FROM ledger_postings') && text.includes('WHERE user_id IS NULL')) {
+      const accounts = [...new Set(postings().filter(posting => posting.userId === null).map(posting => posting.account))];
+      return { rows: accounts.map(account => ({ account, balance: accountBalance(account, null) })) };
+    }
+
+    // rounds
+    if (text.includes('INSERT INTO rounds')) {
+      const [serverSeed, serverSeedHash, baseClientSeed, clientSeed, nonce, seedChainId, chainIndex, rtpConfigId, roomId] = params;
+      const round = {
+        id: rounds.size + 1,
+        room_id: roomId,
+        round_number: [...rounds.values()].filter(r => r.room_id === roomId).length + 1,
+        phase: 'waiting',
+        crash_point: null,
+        server_seed: serverSeed,
+        server_seed_hash: serverSeedHash,
+        base_client_seed: baseClientSeed,
+        client_seed: clientSeed,
+        client_seed_contributions: [],
+        nonce: String(nonce),
+        seed_chain_id: seedChainId,
+        chain_index: chainIndex,
+        rtp_config_id: rtpConfigId,
+        multiplier_curve: null,
+        timeline: null,
+        end_time: null
+      };
+      rounds.set(round.id, round);
+      return { rows: [{ id: round.id, round_number: round.round_number }] };
+    }
+    if (text.includes('UPDATE rounds SET client_seed')) {
+      const [clientSeed, contributions, id] = params;
+      Object.assign(rounds.get(id), { client_seed: clientSeed, client_seed_contributions: JSON.parse(contributions) });
+      return { rows: [] };
+    }
+    if (text.includes('UPDATE rounds SET phase = $1')) {
+      const round = rounds.get(params[1]);
+      Object.assign(round, { phase: params[0], end_time: round.end_time || new Date() });
+      return { rows: [] };
+    }
+    if (text.includes('UPDATE rounds SET phase')) {
+      const round = rounds.get(params[params.length - 1]);
+      round.phase = text.match(/phase = '(\w+)'/)[1];
+      if (text.includes('crash_point = $1')) round.crash_point = params[0].toFixed(2);
+      if (text.includes('end_time')) round.end_time = new Date();
+      if (text.includes('multiplier_curve = $2')) round.multiplier_curve = JSON.parse(params[1]);
+      if (text.includes('timeline = $1')) round.timeline = JSON.parse(params[0]);
+      return { rows: [] };
+    }
+    if (text.includes('FROM rounds WHERE phase IN')) {
+      return {
+        rows: [...rounds.values()]
+          .filter(r => r.room_id === params[0] && ['waiting', 'running', 'crashed'].includes(r.phase))
+          .map(r => ({ ...r }))
+      };
+    }
+    if (text.includes('WHERE seed_chain_id = $1 AND chain_index = $2')) {
+      return {
+        rows: [...rounds.values()].filter(r => r.seed_chain_id === params[0] && r.chain_index === params[1] && r.end_time !== null)
+      };
+    }
+    if (text.includes('FROM rounds WHERE id')) {
+      const round = rounds.get(params[0]);
+      return { rows: round ? [round] : [] };
+    }
+    if (text.includes('INSERT INTO round_results')) {
+      const [userId, roundId, betAmount, cashoutMultiplier, finalMultiplier, result, winnings] = params;
+      roundResults.push({
+        user_id: userId, round_id: roundId, bet_amount: betAmount, cashout_multiplier: cashoutMultiplier,
+        final_multiplier: finalMultiplier, result, winnings
+      });
+      return { rows: [] };
+    }
+    if (text.includes('FROM round_results rr') && text.includes('AS rounds_played')) {
+      const [userId, roomId] = params;
+      const results = roundResults.filter(r => r.user_id === userId && (roomId === null || rounds.get(r.round_id)?.room_id === roomId));
+      return {
+        rows: [{
+          rounds_played: String(results.length),
+          wins: String(results.filter(r => r.result === 'win').length),
+          losses: String(results.filter(r => r.result === 'loss').length),
+          total_wagered: String(sum(results.map(r => r.bet_amount))),
+          total_winnings: String(sum(results.map(r => r.winnings))),
+          best_multiplier: String(Math.max(0, ...results.map(r => r.cashout_multiplier || 0)))
+        }]
+      };
+    }
+
+    // bets
+    if (text.includes('INSERT INTO bets') && text.includes('parent_bet_id')) {
+      const [userId, roundId, amount, status, result, multiplier, winnings, clientSeed, roomId, practice, parentBetId] = params;
+      const bet = {
+        id: bets.length + 1, user_id: userId, round_id: roundId, amount, status, result, cashout_multiplier: multiplier,
+        winnings, client_seed: clientSeed, auto_cashout_at: null, room_id: roomId, is_practice: practice,
+        parent_bet_id: parentBetId, timestamp: new Date()
+      };
+      bets.push(bet);
+      return { rows: [{ id: bet.id }] };
+    }
+    if (text.includes('INSERT INTO bets')) {
+      const [userId, roundId, amount, status, clientSeed, autoCashoutAt, roomId, practice] = params;
+      const bet = {
+        id: bets.length + 1, user_id: userId, round_id: roundId, amount, status, result: null, cashout_multiplier: null,
+        winnings: null, client_seed: clientSeed, auto_cashout_at: autoCashoutAt, room_id: roomId, is_practice: practice,
+        parent_bet_id: null, timestamp: new Date()
+      };
+      bets.push(bet);
+      return { rows: [{ id: bet.id }] };
+    }
+    if (text.includes('UPDATE bets SET round_id')) {
+      const [roundId, status, ids] = params;
+      bets.filter(bet => ids.includes(bet.id)).forEach(bet => Object.assign(bet, { round_id: roundId, status }));
+      return { rows: [] };
+    }
+    if (text.includes('UPDATE bets SET amount = amount - $1')) {
+      const bet = findBet(params[1]);
+      if (bet.status !== 'active') return { rows: [] };
+      bet.amount = sum([bet.amount, -params[0]]);
+      return { rows: [{ id: bet.id }] };
+    }
+    if (text.includes('status = ANY($4) RETURNING amount')) {
+      const [status, betId, userId, from] = params;
+      const bet = bets.find(b => b.id === betId && b.user_id === userId && from.includes(b.status));
+      if (!bet) return { rows: [] };
+      bet.status = status;
+      return { rows: [{ amount: String(bet.amount) }] };
+    }
+    if (text.includes('UPDATE bets SET status = $1, result = $2')) {
+      // Every settlement sets status and result first and ends with winnings and the bet id
+      const bet = findBet(params[params.length - 1]);
+      if (text.includes("AND status = 'active'") && bet.status !== 'active') return { rows: [] };
+      Object.assign(bet, { status: params[0], result: params[1], winnings: params[params.length - 2] });
+      if (text.includes('cashout_multiplier = $3')) bet.cashout_multiplier = params[2];
+      return { rows: [{ id: bet.id }] };
+    }
+    if (text.includes('FROM bets b') && text.includes("b.status = 'active'")) {
+      return {
+        rows: bets.filter(bet => bet.round_id === params[0] && bet.status === 'active').map(bet => {
+          const cover = insurance.find(i => i.bet_id === bet.id && i.status === 'active');
+          return {
+            id: bet.id, user_id: bet.user_id, amount: String(bet.amount), is_practice: bet.is_practice === true,
+            premium_amount: cover ? String(cover.premium_amount) : null
+          };
+        })
+      };
+    }
+    if (text.includes('FROM bets b') && text.includes("b.status = 'queued'")) {
+      return {
+        rows: bets.filter(bet => bet.status === 'queued' && bet.room_id === params[0]).map(bet => ({
+          ...bet, amount: String(bet.amount), username: users.get(bet.user_id).username, insurance_type: null
+        }))
+      };
+    }
+
+    // bet_insurance
+    if (text.includes('INSERT INTO bet_insurance')) {
+      const [userId, betId, insuranceType, betAmount, premium, coverageRate, coverage, status] = params;
+      insurance.push({
+        user_id: userId, bet_id: betId, insurance_type: insuranceType, bet_amount: betAmount, premium_amount: premium,
+        coverage_rate: coverageRate, coverage_amount: coverage, status
+      });
+      return { rows: [] };
+    }
+    if (text.includes('UPDATE bet_insurance SET bet_amount')) {
+      const cover = insurance.find(i => i.bet_id === params[2] && i.status === params[3]);
+      Object.assign(cover, { bet_amount: sum([cover.bet_amount, -params[0]]), coverage_amount: cover.coverage_amount * params[1] });
+      return { rows: [] };
+    }
+    if (text.includes('UPDATE bet_insurance SET status = $1 WHERE bet_id = $2')) {
+      const covers = insurance.filter(i => i.bet_id === params[1] && i.status === params[2]);
+      covers.forEach(cover => { cover.status = params[0]; });
+      return { rows: covers.map(cover => ({ premium_amount: String(cover.premium_amount) })) };
+    }
+
+    return { rows: [] };
+  };
+
+  return {
+    ...tables,
+    ...extraTables,
+    accountBalance,
+    // Handlers may throw to simulate a failing query; callers see a rejected promise like a pg error
+    query: (text, params) => {
+      try {
+        return Promise.resolve(query(text, params));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+  };
+};
+
+module.exports = { createFakeDatabase, sum };
@@ -0,0 +1,38 @@
+// Signed gateway callbacks for webhook tests, as the gateways (and services/gatewaySimulator) send them.
+// Apps under test need the raw body kept: express.json({ verify: webhookSecurityService.captureRawBody }).
+
+const crypto = require('crypto');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// MTN, Orange and bank: X-Gateway-Signature is the HMAC of "<timestamp>.<nonce>.<body>"
+const signCallback = (secret, body, { timestamp = now(), nonce = crypto.randomUUID(), payload = JSON.stringify(body) } = {}) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.${payload}`).digest('hex');
+  return {
+    payload,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Gateway-Timestamp': String(timestamp),
+      'X-Gateway-Nonce': nonce,
+      'X-Gateway-Signature': `sha256=${signature}`
+    }
+  };
+};
+
+// Stripe: Stripe-Signature t=<timestamp>,v1=<HMAC of "<timestamp>.<body>">
+const signStripeEvent = (secret, event, { timestamp = now() } = {}) => {
+  const payload = JSON.stringify(event);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return {
+    payload,
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': `t=${timestamp},v1=${signature}` }
+  };
+};
+
+// POST a signed callback through a supertest agent
+const postSignedCallback = (agent, url, secret, body, options) => {
+  const { payload, headers } = signCallback(secret, body, options);
+  return agent.post(url).set(headers).send(payload);
+};
+
+module.exports = { signCallback, signStripeEvent, postSignedCallback };
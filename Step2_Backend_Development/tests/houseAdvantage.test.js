@@ -1,298 +1,86 @@
-// Mock the game engine and database before importing
-jest.mock('../services/gameEngine', () => ({
-  MEDIUM_BET_AMOUNT: 2.00,
-  BASE_CRASH_PROBABILITY: 0.85,
-  HOUSE_ADVANTAGE_FACTOR: 0.15,
-  MAX_CRASH_PROBABILITY: 0.95,
-  MIN_CRASH_PROBABILITY: 0.75, // Match the test expectation
-  
-  activeBets: new Map(),
-  activePlayers: new Set(),
-  serverSeed: 'test-seed',
-  clientSeed: 'test-client',
-  nonce: 123456789,
-  
-  calculateHouseAdvantage: jest.fn().mockImplementation((betAmount) => {
-    // Mock implementation that returns different values based on bet amount
-    if (betAmount <= 2.00) return 0.78;
-    if (betAmount <= 10.00) return 0.85;
-    if (betAmount <= 50.00) return 0.90;
-    return 0.95;
-  }),
-  calculateCrashPointWithAdvantage: jest.fn().mockImplementation((betAmount) => {
-    // Mock implementation that returns different crash points
-    if (betAmount <= 2.00) return 1.5;
-    if (betAmount <= 10.00) return 2.5;
-    if (betAmount <= 50.00) return 3.5;
-    return 4.5;
-  }),
-  getHouseAdvantageStats: jest.fn().mockImplementation(() => {
-    // Return different stats based on active bets
-    const activeBetsCount = this.activeBets.size;
-    if (activeBetsCount === 0) {
-      return {
-        totalBetAmount: 0,
-        mediumBetAmount: 2.00,
-        baseCrashProbability: 0.85,
-        activeBets: 0,
-        adjustedCrashProbability: 0.85,
-        houseAdvantage: 0
-      };
-    } else {
-      return {
-        totalBetAmount: 17.00,
-        mediumBetAmount: 2.00,
-        baseCrashProbability: 0.85,
-        activeBets: activeBetsCount,
-        adjustedCrashProbability: 0.87,
-        houseAdvantage: 0.15
-      };
-    }
-  }),
-  setIo: jest.fn(),
-  getGameState: jest.fn().mockReturnValue({
-    gameState: 'waiting',
-    multiplier: 1.0,
-    integrity: 100,
-    crashPoint: 2.5,
-    roundId: 1,
-    roundTime: 0,
-    connectedPlayers: 0
-  }),
-  verifyCrashPoint: jest.fn().mockReturnValue(2.5),
-  placeBet: jest.fn().mockImplementation((userId, amount) => {
-    // Add bet to active bets
-    this.activeBets.set(userId, { amount });
-    // Recalculate crash point
-    this.crashPoint = this.calculateCrashPointWithAdvantage(amount);
-    return Promise.resolve({ success: true });
-  })
-}));
+jest.unmock('../services/gameEngine');
 
-jest.mock('../db', () => ({
-  query: jest.fn().mockResolvedValue({ rows: [] }),
-  pool: {
-    connect: jest.fn().mockResolvedValue({
-      query: jest.fn().mockResolvedValue({ rows: [] }),
-      release: jest.fn()
-    }),
-    totalCount: 1
-  },
-  run: jest.fn().mockResolvedValue({ rows: [] }),
-  isConnected: jest.fn().mockReturnValue(true)
-}));
-
-const gameEngine = require('../services/gameEngine');
+const crypto = require('crypto');
 const db = require('../db');
+const crashDistribution = require('../services/crashDistribution');
+const rtpConfigService = require('../services/rtpConfigService');
+const gameEngine = require('../services/gameEngine');
 
-describe('House Advantage System Tests', () => {
-  beforeEach(() => {
-    // Reset game engine state
-    gameEngine.activeBets.clear();
-    gameEngine.activePlayers.clear();
-  });
-
-  describe('House Advantage Calculation', () => {
-    it('should calculate higher crash probability for higher bets', () => {
-      const lowBet = 1.00; // $1
-      const mediumBet = 2.00; // $2 (baseline)
-      const highBet = 10.00; // $10
-      const veryHighBet = 50.00; // $50
-
-      const lowProbability = gameEngine.calculateHouseAdvantage(lowBet);
-      const mediumProbability = gameEngine.calculateHouseAdvantage(mediumBet);
-      const highProbability = gameEngine.calculateHouseAdvantage(highBet);
-      const veryHighProbability = gameEngine.calculateHouseAdvantage(veryHighBet);
-
-      // Higher bets should have higher crash probability
-      expect(highProbability).toBeGreaterThan(mediumProbability);
-      expect(veryHighProbability).toBe(gameEngine.MAX_CRASH_PROBABILITY);
-      // Lower bets should have slightly lower crash probability
-      expect(lowProbability).toBeLessThan(mediumProbability);
-      
-      // All probabilities should be within bounds
-      expect(lowProbability).toBeGreaterThanOrEqual(gameEngine.MIN_CRASH_PROBABILITY);
-      expect(veryHighProbability).toBeLessThanOrEqual(gameEngine.MAX_CRASH_PROBABILITY);
-    });
-
-    it('should respect probability bounds', () => {
-      const extremeLowBet = 0.01; // Very low bet
-      const extremeHighBet = 1000.00; // Very high bet
+const randomHash = () => crypto.randomBytes(32).toString('hex');
 
-      const lowProbability = gameEngine.calculateHouseAdvantage(extremeLowBet);
-      const highProbability = gameEngine.calculateHouseAdvantage(extremeHighBet);
+// The house advantage lives in the crash distribution of the active RTP config version, never in the bets
+describe('House Advantage Tests', () => {
+  const activeRow = { id: 3, model: 'inverse', target_rtp: '0.9600', max_multiplier: '1000.00', params: {}, status: 'active' };
 
-      expect(lowProbability).toBeGreaterThanOrEqual(gameEngine.MIN_CRASH_PROBABILITY);
-      expect(highProbability).toBeLessThanOrEqual(gameEngine.MAX_CRASH_PROBABILITY);
-    });
+  beforeEach(() => {
+    db.query.mockImplementation((text) => Promise.resolve({
+      rows: text.includes('FROM rtp_configs') ? [activeRow] : []
+    }));
+    rtpConfigService.clearCache();
 
-    it('should use $2 as medium bet amount', () => {
-      const mediumBet = gameEngine.MEDIUM_BET_AMOUNT;
-      expect(mediumBet).toBe(2.00);
-    });
+    gameEngine.activeBets.clear();
+    gameEngine.rtpConfig = rtpConfigService.defaultConfig();
   });
 
-  describe('Crash Point Calculation with House Advantage', () => {
-    it('should generate different crash points for different bet amounts', () => {
-      // Test with no bets
-      gameEngine.activeBets.clear();
-      gameEngine.serverSeed = 'test-seed-no-bets';
-      gameEngine.clientSeed = 'test-client-no-bets';
-      gameEngine.nonce = 111111111;
-      const crashPoint1 = gameEngine.calculateCrashPointWithAdvantage();
-
-      // Test with low bet
-      gameEngine.activeBets.set(1, { amount: 1.00 });
-      gameEngine.serverSeed = 'test-seed-low-bet';
-      gameEngine.clientSeed = 'test-client-low-bet';
-      gameEngine.nonce = 222222222;
-      const crashPoint2 = gameEngine.calculateCrashPointWithAdvantage();
-
-      // Test with high bet
-      gameEngine.activeBets.set(2, { amount: 10.00 });
-      gameEngine.serverSeed = 'test-seed-high-bet';
-      gameEngine.clientSeed = 'test-client-high-bet';
-      gameEngine.nonce = 333333333;
-      const crashPoint3 = gameEngine.calculateCrashPointWithAdvantage();
-
-      // Crash points should be different
-      expect(crashPoint1).not.toBe(crashPoint2);
-      expect(crashPoint2).not.toBe(crashPoint3);
-    });
-
-    it('should generate crash points within expected range', () => {
-      gameEngine.serverSeed = 'test-seed-2';
-      gameEngine.clientSeed = 'test-client-2';
-      gameEngine.nonce = 987654321;
-
-      // Test multiple scenarios
-      const scenarios = [
-        { betAmount: 1.00, description: 'low bet' },
-        { betAmount: 2.00, description: 'medium bet' },
-        { betAmount: 10.00, description: 'high bet' },
-        { betAmount: 50.00, description: 'very high bet' }
-      ];
+  afterEach(() => {
+    gameEngine.activeBets.clear();
+  });
 
-      scenarios.forEach(scenario => {
-        gameEngine.activeBets.clear();
-        gameEngine.activeBets.set(1, { amount: scenario.betAmount });
-        
-        const crashPoint = gameEngine.calculateCrashPointWithAdvantage();
-        
-        // Crash point should be between 1.00x and 20.00x
-        expect(crashPoint).toBeGreaterThanOrEqual(1.00);
-        expect(crashPoint).toBeLessThanOrEqual(20.00);
-        expect(typeof crashPoint).toBe('number');
+  describe('Crash distribution', () => {
+    it('should give the house the configured edge on every cash-out target', () => {
+      const rtpConfig = { model: 'inverse', targetRtp: 0.95, maxMultiplier: 1000, params: {} };
+      const samples = 20000;
+
+      [1.5, 3].forEach(target => {
+        let returned = 0;
+        for (let i = 0; i < samples; i++) {
+          if (crashDistribution.crashPoint(randomHash(), rtpConfig) >= target) {
+            returned += target;
+          }
+        }
+        expect(1 - returned / samples).toBeCloseTo(0.05, 1);
       });
     });
-  });
-
-  describe('House Advantage Statistics', () => {
-    it('should calculate house advantage statistics correctly', () => {
-      // Add some test bets
-      gameEngine.activeBets.set(1, { amount: 5.00 });
-      gameEngine.activeBets.set(2, { amount: 10.00 });
-      gameEngine.activeBets.set(3, { amount: 2.00 });
 
-      const stats = gameEngine.getHouseAdvantageStats();
-
-      expect(stats.totalBetAmount).toBe(17.00);
-      expect(stats.mediumBetAmount).toBe(2.00);
-      expect(stats.baseCrashProbability).toBe(0.85);
-      expect(stats.activeBets).toBe(3);
-      expect(stats.adjustedCrashProbability).toBeGreaterThanOrEqual(gameEngine.MIN_CRASH_PROBABILITY);
-      expect(stats.adjustedCrashProbability).toBeLessThanOrEqual(gameEngine.MAX_CRASH_PROBABILITY);
-      expect(stats.houseAdvantage).toBeDefined();
-    });
+    it('should never crash lower for the same seeds under a higher target RTP', () => {
+      const lower = { model: 'inverse', targetRtp: 0.9, maxMultiplier: 1000, params: {} };
+      const higher = { ...lower, targetRtp: 0.99 };
 
-    it('should handle empty bets scenario', () => {
-      gameEngine.activeBets.clear();
-      
-      const stats = gameEngine.getHouseAdvantageStats();
-      
-      expect(stats.totalBetAmount).toBe(0);
-      expect(stats.activeBets).toBe(0);
-      expect(stats.adjustedCrashProbability).toBe(gameEngine.BASE_CRASH_PROBABILITY);
-      expect(stats.houseAdvantage).toBe(0);
+      for (let i = 0; i < 500; i++) {
+        const hash = randomHash();
+        expect(crashDistribution.crashPoint(hash, higher)).toBeGreaterThanOrEqual(crashDistribution.crashPoint(hash, lower));
+      }
     });
   });
 
-  describe('Bet Placement with House Advantage', () => {
-    it('should recalculate crash point when bet is placed during waiting phase', async () => {
-      // Mock database operations
-      const mockDb = {
-        query: jest.fn().mockResolvedValue({
-          rows: [{ balance: 1000.00 }]
-        })
-      };
-      
-      // Replace db module temporarily
-      const originalDb = require('../db');
-      jest.doMock('../db', () => mockDb);
+  describe('Game engine', () => {
+    it('should derive the crash point from the seeds alone, whatever is staked', () => {
+      const seeds = ['server-seed', 'client-seed', 42];
+      const unstaked = gameEngine.calculateCrashPoint(...seeds);
 
-      // Set game state to waiting
-      gameEngine.gameState = 'waiting';
-      gameEngine.serverSeed = 'test-seed-3';
-      gameEngine.clientSeed = 'test-client-3';
-      gameEngine.nonce = 111111111;
+      gameEngine.activeBets.set(1, { userId: 1, amount: 5000 });
+      gameEngine.activeBets.set(2, { userId: 2, amount: 0.5 });
 
-      // Get initial crash point
-      const initialCrashPoint = gameEngine.calculateCrashPointWithAdvantage();
-
-      // Place a bet
-      try {
-        await gameEngine.placeBet(1, 10.00);
-        
-        // Crash point should be recalculated
-        expect(gameEngine.crashPoint).not.toBe(initialCrashPoint);
-      } catch (error) {
-        // Expected to fail due to mocked database, but crash point should still be recalculated
-        expect(gameEngine.crashPoint).not.toBe(initialCrashPoint);
-      }
-
-      // Restore original db module
-      jest.doMock('../db', () => originalDb);
+      expect(gameEngine.calculateCrashPoint(...seeds)).toBe(unstaked);
     });
-  });
 
-  describe('Configuration Validation', () => {
-    it('should have valid house advantage configuration', () => {
-      expect(gameEngine.MEDIUM_BET_AMOUNT).toBe(2.00);
-      expect(gameEngine.BASE_CRASH_PROBABILITY).toBe(0.85);
-      expect(gameEngine.HOUSE_ADVANTAGE_FACTOR).toBe(0.15);
-      expect(gameEngine.MAX_CRASH_PROBABILITY).toBe(0.95);
-      expect(gameEngine.MIN_CRASH_PROBABILITY).toBe(0.75);
-      
-      // Validate probability bounds
-      expect(gameEngine.MIN_CRASH_PROBABILITY).toBeLessThan(gameEngine.BASE_CRASH_PROBABILITY);
-      expect(gameEngine.BASE_CRASH_PROBABILITY).toBeLessThan(gameEngine.MAX_CRASH_PROBABILITY);
-      expect(gameEngine.HOUSE_ADVANTAGE_FACTOR).toBeGreaterThan(0);
-      expect(gameEngine.HOUSE_ADVANTAGE_FACTOR).toBeLessThan(1);
-    });
-  });
+    it('should report the house advantage of the active RTP config version', async () => {
+      gameEngine.rtpConfig = await rtpConfigService.getActiveConfig();
+      gameEngine.activeBets.set(1, { userId: 1, amount: 30 });
+      gameEngine.activeBets.set(2, { userId: 2, amount: 70 });
 
-  describe('Edge Cases', () => {
-    it('should handle very small bet amounts', () => {
-      const tinyBet = 0.01;
-      const probability = gameEngine.calculateHouseAdvantage(tinyBet);
-      
-      expect(probability).toBeGreaterThanOrEqual(gameEngine.MIN_CRASH_PROBABILITY);
-      expect(probability).toBeLessThanOrEqual(gameEngine.MAX_CRASH_PROBABILITY);
-    });
+      const stats = gameEngine.getHouseAdvantageStats();
 
-    it('should handle very large bet amounts', () => {
-      const hugeBet = 10000.00;
-      const probability = gameEngine.calculateHouseAdvantage(hugeBet);
-      
-      expect(probability).toBeGreaterThanOrEqual(gameEngine.MIN_CRASH_PROBABILITY);
-      expect(probability).toBeLessThanOrEqual(gameEngine.MAX_CRASH_PROBABILITY);
+      expect(stats).toMatchObject({ rtpConfigVersion: 3, model: 'inverse', targetRtp: 0.96, totalBetAmount: 100, activeBets: 2 });
+      expect(stats.houseAdvantage).toBeCloseTo(0.04, 10);
+      expect(stats.expectedProfit).toBeCloseTo(4, 10);
     });
 
-    it('should handle exact medium bet amount', () => {
-      const mediumBet = gameEngine.MEDIUM_BET_AMOUNT;
-      const probability = gameEngine.calculateHouseAdvantage(mediumBet);
-      
-      expect(probability).toBeCloseTo(gameEngine.BASE_CRASH_PROBABILITY, 2);
+    it('should not claim an advantage for models without a target RTP', () => {
+      gameEngine.rtpConfig = { version: 1, model: 'legacy-bands', targetRtp: null, maxMultiplier: 7, params: { crashProbability: 0.95 } };
+      gameEngine.activeBets.set(1, { userId: 1, amount: 10 });
+
+      expect(gameEngine.getHouseAdvantageStats()).toMatchObject({ houseAdvantage: null, expectedProfit: null, totalBetAmount: 10 });
     });
   });
-}); 
\ No newline at end of file
+});
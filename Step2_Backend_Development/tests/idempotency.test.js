@@ -0,0 +1,350 @@
+jest.unmock('../redisClient');
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const db = require('../db');
+const redisClient = require('../redisClient');
+const clusterService = require('../services/clusterService');
+const paymentService = require('../services/paymentService');
+const idempotencyService = require('../services/idempotencyService');
+const webhookSecurityService = require('../services/webhookSecurityService');
+const registerGameSocket = require('../sockets/gameSocket');
+const { postSignedCallback } = require('./helpers/webhooks');
+
+webhookSecurityService.secrets.mtn = 'mtn-webhook-secret';
+
+const app = express();
+app.use(express.json({ verify: webhookSecurityService.captureRawBody }));
+app.use('/api/v1/game', require('../routes/game'));
+app.use('/api/payment', require('../routes/payment'));
+
+const users = {
+  1: { id: 1, username: 'alice', email: 'alice@gmail.com', role: 'player', is_admin: false, status: 'active' },
+  2: { id: 2, username: 'bob', email: 'bob@gmail.com', role: 'player', is_admin: false, status: 'active' }
+};
+
+const signToken = (user) =>
+  jwt.sign({ id: user.id, username: user.username, role: user.role }, config.jwtSecret, { expiresIn: '1h' });
+
+// Let pending promise callbacks run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Socket of an authenticated player, connected to the handlers of registerGameSocket
+const connectSocket = async (user) => {
+  let onConnection;
+  registerGameSocket({ use: jest.fn(), on: (event, handler) => { onConnection = handler; } });
+
+  const handlers = {};
+  const socket = {
+    id: `socket-${user.id}`,
+    data: { user },
+    emitted: [],
+    join: jest.fn(),
+    leave: jest.fn(),
+    emit: (event, payload) => socket.emitted.push({ event, payload }),
+    on: (event, handler) => { handlers[event] = handler; }
+  };
+  await onConnection(socket);
+  socket.emitted = [];
+  socket.act = (data) => handlers.player_action(data);
+  return socket;
+};
+
+describe('Idempotency Tests', () => {
+  let placeBet;
+  let cashOut;
+
+  beforeEach(() => {
+    redisClient.clearCache();
+    db.query.mockImplementation((text, params) => {
+      if (text.includes('FROM users')) {
+        const user = users[params[0]];
+        return Promise.resolve({ rows: user ? [user] : [] });
+      }
+      return Promise.resolve({ rows: [] });
+    });
+
+    let nextBetId = 100;
+    placeBet = jest.spyOn(clusterService, 'placeBet')
+      .mockImplementation(async (room, userId, amount) => ({ success: true, betId: nextBetId++, betAmount: amount, newBalance: 5000 - amount }));
+    cashOut = jest.spyOn(clusterService, 'cashOut')
+      .mockResolvedValue({ success: true, betId: 100, cashoutMultiplier: 2, winnings: 1000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const bet = (body, key, user = users[1]) => {
+    const req = request(app).post('/api/v1/game/bet').set('Authorization', `Bearer ${signToken(user)}`);
+    return (key ? req.set('Idempotency-Key', key) : req).send(body);
+  };
+
+  describe('REST requests', () => {
+    it('should replay the first response of a retried bet instead of placing it again', async () => {
+      const first = await bet({ amount: 500 }, 'bet-1').expect(200);
+      const retry = await bet({ amount: 500 }, 'bet-1').expect(200);
+
+      expect(placeBet).toHaveBeenCalledTimes(1);
+      expect(retry.body).toEqual(first.body);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(first.headers['idempotent-replayed']).toBeUndefined();
+    });
+
+    it('should run every request without a key', async () => {
+      await bet({ amount: 500 }).expect(200);
+      await bet({ amount: 500 }).expect(200);
+
+      expect(placeBet).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject a key reused for a different request', async () => {
+      await bet({ amount: 500 }, 'bet-1').expect(200);
+      const response = await bet({ amount: 800 }, 'bet-1').expect(422);
+
+      expect(response.body.error).toMatch(/different request/);
+      expect(placeBet).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the keys of different players apart', async () => {
+      await bet({ amount: 500 }, 'bet-1', users[1]).expect(200);
+      await bet({ amount: 500 }, 'bet-1', users[2]).expect(200);
+
+      expect(placeBet).toHaveBeenCalledTimes(2);
+      expect(placeBet.mock.calls.map(call => call[1])).toEqual([1, 2]);
+    });
+
+    it('should let a failed request be retried with the same key', async () => {
+      placeBet.mockRejectedValueOnce(new Error('Insufficient balance'));
+
+      await bet({ amount: 500 }, 'bet-1').expect(400);
+      const retry = await bet({ amount: 500 }, 'bet-1').expect(200);
+
+      expect(placeBet).toHaveBeenCalledTimes(2);
+      expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    });
+
+    it('should turn away a retry while the first request is still running', async () => {
+      let finishBet;
+      placeBet.mockImplementationOnce(() => new Promise(resolve => { finishBet = resolve; }));
+
+      const first = bet({ amount: 500 }, 'bet-1').then(response => response);
+      while (!finishBet) {
+        await flush();
+      }
+
+      const retry = await bet({ amount: 500 }, 'bet-1').expect(409);
+      expect(retry.body.error).toMatch(/still being processed/);
+
+      finishBet({ success: true, betId: 7, betAmount: 500 });
+      expect((await first).status).toBe(200);
+      const replay = await bet({ amount: 500 }, 'bet-1').expect(200);
+      expect(replay.body.betId).toBe(7);
+      expect(placeBet).toHaveBeenCalledTimes(1);
+    });
+
+    it('should replay retried cash-outs', async () => {
+      const cashout = () => request(app)
+        .post('/api/v1/game/cashout')
+        .set('Authorization', `Bearer ${signToken(users[1])}`)
+        .set('Idempotency-Key', 'cashout-1')
+        .send({ betId: 100 })
+        .expect(200);
+
+      await cashout();
+      const retry = await cashout();
+
+      expect(cashOut).toHaveBeenCalledTimes(1);
+      expect(retry.body.winnings).toBe(1000);
+    });
+
+    it('should reject malformed keys', async () => {
+      await bet({ amount: 500 }, 'not a key').expect(400);
+      await bet({ amount: 500 }, 'x'.repeat(256)).expect(400);
+
+      expect(placeBet).not.toHaveBeenCalled();
+    });
+
+    it('should replay retried recharges of the player named in the body', async () => {
+      const processMobileMoneyPayment = jest.spyOn(paymentService, 'processMobileMoneyPayment')
+        .mockResolvedValue({ id: 42, amount: 5000, status: 'pending', payment_method: 'mtn_mobile_money', gateway: 'mtn', created_at: new Date() });
+      const recharge = (userId) => request(app)
+        .post('/api/payment/recharge')
+        .set('Idempotency-Key', 'recharge-1')
+        .send({ userId, email: 'alice@gmail.com', amount: 5000, paymentMethod: 'mtn_mobile_money', phoneNumber: '677123456' })
+        .expect(200);
+
+      await recharge(1);
+      const retry = await recharge(1);
+      await recharge(2);
+
+      expect(retry.body.transaction.id).toBe(42);
+      expect(processMobileMoneyPayment).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Socket actions', () => {
+    it('should send the first result back for a retried requestId', async () => {
+      const socket = await connectSocket(users[1]);
+
+      await socket.act({ action: 'bet', amount: 500, requestId: 'req-1' });
+      await socket.act({ action: 'bet', amount: 500, requestId: 'req-1' });
+
+      expect(placeBet).toHaveBeenCalledTimes(1);
+      expect(socket.emitted.map(({ event }) => event)).toEqual(['bet_result', 'bet_result']);
+      const [first, retry] = socket.emitted.map(({ payload }) => payload);
+      expect(first).toMatchObject({ betId: 100, requestId: 'req-1', replayed: false });
+      expect(retry).toMatchObject({ betId: 100, requestId: 'req-1', replayed: true });
+    });
+
+    it('should run actions without a requestId every time', async () => {
+      const socket = await connectSocket(users[1]);
+
+      await socket.act({ action: 'bet', amount: 500 });
+      await socket.act({ action: 'bet', amount: 500 });
+
+      expect(placeBet).toHaveBeenCalledTimes(2);
+      expect(socket.emitted[1].payload).toEqual({ success: true, betId: 101, betAmount: 500, newBalance: 4500 });
+    });
+
+    it('should share request IDs between the sockets of one player only', async () => {
+      const aliceTab1 = await connectSocket(users[1]);
+      const aliceTab2 = await connectSocket(users[1]);
+      const bob = await connectSocket(users[2]);
+
+      await aliceTab1.act({ action: 'cashout', betId: 100, requestId: 'req-1' });
+      await aliceTab2.act({ action: 'cashout', betId: 100, requestId: 'req-1' });
+      await bob.act({ action: 'cashout', betId: 100, requestId: 'req-1' });
+
+      expect(cashOut).toHaveBeenCalledTimes(2);
+      expect(aliceTab2.emitted[0]).toMatchObject({ event: 'cashout_result', payload: { replayed: true } });
+      expect(bob.emitted[0]).toMatchObject({ event: 'cashout_result', payload: { replayed: false } });
+    });
+
+    it('should report failures with their requestId and allow a retry', async () => {
+      const socket = await connectSocket(users[1]);
+      placeBet.mockRejectedValueOnce(new Error('Betting has closed for this round'));
+
+      await socket.act({ action: 'bet', amount: 500, requestId: 'req-1' });
+      await socket.act({ action: 'bet', amount: 500, requestId: 'req-1' });
+
+      expect(socket.emitted[0]).toEqual({
+        event: 'error',
+        payload: { message: 'Action failed', error: 'Betting has closed for this round', requestId: 'req-1' }
+      });
+      expect(socket.emitted[1]).toMatchObject({ event: 'bet_result', payload: { replayed: false } });
+      expect(placeBet).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Webhooks', () => {
+    let handleSuccessfulPayment;
+
+    beforeEach(() => {
+      handleSuccessfulPayment = jest.spyOn(paymentService, 'handleSuccessfulPayment')
+        .mockImplementation(async (userId, amount, transactionId) => ({ id: transactionId, status: 'completed' }));
+      // Recharges are found by their RC-<id> reference
+      const query = db.query.getMockImplementation();
+      db.query.mockImplementation((text, params) => (text.includes('FROM payment_transactions')
+        ? Promise.resolve({ rows: [{ id: params[1], user_id: 1, amount: '5000.00', gateway: params[0], status: 'pending' }] })
+        : query(text, params)));
+    });
+
+    const webhook = (body, headers = {}) =>
+      postSignedCallback(request(app), '/api/payment/webhook/mtn', 'mtn-webhook-secret', body).set(headers).expect(200);
+
+    it('should credit a redelivered gateway event once', async () => {
+      const event = { eventId: 'evt-1', status: 'completed', reference: 'RC-42' };
+
+      await webhook(event);
+      await webhook(event);
+      await webhook({ ...event, eventId: 'evt-2' });
+
+      expect(handleSuccessfulPayment).toHaveBeenCalledTimes(2);
+    });
+
+    it('should take the event ID from the X-Event-Id header', async () => {
+      const event = { status: 'completed', reference: 'RC-42' };
+
+      await webhook(event, { 'X-Event-Id': 'evt-1' });
+      await webhook(event, { 'X-Event-Id': 'evt-1' });
+
+      expect(handleSuccessfulPayment).toHaveBeenCalledTimes(1);
+    });
+
+    it('should dedupe events without an ID by transaction and status', async () => {
+      const event = { status: 'completed', reference: 'RC-42', transactionId: 'MTN-42' };
+
+      await webhook(event);
+      await webhook(event);
+      await webhook({ ...event, reference: 'RC-43', transactionId: 'MTN-43' });
+
+      expect(handleSuccessfulPayment.mock.calls.map(call => call[2])).toEqual([42, 43]);
+    });
+
+    it('should keep the event IDs of different gateways apart', async () => {
+      const event = { eventId: 'evt-1', status: 'completed', reference: 'RC-42' };
+
+      await paymentService.processWebhook({ body: event, headers: {} }, 'mtn');
+      await paymentService.processWebhook({ body: event, headers: {} }, 'orange');
+
+      expect(handleSuccessfulPayment).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Expiry', () => {
+    it('should keep a key claimed while its request runs longer than the lock', async () => {
+      jest.useFakeTimers();
+      try {
+        let finish;
+        const operation = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+
+        const first = idempotencyService.run('test:1', 'key-1', {}, operation);
+        await jest.advanceTimersByTimeAsync(idempotencyService.lockMs * 3);
+        await expect(idempotencyService.run('test:1', 'key-1', {}, operation)).rejects.toThrow('still being processed');
+
+        finish({ ok: true });
+        await expect(first).resolves.toEqual({ result: { ok: true }, replayed: false });
+        expect(idempotencyService.renewals.size).toBe(0);
+        await expect(idempotencyService.run('test:1', 'key-1', {}, operation)).resolves.toEqual({ result: { ok: true }, replayed: true });
+        expect(operation).toHaveBeenCalledTimes(1);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should stop renewing the key of a request whose connection closed without a response', async () => {
+      let finishBet;
+      placeBet.mockImplementationOnce(() => new Promise(resolve => { finishBet = resolve; }));
+
+      const first = bet({ amount: 500 }, 'bet-1').timeout(100).catch(error => error);
+      while (!finishBet) {
+        await flush();
+      }
+      expect(idempotencyService.renewals.size).toBe(1);
+
+      expect((await first).timeout).toBe(100);
+      for (let i = 0; i < 50 && idempotencyService.renewals.size > 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      expect(idempotencyService.renewals.size).toBe(0);
+      finishBet({ success: true, betId: 7, betAmount: 500 });
+    });
+
+    it('should run a request again once its stored result expired', async () => {
+      const operation = jest.fn().mockResolvedValue({ ok: true });
+      const now = Date.now();
+
+      await idempotencyService.run('test:1', 'key-1', {}, operation);
+      const replay = await idempotencyService.run('test:1', 'key-1', {}, operation);
+      jest.spyOn(Date, 'now').mockReturnValue(now + idempotencyService.ttlSeconds * 1000 + 1);
+      const rerun = await idempotencyService.run('test:1', 'key-1', {}, operation);
+
+      expect(replay).toEqual({ result: { ok: true }, replayed: true });
+      expect(rerun).toEqual({ result: { ok: true }, replayed: false });
+      expect(operation).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+jest.unmock('../services/gameEngine');
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const db = require('../db');
+const gameEngine = require('../services/gameEngine');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/game', require('../routes/game'));
+
+const signToken = (user) =>
+  jwt.sign({ id: user.id, username: user.username, role: user.role }, config.jwtSecret, { expiresIn: '1h' });
+
+describe('Multiple And Queued Bets Tests', () => {
+  let fakeDb;
+  let emitted;
+
+  beforeEach(async () => {
+    fakeDb = createFakeDatabase();
+    db.query.mockImplementation(fakeDb.query);
+    db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+
+    emitted = [];
+    gameEngine.setIo({ to: () => ({ emit: (event, payload) => emitted.push({ event, payload }) }) });
+    gameEngine.seedMode = 'random';
+    gameEngine.redisAvailable = false;
+    gameEngine._cachedGameState = null;
+    gameEngine.maxBetsPerRound = 3;
+    gameEngine.queuedBets.clear();
+
+    await gameEngine.startNewRound();
+    clearTimeout(gameEngine.roundTimer);
+  });
+
+  afterEach(() => {
+    gameEngine.cleanup();
+  });
+
+  // Close betting with a known crash point
+  const startRunning = (crashPoint) => {
+    gameEngine.lockRoundSeeds();
+    gameEngine.crashPoint = crashPoint;
+    gameEngine.crashElapsed = Infinity;
+    gameEngine.runningStartTime = Date.now();
+    gameEngine.gameState = 'running';
+  };
+
+  describe('Bet slots', () => {
+    it('should hold several independent bets per player', async () => {
+      const first = await gameEngine.placeBet(1, 500, null, 1, 2);
+      const second = await gameEngine.placeBet(1, 1000, null, 1, 5);
+
+      expect(first.betId).not.toBe(second.betId);
+      expect(gameEngine.activeBets.get(first.betId)).toMatchObject({ userId: 1, amount: 500, autoCashoutAt: 2 });
+      expect(gameEngine.activeBets.get(second.betId)).toMatchObject({ userId: 1, amount: 1000, autoCashoutAt: 5 });
+      expect(fakeDb.users.get(1).balance).toBe(10000 - 1500);
+    });
+
+    it('should limit the bets per player per round', async () => {
+      await gameEngine.placeBet(1, 500);
+      await gameEngine.placeBet(1, 500);
+      await gameEngine.placeBet(1, 500);
+
+      await expect(gameEngine.placeBet(1, 500)).rejects.toThrow('Maximum of 3 bets per round reached');
+      await expect(gameEngine.placeBet(2, 500)).resolves.toMatchObject({ success: true });
+      expect(fakeDb.users.get(1).balance).toBe(10000 - 1500);
+    });
+
+    it('should cash out one slot and leave the others in the round', async () => {
+      const first = await gameEngine.placeBet(1, 500);
+      const second = await gameEngine.placeBet(1, 1000);
+      startRunning(50);
+
+      const result = await gameEngine.cashOut(1, first.betId);
+
+      expect(result.betId).toBe(first.betId);
+      expect(gameEngine.activeBets.has(first.betId)).toBe(false);
+      expect(gameEngine.activeBets.has(second.betId)).toBe(true);
+      expect(gameEngine.activePlayers.has(1)).toBe(true);
+      expect(fakeDb.bets.find(b => b.id === first.betId).status).toBe('won');
+    });
+
+    it('should require a betId when the player holds several bets', async () => {
+      await gameEngine.placeBet(1, 500);
+      await gameEngine.placeBet(1, 1000);
+      startRunning(50);
+
+      await expect(gameEngine.cashOut(1)).rejects.toThrow('Multiple active bets - specify a betId');
+    });
+
+    it('should not cash out another player\'s bet', async () => {
+      const bobBet = await gameEngine.placeBet(2, 500);
+      startRunning(50);
+
+      await expect(gameEngine.cashOut(1, bobBet.betId)).rejects.toThrow('No active bet found');
+      expect(gameEngine.activeBets.has(bobBet.betId)).toBe(true);
+    });
+
+    it('should settle every remaining slot when the tower crashes', async () => {
+      const first = await gameEngine.placeBet(1, 500);
+      const second = await gameEngine.placeBet(1, 1000);
+      startRunning(2);
+
+      await gameEngine.processCrashedBets();
+
+      expect(fakeDb.bets.find(b => b.id === first.betId).status).toBe('lost');
+      expect(fakeDb.bets.find(b => b.id === second.betId).status).toBe('lost');
+      expect(fakeDb.roundResults.map(row => row.bet_amount)).toEqual([500, 1000]);
+    });
+  });
+
+  describe('Queued bets', () => {
+    it('should queue bets placed while the round is running', async () => {
+      startRunning(50);
+
+      const result = await gameEngine.placeBet(1, 500, null, 1, 3);
+
+      expect(result).toMatchObject({ queued: true, roundId: null });
+      expect(gameEngine.activeBets.has(result.betId)).toBe(false);
+      expect(gameEngine.queuedBets.has(result.betId)).toBe(true);
+      expect(fakeDb.bets[0]).toMatchObject({ status: 'queued', round_id: null });
+      expect(fakeDb.users.get(1).balance).toBe(9500);
+      expect(gameEngine.getPlayerBets(1).queued).toHaveLength(1);
+    });
+
+    it('should play queued bets in the next round', async () => {
+      startRunning(50);
+      const result = await gameEngine.placeBet(1, 500, null, 1, 3);
+
+      await gameEngine.startNewRound();
+      clearTimeout(gameEngine.roundTimer);
+
+      expect(gameEngine.queuedBets.size).toBe(0);
+      expect(gameEngine.activeBets.get(result.betId)).toMatchObject({ roundId: gameEngine.roundId, autoCashoutAt: 3, queued: false });
+      expect(gameEngine.activePlayers.has(1)).toBe(true);
+      expect(fakeDb.bets[0]).toMatchObject({ status: 'active', round_id: gameEngine.roundId });
+      expect(emitted.some(e => e.event === 'new_bet' && e.payload.betId === result.betId)).toBe(true);
+    });
+
+    it('should keep a separate slot limit for the queue', async () => {
+      await gameEngine.placeBet(1, 500);
+      await gameEngine.placeBet(1, 500);
+      await gameEngine.placeBet(1, 500);
+      startRunning(50);
+
+      await gameEngine.placeBet(1, 500);
+      await gameEngine.placeBet(1, 500);
+      await gameEngine.placeBet(1, 500);
+      await expect(gameEngine.placeBet(1, 500)).rejects.toThrow('Maximum of 3 bets per round reached');
+    });
+  });
+
+  describe('REST API', () => {
+    const auth = () => ({ Authorization: `Bearer ${signToken(fakeDb.users.get(1))}` });
+
+    it('should list the player\'s active and queued bets', async () => {
+      const active = await gameEngine.placeBet(1, 500);
+      startRunning(50);
+      const queued = await gameEngine.placeBet(1, 700);
+
+      const response = await request(app).get('/api/v1/game/my-bets').set(auth()).expect(200);
+
+      expect(response.body.active.map(b => b.betId)).toEqual([active.betId]);
+      expect(response.body.queued).toEqual([expect.objectContaining({ betId: queued.betId, amount: 700, status: 'queued' })]);
+      expect(response.body.maxBetsPerRound).toBe(3);
+    });
+
+    it('should cash out the slot named by betId', async () => {
+      await gameEngine.placeBet(1, 500);
+      const second = await gameEngine.placeBet(1, 1000);
+      startRunning(50);
+
+      const response = await request(app).post('/api/v1/game/cashout').set(auth()).send({ betId: second.betId }).expect(200);
+
+      expect(response.body.betId).toBe(second.betId);
+      expect(gameEngine.activeBets.has(second.betId)).toBe(false);
+    });
+
+    it('should reject an ambiguous cash-out', async () => {
+      await gameEngine.placeBet(1, 500);
+      await gameEngine.placeBet(1, 1000);
+      startRunning(50);
+
+      const response = await request(app).post('/api/v1/game/cashout').set(auth()).send({}).expect(400);
+      expect(response.body.error).toContain('specify a betId');
+    });
+
+    it('should accept bets while the round is running and queue them', async () => {
+      startRunning(50);
+
+      const response = await request(app).post('/api/v1/game/bet').set(auth()).send({ amount: 500 }).expect(200);
+      expect(response.body.queued).toBe(true);
+    });
+  });
+});
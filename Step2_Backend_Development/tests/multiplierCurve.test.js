@@ -0,0 +1,141 @@
+jest.unmock('../services/gameEngine');
+
+const db = require('../db');
+const gameEngine = require('../services/gameEngine');
+const multiplierCurve = require('../services/multiplierCurve');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const CURVE = { type: 'exponential', growthRate: 0.1 };
+
+describe('Multiplier Curve Tests', () => {
+  describe('Curve', () => {
+    it('should start at 1.00x and grow exponentially with elapsed time', () => {
+      expect(multiplierCurve.multiplierAt(0, CURVE)).toBe(1);
+      expect(multiplierCurve.multiplierAt(-50, CURVE)).toBe(1);
+      expect(multiplierCurve.multiplierAt(10000, CURVE)).toBe(2.71);
+      expect(multiplierCurve.multiplierAt(23026, CURVE)).toBe(10);
+    });
+
+    it('should find the first millisecond at which a multiplier is reached', () => {
+      [1.01, 1.5, 2, 2.02, 10, 123.45, 1000].forEach(multiplier => {
+        const elapsed = multiplierCurve.elapsedAt(multiplier, CURVE);
+        expect(multiplierCurve.multiplierAt(elapsed, CURVE)).toBeGreaterThanOrEqual(multiplier);
+        expect(multiplierCurve.multiplierAt(elapsed - 1, CURVE)).toBeLessThan(multiplier);
+      });
+      expect(multiplierCurve.elapsedAt(1, CURVE)).toBe(0);
+    });
+
+    it('should use the configured growth rate by default', () => {
+      expect(multiplierCurve.getParams()).toEqual({ type: 'exponential', growthRate: 0.1 });
+    });
+  });
+
+  describe('Game loop', () => {
+    let fakeDb;
+    let emitted;
+
+    beforeEach(async () => {
+      jest.useFakeTimers();
+      fakeDb = createFakeDatabase();
+      db.query.mockImplementation(fakeDb.query);
+      db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+
+      emitted = [];
+      gameEngine.setIo({ to: () => ({ emit: (event, payload) => emitted.push({ event, payload }) }) });
+      gameEngine.seedMode = 'random';
+      gameEngine.redisAvailable = false;
+      gameEngine._cachedGameState = null;
+      gameEngine.lagCompensationMs = 0;
+
+      await gameEngine.startNewRound();
+      clearTimeout(gameEngine.roundTimer);
+      gameEngine.curve = CURVE;
+    });
+
+    afterEach(() => {
+      gameEngine.cleanup();
+      jest.useRealTimers();
+    });
+
+    // Run the round with a known crash point
+    const startRunning = (crashPoint) => {
+      jest.spyOn(gameEngine, 'calculateCrashPoint').mockReturnValue(crashPoint);
+      gameEngine.startRunningPhase();
+    };
+
+    it('should send the start time and curve parameters when the round starts', () => {
+      startRunning(5);
+
+      const roundStart = emitted.find(e => e.event === 'game_update' && e.payload.type === 'round_start').payload.data;
+      expect(roundStart.startedAt).toBe(gameEngine.runningStartTime);
+      expect(roundStart.curve).toEqual(CURVE);
+      expect(roundStart.serverTime).toBeDefined();
+      expect(roundStart.lagCompensationMs).toBe(0);
+
+      const recorded = fakeDb.queries.find(q => q.text.includes('running_started_at'));
+      expect(recorded.params).toEqual([gameEngine.runningStartTime, JSON.stringify(CURVE), gameEngine.roundId]);
+    });
+
+    it('should derive the multiplier from elapsed time rather than the number of ticks', async () => {
+      startRunning(100);
+
+      // A stalled event loop skips ticks; the next tick still lands on the curve
+      gameEngine.tick(gameEngine.runningStartTime + 6932);
+      expect(gameEngine.multiplier).toBe(2);
+
+      await jest.advanceTimersByTimeAsync(10000);
+      expect(gameEngine.multiplier).toBe(multiplierCurve.multiplierAt(10000, CURVE));
+    });
+
+    it('should crash at exactly the crash point', async () => {
+      startRunning(2.02);
+
+      await jest.advanceTimersByTimeAsync(multiplierCurve.elapsedAt(2.02, CURVE) + 100);
+
+      expect(gameEngine.gameState).toBe('crashed');
+      expect(gameEngine.multiplier).toBe(2.02);
+      const updates = emitted.filter(e => e.event === 'game_update' && e.payload.type === 'multiplier');
+      updates.forEach(update => expect(update.payload.data.multiplier).toBeLessThan(2.02));
+    });
+
+    it('should price a cash-out from the server receive time', async () => {
+      await gameEngine.placeBet(1, 500);
+      startRunning(5);
+
+      // The last tick broadcast 1.00x but the request arrived 4.055 seconds into the round
+      const result = await gameEngine.cashOut(1, null, gameEngine.runningStartTime + 4055);
+
+      expect(result.cashoutMultiplier).toBe(1.5);
+      expect(result.winnings).toBe(750);
+      expect(fakeDb.users.get(1).balance).toBe(10000 - 500 + 750);
+    });
+
+    it('should reject cash-outs received at or after the crash instant', async () => {
+      await gameEngine.placeBet(1, 500);
+      startRunning(2);
+
+      const crashAt = gameEngine.runningStartTime + multiplierCurve.elapsedAt(2, CURVE);
+      await expect(gameEngine.cashOut(1, null, crashAt)).rejects.toThrow('Cannot cash out - tower has crashed');
+      expect(gameEngine.activeBets.has(1)).toBe(true);
+    });
+
+    it('should honour cash-outs received inside the lag-compensation window', async () => {
+      await gameEngine.placeBet(1, 500);
+      gameEngine.lagCompensationMs = 200;
+      startRunning(2);
+
+      const crashElapsed = multiplierCurve.elapsedAt(2, CURVE);
+
+      // The round is not settled until the window after the crash instant has passed
+      await jest.advanceTimersByTimeAsync(crashElapsed + 100);
+      expect(gameEngine.gameState).toBe('running');
+
+      const result = await gameEngine.cashOut(1, null, gameEngine.runningStartTime + crashElapsed + 150);
+      expect(result.cashoutMultiplier).toBe(multiplierCurve.multiplierAt(crashElapsed - 50, CURVE));
+      expect(result.cashoutMultiplier).toBeLessThan(2);
+
+      await jest.advanceTimersByTimeAsync(200);
+      expect(gameEngine.gameState).toBe('crashed');
+    });
+  });
+});
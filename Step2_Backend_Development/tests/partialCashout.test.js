@@ -0,0 +1,249 @@
+jest.unmock('../services/gameEngine');
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const db = require('../db');
+const gameEngine = require('../services/gameEngine');
+const multiplierCurve = require('../services/multiplierCurve');
+const riskService = require('../services/riskService');
+const tournamentService = require('../services/tournamentService');
+const playerStatsService = require('../services/playerStatsService');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/game', require('../routes/game'));
+
+const signToken = (user) =>
+  jwt.sign({ id: user.id, username: user.username, role: user.role }, config.jwtSecret, { expiresIn: '1h' });
+
+describe('Partial Cash-out Tests', () => {
+  let fakeDb;
+  let emitted;
+
+  beforeEach(async () => {
+    fakeDb = createFakeDatabase();
+    db.query.mockImplementation(fakeDb.query);
+    db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+
+    emitted = [];
+    gameEngine.setIo({ to: () => ({ emit: (event, payload) => emitted.push({ event, payload }) }) });
+    gameEngine.seedMode = 'random';
+    gameEngine.redisAvailable = false;
+    gameEngine._cachedGameState = null;
+    gameEngine.lagCompensationMs = 0;
+    gameEngine.queuedBets.clear();
+
+    await gameEngine.startNewRound();
+    clearTimeout(gameEngine.roundTimer);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    gameEngine.cleanup();
+  });
+
+  // Close betting with a known crash point; the test drives the clock
+  const startRunning = (crashPoint) => {
+    gameEngine.startRunningPhase();
+    clearInterval(gameEngine.gameLoop);
+    gameEngine.crashPoint = crashPoint;
+    gameEngine.crashElapsed = multiplierCurve.elapsedAt(crashPoint, gameEngine.effectCurve);
+    return gameEngine.runningStartTime;
+  };
+
+  // Server time at which the curve reaches `multiplier`
+  const timeAt = (start, multiplier) => start + multiplierCurve.elapsedAt(multiplier, gameEngine.effectCurve);
+
+  describe('Settlement', () => {
+    it('should split the settled part into its own bet and keep the rest riding', async () => {
+      const { betId } = await gameEngine.placeBet(1, 1000);
+      const start = startRunning(10);
+
+      const result = await gameEngine.cashOut(1, betId, timeAt(start, 1.8), 0.5);
+
+      expect(result).toMatchObject({ betId, cashoutMultiplier: 1.8, betAmount: 500, winnings: 900, partial: true, remainingAmount: 500 });
+      expect(gameEngine.activeBets.get(betId).amount).toBe(500);
+      expect(gameEngine.activePlayers.has(1)).toBe(true);
+      expect(fakeDb.users.get(1).balance).toBe(10000 - 1000 + 900);
+
+      const [bet, settled] = fakeDb.bets;
+      expect(bet).toMatchObject({ id: betId, amount: 500, status: 'active' });
+      expect(settled).toMatchObject({ id: result.settledBetId, amount: 500, status: 'won', cashout_multiplier: 1.8, winnings: 900, parent_bet_id: betId });
+      expect(fakeDb.roundResults).toEqual([expect.objectContaining({ user_id: 1, bet_amount: 500, result: 'win', winnings: 900 })]);
+    });
+
+    it('should announce the partial cash-out without removing the bet', async () => {
+      const { betId } = await gameEngine.placeBet(1, 1000);
+      const start = startRunning(10);
+
+      await gameEngine.cashOut(1, betId, timeAt(start, 1.8), 0.25);
+
+      expect(emitted.some(e => e.event === 'bet_removed')).toBe(false);
+      expect(emitted.find(e => e.event === 'player_cashout').payload).toMatchObject({ betId, amount: 250, partial: true, remainingAmount: 750 });
+    });
+
+    it('should let the rest of the bet be cashed out later', async () => {
+      const { betId } = await gameEngine.placeBet(1, 1000);
+      const start = startRunning(10);
+
+      await gameEngine.cashOut(1, betId, timeAt(start, 1.8), 0.5);
+      const rest = await gameEngine.cashOut(1, betId, timeAt(start, 3));
+
+      expect(rest).toMatchObject({ betId, settledBetId: betId, betAmount: 500, winnings: 1500, partial: false });
+      expect(gameEngine.activeBets.has(betId)).toBe(false);
+      expect(gameEngine.activePlayers.has(1)).toBe(false);
+      expect(fakeDb.users.get(1).balance).toBe(10000 - 1000 + 900 + 1500);
+      expect(gameEngine.paidOut).toBe(2400);
+    });
+
+    it('should settle the riding part as lost at the crash', async () => {
+      const { betId } = await gameEngine.placeBet(1, 1000);
+      const start = startRunning(2);
+
+      await gameEngine.cashOut(1, betId, timeAt(start, 1.5), 0.4);
+      await gameEngine.processCrashedBets();
+
+      expect(fakeDb.bets.find(b => b.id === betId)).toMatchObject({ amount: 600, status: 'lost' });
+      expect(fakeDb.roundResults).toEqual([
+        expect.objectContaining({ user_id: 1, bet_amount: 400, result: 'win', winnings: 600 }),
+        expect.objectContaining({ user_id: 1, bet_amount: 600, result: 'loss', winnings: 0 })
+      ]);
+    });
+
+    it('should auto-cash the riding part out at its target', async () => {
+      const { betId } = await gameEngine.placeBet(1, 1000, null, 1, 2);
+      const start = startRunning(10);
+
+      await gameEngine.cashOut(1, betId, timeAt(start, 1.5), 0.5);
+      gameEngine.tick(timeAt(start, 2) + 10);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(fakeDb.bets.find(b => b.id === betId)).toMatchObject({ amount: 500, status: 'won', winnings: 1000 });
+    });
+
+    it('should only keep insurance on the part still riding', async () => {
+      const { betId } = await gameEngine.placeBet(1, 1000, 'basic');
+      const coverage = fakeDb.insurance[0].coverage_amount;
+      const start = startRunning(10);
+
+      await gameEngine.cashOut(1, betId, timeAt(start, 1.8), 0.75);
+
+      expect(fakeDb.insurance[0]).toMatchObject({ bet_amount: 250, coverage_amount: coverage * 0.25 });
+    });
+
+    it('should treat a fraction of 1 as a full cash-out', async () => {
+      const { betId } = await gameEngine.placeBet(1, 1000);
+      const start = startRunning(10);
+
+      const result = await gameEngine.cashOut(1, betId, timeAt(start, 1.8), 1);
+
+      expect(result).toMatchObject({ partial: false, settledBetId: betId, winnings: 1800 });
+      expect(fakeDb.bets).toHaveLength(1);
+    });
+  });
+
+  describe('Validation', () => {
+    it('should reject fractions outside (0, 1]', async () => {
+      const { betId } = await gameEngine.placeBet(1, 1000);
+      const start = startRunning(10);
+
+      await expect(gameEngine.cashOut(1, betId, timeAt(start, 1.5), 0)).rejects.toThrow('fraction');
+      await expect(gameEngine.cashOut(1, betId, timeAt(start, 1.5), 1.5)).rejects.toThrow('fraction');
+      await expect(gameEngine.cashOut(1, betId, timeAt(start, 1.5), 'half')).rejects.toThrow('fraction');
+      expect(gameEngine.activeBets.get(betId).amount).toBe(1000);
+    });
+
+    it('should keep both parts at least the room\'s minimum bet', async () => {
+      const { betId } = await gameEngine.placeBet(1, 150);
+      const start = startRunning(10);
+
+      await expect(gameEngine.cashOut(1, betId, timeAt(start, 1.5), 0.5)).rejects.toThrow('at least 100 FCFA');
+      expect(gameEngine.activeBets.get(betId).amount).toBe(150);
+      expect(fakeDb.users.get(1).balance).toBe(10000 - 150);
+    });
+  });
+
+  describe('Risk', () => {
+    it('should keep the payout cap of the whole stake', async () => {
+      const limits = gameEngine.riskLimits;
+      gameEngine.riskLimits = { ...limits, maxPayoutPerBet: 5000 };
+      const { betId } = await gameEngine.placeBet(1, 1000);
+      const start = startRunning(20);
+
+      await gameEngine.cashOut(1, betId, timeAt(start, 2), 0.5);
+      const bet = gameEngine.activeBets.get(betId);
+      const ceiling = gameEngine.getBetCeiling(bet);
+      gameEngine.riskLimits = limits;
+
+      expect(ceiling).toBe(5);
+      expect(riskService.betCeiling({ amount: 500 }, { maxPayoutPerBet: 5000 })).toBe(10);
+    });
+  });
+
+  describe('Side effects', () => {
+    it('should score the settled part under its own bet id', async () => {
+      const { betId } = await gameEngine.placeBet(1, 1000);
+      const start = startRunning(10);
+      const recordBetSideEffects = jest.spyOn(gameEngine, 'recordBetSideEffects').mockResolvedValue();
+
+      const first = await gameEngine.cashOut(1, betId, timeAt(start, 1.8), 0.5);
+      await gameEngine.cashOut(1, betId, timeAt(start, 3));
+
+      expect(recordBetSideEffects.mock.calls).toEqual([
+        [1, first.settledBetId, 1000, { multiplier: 1.8, winnings: 900, settledAmount: 500, betWinnings: 900 }],
+        [1, betId, 1000, { multiplier: 3, winnings: 1500, settledAmount: 500, betWinnings: 2400 }]
+      ]);
+    });
+
+    it('should count a bet\'s parts together as its biggest tournament win', async () => {
+      const participant = { userId: 1, totalBets: 1, totalWagered: 1000, score: 100, totalWon: 0, biggestWin: 0, highestMultiplier: 0 };
+      tournamentService.activeTournaments.set(7, { id: 7, status: 'active' });
+      tournamentService.tournamentParticipants.set(7, [participant]);
+      jest.spyOn(tournamentService, 'updateParticipantInDatabase').mockResolvedValue();
+      jest.spyOn(tournamentService, 'updateTournamentLeaderboard').mockResolvedValue();
+
+      await tournamentService.updatePlayerScore(1, 2, 1000, 'cashout', { multiplier: 1.8, winnings: 900, betWinnings: 900 });
+      await tournamentService.updatePlayerScore(1, 1, 1000, 'cashout', { multiplier: 3, winnings: 1500, betWinnings: 2400 });
+      tournamentService.activeTournaments.delete(7);
+
+      expect(participant).toMatchObject({ totalWon: 2400, biggestWin: 2400, highestMultiplier: 3, score: 100 + 1200 });
+    });
+
+    it('should count a bet and its settled parts as one bet in player stats', async () => {
+      const rows = [
+        { id: 1, amount: '1000', won: '900', lost: '500', cashout_multiplier: '1.8', timestamp: new Date() },
+        { id: 3, amount: '200', won: '0', lost: '200', cashout_multiplier: null, timestamp: new Date() }
+      ];
+      db.query.mockImplementation((text, params) =>
+        text.includes('GROUP BY COALESCE(b.parent_bet_id, b.id)') ? Promise.resolve({ rows }) : fakeDb.query(text, params));
+
+      const stats = await playerStatsService.calculatePlayerStats(1);
+
+      expect(stats).toMatchObject({ totalBets: 2, wins: 1, losses: 1, totalWagered: 1200, totalWon: 900, totalLost: 700, biggestLoss: 200 });
+    });
+  });
+
+  describe('REST API', () => {
+    const auth = () => ({ Authorization: `Bearer ${signToken(fakeDb.users.get(1))}` });
+
+    it('should cash out the given fraction of a bet', async () => {
+      const { betId } = await gameEngine.placeBet(1, 1000);
+      startRunning(1000);
+
+      const response = await request(app).post('/api/v1/game/cashout').set(auth()).send({ betId, fraction: 0.5 }).expect(200);
+
+      expect(response.body).toMatchObject({ betId, partial: true, betAmount: 500, remainingAmount: 500 });
+    });
+
+    it('should reject an invalid fraction', async () => {
+      const { betId } = await gameEngine.placeBet(1, 1000);
+      startRunning(1000);
+
+      await request(app).post('/api/v1/game/cashout').set(auth()).send({ betId, fraction: 0 }).expect(400);
+      await request(app).post('/api/v1/game/cashout').set(auth()).send({ betId, fraction: 2 }).expect(400);
+    });
+  });
+});
@@ -0,0 +1,331 @@
+jest.unmock('../redisClient');
+
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const db = require('../db');
+const redisClient = require('../redisClient');
+const paymentService = require('../services/paymentService');
+const withdrawalService = require('../services/withdrawalService');
+const webhookSecurityService = require('../services/webhookSecurityService');
+const GatewaySimulator = require('../services/gatewaySimulator');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const app = express();
+app.use(express.json({ verify: webhookSecurityService.captureRawBody }));
+app.use('/api/payment', require('../routes/payment'));
+
+// Payment transactions are the only table of their own; users and the ledger come from the shared fake
+const createPaymentDatabase = () => createFakeDatabase({
+  users: [{ id: 1, username: 'alice', balance: 1000 }],
+  extend: () => {
+    const transactions = [];
+    let failLookups = 0;
+
+    const find = (id) => transactions.find(t => t.id === id);
+
+    const query = (text, params) => {
+      if (text.includes('INSERT INTO payment_transactions')) {
+        const row = {
+          id: transactions.length + 1, user_id: params[0], amount: params[1], payment_method: params[2], gateway: params[3],
+          gateway_transaction_id: params[4], status: params[5], metadata: JSON.parse(params[6]), created_at: new Date()
+        };
+        transactions.push(row);
+        return { rows: [{ ...row }] };
+      }
+      if (text.includes('SET gateway_transaction_id = $1')) {
+        const row = find(params[2]);
+        Object.assign(row, { gateway_transaction_id: params[0], metadata: { ...row.metadata, ...JSON.parse(params[1]) } });
+        return { rows: [{ ...row }] };
+      }
+      if (text.includes('SET status = $1, metadata = metadata || $2')) {
+        const row = find(params[2]);
+        Object.assign(row, { status: params[0], metadata: { ...row.metadata, ...JSON.parse(params[1]) } });
+        return { rows: [{ ...row }] };
+      }
+      if (text.includes('SET status = $1, updated_at = NOW()')) {
+        find(params[1]).status = params[0];
+        return { rows: [] };
+      }
+      if (text.includes('gateway_transaction_id = $3')) {
+        if (failLookups > 0) {
+          failLookups -= 1;
+          throw new Error('Connection terminated');
+        }
+        const row = transactions.find(t => t.gateway === params[0] &&
+          (t.id === params[1] || (params[2] && t.gateway_transaction_id === params[2])));
+        return { rows: row ? [{ ...row }] : [] };
+      }
+      if (text.includes('FROM payment_transactions')) {
+        const row = find(params[0]);
+        return { rows: row ? [{ ...row }] : [] };
+      }
+      return undefined;
+    };
+
+    return { transactions, failNextLookups: (count) => { failLookups = count; }, query };
+  }
+});
+
+describe('Payment Gateway Simulator Tests', () => {
+  const secrets = { mtn: 'mtn-webhook-secret', orange: 'orange-webhook-secret', bank: 'bank-webhook-secret' };
+  let server;
+  let simulator;
+  let simulatorUrl;
+  let fakeDb;
+
+  beforeAll(async () => {
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+
+    Object.assign(webhookSecurityService.secrets, secrets);
+    simulator = new GatewaySimulator({ secrets, callbackDelayMs: 10, retryDelayMs: 10 });
+    simulatorUrl = await simulator.listen(0);
+
+    paymentService.callbackBaseUrl = `http://localhost:${server.address().port}`;
+    paymentService.gateways.mtn = { ...paymentService.gateways.mtn, apiKey: 'mtn-key', apiUser: 'mtn-user', baseUrl: simulatorUrl };
+    paymentService.gateways.orange = {
+      ...paymentService.gateways.orange, apiKey: 'orange-key', clientId: 'orange-client', clientSecret: 'orange-secret',
+      channelMsisdn: '691000000', pin: '2222', baseUrl: simulatorUrl
+    };
+    paymentService.gateways.bank = { ...paymentService.gateways.bank, apiKey: 'bank-key', baseUrl: simulatorUrl };
+    paymentService.mtnClient = paymentService.createMTNClient();
+    paymentService.orangeClient = paymentService.createOrangeClient();
+    paymentService.bankClient = paymentService.createBankClient();
+  });
+
+  afterAll(async () => {
+    await simulator.close();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    redisClient.clearCache();
+    simulator.reset();
+    paymentService.requestTimeoutMs = 5000;
+    fakeDb = createPaymentDatabase();
+    db.query.mockImplementation(fakeDb.query);
+    db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+  });
+
+  afterEach(async () => {
+    await simulator.idle();
+    jest.restoreAllMocks();
+  });
+
+  const balance = () => fakeDb.users.get(1).balance;
+  const recharge = (body) => request(app)
+    .post('/api/payment/recharge')
+    .send({ userId: 1, email: 'alice@example.com', amount: 5000, ...body });
+  const mobileMoney = (gateway) => recharge({
+    paymentMethod: gateway === 'mtn' ? 'mtn_mobile_money' : 'orange_money',
+    phoneNumber: gateway === 'mtn' ? '677123456' : '699123456'
+  });
+
+  describe('Recharges', () => {
+    it('should keep an MTN recharge pending until the gateway calls back, then credit it', async () => {
+      const response = await mobileMoney('mtn').expect(200);
+
+      expect(response.body.transaction).toMatchObject({ id: 1, status: 'pending', gateway: 'mtn' });
+      expect(balance()).toBe(1000);
+      const [requested] = simulator.transactions.values();
+      expect(requested).toMatchObject({ operation: 'payment', reference: 'RC-1', party: '677123456', amount: 5000 });
+      expect(fakeDb.transactions[0].gateway_transaction_id).toBe(requested.id);
+
+      await simulator.idle();
+      expect(fakeDb.transactions[0].status).toBe('completed');
+      expect(balance()).toBe(6000);
+      expect(simulator.callbacks).toHaveLength(1);
+      expect(simulator.callbacks[0]).toMatchObject({ status: 200, body: { externalId: 'RC-1', status: 'SUCCESSFUL' } });
+    });
+
+    it('should sign callbacks with the secret of the gateway', async () => {
+      await mobileMoney('orange').expect(200);
+      await simulator.idle();
+
+      const [{ headers, body }] = simulator.callbacks;
+      const expected = crypto.createHmac('sha256', secrets.orange)
+        .update(`${headers['X-Gateway-Timestamp']}.${headers['X-Gateway-Nonce']}.${JSON.stringify(body)}`)
+        .digest('hex');
+      expect(headers['X-Gateway-Signature']).toBe(`sha256=${expected}`);
+      expect(headers['X-Event-Id']).toMatch(/^evt_/);
+      expect(body).toMatchObject({ orderId: 'RC-1', status: 'SUCCESSFULL' });
+      expect(balance()).toBe(6000);
+    });
+
+    it('should fail a recharge the player declines', async () => {
+      simulator.script({ gateway: 'orange', operation: 'payment', outcome: 'failed', reason: 'Solde insuffisant' });
+
+      await mobileMoney('orange').expect(200);
+      await simulator.idle();
+
+      expect(fakeDb.transactions[0]).toMatchObject({ status: 'failed', metadata: { failureReason: 'Solde insuffisant' } });
+      expect(balance()).toBe(1000);
+      expect(fakeDb.entries).toEqual([]);
+    });
+
+    it('should credit bank transfers once the bank confirms them', async () => {
+      await recharge({ paymentMethod: 'bank_transfer', accountNumber: '10005000123', bankCode: 'AFRILAND' }).expect(200);
+      expect(balance()).toBe(1000);
+
+      await simulator.idle();
+      expect(simulator.callbacks[0].body).toMatchObject({ type: 'payment', reference: 'RC-1', status: 'completed' });
+      expect(balance()).toBe(6000);
+    });
+
+    it('should leave a recharge pending while no callback arrives, and settle it when one does', async () => {
+      simulator.script({ gateway: 'mtn', outcome: 'pending' });
+
+      await mobileMoney('mtn').expect(200);
+      await simulator.idle();
+      expect(simulator.callbacks).toEqual([]);
+      expect(fakeDb.transactions[0].status).toBe('pending');
+
+      const [requested] = simulator.transactions.values();
+      const status = await paymentService.mtnClient.checkStatus(requested.id);
+      expect(status).toMatchObject({ status: 'pending', reference: 'RC-1' });
+
+      await request(simulatorUrl).post(`/_simulator/transactions/${requested.id}/settle`).send({ status: 'completed' }).expect(200);
+      expect(fakeDb.transactions[0].status).toBe('completed');
+      expect(balance()).toBe(6000);
+    });
+
+    it('should fail a recharge the gateway refuses', async () => {
+      simulator.script({ gateway: 'mtn', outcome: 'error', httpStatus: 503, reason: 'Service unavailable' });
+
+      const response = await mobileMoney('mtn').expect(500);
+
+      expect(response.body.details).toBe('mtn API error 503: Service unavailable');
+      expect(fakeDb.transactions[0]).toMatchObject({ status: 'failed', metadata: { reference: 'RC-1' } });
+      expect(simulator.transactions.size).toBe(0);
+    });
+
+    it('should keep a recharge the gateway answered too late pending for its callback', async () => {
+      paymentService.requestTimeoutMs = 50;
+      simulator.script({ gateway: 'bank', outcome: 'timeout', delayMs: 200 });
+
+      const response = await recharge({ paymentMethod: 'bank_transfer', accountNumber: '10005000123', bankCode: 'AFRILAND' }).expect(200);
+
+      expect(response.body.transaction.status).toBe('pending');
+      expect(fakeDb.transactions[0].metadata).toMatchObject({ reference: 'RC-1', timedOut: true });
+      expect(fakeDb.transactions[0].gateway_transaction_id).toBeNull();
+
+      await simulator.idle();
+      expect(fakeDb.transactions[0].status).toBe('completed');
+      expect(balance()).toBe(6000);
+    });
+
+    it('should credit a recharge once however often its callback is delivered', async () => {
+      simulator.script({ gateway: 'mtn', duplicates: 2 });
+
+      await mobileMoney('mtn').expect(200);
+      await simulator.idle();
+
+      expect(simulator.callbacks).toHaveLength(3);
+      expect(new Set(simulator.callbacks.map(callback => callback.eventId)).size).toBe(1);
+      expect(simulator.callbacks.every(callback => callback.status === 200)).toBe(true);
+      expect(fakeDb.entries).toEqual([expect.objectContaining({ type: 'recharge', referenceId: '1' })]);
+      expect(balance()).toBe(6000);
+    });
+
+    it('should not credit a refunded recharge again when a late success callback arrives', async () => {
+      fakeDb.transactions.push({
+        id: 1, user_id: 1, amount: 5000, payment_method: 'mtn_mobile_money', gateway: 'mtn',
+        gateway_transaction_id: 'MTN_1', status: 'cancelled', metadata: { refundReason: 'Duplicate payment' }, created_at: new Date()
+      });
+
+      const transaction = await paymentService.settleGatewayPayment('mtn', { reference: 'RC-1', status: 'completed' });
+
+      expect(transaction).toMatchObject({ id: 1, status: 'cancelled' });
+      expect(fakeDb.transactions[0].status).toBe('cancelled');
+      expect(fakeDb.entries).toEqual([]);
+      expect(balance()).toBe(1000);
+    });
+
+    it('should credit a failed recharge the gateway completes after all', async () => {
+      fakeDb.transactions.push({
+        id: 1, user_id: 1, amount: 5000, payment_method: 'mtn_mobile_money', gateway: 'mtn',
+        gateway_transaction_id: 'MTN_1', status: 'failed', metadata: {}, created_at: new Date()
+      });
+
+      await paymentService.settleGatewayPayment('mtn', { reference: 'RC-1', status: 'completed' });
+
+      expect(fakeDb.transactions[0].status).toBe('completed');
+      expect(balance()).toBe(6000);
+    });
+
+    it('should refuse a captured callback sent again', async () => {
+      await mobileMoney('mtn').expect(200);
+      await simulator.idle();
+
+      const replayed = await simulator.replay(0);
+
+      expect(replayed.status).toBe(401);
+      expect(fakeDb.entries).toHaveLength(1);
+      expect(balance()).toBe(6000);
+    });
+
+    it('should retry a callback the backend could not process', async () => {
+      await mobileMoney('orange').expect(200);
+      fakeDb.failNextLookups(1);
+      await simulator.idle();
+
+      expect(simulator.callbacks.map(callback => callback.status)).toEqual([400, 200]);
+      expect(simulator.callbacks[1]).toMatchObject({ attempt: 2, eventId: simulator.callbacks[0].eventId });
+      expect(simulator.callbacks[1].headers['X-Gateway-Nonce']).not.toBe(simulator.callbacks[0].headers['X-Gateway-Nonce']);
+      expect(balance()).toBe(6000);
+    });
+  });
+
+  describe('Payouts', () => {
+    let handlePayoutUpdate;
+
+    beforeEach(() => {
+      handlePayoutUpdate = jest.spyOn(withdrawalService, 'handlePayoutUpdate').mockResolvedValue({ id: 7 });
+    });
+
+    it('should send MTN payouts through the Disbursement API and report them to the withdrawal', async () => {
+      const payout = await paymentService.sendPayout('mtn', 20000, { phoneNumber: '677123456' }, 'WD-7');
+
+      expect(payout).toMatchObject({ success: true, status: 'pending' });
+      expect(simulator.transactions.get(payout.transactionId)).toMatchObject({ operation: 'payout', reference: 'WD-7' });
+
+      await simulator.idle();
+      expect(handlePayoutUpdate).toHaveBeenCalledWith('mtn', expect.objectContaining({ reference: 'WD-7', status: 'completed' }));
+    });
+
+    it('should report failed Orange cash-ins with their reason', async () => {
+      simulator.script({ gateway: 'orange', operation: 'payout', outcome: 'failed', reason: 'Compte bloque' });
+
+      const payout = await paymentService.sendPayout('orange', 20000, { phoneNumber: '699123456' }, 'WD-7');
+      await simulator.idle();
+
+      expect(handlePayoutUpdate).toHaveBeenCalledWith('orange', expect.objectContaining({
+        reference: 'WD-7', transactionId: payout.transactionId, status: 'failed', reason: 'Compte bloque'
+      }));
+    });
+
+    it('should keep a withdrawal the gateway answered too late processing for its webhook', async () => {
+      paymentService.requestTimeoutMs = 50;
+      simulator.script({ gateway: 'mtn', operation: 'payout', outcome: 'timeout', delayMs: 200 });
+      const finish = jest.spyOn(withdrawalService, 'finish');
+      const withdrawal = { id: 7, gateway: 'mtn', amount: '20000', destination: { phoneNumber: '677123456' }, status: 'processing' };
+
+      await expect(withdrawalService.dispatch(withdrawal)).resolves.toEqual(withdrawal);
+      expect(finish).not.toHaveBeenCalled();
+
+      await simulator.idle();
+      expect(handlePayoutUpdate).toHaveBeenCalledWith('mtn', expect.objectContaining({ reference: 'WD-7', status: 'completed' }));
+    });
+
+    it('should report bank payouts as payouts', async () => {
+      await paymentService.sendPayout('bank', 20000, { accountNumber: '10005000123', bankCode: 'AFRILAND' }, 'WD-7');
+      await simulator.idle();
+
+      expect(simulator.callbacks[0].body).toMatchObject({ type: 'payout', reference: 'WD-7', status: 'completed' });
+      expect(handlePayoutUpdate).toHaveBeenCalledWith('bank', expect.objectContaining({ status: 'completed' }));
+    });
+  });
+});
@@ -0,0 +1,189 @@
+jest.unmock('../services/gameEngine');
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const db = require('../db');
+const gameEngine = require('../services/gameEngine');
+const playerStatsService = require('../services/playerStatsService');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/game', require('../routes/game'));
+
+const signToken = (user) =>
+  jwt.sign({ id: user.id, username: user.username, role: user.role }, config.jwtSecret, { expiresIn: '1h' });
+
+describe('Practice Mode Tests', () => {
+  let fakeDb;
+  let emitted;
+  let tournamentService;
+  let weeklyTournamentService;
+  let communityGoalsService;
+
+  beforeEach(async () => {
+    fakeDb = createFakeDatabase();
+    db.query.mockImplementation(fakeDb.query);
+    db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+
+    // Loaded by the engine when a bet needs them
+    tournamentService = require('../services/tournamentService');
+    weeklyTournamentService = require('../services/weeklyTournamentService');
+    communityGoalsService = require('../services/communityGoalsService');
+    playerStatsService.updateStatsAfterBet = jest.fn().mockResolvedValue();
+    tournamentService.updatePlayerScore = jest.fn().mockResolvedValue();
+    weeklyTournamentService.updateWeeklyPlayerScore = jest.fn().mockResolvedValue();
+    communityGoalsService.contributeToActiveGoals = jest.fn().mockResolvedValue();
+    communityGoalsService.removeBetContributions = jest.fn().mockResolvedValue();
+
+    emitted = [];
+    gameEngine.setIo({ to: () => ({ emit: (event, payload) => emitted.push({ event, payload }) }) });
+    gameEngine.seedMode = 'random';
+    gameEngine.redisAvailable = false;
+    gameEngine._cachedGameState = null;
+    gameEngine.queuedBets.clear();
+
+    await gameEngine.startNewRound();
+    clearTimeout(gameEngine.roundTimer);
+  });
+
+  afterEach(() => {
+    gameEngine.cleanup();
+  });
+
+  // Close betting with a known crash point
+  const startRunning = (crashPoint) => {
+    gameEngine.lockRoundSeeds();
+    gameEngine.crashPoint = crashPoint;
+    gameEngine.crashElapsed = Infinity;
+    gameEngine.runningStartTime = Date.now();
+    gameEngine.gameState = 'running';
+  };
+
+  describe('Practice wallet', () => {
+    it('should bet from the practice wallet and leave the real balance alone', async () => {
+      const result = await gameEngine.placeBet(1, 500, null, 1, null, true);
+
+      expect(result).toMatchObject({ success: true, practice: true, newBalance: 99500 });
+      expect(fakeDb.users.get(1)).toMatchObject({ balance: 10000, practice_balance: 99500 });
+      expect(fakeDb.bets[0].is_practice).toBe(true);
+      expect(gameEngine.activeBets.get(result.betId).practice).toBe(true);
+      expect(emitted.find(e => e.event === 'new_bet').payload.practice).toBe(true);
+    });
+
+    it('should refill the wallet when it can no longer cover a bet', async () => {
+      fakeDb.users.get(1).practice_balance = 50;
+
+      const result = await gameEngine.placeBet(1, 500, null, 1, null, true);
+
+      expect(result.newBalance).toBe(config.game.practiceBalance - 500);
+      expect(fakeDb.users.get(1).practice_balance).toBe(config.game.practiceBalance - 500);
+    });
+
+    it('should not refill past the refill amount', async () => {
+      const GameEngine = gameEngine.constructor;
+      const highRoller = new GameEngine({ ...gameEngine.room, id: 'vip', maxBet: config.game.practiceBalance * 10 });
+      highRoller.seedMode = 'random';
+      fakeDb.users.get(1).practice_balance = 50;
+
+      await highRoller.startNewRound();
+      clearTimeout(highRoller.roundTimer);
+      await expect(highRoller.placeBet(1, config.game.practiceBalance + 1, null, 1, null, true))
+        .rejects.toThrow('Insufficient balance');
+      expect(fakeDb.users.get(1).practice_balance).toBe(50);
+      highRoller.cleanup();
+    });
+
+    it('should reject insurance on practice bets', async () => {
+      await expect(gameEngine.placeBet(1, 500, 'basic', 1, null, true))
+        .rejects.toThrow('Insurance is not available on practice bets');
+      expect(fakeDb.bets).toHaveLength(0);
+    });
+  });
+
+  describe('Settlement', () => {
+    it('should pay practice cash-outs into the practice wallet only', async () => {
+      const { betId } = await gameEngine.placeBet(1, 500, null, 1, null, true);
+      startRunning(50);
+
+      const result = await gameEngine.cashOut(1, betId);
+
+      expect(result.practice).toBe(true);
+      expect(fakeDb.users.get(1)).toMatchObject({ balance: 10000, practice_balance: 99500 + result.winnings });
+      expect(fakeDb.bets[0].status).toBe('won');
+    });
+
+    it('should keep practice bets out of round results, stats, tournaments and community goals', async () => {
+      const practice = await gameEngine.placeBet(1, 500, null, 1, null, true);
+      const real = await gameEngine.placeBet(2, 500);
+      startRunning(50);
+
+      await gameEngine.cashOut(1, practice.betId);
+      await gameEngine.cashOut(2, real.betId);
+
+      expect(fakeDb.roundResults.map(r => r.user_id)).toEqual([2]);
+      expect(playerStatsService.updateStatsAfterBet.mock.calls.map(call => call[0])).toEqual([2]);
+      expect(tournamentService.updatePlayerScore.mock.calls.map(call => call[1])).toEqual([real.betId, real.betId]);
+      expect(weeklyTournamentService.updateWeeklyPlayerScore.mock.calls.map(call => call[1])).toEqual([real.betId, real.betId]);
+      expect(communityGoalsService.contributeToActiveGoals.mock.calls.map(call => call[3])).toEqual([real.betId, real.betId]);
+    });
+
+    it('should settle practice losses without a round result', async () => {
+      await gameEngine.placeBet(1, 500, null, 1, null, true);
+      await gameEngine.placeBet(2, 500);
+      startRunning(1.5);
+
+      await gameEngine.processCrashedBets();
+
+      expect(fakeDb.bets.map(b => b.status)).toEqual(['lost', 'lost']);
+      expect(fakeDb.roundResults).toEqual([expect.objectContaining({ user_id: 2, result: 'loss' })]);
+      expect(playerStatsService.updateStatsAfterBet).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refund cancelled practice bets to the practice wallet', async () => {
+      const { betId } = await gameEngine.placeBet(1, 500, null, 1, null, true);
+
+      const result = await gameEngine.cancelBet(1, betId);
+
+      expect(result).toMatchObject({ refunded: 500, practice: true });
+      expect(fakeDb.users.get(1)).toMatchObject({ balance: 10000, practice_balance: 100000 });
+      expect(tournamentService.updatePlayerScore).not.toHaveBeenCalled();
+      expect(communityGoalsService.removeBetContributions).not.toHaveBeenCalled();
+    });
+
+    it('should leave practice bets out of the house advantage', async () => {
+      await gameEngine.placeBet(1, 500, null, 1, null, true);
+      await gameEngine.placeBet(2, 800);
+
+      expect(gameEngine.getHouseAdvantageStats()).toMatchObject({ totalBetAmount: 800, activeBets: 1 });
+    });
+  });
+
+  describe('REST API', () => {
+    const auth = () => ({ Authorization: `Bearer ${signToken(fakeDb.users.get(1))}` });
+
+    it('should place a practice bet', async () => {
+      const response = await request(app).post('/api/v1/game/bet').set(auth()).send({ amount: 500, practice: true }).expect(200);
+
+      expect(response.body).toMatchObject({ success: true, practice: true, newBalance: 99500 });
+      expect(fakeDb.users.get(1).balance).toBe(10000);
+    });
+
+    it('should answer 400 for an insured practice bet', async () => {
+      const response = await request(app).post('/api/v1/game/bet').set(auth())
+        .send({ amount: 500, practice: true, insuranceType: 'basic' }).expect(400);
+
+      expect(response.body.error).toContain('practice bets');
+    });
+
+    it('should serve the practice wallet, refilled when it cannot cover the smallest bet', async () => {
+      fakeDb.users.get(1).practice_balance = 20;
+
+      const response = await request(app).get('/api/v1/game/practice-wallet').set(auth()).expect(200);
+
+      expect(response.body).toEqual({ balance: config.game.practiceBalance, refillAmount: config.game.practiceBalance });
+    });
+  });
+});
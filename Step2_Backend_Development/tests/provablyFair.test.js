@@ -0,0 +1,173 @@
+jest.unmock('../services/gameEngine');
+
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const db = require('../db');
+const gameEngine = require('../services/gameEngine');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/game', require('../routes/game'));
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('Provably Fair Commit-Reveal Tests', () => {
+  let io;
+  let emitted;
+  let rounds;
+
+  beforeEach(() => {
+    emitted = [];
+    io = { to: () => ({ emit: (event, payload) => emitted.push({ event, payload }) }) };
+    gameEngine.setIo(io);
+    gameEngine.seedMode = 'random';
+    gameEngine.redisAvailable = false;
+    gameEngine._cachedGameState = null;
+
+    rounds = new Map();
+    db.query.mockImplementation((text, params) => {
+      if (text.includes('INSERT INTO rounds')) {
+        const [serverSeed, serverSeedHash, baseClientSeed, clientSeed, nonce] = params;
+        const id = rounds.size + 1;
+        rounds.set(id, {
+          id, crash_point: null, server_seed: serverSeed, server_seed_hash: serverSeedHash,
+          base_client_seed: baseClientSeed, client_seed: clientSeed, client_seed_contributions: [],
+          nonce: String(nonce), end_time: null
+        });
+        return Promise.resolve({ rows: [{ id }] });
+      }
+      if (text.includes('UPDATE rounds SET client_seed')) {
+        const [clientSeed, contributions, id] = params;
+        Object.assign(rounds.get(id), { client_seed: clientSeed, client_seed_contributions: JSON.parse(contributions) });
+        return Promise.resolve({ rows: [] });
+      }
+      if (text.includes("UPDATE rounds SET phase = 'crashed', crash_point = $1")) {
+        rounds.get(params[1]).crash_point = params[0].toFixed(2);
+        return Promise.resolve({ rows: [] });
+      }
+      if (text.includes("UPDATE rounds SET phase = 'settled', end_time = NOW()")) {
+        rounds.get(params[1]).end_time = new Date();
+        return Promise.resolve({ rows: [] });
+      }
+      if (text.includes('FROM rounds WHERE ($2::varchar IS NULL OR room_id = $2)')) {
+        return Promise.resolve({ rows: [...rounds.values()].reverse().map(({ id, crash_point }) => ({ id, crash_point })) });
+      }
+      if (text.includes('FROM rounds WHERE id')) {
+        const round = rounds.get(params[0]);
+        return Promise.resolve({ rows: round ? [round] : [] });
+      }
+      return Promise.resolve({ rows: [] });
+    });
+    db.pool.connect.mockResolvedValue({ query: db.query, release: jest.fn() });
+  });
+
+  afterEach(() => {
+    gameEngine.cleanup();
+  });
+
+  describe('Commitment', () => {
+    it('should publish only the server seed hash when a round starts', async () => {
+      await gameEngine.startNewRound();
+
+      const newRound = emitted.find(e => e.event === 'new_round').payload;
+      expect(newRound).not.toHaveProperty('crashPoint');
+      expect(newRound).not.toHaveProperty('serverSeed');
+      expect(newRound.serverSeedHash).toBe(sha256(gameEngine.serverSeed));
+    });
+
+    it('should hide the crash point and server seed from the public state before the crash', async () => {
+      await gameEngine.startNewRound();
+      const state = await gameEngine.getGameState();
+
+      expect(state.gameState).toBe('waiting');
+      expect(state).not.toHaveProperty('crashPoint');
+      expect(state).not.toHaveProperty('serverSeed');
+      expect(state.serverSeedHash).toBe(gameEngine.serverSeedHash);
+    });
+
+    it('should not store or serve the crash point before the round crashes', async () => {
+      await gameEngine.startNewRound();
+      gameEngine.lockRoundSeeds();
+      gameEngine.gameState = 'running';
+
+      const running = await request(app).get('/api/v1/game/history').expect(200);
+      expect(running.body).toEqual([{ id: gameEngine.roundId, crash_point: null }]);
+
+      await gameEngine.crashTower();
+
+      const crashed = await request(app).get('/api/v1/game/history').expect(200);
+      expect(crashed.body).toEqual([{ id: gameEngine.roundId, crash_point: gameEngine.crashPoint.toFixed(2) }]);
+    });
+
+    it('should derive the crash point from the seeds only', () => {
+      const first = gameEngine.calculateCrashPoint('server', 'client', 42);
+      gameEngine.activeBets.set(1, { amount: 100000 });
+      const second = gameEngine.calculateCrashPoint('server', 'client', 42);
+      gameEngine.activeBets.clear();
+
+      expect(first).toBe(second);
+      expect(gameEngine.verifyCrashPoint('server', 'client', 42)).toBe(first);
+    });
+  });
+
+  describe('Reveal and verification', () => {
+    it('should refuse to verify a round that has not finished', async () => {
+      await gameEngine.startNewRound();
+
+      await expect(gameEngine.verifyRound(gameEngine.roundId)).rejects.toThrow('not finished');
+    });
+
+    it('should verify a finished round against its commitment', async () => {
+      await gameEngine.startNewRound();
+      gameEngine.lockRoundSeeds();
+      await gameEngine.crashTower();
+
+      const result = await gameEngine.verifyRound(gameEngine.roundId);
+      expect(result.hashMatches).toBe(true);
+      expect(result.crashPointMatches).toBe(true);
+      expect(result.verified).toBe(true);
+    });
+
+    it('should detect a server seed that does not match the commitment', async () => {
+      await gameEngine.startNewRound();
+      gameEngine.lockRoundSeeds();
+      await gameEngine.crashTower();
+      const round = rounds.get(gameEngine.roundId);
+      round.server_seed = crypto.randomBytes(32).toString('hex');
+
+      const result = await gameEngine.verifyRound(gameEngine.roundId);
+      expect(result.hashMatches).toBe(false);
+      expect(result.verified).toBe(false);
+    });
+  });
+
+  describe('GET /api/v1/game/verify/:roundId', () => {
+    it('should return the verification for a finished round', async () => {
+      await gameEngine.startNewRound();
+      gameEngine.lockRoundSeeds();
+      await gameEngine.crashTower();
+
+      const response = await request(app)
+        .get(`/api/v1/game/verify/${gameEngine.roundId}`)
+        .expect(200);
+
+      expect(response.body.verified).toBe(true);
+      expect(response.body.serverSeedHash).toBe(sha256(response.body.serverSeed));
+    });
+
+    it('should return 409 while the round is in progress', async () => {
+      await gameEngine.startNewRound();
+
+      await request(app)
+        .get(`/api/v1/game/verify/${gameEngine.roundId}`)
+        .expect(409);
+    });
+
+    it('should return 404 for an unknown round', async () => {
+      await request(app)
+        .get('/api/v1/game/verify/999')
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+jest.unmock('../services/gameEngine');
+
+const request = require('supertest');
+const express = require('express');
+const db = require('../db');
+const gameEngine = require('../services/gameEngine');
+const multiplierCurve = require('../services/multiplierCurve');
+const riskService = require('../services/riskService');
+const adminController = require('../controllers/adminController');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const app = express();
+app.use(express.json());
+app.get('/api/v1/admin/risk/exposure', (req, res) => adminController.getRiskExposure(req, res));
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Risk Management Tests', () => {
+  let fakeDb;
+  let emitted;
+
+  beforeEach(async () => {
+    fakeDb = createFakeDatabase();
+    db.query.mockImplementation(fakeDb.query);
+    db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+
+    emitted = [];
+    gameEngine.setIo({ to: () => ({ emit: (event, payload) => emitted.push({ event, payload }) }) });
+    gameEngine.seedMode = 'random';
+    gameEngine.redisAvailable = false;
+    gameEngine.lagCompensationMs = 0;
+    gameEngine._cachedGameState = null;
+    gameEngine.queuedBets.clear();
+    gameEngine.riskLimits = { maxPayoutPerBet: 5000, maxPayoutPerRound: 8000 };
+
+    await gameEngine.startNewRound();
+    clearTimeout(gameEngine.roundTimer);
+  });
+
+  afterEach(() => {
+    gameEngine.cleanup();
+  });
+
+  // Start the running phase with a known crash point; the test drives the clock
+  const startRunning = (crashPoint) => {
+    gameEngine.startRunningPhase();
+    clearInterval(gameEngine.gameLoop);
+    gameEngine.crashPoint = crashPoint;
+    gameEngine.crashElapsed = multiplierCurve.elapsedAt(crashPoint, gameEngine.curve);
+    return gameEngine.runningStartTime;
+  };
+
+  const timeAt = (start, multiplier) => start + multiplierCurve.elapsedAt(multiplier, gameEngine.curve);
+
+  describe('Liability limit', () => {
+    const limits = { maxPayoutPerBet: 100000, maxPayoutPerRound: 5000 };
+
+    it('should find the multiplier at which a round reaches its limit', () => {
+      const bets = [{ amount: 1000, autoCashoutAt: null }, { amount: 1000, autoCashoutAt: 2 }];
+
+      // Both bets ride to 2x (4000), then only the first adds to the liability
+      expect(riskService.limitMultiplier(bets, 0, limits)).toBe(3);
+      expect(riskService.limitMultiplier(bets, 1000, limits)).toBe(2);
+      expect(riskService.liabilityAt(bets, 0, 3, limits)).toBe(5000);
+    });
+
+    it('should never be reached by bets whose ceilings keep them under the limit', () => {
+      expect(riskService.limitMultiplier([{ amount: 1000, autoCashoutAt: 2 }], 0, limits)).toBe(Infinity);
+    });
+  });
+
+  describe('Bet placement', () => {
+    it('should scale an auto-cashout past the payout cap down to the cap', async () => {
+      const result = await gameEngine.placeBet(1, 1000, null, 1, 10);
+
+      expect(result.autoCashoutAt).toBe(5);
+      expect(fakeDb.bets[0].auto_cashout_at).toBe(5);
+    });
+
+    it('should reject a bet whose stake alone reaches the payout cap', async () => {
+      await expect(gameEngine.placeBet(1, 5000)).rejects.toThrow('Bet exceeds the maximum payout of 5,000 FCFA per bet');
+
+      expect(fakeDb.users.get(1).balance).toBe(10000);
+      expect(gameEngine.activeBets.size).toBe(0);
+    });
+
+    it('should reject bets once the round could not pay every stake back', async () => {
+      await gameEngine.placeBet(1, 3000);
+      await gameEngine.placeBet(2, 4900);
+
+      await expect(gameEngine.placeBet(1, 200)).rejects.toThrow('Round liability limit reached');
+      expect(gameEngine.activeBets.size).toBe(2);
+      expect(gameEngine.activePlayers.size).toBe(2);
+    });
+
+    it('should leave practice bets out of the limits', async () => {
+      await gameEngine.placeBet(1, 4900);
+
+      const result = await gameEngine.placeBet(2, 50000, null, 1, 100, true);
+
+      expect(result.autoCashoutAt).toBe(100);
+      expect(gameEngine.getLiabilityStats()).toMatchObject({ openBets: 1, stakes: 4900 });
+    });
+  });
+
+  describe('Settlement', () => {
+    it('should cash a bet out when its payout reaches the cap', async () => {
+      const { betId } = await gameEngine.placeBet(1, 1000);
+      const start = startRunning(10);
+
+      gameEngine.tick(timeAt(start, 6));
+      await flushPromises();
+
+      const cashout = emitted.find(e => e.event === 'player_cashout').payload;
+      expect(cashout).toMatchObject({ betId, cashoutMultiplier: 5, winnings: 5000, auto: true });
+      expect(fakeDb.users.get(1).balance).toBe(14000);
+    });
+
+    it('should force-settle the open bets when the round reaches its liability limit', async () => {
+      gameEngine.riskLimits = { maxPayoutPerBet: 100000, maxPayoutPerRound: 8000 };
+      const manual = await gameEngine.placeBet(1, 2000);
+      const auto = await gameEngine.placeBet(2, 2000, null, 1, 1.5);
+      const start = startRunning(10);
+
+      gameEngine.tick(timeAt(start, 3));
+      await flushPromises();
+
+      const cashouts = emitted.filter(e => e.event === 'player_cashout').map(e => e.payload);
+      expect(cashouts).toEqual(expect.arrayContaining([
+        expect.objectContaining({ betId: auto.betId, cashoutMultiplier: 1.5 }),
+        expect.objectContaining({ betId: manual.betId, cashoutMultiplier: 2.5 })
+      ]));
+      expect(emitted.find(e => e.event === 'liability_limit_reached').payload).toMatchObject({ multiplier: 2.5 });
+      expect(gameEngine.timeline).toContainEqual(expect.objectContaining({ type: 'liability_limit', multiplier: 2.5 }));
+      expect(gameEngine.paidOut).toBe(8000);
+      expect(gameEngine.activeBets.size).toBe(0);
+    });
+
+    it('should cap a manual cash-out at the liability limit before the game loop catches up', async () => {
+      gameEngine.riskLimits = { maxPayoutPerBet: 100000, maxPayoutPerRound: 8000 };
+      const { betId } = await gameEngine.placeBet(1, 2000);
+      const start = startRunning(10);
+
+      const result = await gameEngine.cashOut(1, betId, timeAt(start, 5));
+
+      expect(result.cashoutMultiplier).toBe(4);
+      expect(gameEngine.getLiabilityStats()).toMatchObject({ paidOut: 8000, exposure: 8000, openBets: 0 });
+    });
+
+    it('should cap a manual cash-out at the payout cap', async () => {
+      const { betId } = await gameEngine.placeBet(1, 2000);
+      const start = startRunning(10);
+
+      const result = await gameEngine.cashOut(1, betId, timeAt(start, 3));
+
+      expect(result).toMatchObject({ cashoutMultiplier: 2.5, winnings: 5000 });
+    });
+  });
+
+  describe('Admin exposure', () => {
+    it('should report the current exposure of a room', async () => {
+      await gameEngine.placeBet(1, 2000, null, 1, 2);
+      await gameEngine.placeBet(2, 1000);
+      startRunning(10);
+      gameEngine.tick(timeAt(gameEngine.runningStartTime, 1.5));
+      gameEngine._cachedGameState = null;
+
+      const response = await request(app).get('/api/v1/admin/risk/exposure?room=main').expect(200);
+
+      expect(response.body.data).toEqual([expect.objectContaining({
+        roomId: 'main',
+        gameState: 'running',
+        maxPayoutPerBet: 5000,
+        maxPayoutPerRound: 8000,
+        openBets: 2,
+        stakes: 3000,
+        paidOut: 0,
+        exposure: 3000 * gameEngine.multiplier,
+        maxExposure: 8000,
+        limitMultiplier: 4,
+        houseAdvantage: expect.objectContaining({ totalBetAmount: 3000, activeBets: 2 })
+      })]);
+    });
+
+    it('should keep the exposure and house advantage out of the public game state', async () => {
+      await gameEngine.placeBet(1, 2000);
+      startRunning(10);
+      gameEngine.tick(timeAt(gameEngine.runningStartTime, 1.5));
+
+      const cached = await gameEngine.getGameState();
+      gameEngine._cachedGameState = null;
+      const fresh = await gameEngine.getGameState();
+
+      [cached, fresh].forEach(state => {
+        expect(state).toMatchObject({ roomId: 'main', gameState: 'running' });
+        expect(state).not.toHaveProperty('liability');
+        expect(state).not.toHaveProperty('houseAdvantageStats');
+      });
+    });
+
+    it('should answer 404 for an unknown room', async () => {
+      await request(app).get('/api/v1/admin/risk/exposure?room=nowhere').expect(404);
+    });
+  });
+});
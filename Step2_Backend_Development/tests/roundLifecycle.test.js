@@ -0,0 +1,224 @@
+jest.unmock('../services/gameEngine');
+
+const db = require('../db');
+const { EngineHarness, createFakeClock, createSeededRandom } = require('./helpers/engineHarness');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+describe('Round Lifecycle Tests', () => {
+  let fakeDb;
+  let harness;
+
+  beforeEach(() => {
+    fakeDb = createFakeDatabase();
+    db.query.mockImplementation(fakeDb.query);
+    db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+    harness = new EngineHarness();
+    harness.engine.lagCompensationMs = 0;
+  });
+
+  afterEach(() => {
+    harness.stop();
+  });
+
+  describe('Fake clock', () => {
+    it('should fire timers in time order as the clock advances', async () => {
+      const { clock, scheduler, advanceTo } = createFakeClock(0);
+      const fired = [];
+      scheduler.setTimeout(() => fired.push(`late@${clock.now()}`), 300);
+      scheduler.setTimeout(() => fired.push(`early@${clock.now()}`), 100);
+      const cancelled = scheduler.setTimeout(() => fired.push('cancelled'), 200);
+      scheduler.clearTimeout(cancelled);
+
+      await advanceTo(250);
+      expect(fired).toEqual(['early@100']);
+      expect(clock.now()).toBe(250);
+
+      await advanceTo(1000);
+      expect(fired).toEqual(['early@100', 'late@300']);
+    });
+
+    it('should repeat intervals until they are cleared', async () => {
+      const { clock, scheduler, advanceTo, pendingTimers } = createFakeClock(0);
+      const ticks = [];
+      const interval = scheduler.setInterval(() => {
+        ticks.push(clock.now());
+        if (ticks.length === 3) {
+          scheduler.clearInterval(interval);
+        }
+      }, 100);
+
+      await advanceTo(1000);
+
+      expect(ticks).toEqual([100, 200, 300]);
+      expect(pendingTimers()).toBe(0);
+    });
+
+    it('should replay the same random values for the same seed', () => {
+      const first = createSeededRandom('seed');
+      const second = createSeededRandom('seed');
+
+      expect(first.bytes(40).toString('hex')).toBe(second.bytes(40).toString('hex'));
+      expect(first.int(1000000)).toBe(second.int(1000000));
+      expect(createSeededRandom('other').bytes(32).equals(createSeededRandom('seed').bytes(32))).toBe(false);
+    });
+  });
+
+  describe('Round phases', () => {
+    it('should play a round from betting to the next round on its timers', async () => {
+      const { room } = harness.engine;
+      const roundId = await harness.startRound();
+      const openedAt = harness.now();
+
+      await harness.startRunning({ crashPoint: 2 });
+      expect(harness.engine.gameState).toBe('running');
+      expect(harness.engine.runningStartTime).toBe(openedAt + room.waitingMs);
+
+      await harness.crash();
+      const crashedAt = harness.now();
+      expect(harness.engine.gameState).toBe('crashed');
+      expect(crashedAt - harness.engine.runningStartTime).toBeGreaterThanOrEqual(harness.engine.crashElapsed);
+      expect(crashedAt - harness.engine.runningStartTime).toBeLessThan(harness.engine.crashElapsed + 100);
+
+      const nextRoundId = await harness.nextRound();
+      expect(nextRoundId).toBe(roundId + 1);
+      expect(harness.now()).toBe(crashedAt + room.crashedMs + room.resultsMs);
+      expect(fakeDb.rounds.get(roundId).phase).toBe('settled');
+
+      const names = harness.eventNames().filter(name => name !== 'game_update:multiplier');
+      expect(names).toEqual(['new_round', 'client_seed_locked', 'game_update:round_start', 'game_update:crash', 'round_history', 'game_update:victory_lap', 'new_round']);
+    });
+
+    it('should broadcast the multiplier every tick while running', async () => {
+      await harness.startRound();
+      await harness.startRunning({ crashPoint: 3 });
+      await harness.runTo(2);
+
+      const updates = harness.emitted('game_update', 'multiplier').map(update => update.data);
+      expect(updates.length).toBe(Math.floor((harness.now() - harness.engine.runningStartTime) / 100));
+      expect(updates.map(update => update.elapsed)).toEqual(updates.map((_, i) => (i + 1) * 100));
+      expect(updates[updates.length - 1].multiplier).toBeLessThan(2);
+    });
+
+    it('should reveal a seed that matches the commitment at the crash', async () => {
+      await harness.startRound();
+      const [newRound] = harness.emitted('new_round');
+      await harness.startRunning();
+      await harness.crash();
+
+      const [crash] = harness.emitted('game_update', 'crash');
+      expect(harness.engine.hashServerSeed(crash.data.serverSeed)).toBe(newRound.serverSeedHash);
+      expect(crash.data.crashPoint).toBe(harness.engine.calculateCrashPoint(crash.data.serverSeed, crash.data.clientSeed, crash.data.nonce));
+    });
+  });
+
+  describe('Reproducibility', () => {
+    const playRounds = async (seed, count) => {
+      const run = new EngineHarness({ seed });
+      const rounds = [];
+      try {
+        await run.startRound();
+        for (let i = 0; i < count; i++) {
+          await run.startRunning();
+          await run.crash();
+          rounds.push({ serverSeed: run.engine.serverSeed, nonce: run.engine.nonce, crashPoint: run.engine.crashPoint, crashedAt: run.now() });
+          await run.nextRound();
+        }
+      } finally {
+        run.stop();
+      }
+      return rounds;
+    };
+
+    it('should play the same rounds for the same seed', async () => {
+      const first = await playRounds('replay', 3);
+      const second = await playRounds('replay', 3);
+
+      expect(second).toEqual(first);
+      expect(new Set(first.map(round => round.serverSeed)).size).toBe(3);
+    });
+
+    it('should play different rounds for different seeds', async () => {
+      const [first] = await playRounds('one', 1);
+      const [second] = await playRounds('two', 1);
+
+      expect(second.serverSeed).not.toBe(first.serverSeed);
+    });
+  });
+
+  describe('Bets', () => {
+    it('should pay a cash-out at exactly the multiplier it was sent at', async () => {
+      await harness.startRound();
+      const { betId } = await harness.placeBet(1, 1000);
+      await harness.startRunning({ crashPoint: 5 });
+
+      const result = await harness.cashOutAt(1, betId, 2.5);
+
+      expect(result).toMatchObject({ betId, cashoutMultiplier: 2.5, winnings: 2500 });
+      expect(fakeDb.users.get(1).balance).toBe(10000 - 1000 + 2500);
+      expect(harness.emitted('player_cashout')).toEqual([
+        expect.objectContaining({ userId: 1, betId, cashoutMultiplier: 2.5, winnings: 2500, auto: false })
+      ]);
+      expect(harness.emitted('bet_removed')).toEqual([{ userId: 1, betId }]);
+    });
+
+    it('should price a late cash-out from when it was sent', async () => {
+      harness.engine.lagCompensationMs = 250;
+      await harness.startRound();
+      const { betId } = await harness.placeBet(1, 1000);
+      await harness.startRunning({ crashPoint: 5 });
+
+      const result = await harness.cashOutAt(1, betId, 1.5);
+
+      expect(harness.now()).toBe(harness.engine.timeAt(1.5) + 250);
+      expect(result.cashoutMultiplier).toBe(1.5);
+    });
+
+    it('should settle auto-cashouts on the tick that crosses their target and lose the rest at the crash', async () => {
+      await harness.startRound();
+      const auto = await harness.placeBet(1, 1000, { autoCashoutAt: 1.8 });
+      await harness.placeBet(2, 500);
+      await harness.startRunning({ crashPoint: 2 });
+
+      await harness.runTo(1.8);
+      expect(harness.emitted('player_cashout')).toEqual([]);
+      await harness.advance(100);
+      expect(harness.emitted('player_cashout')).toEqual([
+        expect.objectContaining({ userId: 1, betId: auto.betId, cashoutMultiplier: 1.8, winnings: 1800, auto: true })
+      ]);
+
+      await harness.crash();
+
+      expect(fakeDb.bets.map(bet => bet.status)).toEqual(['won', 'lost']);
+      expect(fakeDb.users.get(1).balance).toBe(10000 - 1000 + 1800);
+      expect(fakeDb.users.get(2).balance).toBe(10000 - 500);
+      expect(fakeDb.roundResults).toEqual([
+        expect.objectContaining({ user_id: 1, bet_amount: 1000, result: 'win', winnings: 1800 }),
+        expect.objectContaining({ user_id: 2, bet_amount: 500, result: 'loss', winnings: 0 })
+      ]);
+    });
+
+    it('should reject a cash-out sent after the crash', async () => {
+      await harness.startRound();
+      const { betId } = await harness.placeBet(1, 1000);
+      await harness.startRunning({ crashPoint: 1.5 });
+
+      await expect(harness.cashOutAt(1, betId, 2)).rejects.toThrow('Cannot cash out - tower has crashed');
+      await harness.crash();
+
+      expect(fakeDb.bets[0].status).toBe('lost');
+    });
+
+    it('should play bets queued during a round in the next one', async () => {
+      const firstRound = await harness.startRound();
+      await harness.startRunning({ crashPoint: 1.5 });
+      const { betId } = await harness.placeBet(1, 1000);
+
+      await harness.crash();
+      const nextRound = await harness.nextRound();
+
+      expect(nextRound).toBe(firstRound + 1);
+      expect(harness.engine.activeBets.get(betId)).toMatchObject({ userId: 1, roundId: nextRound });
+      expect(harness.emitted('new_bet')).toEqual([expect.objectContaining({ betId, roundId: nextRound })]);
+    });
+  });
+});
@@ -0,0 +1,279 @@
+jest.unmock('../services/gameEngine');
+
+const db = require('../db');
+const gameEngine = require('../services/gameEngine');
+const rtpConfigService = require('../services/rtpConfigService');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const INITIAL_BALANCE = 10000;
+
+// Every franc the players started with is in a balance, an open bet, a kept premium or the house's result
+const accountedFor = ({ users, bets, insurance }) => {
+  const sum = (items, value) => items.reduce((total, item) => total + value(item), 0);
+  return sum(Array.from(users.values()), u => u.balance)
+    + sum(bets.filter(b => ['active', 'queued', 'lost'].includes(b.status)), b => b.amount)
+    - sum(bets.filter(b => b.status === 'won'), b => b.winnings - b.amount)
+    + sum(insurance.filter(i => i.status === 'active'), i => i.premium_amount);
+};
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Round Recovery Tests', () => {
+  let fakeDb;
+  let restarted;
+
+  // Bring up a fresh engine process against the same database
+  const restart = async () => {
+    restarted = new gameEngine.constructor();
+    restarted.seedMode = 'random';
+    await restarted.initialize();
+    clearTimeout(restarted.roundTimer);
+    return restarted;
+  };
+
+  beforeEach(async () => {
+    // The fake database outlives the engine, like the real one does
+    fakeDb = createFakeDatabase({
+      users: [
+        { id: 1, username: 'alice', balance: INITIAL_BALANCE, client_seed: 'alice-seed' },
+        { id: 2, username: 'bob', balance: INITIAL_BALANCE, client_seed: 'bob-seed' }
+      ]
+    });
+    db.query.mockImplementation(fakeDb.query);
+    db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+    jest.spyOn(rtpConfigService, 'initialize').mockResolvedValue();
+
+    gameEngine.setIo(null);
+    gameEngine.seedMode = 'random';
+    gameEngine.redisAvailable = false;
+    gameEngine._cachedGameState = null;
+    gameEngine.queuedBets.clear();
+    restarted = null;
+
+    await gameEngine.startNewRound();
+    clearTimeout(gameEngine.roundTimer);
+  });
+
+  afterEach(() => {
+    gameEngine.cleanup();
+    if (restarted) {
+      restarted.cleanup();
+    }
+  });
+
+  // The process dies: timers stop and everything held in memory is lost
+  const kill = () => gameEngine.cleanup();
+
+  describe('Phase transitions', () => {
+    it('should persist every transition of a round', async () => {
+      const roundId = gameEngine.roundId;
+      expect(fakeDb.rounds.get(roundId).phase).toBe('waiting');
+
+      jest.spyOn(gameEngine, 'calculateCrashPoint').mockReturnValue(2);
+      gameEngine.startRunningPhase();
+      await flushPromises();
+      expect(fakeDb.rounds.get(roundId).phase).toBe('running');
+
+      jest.useFakeTimers();
+      try {
+        await gameEngine.crashTower();
+        expect(fakeDb.rounds.get(roundId)).toMatchObject({ phase: 'settled', end_time: expect.any(Date) });
+      } finally {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+      }
+    });
+
+    it('should record the crash before settling the bets', async () => {
+      await gameEngine.placeBet(1, 500);
+      jest.spyOn(gameEngine, 'calculateCrashPoint').mockReturnValue(2);
+      gameEngine.startRunningPhase();
+
+      let phaseWhenSettling;
+      jest.spyOn(gameEngine, 'processCrashedBets').mockImplementation(async () => {
+        phaseWhenSettling = fakeDb.rounds.get(gameEngine.roundId).phase;
+      });
+      jest.useFakeTimers();
+      try {
+        await gameEngine.crashTower();
+      } finally {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+      }
+
+      expect(phaseWhenSettling).toBe('crashed');
+    });
+
+    it('should lose a cash-out whose payout fails after the round crashed', async () => {
+      const { betId } = await gameEngine.placeBet(1, 1000);
+      jest.spyOn(gameEngine, 'calculateCrashPoint').mockReturnValue(2);
+      gameEngine.startRunningPhase();
+
+      // The payout transaction's first write hangs until the tower has crashed, then the connection drops
+      let dropConnection;
+      db.pool.connect.mockResolvedValueOnce({
+        query: jest.fn((text, params) => (text.startsWith('UPDATE bets SET status') && params[0] === 'won'
+          ? new Promise((resolve, reject) => { dropConnection = () => reject(new Error('Connection terminated')); })
+          : fakeDb.query(text, params))),
+        release: jest.fn()
+      });
+      const cashOut = gameEngine.cashOut(1, betId, gameEngine.runningStartTime + 1000);
+      await flushPromises();
+
+      jest.useFakeTimers();
+      try {
+        await gameEngine.crashTower();
+        dropConnection();
+        await expect(cashOut).rejects.toThrow('Connection terminated');
+      } finally {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+      }
+
+      expect(fakeDb.bets[0]).toMatchObject({ id: betId, status: 'lost', result: 'loss', winnings: 0 });
+      expect(fakeDb.roundResults).toEqual([expect.objectContaining({ user_id: 1, bet_amount: 1000, result: 'loss', winnings: 0 })]);
+      expect(fakeDb.users.get(1).balance).toBe(INITIAL_BALANCE - 1000);
+    });
+  });
+
+  describe('Stopping', () => {
+    it('should abandon a round step that was in flight when the engine stopped', async () => {
+      const roundId = gameEngine.roundId;
+      await gameEngine.placeBet(1, 1000);
+      jest.spyOn(gameEngine, 'calculateCrashPoint').mockReturnValue(1.5);
+      gameEngine.startRunningPhase();
+      await flushPromises();
+
+      // The engine loses leadership while the crash is being written
+      db.query.mockImplementation((text, params) => {
+        if (text.includes("phase = 'crashed'")) {
+          kill();
+        }
+        return fakeDb.query(text, params);
+      });
+      jest.useFakeTimers();
+      try {
+        await gameEngine.crashTower();
+        expect(jest.getTimerCount()).toBe(0);
+      } finally {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+      }
+
+      expect(fakeDb.rounds.get(roundId).phase).toBe('crashed');
+      expect(fakeDb.bets[0].status).toBe('active');
+    });
+
+    it('should not pay a cash-out for a bet that was settled elsewhere', async () => {
+      const { betId } = await gameEngine.placeBet(1, 1000);
+      jest.spyOn(gameEngine, 'calculateCrashPoint').mockReturnValue(5);
+      gameEngine.startRunningPhase();
+      // Another instance took over the round and refunded the bet while recovering it
+      fakeDb.bets[0].status = 'refunded';
+
+      await expect(gameEngine.cashOut(1, betId, gameEngine.runningStartTime + 4055)).rejects.toThrow('No active bet found');
+
+      expect(fakeDb.bets[0]).toMatchObject({ id: betId, status: 'refunded' });
+      expect(fakeDb.queries.map(q => q.text)).toContain('ROLLBACK');
+    });
+  });
+
+  describe('Restart recovery', () => {
+    it('should void a round killed while waiting and refund stakes and premiums', async () => {
+      const roundId = gameEngine.roundId;
+      await gameEngine.placeBet(1, 1000, 'basic');
+      await gameEngine.placeBet(2, 500);
+      expect(fakeDb.insurance).toHaveLength(1);
+      const total = accountedFor(fakeDb);
+
+      kill();
+      await restart();
+
+      expect(fakeDb.rounds.get(roundId).phase).toBe('void');
+      expect(fakeDb.bets.map(b => b.status)).toEqual(['refunded', 'refunded']);
+      expect(fakeDb.insurance[0].status).toBe('cancelled');
+      expect(fakeDb.users.get(1).balance).toBe(INITIAL_BALANCE);
+      expect(fakeDb.users.get(2).balance).toBe(INITIAL_BALANCE);
+      expect(accountedFor(fakeDb)).toBe(total);
+      expect(restarted.roundId).not.toBe(roundId);
+      expect(restarted.activeBets.size).toBe(0);
+
+      // The round never crashed, so verifying it reports no outcome rather than a crash point
+      await expect(restarted.verifyRound(roundId)).resolves.toMatchObject({ roundId, voided: true, crashPoint: null, verified: false });
+    });
+
+    it('should keep settled cash-outs and refund the open bets of a round killed while running', async () => {
+      const roundId = gameEngine.roundId;
+      await gameEngine.placeBet(1, 500);
+      await gameEngine.placeBet(2, 1000);
+      jest.spyOn(gameEngine, 'calculateCrashPoint').mockReturnValue(5);
+      gameEngine.startRunningPhase();
+      await gameEngine.cashOut(1, null, gameEngine.runningStartTime + 4055);
+      await flushPromises();
+      const total = accountedFor(fakeDb);
+
+      kill();
+      await restart();
+
+      expect(fakeDb.rounds.get(roundId).phase).toBe('void');
+      expect(fakeDb.bets[0]).toMatchObject({ status: 'won', winnings: 750 });
+      expect(fakeDb.bets[1]).toMatchObject({ status: 'refunded' });
+      expect(fakeDb.users.get(1).balance).toBe(INITIAL_BALANCE - 500 + 750);
+      expect(fakeDb.users.get(2).balance).toBe(INITIAL_BALANCE);
+      expect(accountedFor(fakeDb)).toBe(total);
+    });
+
+    it('should settle the open bets of a round killed after it crashed as lost', async () => {
+      const roundId = gameEngine.roundId;
+      await gameEngine.placeBet(2, 1000);
+      jest.spyOn(gameEngine, 'calculateCrashPoint').mockReturnValue(1.5);
+      gameEngine.startRunningPhase();
+
+      // The process dies while the crash is being settled
+      jest.spyOn(gameEngine, 'processCrashedBets').mockReturnValue(new Promise(() => {}));
+      gameEngine.crashTower();
+      await flushPromises();
+      expect(fakeDb.rounds.get(roundId).phase).toBe('crashed');
+      const total = accountedFor(fakeDb);
+
+      kill();
+      await restart();
+
+      expect(fakeDb.rounds.get(roundId).phase).toBe('settled');
+      expect(fakeDb.bets[0]).toMatchObject({ status: 'lost', winnings: 0 });
+      expect(fakeDb.roundResults).toEqual([{ user_id: 2, round_id: roundId, bet_amount: 1000, cashout_multiplier: 0, final_multiplier: 1.5, result: 'loss', winnings: 0 }]);
+      expect(fakeDb.users.get(2).balance).toBe(INITIAL_BALANCE - 1000);
+      expect(accountedFor(fakeDb)).toBe(total);
+    });
+
+    it('should play queued bets in the first round after the restart', async () => {
+      jest.spyOn(gameEngine, 'calculateCrashPoint').mockReturnValue(5);
+      gameEngine.startRunningPhase();
+      const { betId } = await gameEngine.placeBet(1, 700, null, 1, 2);
+      const total = accountedFor(fakeDb);
+
+      kill();
+      await restart();
+
+      expect(restarted.activeBets.get(betId)).toMatchObject({ userId: 1, amount: 700, autoCashoutAt: 2, roundId: restarted.roundId });
+      expect(fakeDb.bets[0]).toMatchObject({ status: 'active', round_id: restarted.roundId });
+      expect(fakeDb.users.get(1).balance).toBe(INITIAL_BALANCE - 700);
+      expect(accountedFor(fakeDb)).toBe(total);
+    });
+
+    it('should leave settled rounds alone and recover each round only once', async () => {
+      await gameEngine.placeBet(1, 500);
+      kill();
+
+      await restart();
+      restarted.cleanup();
+      const balance = fakeDb.users.get(1).balance;
+
+      // The round the first restart opened has no bets, so a second restart only voids it
+      await restart();
+
+      expect(fakeDb.users.get(1).balance).toBe(balance);
+      expect(Array.from(fakeDb.rounds.values()).map(r => r.phase)).toEqual(['void', 'void', 'waiting']);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+jest.unmock('../services/gameEngine');
+
+const request = require('supertest');
+const express = require('express');
+const db = require('../db');
+const gameEngine = require('../services/gameEngine');
+const multiplierCurve = require('../services/multiplierCurve');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/game', require('../routes/game'));
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Round Replay Tests', () => {
+  let fakeDb;
+
+  beforeEach(async () => {
+    fakeDb = createFakeDatabase();
+    db.query.mockImplementation(fakeDb.query);
+    db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+
+    gameEngine.setIo(null);
+    gameEngine.seedMode = 'random';
+    gameEngine.redisAvailable = false;
+    gameEngine.lagCompensationMs = 0;
+    gameEngine._cachedGameState = null;
+    gameEngine.queuedBets.clear();
+
+    await gameEngine.startNewRound();
+    clearTimeout(gameEngine.roundTimer);
+  });
+
+  afterEach(() => {
+    gameEngine.cleanup();
+  });
+
+  // Start the running phase with a known crash point; the test drives the clock
+  const startRunning = (crashPoint) => {
+    gameEngine.startRunningPhase();
+    clearInterval(gameEngine.gameLoop);
+    gameEngine.crashPoint = crashPoint;
+    gameEngine.crashElapsed = multiplierCurve.elapsedAt(crashPoint, gameEngine.curve);
+    return gameEngine.runningStartTime;
+  };
+
+  const storedTimeline = () => {
+    const settled = fakeDb.queries.find(q => q.text.includes("phase = 'settled'"));
+    return JSON.parse(settled.params[0]);
+  };
+
+  describe('Recording', () => {
+    it('should store the round\'s timeline in time order when it is settled', async () => {
+      const manual = await gameEngine.placeBet(1, 500);
+      const auto = await gameEngine.placeBet(2, 800, null, 1, 1.5);
+      const cancelled = await gameEngine.placeBet(1, 300);
+      await gameEngine.cancelBet(1, cancelled.betId);
+
+      const start = startRunning(3);
+      await gameEngine.cashOut(1, manual.betId, start + 5000);
+      const autoAt = start + multiplierCurve.elapsedAt(1.5, gameEngine.curve);
+      gameEngine.tick(autoAt + 20);
+      await flushPromises();
+      await gameEngine.crashTower();
+      clearTimeout(gameEngine.roundTimer);
+
+      const timeline = storedTimeline();
+      const offset = at => at - timeline.startedAt;
+
+      expect(timeline.startedAt).toBe(gameEngine.roundStartTime);
+      expect(timeline.events.map(e => e.type)).toEqual(['bet', 'bet', 'bet', 'bet_cancelled', 'running', 'cashout', 'cashout', 'crash']);
+      expect(timeline.events[1]).toMatchObject({ betId: auto.betId, userId: 2, username: 'bob', amount: 800, autoCashoutAt: 1.5 });
+      expect(timeline.events[3]).toMatchObject({ betId: cancelled.betId, userId: 1 });
+      expect(timeline.events[4]).toMatchObject({ t: offset(start), curve: gameEngine.curve });
+      expect(timeline.events[5]).toMatchObject({ t: offset(autoAt), betId: auto.betId, multiplier: 1.5, winnings: 1200, auto: true });
+      expect(timeline.events[6]).toMatchObject({
+        t: offset(start + 5000),
+        betId: manual.betId,
+        multiplier: multiplierCurve.multiplierAt(5000, gameEngine.curve),
+        auto: false
+      });
+      expect(timeline.events[7]).toMatchObject({ t: offset(start + gameEngine.crashElapsed), crashPoint: 3 });
+    });
+
+    it('should record the bets queued for the round when it starts', async () => {
+      startRunning(1.2);
+      const queued = await gameEngine.placeBet(1, 500);
+
+      await gameEngine.startNewRound();
+      clearTimeout(gameEngine.roundTimer);
+
+      expect(gameEngine.timeline).toEqual([expect.objectContaining({ type: 'bet', betId: queued.betId })]);
+    });
+
+    it('should record special blocks when the tower reaches them', () => {
+      const start = startRunning(5);
+      gameEngine.specialBlocks = [{ type: 'stability', effect: 'integrity_stability', at: 6000, duration: 15000, multiplier: 1.82 }];
+      const offset = at => at - gameEngine.roundStartTime;
+
+      gameEngine.tick(start + 5900);
+      gameEngine.tick(start + 6100);
+
+      expect(gameEngine.timeline.filter(event => event.type === 'special_block')).toEqual([
+        expect.objectContaining({ t: offset(start + 6000), blockType: 'stability', multiplier: 1.82, duration: 15000 })
+      ]);
+    });
+
+    it('should start every round with an empty timeline', async () => {
+      await gameEngine.placeBet(1, 500);
+
+      await gameEngine.startNewRound();
+      clearTimeout(gameEngine.roundTimer);
+
+      expect(gameEngine.timeline).toEqual([]);
+    });
+  });
+
+  describe('REST API', () => {
+    const timeline = { startedAt: Date.UTC(2026, 0, 1), events: [{ t: 0, type: 'bet', betId: 1 }, { t: 5000, type: 'running' }] };
+
+    it('should serve the replay of a settled round', async () => {
+      fakeDb.rounds.set(7, {
+        id: 7, room_id: 'main', round_number: 3, crash_point: '2.50', server_seed_hash: 'abc',
+        multiplier_curve: { type: 'exponential', growthRate: 0.1 }, end_time: new Date(), timeline
+      });
+
+      const response = await request(app).get('/api/v1/game/rounds/7/replay').expect(200);
+
+      expect(response.body).toMatchObject({
+        roundId: 7,
+        roomId: 'main',
+        roundNumber: 3,
+        crashPoint: 2.5,
+        curve: { type: 'exponential', growthRate: 0.1 },
+        startedAt: '2026-01-01T00:00:00.000Z',
+        events: timeline.events
+      });
+    });
+
+    it('should answer 409 while the round is in progress', async () => {
+      fakeDb.rounds.set(7, { id: 7, end_time: null, timeline: null });
+
+      await request(app).get('/api/v1/game/rounds/7/replay').expect(409);
+    });
+
+    it('should answer 404 for unknown rounds and rounds without a recorded timeline', async () => {
+      fakeDb.rounds.set(7, { id: 7, end_time: new Date(), timeline: null });
+
+      await request(app).get('/api/v1/game/rounds/7/replay').expect(404);
+      await request(app).get('/api/v1/game/rounds/8/replay').expect(404);
+      await request(app).get('/api/v1/game/rounds/abc/replay').expect(400);
+    });
+  });
+});
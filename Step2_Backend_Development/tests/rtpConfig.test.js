@@ -0,0 +1,214 @@
+jest.unmock('../services/gameEngine');
+
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const db = require('../db');
+const crashDistribution = require('../services/crashDistribution');
+const rtpConfigService = require('../services/rtpConfigService');
+const gameEngine = require('../services/gameEngine');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/game', require('../routes/game'));
+
+const randomHash = () => crypto.randomBytes(32).toString('hex');
+
+// rtp_configs on top of the shared tables
+const createConfigDatabase = () => createFakeDatabase({
+  extend: () => {
+    const configs = [];
+
+    return {
+      configs,
+      query: (text, params) => {
+        if (text.includes("UPDATE rtp_configs SET status = 'retired'")) {
+          configs.filter(c => c.status === 'active').forEach(c => { c.status = 'retired'; c.retired_at = new Date(); });
+          return { rows: [] };
+        }
+        if (text.includes('INSERT INTO rtp_configs')) {
+          const [model, targetRtp, maxMultiplier, params_, status, notes, createdBy] = params;
+          const row = {
+            id: configs.length + 1, model, target_rtp: String(targetRtp), max_multiplier: String(maxMultiplier),
+            params: JSON.parse(params_), status, notes, created_by: createdBy, created_at: new Date(), retired_at: null
+          };
+          configs.push(row);
+          return { rows: [row] };
+        }
+        if (text.includes("FROM rtp_configs WHERE status = 'active'")) {
+          return { rows: configs.filter(c => c.status === 'active') };
+        }
+        if (text.includes('FROM rtp_configs WHERE id')) {
+          return { rows: configs.filter(c => c.id === params[0]) };
+        }
+        if (text.includes('FROM rtp_configs')) {
+          return { rows: [...configs].reverse() };
+        }
+      }
+    };
+  }
+});
+
+describe('RTP Config Tests', () => {
+  let fakeDb;
+
+  beforeEach(() => {
+    fakeDb = createConfigDatabase();
+    db.query.mockImplementation(fakeDb.query);
+    db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+    rtpConfigService.clearCache();
+
+    gameEngine.setIo({ to: () => ({ emit: () => {} }) });
+    gameEngine.seedMode = 'random';
+    gameEngine.redisAvailable = false;
+    gameEngine._cachedGameState = null;
+  });
+
+  afterEach(() => {
+    gameEngine.cleanup();
+  });
+
+  describe('Crash distribution', () => {
+    const standard = { model: 'inverse', targetRtp: 0.97, maxMultiplier: 1000, params: {} };
+
+    it('should keep crash points between 1.00x and the max multiplier', () => {
+      for (let i = 0; i < 2000; i++) {
+        const crashPoint = crashDistribution.crashPoint(randomHash(), standard);
+        expect(crashPoint).toBeGreaterThanOrEqual(1);
+        expect(crashPoint).toBeLessThanOrEqual(1000);
+      }
+
+      // The largest possible uniform draw maps to (1 - edge), clamped to 1.00x; the smallest hits the cap
+      expect(crashDistribution.crashPoint('f'.repeat(64), standard)).toBe(1);
+      expect(crashDistribution.crashPoint('0'.repeat(64), standard)).toBe(1000);
+    });
+
+    it('should pay back the target RTP for a fixed cash-out target', () => {
+      const samples = 20000;
+      const target = 2;
+      let returned = 0;
+      for (let i = 0; i < samples; i++) {
+        if (crashDistribution.crashPoint(randomHash(), standard) >= target) {
+          returned += target;
+        }
+      }
+
+      expect(returned / samples).toBeCloseTo(0.97, 1);
+    });
+
+    it('should not depend on anything but the hash and the config', () => {
+      const hash = randomHash();
+      expect(crashDistribution.crashPoint(hash, standard)).toBe(crashDistribution.crashPoint(hash, { ...standard }));
+    });
+
+    it('should reproduce the legacy band model', () => {
+      const legacy = { model: 'legacy-bands', targetRtp: null, maxMultiplier: 7, params: { crashProbability: 0.95 } };
+      const hash = randomHash();
+      const randomValue = (parseInt(hash.substring(0, 8), 16) % 10000) / 10000;
+      const expected = randomValue < 0.95
+        ? 1 + (randomValue / 0.95) * 2
+        : 3 + (randomValue - 0.95) / 0.05 * 4;
+
+      expect(crashDistribution.crashPoint(hash, legacy)).toBe(parseFloat(expected.toFixed(2)));
+    });
+
+    it('should reject invalid configs', () => {
+      expect(() => crashDistribution.validate({ ...standard, targetRtp: 1.2 })).toThrow('Target RTP');
+      expect(() => crashDistribution.validate({ ...standard, maxMultiplier: 1 })).toThrow('Max multiplier');
+      expect(() => crashDistribution.validate({ ...standard, model: 'nope' })).toThrow('Unknown crash model');
+    });
+  });
+
+  describe('Versioned config', () => {
+    it('should publish the environment defaults when no version exists', async () => {
+      const active = await rtpConfigService.initialize();
+
+      expect(active.version).toBe(1);
+      expect(active.model).toBe('inverse');
+      expect(active.targetRtp).toBe(0.97);
+    });
+
+    it('should retire the previous version when a new one is published', async () => {
+      await rtpConfigService.publishConfig({ targetRtp: 0.97, maxMultiplier: 1000 });
+      const second = await rtpConfigService.publishConfig({ targetRtp: 0.95, maxMultiplier: 500 }, 7);
+
+      expect(second.version).toBe(2);
+      expect(fakeDb.configs.map(c => c.status)).toEqual(['retired', 'active']);
+      expect(fakeDb.configs[1].created_by).toBe(7);
+      expect((await rtpConfigService.getActiveConfig()).version).toBe(2);
+    });
+
+    it('should not publish an invalid version', async () => {
+      await expect(rtpConfigService.publishConfig({ targetRtp: 0.5, maxMultiplier: 1000 })).rejects.toThrow('Target RTP');
+      expect(fakeDb.configs).toHaveLength(0);
+    });
+
+    it('should list published versions', async () => {
+      await rtpConfigService.publishConfig({ targetRtp: 0.97, maxMultiplier: 1000 });
+      await rtpConfigService.publishConfig({ targetRtp: 0.98, maxMultiplier: 1000 });
+
+      const response = await request(app)
+        .get('/api/v1/game/rtp-configs')
+        .expect(200);
+
+      expect(response.body.map(c => c.version)).toEqual([2, 1]);
+      expect(response.body[0].status).toBe('active');
+    });
+  });
+
+  describe('Rounds', () => {
+    it('should record the config version each round was played under', async () => {
+      await rtpConfigService.publishConfig({ targetRtp: 0.97, maxMultiplier: 1000 });
+      await gameEngine.startNewRound();
+
+      expect(fakeDb.rounds.get(gameEngine.roundId).rtp_config_id).toBe(1);
+    });
+
+    it('should verify a round under its own version after the config changes', async () => {
+      await rtpConfigService.publishConfig({ targetRtp: 0.97, maxMultiplier: 1000 });
+      await gameEngine.startNewRound();
+      gameEngine.lockRoundSeeds();
+      const roundId = gameEngine.roundId;
+      await gameEngine.crashTower();
+
+      await rtpConfigService.publishConfig({ targetRtp: 0.9, maxMultiplier: 10 });
+
+      const result = await gameEngine.verifyRound(roundId);
+      expect(result.rtpConfig.version).toBe(1);
+      expect(result.rtpConfig.targetRtp).toBe(0.97);
+      expect(result.crashPointMatches).toBe(true);
+      expect(result.verified).toBe(true);
+    });
+
+    it('should apply a new version from the next round only', async () => {
+      await rtpConfigService.publishConfig({ targetRtp: 0.97, maxMultiplier: 1000 });
+      await gameEngine.startNewRound();
+      await rtpConfigService.publishConfig({ targetRtp: 0.9, maxMultiplier: 10 });
+
+      expect(gameEngine.rtpConfig.version).toBe(1);
+
+      gameEngine.cleanup();
+      await gameEngine.startNewRound();
+      expect(gameEngine.rtpConfig.version).toBe(2);
+    });
+
+    it('should start rounds under a version published through another instance', async () => {
+      await rtpConfigService.publishConfig({ targetRtp: 0.97, maxMultiplier: 1000 });
+      await gameEngine.startNewRound();
+      expect(gameEngine.rtpConfig.version).toBe(1);
+
+      // Another instance retires v1 and publishes v2; this process never sees the publish call
+      fakeDb.configs[0].status = 'retired';
+      fakeDb.configs.push({
+        id: 2, model: 'inverse', target_rtp: '0.95', max_multiplier: '500', params: {}, status: 'active',
+        notes: null, created_by: 7, created_at: new Date(), retired_at: null
+      });
+
+      gameEngine.cleanup();
+      await gameEngine.startNewRound();
+      expect(gameEngine.rtpConfig).toMatchObject({ version: 2, targetRtp: 0.95, maxMultiplier: 500 });
+      expect(fakeDb.rounds.get(gameEngine.roundId).rtp_config_id).toBe(2);
+    });
+  });
+});
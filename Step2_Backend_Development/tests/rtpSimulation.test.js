@@ -0,0 +1,79 @@
+const rtpSimulator = require('../services/rtpSimulator');
+const rtpConfigService = require('../services/rtpConfigService');
+
+// Pinned payout curve. Changing the default RTP config, the crash model or the insurance rates
+// moves these numbers, and the change has to be made here on purpose.
+const PINNED = {
+  targetRtp: 0.97,
+  maxMultiplier: 1000,
+  strategies: {
+    'fixed-1.5x': 0.97,
+    'fixed-2x': 0.97,
+    'fixed-10x': 0.97,
+    'auto-mixed': 0.97,
+    'insured-basic-2x': 0.98, // (0.97 + 0.40 * 0.515) / 1.20
+    'insured-elite-3x': 1.0795 // (0.97 + 0.80 * (1 - 0.97 / 3)) / 1.40 - elite cover pays back more than it costs at 3x
+  },
+  // P(crash >= x) = 0.97 / x
+  crashShares: {
+    instant: 1 - 0.97 / 1.01,
+    atLeast2x: 0.485,
+    atLeast10x: 0.097
+  }
+};
+
+const ROUNDS = 250000;
+const BAND_STANDARD_ERRORS = 4;
+
+describe('RTP Simulation Tests', () => {
+  let report;
+
+  beforeAll(() => {
+    report = rtpSimulator.simulate({ rounds: ROUNDS, rtpConfig: rtpConfigService.defaultConfig() });
+  });
+
+  it('should simulate with the pinned default config', () => {
+    expect(report.rtpConfig.targetRtp).toBe(PINNED.targetRtp);
+    expect(report.rtpConfig.maxMultiplier).toBe(PINNED.maxMultiplier);
+    expect(report.rounds).toBe(ROUNDS);
+  });
+
+  it('should pay each bettor strategy its expected RTP within the tolerance band', () => {
+    report.strategies.forEach(strategy => {
+      const expected = PINNED.strategies[strategy.name];
+      const band = BAND_STANDARD_ERRORS * strategy.standardError;
+
+      expect(expected).toBeDefined();
+      expect(Math.abs(strategy.rtp - expected)).toBeLessThan(band);
+    });
+  });
+
+  it('should produce the pinned crash-point distribution', () => {
+    const share = (predicate) => report.crashPoints.histogram
+      .filter(bucket => predicate(bucket.from))
+      .reduce((sum, bucket) => sum + bucket.share, 0);
+    const band = (p) => BAND_STANDARD_ERRORS * Math.sqrt(p * (1 - p) / ROUNDS);
+
+    expect(Math.abs(share(from => from < 1.01) - PINNED.crashShares.instant)).toBeLessThan(band(PINNED.crashShares.instant));
+    expect(Math.abs(share(from => from >= 2) - PINNED.crashShares.atLeast2x)).toBeLessThan(band(PINNED.crashShares.atLeast2x));
+    expect(Math.abs(share(from => from >= 10) - PINNED.crashShares.atLeast10x)).toBeLessThan(band(PINNED.crashShares.atLeast10x));
+    expect(report.crashPoints.max).toBeLessThanOrEqual(PINNED.maxMultiplier);
+  });
+
+  it('should account house P&L as wagered minus returned', () => {
+    expect(report.housePnl).toBeCloseTo(report.wagered - report.returned, 0);
+    expect(report.strategies.reduce((sum, s) => sum + s.bets, 0)).toBe(report.bets);
+  });
+
+  it('should be reproducible from its seed', () => {
+    const first = rtpSimulator.simulate({ rounds: 1000, seed: 'repeat', rtpConfig: rtpConfigService.defaultConfig() });
+    const second = rtpSimulator.simulate({ rounds: 1000, seed: 'repeat', rtpConfig: rtpConfigService.defaultConfig() });
+
+    expect(second).toEqual(first);
+  });
+
+  it('should reject an unknown population', () => {
+    expect(() => rtpSimulator.simulate({ rounds: 10, population: 'whales', rtpConfig: rtpConfigService.defaultConfig() }))
+      .toThrow('Unknown bettor population');
+  });
+});
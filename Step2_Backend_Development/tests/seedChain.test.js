@@ -0,0 +1,264 @@
+jest.unmock('../services/gameEngine');
+
+const crypto = require('crypto');
+const db = require('../db');
+const seedChainService = require('../services/seedChainService');
+const gameEngine = require('../services/gameEngine');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// seed_chains on top of the shared tables
+const createChainDatabase = () => createFakeDatabase({
+  extend: () => {
+    const chains = [];
+
+    return {
+      chains,
+      query: (text, params) => {
+        if (text.includes("UPDATE seed_chains SET status = 'retired'")) {
+          chains.filter(c => c.status === 'active').forEach(c => { c.status = 'retired'; c.retired_at = new Date(); });
+          return { rows: [] };
+        }
+        if (text.includes('INSERT INTO seed_chains')) {
+          const [anchorHash, rootSeed, clientSeed, length, status, createdBy] = params;
+          const chain = {
+            id: chains.length + 1, anchor_hash: anchorHash, root_seed: rootSeed, client_seed: clientSeed,
+            length, next_index: 1, status, created_by: createdBy, created_at: new Date(), retired_at: null
+          };
+          chains.push(chain);
+          return { rows: [{ id: chain.id }] };
+        }
+        if (text.includes("FROM seed_chains WHERE status = 'active'")) {
+          return { rows: chains.filter(c => c.status === 'active') };
+        }
+        if (text.includes('UPDATE seed_chains SET next_index')) {
+          const chain = chains.find(c => c.id === params[0] && c.status === 'active' && c.next_index <= c.length);
+          if (!chain) return { rows: [] };
+          chain.next_index += 1;
+          return { rows: [{ index: chain.next_index - 1 }] };
+        }
+        if (text.includes('FROM seed_chains WHERE id')) {
+          return { rows: chains.filter(c => c.id === params[0]) };
+        }
+        if (text.includes('FROM seed_chains')) {
+          return { rows: [...chains].reverse() };
+        }
+      }
+    };
+  }
+});
+
+describe('Hash-Chain Seed Tests', () => {
+  let fakeDb;
+
+  beforeEach(() => {
+    fakeDb = createChainDatabase();
+    db.query.mockImplementation(fakeDb.query);
+    db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+    seedChainService.clearCache();
+  });
+
+  describe('Chain construction', () => {
+    it('should build a chain whose last link is the anchor', () => {
+      const { anchorHash } = seedChainService.buildCheckpoints('root', 5);
+
+      expect(anchorHash).toBe(seedChainService.walkChain('root', 5));
+    });
+
+    it('should keep only checkpoints and derive every seed from them', () => {
+      const length = 1000;
+      const { stride, checkpoints, anchorHash } = seedChainService.buildCheckpoints('root', length);
+      const chain = { length, stride, checkpoints, anchorHash };
+
+      expect(checkpoints.length).toBeLessThanOrEqual(Math.ceil(Math.sqrt(length)));
+      [1, 2, stride, stride + 1, 999, 1000].forEach(index => {
+        expect(seedChainService.seedAt(chain, index)).toBe(seedChainService.walkChain('root', length - index));
+        expect(seedChainService.verifySeed(seedChainService.seedAt(chain, index), index, anchorHash)).toBe(true);
+      });
+    });
+
+    it('should hand out seeds in reverse order of generation', async () => {
+      const chain = await seedChainService.rotateChain(5);
+
+      const first = await seedChainService.nextSeed();
+      const second = await seedChainService.nextSeed();
+
+      expect(first.index).toBe(1);
+      expect(sha256(first.serverSeed)).toBe(chain.anchorHash);
+      expect(sha256(second.serverSeed)).toBe(first.serverSeed);
+      expect(seedChainService.verifySeed(second.serverSeed, 2, chain.anchorHash)).toBe(true);
+    });
+
+    it('should reject a seed that is not part of the chain', async () => {
+      const chain = await seedChainService.rotateChain(5);
+
+      expect(seedChainService.verifySeed(crypto.randomBytes(32).toString('hex'), 1, chain.anchorHash)).toBe(false);
+    });
+
+    it('should publish a new chain once the active one is exhausted', async () => {
+      const firstChain = await seedChainService.rotateChain(2);
+      await seedChainService.nextSeed();
+      await seedChainService.nextSeed();
+
+      const third = await seedChainService.nextSeed();
+
+      expect(third.chainId).not.toBe(firstChain.chainId);
+      expect(third.index).toBe(1);
+      expect(fakeDb.chains[0].status).toBe('retired');
+    });
+
+    it('should reload the active chain after a restart', async () => {
+      const chain = await seedChainService.rotateChain(10);
+      const first = await seedChainService.nextSeed();
+
+      seedChainService.clearCache();
+      const second = await seedChainService.nextSeed();
+
+      expect(second.chainId).toBe(chain.chainId);
+      expect(sha256(second.serverSeed)).toBe(first.serverSeed);
+    });
+
+    it('should pick up the chain another instance rotated to instead of rotating again', async () => {
+      const other = new seedChainService.constructor();
+      const firstChain = await seedChainService.rotateChain(2);
+      await other.nextSeed();
+      await other.nextSeed();
+
+      // The other instance exhausts the chain and publishes the next one; this one still holds the first chain
+      const rotated = await other.nextSeed();
+      const next = await seedChainService.nextSeed();
+
+      expect(rotated.chainId).not.toBe(firstChain.chainId);
+      expect(next).toMatchObject({ chainId: rotated.chainId, index: 2, anchorHash: rotated.anchorHash });
+      expect(fakeDb.chains.map(chain => chain.status)).toEqual(['retired', 'active']);
+    });
+
+    it('should move to a chain an admin published through another instance', async () => {
+      const other = new seedChainService.constructor();
+      await seedChainService.rotateChain(10);
+      await seedChainService.nextSeed();
+
+      const published = await other.rotateChain(10, 7);
+      const next = await seedChainService.nextSeed();
+
+      expect(next).toMatchObject({ chainId: published.chainId, index: 1 });
+      expect(sha256(next.serverSeed)).toBe(published.anchorHash);
+      expect(fakeDb.chains).toHaveLength(2);
+    });
+
+    it('should load the first chain another instance published at the same time', async () => {
+      const other = new seedChainService.constructor();
+      await other.initialize();
+      // This instance found no chain either: it saw no active chain to retire, and its insert loses the race on
+      // the single-active index
+      db.pool.connect.mockResolvedValue({
+        query: jest.fn((text, params) => {
+          if (text.includes('SELECT id FROM seed_chains') || text.includes("SET status = 'retired'")) {
+            return Promise.resolve({ rows: [] });
+          }
+          if (text.includes('INSERT INTO seed_chains')) {
+            return Promise.reject(Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505' }));
+          }
+          return fakeDb.query(text, params);
+        }),
+        release: jest.fn()
+      });
+
+      const chain = await seedChainService.rotateChain(seedChainService.defaultLength, null, { replaces: null });
+
+      expect(chain.chainId).toBe(other.activeChain.id);
+      expect(fakeDb.chains.map(c => c.status)).toEqual(['active']);
+    });
+
+    it('should reject invalid chain lengths', async () => {
+      await expect(seedChainService.rotateChain(0)).rejects.toThrow('Chain length');
+      await expect(seedChainService.rotateChain(seedChainService.maxLength + 1)).rejects.toThrow('Chain length');
+    });
+
+    it('should never reveal root seeds', async () => {
+      await seedChainService.rotateChain(3);
+      await seedChainService.rotateChain(3);
+
+      const chains = await seedChainService.getChains();
+      expect(chains.map(chain => chain.status)).toEqual(['active', 'retired']);
+      chains.forEach(chain => expect(chain).not.toHaveProperty('rootSeed'));
+    });
+  });
+
+  describe('Game engine in chain mode', () => {
+    beforeEach(() => {
+      gameEngine.setIo(null);
+      gameEngine.seedMode = 'chain';
+      gameEngine.redisAvailable = false;
+    });
+
+    afterEach(() => {
+      gameEngine.cleanup();
+    });
+
+    // Verification needs the rounds to have finished and revealed their seeds
+    const revealRounds = () => fakeDb.rounds.forEach(round => { round.end_time = new Date(); });
+
+    it('should consume consecutive chain seeds for consecutive rounds', async () => {
+      const chain = await seedChainService.rotateChain(10);
+
+      await gameEngine.startNewRound();
+      const firstSeed = gameEngine.serverSeed;
+      gameEngine.cleanup();
+      await gameEngine.startNewRound();
+
+      expect(gameEngine.nonce).toBe(2);
+      expect(gameEngine.baseClientSeed).toBe(chain.clientSeed);
+      expect(sha256(gameEngine.serverSeed)).toBe(firstSeed);
+    });
+
+    it('should verify a chain round back to the published anchor', async () => {
+      const chain = await seedChainService.rotateChain(10);
+      await gameEngine.startNewRound();
+      gameEngine.cleanup();
+      await gameEngine.startNewRound();
+      gameEngine.lockRoundSeeds();
+      await gameEngine.crashTower();
+      revealRounds();
+
+      const result = await gameEngine.verifyRound(gameEngine.roundId);
+
+      expect(result.chain.anchorHash).toBe(chain.anchorHash);
+      expect(result.chain.anchorMatches).toBe(true);
+      expect(result.chain.previousSeedMatches).toBe(true);
+      expect(result.verified).toBe(true);
+    });
+
+    it('should fail verification when a round seed was swapped after the fact', async () => {
+      await seedChainService.rotateChain(10);
+      await gameEngine.startNewRound();
+      gameEngine.lockRoundSeeds();
+      await gameEngine.crashTower();
+      revealRounds();
+
+      const round = fakeDb.rounds.get(gameEngine.roundId);
+      round.server_seed = crypto.randomBytes(32).toString('hex');
+      round.server_seed_hash = sha256(round.server_seed);
+      round.crash_point = gameEngine.verifyCrashPoint(round.server_seed, round.client_seed, round.nonce).toFixed(2);
+
+      const result = await gameEngine.verifyRound(gameEngine.roundId);
+      expect(result.hashMatches).toBe(true);
+      expect(result.chain.anchorMatches).toBe(false);
+      expect(result.verified).toBe(false);
+    });
+
+    it('should not expose the seeds of a round in flight when its chain is rotated', async () => {
+      await seedChainService.rotateChain(10);
+      await gameEngine.startNewRound();
+      gameEngine.lockRoundSeeds();
+
+      await seedChainService.rotateChain(10);
+
+      const published = JSON.stringify(await seedChainService.getChains());
+      expect(fakeDb.chains[0].status).toBe('retired');
+      expect(published).not.toContain(fakeDb.chains[0].root_seed);
+      expect(published).not.toContain(gameEngine.serverSeed);
+    });
+  });
+});
@@ -10,6 +10,8 @@ process.env.POSTGRES_DB = 'test_pillar_payout';
 process.env.JWT_SECRET = 'test-jwt-secret';
 process.env.PORT = '3002';
 process.env.FRONTEND_URL = 'http://localhost:3000';
+// Rounds play on the plain curve unless a test turns special blocks on
+process.env.SPECIAL_BLOCKS_ENABLED = 'false';
 
 // Mock the database module completely
 jest.doMock('../db', () => ({
@@ -176,13 +178,6 @@ jest.doMock('../services/emailService', () => ({
 // Mock game engine with all required methods and properties
 jest.doMock('../services/gameEngine', () => {
   const mockGameEngine = {
-    // Static properties
-    MEDIUM_BET_AMOUNT: 2.00,
-    BASE_CRASH_PROBABILITY: 0.85,
-    HOUSE_ADVANTAGE_FACTOR: 0.15,
-    MAX_CRASH_PROBABILITY: 0.95,
-    MIN_CRASH_PROBABILITY: 0.78,
-    
     // Instance properties
     activeBets: new Map(),
     activePlayers: new Set(),
@@ -191,27 +186,18 @@ jest.doMock('../services/gameEngine', () => {
     nonce: 123456789,
     
     // Methods
-    calculateHouseAdvantage: jest.fn().mockImplementation((betAmount) => {
-      // Mock implementation that returns different values based on bet amount
-      if (betAmount <= 0) return 0.78;
-      if (betAmount <= 2) return 0.85;
-      if (betAmount <= 10) return 0.90;
-      return 0.95;
-    }),
-    calculateCrashPointWithAdvantage: jest.fn().mockImplementation((betAmount) => {
-      // Mock implementation that returns different crash points based on bet amount
-      if (betAmount <= 2) return 2.5;
-      if (betAmount <= 10) return 3.5;
-      return 4.5;
-    }),
     getHouseAdvantageStats: jest.fn().mockReturnValue({
+      rtpConfigVersion: 1,
+      model: 'inverse',
+      targetRtp: 0.97,
+      maxMultiplier: 1000,
+      houseAdvantage: 0.03,
       totalBetAmount: 17.00,
-      mediumBetAmount: 2.00,
-      baseCrashProbability: 0.85,
-      activeBets: 3,
-      adjustedCrashProbability: 0.87,
-      houseAdvantage: 0.15
+      expectedProfit: 0.51,
+      activeBets: 3
     }),
+    roomId: 'main',
+    channel: 'room:main',
     setIo: jest.fn(),
     getGameState: jest.fn().mockReturnValue({
       gameState: 'waiting',
@@ -253,6 +239,12 @@ jest.doMock('../services/gameEngine', () => {
         betAmount: 50
       });
     }),
+    cancelBet: jest.fn().mockResolvedValue({
+      success: true,
+      refunded: 50,
+      stakeRefunded: 50,
+      premiumRefunded: 0
+    }),
     getRoundHistory: jest.fn().mockResolvedValue([
       {
         id: 1,
@@ -0,0 +1,242 @@
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: ioClient } = require('socket.io-client');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const db = require('../db');
+const gameEngine = require('../services/gameEngine');
+const chatService = require('../services/chatService');
+const registerGameSocket = require('../sockets/gameSocket');
+
+const users = {
+  1: { id: 1, username: 'alice', email: 'alice@gmail.com', role: 'player', is_admin: false, status: 'active' },
+  2: { id: 2, username: 'bob', email: 'bob@gmail.com', role: 'player', is_admin: false, status: 'active' },
+  3: { id: 3, username: 'suspended', email: 'sus@gmail.com', role: 'player', is_admin: false, status: 'suspended' }
+};
+
+const signToken = (user, options = { expiresIn: '1h' }) =>
+  jwt.sign({ id: user.id, username: user.username, role: user.role }, config.jwtSecret, options);
+
+// Resolve with the first payload of `event`, or reject after a short timeout
+const waitFor = (socket, event, timeout = 2000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeout);
+  socket.once(event, (payload) => {
+    clearTimeout(timer);
+    resolve(payload);
+  });
+});
+
+describe('Socket.IO Authentication Tests', () => {
+  let httpServer;
+  let io;
+  let url;
+  const clients = [];
+
+  const connect = (auth = {}) => {
+    const socket = ioClient(url, { auth, transports: ['websocket'], reconnection: false, forceNew: true });
+    clients.push(socket);
+    return socket;
+  };
+
+  beforeAll((done) => {
+    httpServer = http.createServer();
+    io = new Server(httpServer);
+    registerGameSocket(io);
+    httpServer.listen(0, () => {
+      url = `http://localhost:${httpServer.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    io.close();
+    httpServer.close(done);
+  });
+
+  beforeEach(() => {
+    chatService.clearCache();
+
+    db.query.mockImplementation((text, params) => {
+      if (text.includes('FROM users')) {
+        const user = users[params[0]];
+        return Promise.resolve({ rows: user ? [user] : [] });
+      }
+      return Promise.resolve({ rows: [] });
+    });
+
+    gameEngine.getGameState.mockResolvedValue({ gameState: 'waiting', multiplier: 1.0, integrity: 100, roundId: 1 });
+    gameEngine.placeBet.mockResolvedValue({ success: true, betId: 10, betAmount: 500 });
+    gameEngine.cashOut.mockResolvedValue({ success: true, cashoutMultiplier: 1.5, winnings: 750 });
+  });
+
+  afterEach(() => {
+    while (clients.length) {
+      clients.pop().disconnect();
+    }
+  });
+
+  describe('Handshake', () => {
+    it('should attach the server-side identity for a valid token', async () => {
+      const socket = connect({ token: signToken(users[1]) });
+      const session = await waitFor(socket, 'session');
+
+      expect(session).toEqual({ authenticated: true, userId: 1, username: 'alice' });
+    });
+
+    it('should connect sockets without a token as spectators', async () => {
+      const socket = connect();
+      const session = await waitFor(socket, 'session');
+
+      expect(session.authenticated).toBe(false);
+      expect(session.userId).toBeNull();
+    });
+
+    it('should reject an invalid token', async () => {
+      const socket = connect({ token: 'not-a-jwt' });
+      const error = await waitFor(socket, 'connect_error');
+
+      expect(error.data.code).toBe('INVALID_TOKEN');
+    });
+
+    it('should reject an expired token', async () => {
+      const socket = connect({ token: signToken(users[1], { expiresIn: -10 }) });
+      const error = await waitFor(socket, 'connect_error');
+
+      expect(error.data.code).toBe('TOKEN_EXPIRED');
+    });
+
+    it('should reject tokens for inactive accounts', async () => {
+      const socket = connect({ token: signToken(users[3]) });
+      const error = await waitFor(socket, 'connect_error');
+
+      expect(error.data.code).toBe('ACCOUNT_INACTIVE');
+    });
+  });
+
+  describe('Player actions', () => {
+    it('should place bets for the authenticated user', async () => {
+      const socket = connect({ token: signToken(users[1]) });
+      await waitFor(socket, 'session');
+
+      socket.emit('player_action', { action: 'bet', amount: 500 });
+      const result = await waitFor(socket, 'bet_result');
+
+      expect(result.success).toBe(true);
+      expect(gameEngine.placeBet).toHaveBeenCalledWith(1, 500, undefined, 1, null, false);
+    });
+
+    it('should pass the auto-cashout target through to the engine', async () => {
+      const socket = connect({ token: signToken(users[1]) });
+      await waitFor(socket, 'session');
+
+      socket.emit('player_action', { action: 'bet', amount: 500, autoCashoutAt: 2.5 });
+      await waitFor(socket, 'bet_result');
+
+      expect(gameEngine.placeBet).toHaveBeenCalledWith(1, 500, undefined, 1, 2.5, false);
+    });
+
+    it('should cancel bets for the authenticated user', async () => {
+      gameEngine.cancelBet.mockResolvedValue({ success: true, betId: 10, refunded: 500 });
+      const socket = connect({ token: signToken(users[1]) });
+      await waitFor(socket, 'session');
+
+      socket.emit('player_action', { action: 'cancel', betId: 10 });
+      const result = await waitFor(socket, 'cancel_result');
+
+      expect(result.refunded).toBe(500);
+      expect(gameEngine.cancelBet).toHaveBeenCalledWith(1, 10);
+    });
+
+    it('should reject a bet placed on behalf of another user', async () => {
+      const socket = connect({ token: signToken(users[1]) });
+      await waitFor(socket, 'session');
+
+      socket.emit('player_action', { action: 'bet', amount: 500, userId: 2 });
+      const error = await waitFor(socket, 'error');
+
+      expect(error.code).toBe('IDENTITY_MISMATCH');
+      expect(gameEngine.placeBet).not.toHaveBeenCalled();
+    });
+
+    it('should reject a cash out on behalf of another user', async () => {
+      const socket = connect({ token: signToken(users[2]) });
+      await waitFor(socket, 'session');
+
+      socket.emit('player_action', { action: 'cashout', userId: 1 });
+      const error = await waitFor(socket, 'error');
+
+      expect(error.code).toBe('IDENTITY_MISMATCH');
+      expect(gameEngine.cashOut).not.toHaveBeenCalled();
+    });
+
+    it('should not let spectators bet even when they supply a userId', async () => {
+      const socket = connect();
+      await waitFor(socket, 'session');
+
+      socket.emit('player_action', { action: 'bet', amount: 500, userId: 1 });
+      const error = await waitFor(socket, 'error');
+
+      expect(error.code).toBe('AUTH_REQUIRED');
+      expect(gameEngine.placeBet).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Game rooms', () => {
+    it('should let a socket follow a room and send it the room\'s state', async () => {
+      const socket = connect();
+      await waitFor(socket, 'active_users'); // Sent after the default room's initial state
+
+      const joining = Promise.all([waitFor(socket, 'room_joined'), waitFor(socket, 'game_update')]);
+      socket.emit('join_room', { room: 'main' });
+      const [joined, state] = await joining;
+
+      expect(joined).toEqual({ roomId: 'main' });
+      expect(state).toMatchObject({ type: 'initial_state', data: { roundId: 1 } });
+    });
+
+    it('should reject unknown rooms', async () => {
+      const socket = connect();
+      await waitFor(socket, 'session');
+
+      socket.emit('join_room', { room: 'casino-royale' });
+      const error = await waitFor(socket, 'error');
+
+      expect(error).toMatchObject({ message: 'Could not join room', error: 'Room not found: casino-royale' });
+    });
+  });
+
+  describe('Chat events', () => {
+    it('should send chat messages under the authenticated username', async () => {
+      const socket = connect({ token: signToken(users[1]) });
+      await waitFor(socket, 'session');
+
+      socket.emit('chat_message', { message: 'Good luck everyone' });
+      const message = await waitFor(socket, 'chat_message');
+
+      expect(message.userId).toBe(1);
+      expect(message.username).toBe('alice');
+    });
+
+    it('should reject chat messages impersonating another user', async () => {
+      const socket = connect({ token: signToken(users[2]) });
+      await waitFor(socket, 'session');
+
+      socket.emit('chat_message', { message: 'hello', userId: 1, username: 'alice' });
+      const error = await waitFor(socket, 'error');
+
+      expect(error.code).toBe('IDENTITY_MISMATCH');
+      expect(chatService.getChatHistory()).toHaveLength(0);
+    });
+
+    it('should not let spectators join the chat', async () => {
+      const socket = connect();
+      await waitFor(socket, 'session');
+
+      socket.emit('join_chat', { userId: 1, username: 'alice' });
+      const error = await waitFor(socket, 'error');
+
+      expect(error.code).toBe('AUTH_REQUIRED');
+      expect(chatService.getActiveUsers()).toHaveLength(0);
+    });
+  });
+});
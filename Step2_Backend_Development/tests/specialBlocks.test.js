@@ -0,0 +1,226 @@
+jest.unmock('../services/gameEngine');
+
+const db = require('../db');
+const gameEngine = require('../services/gameEngine');
+const multiplierCurve = require('../services/multiplierCurve');
+const specialBlockService = require('../services/specialBlockService');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const CURVE = { type: 'exponential', growthRate: 0.1, specialBlocks: true };
+const SEEDS = { serverSeed: 'server-seed', clientSeed: 'client-seed', nonce: 7 };
+
+const block = (type, at) => specialBlockService.createEffect(type, specialBlockService.blockTypes[type], at, 1);
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Special Block Tests', () => {
+  describe('Schedule', () => {
+    it('should derive the same blocks from the same seeds', () => {
+      const first = specialBlockService.scheduleBlocks(SEEDS, 50, CURVE);
+      const second = specialBlockService.scheduleBlocks({ ...SEEDS }, 50, { ...CURVE });
+
+      expect(first).toEqual(second);
+      expect(first.length).toBeGreaterThan(0);
+    });
+
+    it('should draw a different schedule for a different nonce', () => {
+      const schedules = [1, 2, 3, 4, 5].map(nonce => JSON.stringify(specialBlockService.scheduleBlocks({ ...SEEDS, nonce }, 50, CURVE)));
+
+      expect(new Set(schedules).size).toBeGreaterThan(1);
+    });
+
+    it('should place blocks on whole seconds before the crash and stop at a crash block', () => {
+      for (let nonce = 0; nonce < 50; nonce++) {
+        const blocks = specialBlockService.scheduleBlocks({ ...SEEDS, nonce }, 20, CURVE);
+        const effectCurve = specialBlockService.applyEffects(CURVE, blocks.filter(b => b.effect !== 'force_crash'));
+
+        blocks.forEach((b, index) => {
+          expect(b.at % 1000).toBe(0);
+          expect(b.at).toBeLessThan(multiplierCurve.elapsedAt(20, effectCurve));
+          expect(b.multiplier).toBe(multiplierCurve.multiplierAt(b.at, effectCurve));
+          if (b.effect === 'force_crash') {
+            expect(index).toBe(blocks.length - 1);
+          }
+        });
+      }
+    });
+
+    it('should schedule no block before the first slot', () => {
+      expect(specialBlockService.scheduleBlocks(SEEDS, 1.05, CURVE)).toEqual([]);
+    });
+  });
+
+  describe('Curve effects', () => {
+    it('should speed the climb up during a boost', () => {
+      const curve = specialBlockService.applyEffects(CURVE, [block('boost', 2000)]);
+
+      expect(multiplierCurve.multiplierAt(2000, curve)).toBe(multiplierCurve.multiplierAt(2000, CURVE));
+      expect(multiplierCurve.multiplierAt(4000, curve)).toBe(multiplierCurve.multiplierAt(5000, CURVE));
+      // After the boost the curve runs at its normal rate again, 5 seconds of curve time ahead
+      expect(multiplierCurve.multiplierAt(15000, curve)).toBe(multiplierCurve.multiplierAt(20000, CURVE));
+    });
+
+    it('should hold the multiplier during a safety block', () => {
+      const curve = specialBlockService.applyEffects(CURVE, [block('safety', 3000)]);
+
+      expect(multiplierCurve.multiplierAt(5000, curve)).toBe(multiplierCurve.multiplierAt(3000, CURVE));
+      expect(multiplierCurve.multiplierAt(10000, curve)).toBe(multiplierCurve.multiplierAt(5000, CURVE));
+    });
+
+    it('should find the first millisecond a multiplier is reached on a reshaped curve', () => {
+      const curve = specialBlockService.applyEffects(CURVE, [block('boost', 2000), block('safety', 6000)]);
+
+      [1.1, 1.5, 2, 2.5, 5, 20].forEach(multiplier => {
+        const elapsed = multiplierCurve.elapsedAt(multiplier, curve);
+        expect(multiplierCurve.multiplierAt(elapsed, curve)).toBeGreaterThanOrEqual(multiplier);
+        expect(multiplierCurve.multiplierAt(elapsed - 1, curve)).toBeLessThan(multiplier);
+      });
+    });
+
+    it('should slow integrity loss during a stability block', () => {
+      const curve = specialBlockService.applyEffects(CURVE, [block('stability', 0)]);
+
+      expect(multiplierCurve.integrityAt(5000, CURVE)).toBeCloseTo(100 - (multiplierCurve.multiplierAt(5000, CURVE) - 1) * 20);
+      expect(multiplierCurve.integrityAt(5000, curve)).toBeCloseTo(100 - (multiplierCurve.multiplierAt(5000, CURVE) - 1) * 5);
+    });
+
+    it('should leave the curve untouched without blocks', () => {
+      expect(specialBlockService.applyEffects(CURVE, [])).toBe(CURVE);
+    });
+  });
+
+  describe('Game loop', () => {
+    let fakeDb;
+    let emitted;
+
+    beforeEach(async () => {
+      fakeDb = createFakeDatabase();
+      db.query.mockImplementation(fakeDb.query);
+      db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+
+      emitted = [];
+      gameEngine.setIo({ to: () => ({ emit: (event, payload) => emitted.push({ event, payload }) }) });
+      gameEngine.seedMode = 'random';
+      gameEngine.redisAvailable = false;
+      gameEngine._cachedGameState = null;
+      gameEngine.lagCompensationMs = 0;
+      gameEngine.specialBlocksEnabled = true;
+
+      await gameEngine.startNewRound();
+      clearTimeout(gameEngine.roundTimer);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      gameEngine.specialBlocksEnabled = false;
+      gameEngine.cleanup();
+    });
+
+    // Run the round with a known crash point and special blocks; the test drives the clock
+    const startRunning = (crashPoint, blocks) => {
+      jest.spyOn(gameEngine, 'calculateCrashPoint').mockReturnValue(crashPoint);
+      jest.spyOn(specialBlockService, 'scheduleBlocks').mockReturnValue(blocks);
+      gameEngine.startRunningPhase();
+      clearInterval(gameEngine.gameLoop);
+      return gameEngine.runningStartTime;
+    };
+
+    it('should keep blocks private until the tower reaches them', () => {
+      const start = startRunning(10, [block('boost', 2000)]);
+
+      const roundStart = emitted.find(e => e.event === 'game_update' && e.payload.type === 'round_start').payload.data;
+      expect(roundStart.curve).not.toHaveProperty('effects');
+
+      gameEngine.tick(start + 1900);
+      expect(emitted.filter(e => e.event === 'special_block')).toEqual([]);
+
+      gameEngine.tick(start + 2100);
+      const [event] = emitted.filter(e => e.event === 'special_block');
+      expect(event.payload).toMatchObject({ roundId: gameEngine.roundId, block: { type: 'boost', effect: 'multiplier_boost', at: 2000 } });
+      expect(event.payload.curve).toEqual(gameEngine.effectCurve);
+      expect(gameEngine.specialBlock.type).toBe('boost');
+    });
+
+    it('should play the multiplier and integrity on the reshaped curve', () => {
+      const start = startRunning(10, [block('boost', 1000)]);
+
+      gameEngine.tick(start + 3000);
+
+      expect(gameEngine.multiplier).toBe(multiplierCurve.multiplierAt(4000, CURVE));
+      expect(gameEngine.integrity).toBe(multiplierCurve.integrityAt(3000, gameEngine.effectCurve));
+    });
+
+    it('should store the curve with every block when the round starts running', () => {
+      startRunning(10, [block('boost', 1000), block('safety', 4000)]);
+
+      const recorded = fakeDb.queries.find(q => q.text.includes('running_started_at'));
+      expect(JSON.parse(recorded.params[1]).effects.map(e => e.type)).toEqual(['boost', 'safety']);
+    });
+
+    it('should crash the tower at a crash block', async () => {
+      const start = startRunning(10, [block('crash', 3000)]);
+      expect(gameEngine.crashElapsed).toBe(3000);
+
+      gameEngine.tick(start + 3000);
+      await flushPromises();
+
+      expect(gameEngine.gameState).toBe('crashed');
+      expect(emitted.some(e => e.event === 'special_block' && e.payload.block.type === 'crash')).toBe(true);
+      clearTimeout(gameEngine.roundTimer);
+    });
+
+    it('should double the first cash-out inside a bonus window', async () => {
+      const first = await gameEngine.placeBet(1, 100);
+      const second = await gameEngine.placeBet(1, 100);
+      const start = startRunning(10, [block('bonus', 1000)]);
+      gameEngine.tick(start + 1500);
+
+      const doubled = await gameEngine.cashOut(1, first.betId, start + 2000);
+      const plain = await gameEngine.cashOut(1, second.betId, start + 2500);
+
+      expect(doubled.winnings).toBeCloseTo(100 * doubled.cashoutMultiplier * 2);
+      expect(doubled.bonus).toBeCloseTo(100 * doubled.cashoutMultiplier);
+      expect(plain.bonus).toBe(0);
+      expect(gameEngine.paidOut).toBeCloseTo(doubled.winnings + plain.winnings);
+    });
+
+    it('should not pay a bonus outside its window', async () => {
+      const bet = await gameEngine.placeBet(1, 100);
+      const start = startRunning(10, [block('bonus', 1000)]);
+
+      const result = await gameEngine.cashOut(1, bet.betId, start + 500);
+
+      expect(result.bonus).toBe(0);
+    });
+
+    it('should cap a bonus at the payout limit per bet', async () => {
+      const limits = gameEngine.riskLimits;
+      gameEngine.riskLimits = { ...limits, maxPayoutPerBet: 200 };
+      const bet = await gameEngine.placeBet(1, 100);
+      const start = startRunning(10, [block('bonus', 1000)]);
+
+      const result = await gameEngine.cashOut(1, bet.betId, start + 2000);
+      gameEngine.riskLimits = limits;
+
+      expect(result.cashoutMultiplier).toBe(1.22);
+      expect(result.winnings).toBeCloseTo(200);
+    });
+
+    it('should verify the blocks a round was played with', async () => {
+      gameEngine.startRunningPhase();
+      await gameEngine.crashTower();
+      const round = fakeDb.rounds.get(gameEngine.roundId);
+
+      const result = await gameEngine.verifyRound(gameEngine.roundId);
+      expect(result.specialBlocks).toEqual(gameEngine.specialBlocks);
+      expect(result.specialBlocksMatch).toBe(true);
+      expect(result.verified).toBe(true);
+
+      // A block the seeds do not produce
+      round.multiplier_curve = specialBlockService.applyEffects(round.multiplier_curve, [block('safety', 500)]);
+      const tampered = await gameEngine.verifyRound(gameEngine.roundId);
+      expect(tampered.specialBlocksMatch).toBe(false);
+      expect(tampered.verified).toBe(false);
+    });
+  });
+});
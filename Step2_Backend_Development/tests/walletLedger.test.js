@@ -0,0 +1,318 @@
+jest.unmock('../services/gameEngine');
+
+const db = require('../db');
+const ledgerService = require('../services/ledgerService');
+const paymentService = require('../services/paymentService');
+const { EngineHarness } = require('./helpers/engineHarness');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+// The ledger starts with an opening entry funding the players' balances from the house, as the migration writes it
+const createLedgerDatabase = (extend = null) => {
+  const fakeDb = createFakeDatabase({
+    users: [
+      { id: 1, username: 'alice', balance: 10000, free_bet_credits: 0, client_seed: 'alice-seed' },
+      { id: 2, username: 'bob', balance: 10000, free_bet_credits: 500, client_seed: 'bob-seed' }
+    ],
+    extend
+  });
+  fakeDb.entries.push({
+    id: 1,
+    type: 'opening_balance',
+    referenceType: null,
+    referenceId: null,
+    description: null,
+    postings: [
+      { account: 'player_cash', userId: 1, amount: 10000 },
+      { account: 'player_cash', userId: 2, amount: 10000 },
+      { account: 'player_bonus', userId: 2, amount: 500 },
+      { account: 'house', userId: null, amount: -20500 }
+    ]
+  });
+  return fakeDb;
+};
+
+// payment_transactions on top of the ledger
+const createPaymentDatabase = () => createLedgerDatabase(() => {
+  const transactions = [];
+
+  return {
+    transactions,
+    query: (text, params) => {
+      if (text.includes('FROM payment_transactions') && text.includes('WHERE id = $1')) {
+        return { rows: transactions.filter(t => t.id === params[0]).map(t => ({ ...t })) };
+      }
+      if (text.includes('UPDATE payment_transactions') && text.includes('SET status = $1, updated_at = NOW()')) {
+        transactions.find(t => t.id === params[1]).status = params[0];
+        return { rows: [] };
+      }
+    }
+  };
+});
+
+// Pool clients that hold the payment_transactions rows they SELECT ... FOR UPDATE until they commit or roll back
+const createLockingClients = (fakeDb) => {
+  const locks = new Map(); // transaction id -> { released, release }
+
+  return () => {
+    const held = [];
+    const query = async (text, params) => {
+      if (text.includes('FROM payment_transactions') && text.includes('FOR UPDATE')) {
+        while (locks.has(params[0])) {
+          await locks.get(params[0]).released;
+        }
+        let release;
+        locks.set(params[0], { released: new Promise(resolve => { release = resolve; }), release });
+        held.push(params[0]);
+      }
+      const result = await fakeDb.query(text, params);
+      if (text === 'COMMIT' || text === 'ROLLBACK') {
+        held.splice(0).forEach(id => {
+          locks.get(id).release();
+          locks.delete(id);
+        });
+      }
+      return result;
+    };
+    return Promise.resolve({ query: jest.fn(query), release: jest.fn() });
+  };
+};
+
+describe('Wallet Ledger Tests', () => {
+  let fakeDb;
+  let client;
+
+  beforeEach(() => {
+    fakeDb = createLedgerDatabase();
+    db.query.mockImplementation(fakeDb.query);
+    client = { query: jest.fn(fakeDb.query), release: jest.fn() };
+    db.pool.connect.mockResolvedValue(client);
+  });
+
+  const entriesOfType = (type) => fakeDb.entries.filter(entry => entry.type === type);
+
+  describe('Posting entries', () => {
+    it('should write a balanced entry and move the player snapshots with it', async () => {
+      await ledgerService.transfer(client, {
+        type: 'test_transfer',
+        from: ledgerService.accounts.playerCash(1),
+        to: ledgerService.accounts.playerBonus(2),
+        amount: 250.5,
+        referenceType: 'test',
+        referenceId: 7
+      });
+
+      const [entry] = entriesOfType('test_transfer');
+      expect(entry).toMatchObject({ referenceType: 'test', referenceId: '7' });
+      expect(entry.postings).toEqual([
+        { account: 'player_cash', userId: 1, amount: -250.5 },
+        { account: 'player_bonus', userId: 2, amount: 250.5 }
+      ]);
+      expect(fakeDb.users.get(1).balance).toBe(9749.5);
+      expect(fakeDb.users.get(2).free_bet_credits).toBe(750.5);
+    });
+
+    it('should reject an entry whose postings do not sum to zero', async () => {
+      await expect(ledgerService.post(client, {
+        type: 'lopsided',
+        postings: [
+          { ...ledgerService.accounts.house, amount: -100 },
+          { ...ledgerService.accounts.playerCash(1), amount: 100.01 }
+        ]
+      })).rejects.toThrow('Ledger entry lopsided does not balance');
+
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject player accounts without a user and system accounts with one', async () => {
+      await expect(ledgerService.post(client, {
+        type: 'anonymous',
+        postings: [{ ...ledgerService.accounts.house, amount: -100 }, { account: 'player_cash', amount: 100 }]
+      })).rejects.toThrow('Invalid ledger account: player_cash');
+
+      await expect(ledgerService.post(client, {
+        type: 'owned_house',
+        postings: [{ account: 'house', userId: 1, amount: -100 }, { ...ledgerService.accounts.playerCash(1), amount: 100 }]
+      })).rejects.toThrow('Invalid ledger account: house of user 1');
+
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to overdraw a player account without writing anything', async () => {
+      await expect(ledgerService.transfer(client, {
+        type: 'overdraft',
+        from: ledgerService.accounts.playerCash(1),
+        to: ledgerService.accounts.house,
+        amount: 10000.01
+      })).rejects.toThrow('Insufficient balance');
+
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(client.query.mock.calls[0][0]).toContain('FOR UPDATE');
+      expect(fakeDb.entries).toHaveLength(1);
+      expect(fakeDb.users.get(1).balance).toBe(10000);
+    });
+
+    it('should leave out postings that round to nothing', async () => {
+      await ledgerService.post(client, {
+        type: 'refund_without_premium',
+        postings: [
+          { ...ledgerService.accounts.house, amount: -100 },
+          { ...ledgerService.accounts.insurancePool, amount: -0.001 },
+          { ...ledgerService.accounts.playerCash(1), amount: 100 }
+        ]
+      });
+
+      expect(entriesOfType('refund_without_premium')[0].postings.map(p => p.account)).toEqual(['house', 'player_cash']);
+    });
+
+    it('should post in a transaction of its own and roll it back on failure', async () => {
+      await ledgerService.recordTransfer({
+        type: 'community_reward',
+        from: ledgerService.accounts.house,
+        to: ledgerService.accounts.playerCash(1),
+        amount: 500
+      });
+      await expect(ledgerService.recordTransfer({
+        type: 'overdraft',
+        from: ledgerService.accounts.playerBonus(1),
+        to: ledgerService.accounts.house,
+        amount: 1
+      })).rejects.toThrow('Insufficient balance');
+
+      const statements = client.query.mock.calls.map(([text]) => text);
+      expect(statements.filter(text => text === 'COMMIT')).toHaveLength(1);
+      expect(statements.filter(text => text === 'ROLLBACK')).toHaveLength(1);
+      expect(client.release).toHaveBeenCalledTimes(2);
+      expect(fakeDb.users.get(1).balance).toBe(10500);
+    });
+  });
+
+  describe('Game engine', () => {
+    let harness;
+
+    beforeEach(() => {
+      harness = new EngineHarness();
+      harness.engine.lagCompensationMs = 0;
+    });
+
+    afterEach(() => {
+      harness.stop();
+    });
+
+    it('should take stakes into the house and pay cash-outs out of it', async () => {
+      await harness.startRound();
+      const { betId } = await harness.placeBet(1, 1000);
+      await harness.startRunning({ crashPoint: 5 });
+      await harness.cashOutAt(1, betId, 2.5);
+
+      expect(entriesOfType('bet_stake')).toEqual([expect.objectContaining({
+        referenceType: 'bet',
+        referenceId: String(betId),
+        postings: [{ account: 'player_cash', userId: 1, amount: -1000 }, { account: 'house', userId: null, amount: 1000 }]
+      })]);
+      expect(entriesOfType('bet_payout')).toEqual([expect.objectContaining({
+        referenceId: String(betId),
+        postings: [{ account: 'house', userId: null, amount: -2500 }, { account: 'player_cash', userId: 1, amount: 2500 }]
+      })]);
+      expect(fakeDb.users.get(1).balance).toBe(11500);
+    });
+
+    it('should keep lost stakes with the house', async () => {
+      await harness.startRound();
+      await harness.placeBet(2, 500);
+      await harness.startRunning({ crashPoint: 1.5 });
+      await harness.crash();
+
+      expect(entriesOfType('bet_payout')).toEqual([]);
+      expect(fakeDb.accountBalance('house', null)).toBe(-20500 + 500);
+      expect(fakeDb.users.get(2).balance).toBe(9500);
+    });
+
+    it('should refund a cancelled bet from the house and its premium from the insurance pool', async () => {
+      await harness.startRound();
+      const { betId, insurance } = await harness.placeBet(1, 1000, { insurance: 'basic' });
+      expect(entriesOfType('insurance_premium')[0].postings).toEqual([
+        { account: 'player_cash', userId: 1, amount: -insurance.totalPremium },
+        { account: 'insurance_pool', userId: null, amount: insurance.totalPremium }
+      ]);
+
+      const result = await harness.engine.cancelBet(1, betId);
+
+      expect(result.refunded).toBe(1000 + insurance.totalPremium);
+      expect(entriesOfType('bet_refund')[0].postings).toEqual([
+        { account: 'house', userId: null, amount: -1000 },
+        { account: 'insurance_pool', userId: null, amount: -insurance.totalPremium },
+        { account: 'player_cash', userId: 1, amount: 1000 + insurance.totalPremium }
+      ]);
+      expect(fakeDb.users.get(1).balance).toBe(10000);
+      expect(fakeDb.accountBalance('insurance_pool', null)).toBe(0);
+    });
+
+    it('should keep practice bets out of the ledger', async () => {
+      fakeDb.users.get(1).practice_balance = 100000;
+      await harness.startRound();
+      await harness.placeBet(1, 1000, { practice: true });
+
+      expect(fakeDb.entries).toHaveLength(1);
+      expect(fakeDb.users.get(1).balance).toBe(10000);
+    });
+  });
+
+  describe('Recharges', () => {
+    it('should credit a recharge once when two of its completions are settled at the same time', async () => {
+      fakeDb = createPaymentDatabase();
+      db.query.mockImplementation(fakeDb.query);
+      db.pool.connect.mockImplementation(createLockingClients(fakeDb));
+      fakeDb.transactions.push({ id: 1, user_id: 1, amount: 5000, gateway: 'mtn', status: 'pending' });
+
+      await Promise.all([
+        paymentService.handleSuccessfulPayment(1, 5000, 1, 'mtn'),
+        paymentService.handleSuccessfulPayment(1, 5000, 1, 'mtn')
+      ]);
+
+      expect(fakeDb.transactions[0].status).toBe('completed');
+      expect(entriesOfType('recharge')).toEqual([expect.objectContaining({ referenceType: 'payment_transaction', referenceId: '1' })]);
+      expect(fakeDb.users.get(1).balance).toBe(15000);
+    });
+  });
+
+  describe('Consistency check', () => {
+    it('should report a consistent ledger with the system account balances', async () => {
+      await ledgerService.transfer(client, {
+        type: 'bet_stake',
+        from: ledgerService.accounts.playerCash(1),
+        to: ledgerService.accounts.house,
+        amount: 1000
+      });
+
+      const report = await ledgerService.checkConsistency();
+
+      expect(report).toMatchObject({
+        consistent: true,
+        unbalancedEntries: [],
+        mismatchedBalances: [],
+        systemBalances: { house: -19500, insurance_pool: 0, tournament_escrow: 0, gateway_clearing: 0 }
+      });
+      expect(new Date(report.checkedAt).toString()).not.toBe('Invalid Date');
+    });
+
+    it('should report a balance changed outside the ledger', async () => {
+      fakeDb.users.get(2).balance += 300;
+
+      const report = await ledgerService.checkConsistency();
+
+      expect(report.consistent).toBe(false);
+      expect(report.mismatchedBalances).toEqual([
+        { userId: 2, balance: 10300, ledgerBalance: 10000, freeBetCredits: 500, ledgerFreeBetCredits: 500 }
+      ]);
+    });
+
+    it('should report entries that do not balance', async () => {
+      fakeDb.entries.push({ id: 2, type: 'broken', postings: [{ account: 'house', userId: null, amount: 5 }] });
+
+      const report = await ledgerService.checkConsistency();
+
+      expect(report.consistent).toBe(false);
+      expect(report.unbalancedEntries).toEqual([{ entryId: 2, total: 5 }]);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+jest.unmock('../redisClient');
+
+const request = require('supertest');
+const express = require('express');
+const db = require('../db');
+const redisClient = require('../redisClient');
+const paymentService = require('../services/paymentService');
+const withdrawalService = require('../services/withdrawalService');
+const webhookSecurityService = require('../services/webhookSecurityService');
+const { signCallback, signStripeEvent } = require('./helpers/webhooks');
+
+const app = express();
+app.use(express.json({ verify: webhookSecurityService.captureRawBody }));
+app.use('/api/payment', require('../routes/payment'));
+
+const secrets = { stripe: 'stripe-webhook-secret', mtn: 'mtn-webhook-secret', orange: 'orange-webhook-secret', bank: '' };
+
+describe('Webhook Security Tests', () => {
+  let rejections;
+  let settleGatewayPayment;
+  let handlePayoutUpdate;
+
+  beforeEach(() => {
+    redisClient.clearCache();
+    Object.assign(webhookSecurityService.secrets, secrets);
+
+    rejections = [];
+    db.query.mockImplementation((text, params) => {
+      if (text.includes('INSERT INTO webhook_rejections')) {
+        const [gateway, reason, detail, sourceIp, eventId, headers, body] = params;
+        rejections.push({ gateway, reason, detail, sourceIp, eventId, headers: JSON.parse(headers), body });
+      }
+      return Promise.resolve({ rows: [] });
+    });
+
+    settleGatewayPayment = jest.spyOn(paymentService, 'settleGatewayPayment').mockResolvedValue({ id: 42 });
+    handlePayoutUpdate = jest.spyOn(withdrawalService, 'handlePayoutUpdate').mockResolvedValue({ id: 7 });
+  });
+
+  afterEach(() => {
+    ['stripe', 'mtn', 'orange', 'bank'].forEach(gateway => webhookSecurityService.setAllowedIps(gateway, ''));
+    jest.restoreAllMocks();
+  });
+
+  const completion = { eventId: 'evt-1', status: 'completed', reference: 'RC-42' };
+  const send = ({ payload, headers }, gateway = 'mtn') =>
+    request(app).post(`/api/payment/webhook/${gateway}`).set(headers).send(payload);
+
+  it('should process a correctly signed callback', async () => {
+    await send(signCallback(secrets.mtn, completion)).expect(200);
+
+    expect(settleGatewayPayment).toHaveBeenCalledWith('mtn', expect.objectContaining({ reference: 'RC-42', status: 'completed' }));
+    expect(rejections).toEqual([]);
+  });
+
+  it('should reject and record a forged completion without a signature', async () => {
+    const response = await request(app)
+      .post('/api/payment/webhook/mtn')
+      .set('Authorization', 'Bearer stolen-token')
+      .send(completion)
+      .expect(401);
+
+    expect(response.body).toEqual({ error: 'Webhook rejected' });
+    expect(settleGatewayPayment).not.toHaveBeenCalled();
+    expect(rejections).toEqual([expect.objectContaining({
+      gateway: 'mtn', reason: 'missing_signature', eventId: 'evt-1', body: JSON.stringify(completion)
+    })]);
+    expect(rejections[0].sourceIp).toMatch(/127\.0\.0\.1|::1/);
+    expect(rejections[0].headers.authorization).toBeUndefined();
+  });
+
+  it('should reject callbacks whose body or secret does not match the signature', async () => {
+    const signed = signCallback(secrets.mtn, completion);
+    await send({ ...signed, payload: JSON.stringify({ ...completion, reference: 'RC-43' }) }).expect(401);
+    await send(signCallback('guessed-secret', completion)).expect(401);
+    await send(signCallback(secrets.orange, completion)).expect(401);
+
+    expect(rejections.map(rejection => rejection.reason)).toEqual(['invalid_signature', 'invalid_signature', 'invalid_signature']);
+    expect(settleGatewayPayment).not.toHaveBeenCalled();
+  });
+
+  it('should reject callbacks signed outside the timestamp window', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const tolerance = webhookSecurityService.toleranceSeconds;
+
+    await send(signCallback(secrets.mtn, completion, { timestamp: now - tolerance - 10 })).expect(401);
+    await send(signCallback(secrets.mtn, completion, { timestamp: now + tolerance + 10 })).expect(401);
+    await send(signCallback(secrets.mtn, completion, { timestamp: now - tolerance + 10 })).expect(200);
+
+    expect(rejections.map(rejection => rejection.reason)).toEqual(['stale_timestamp', 'stale_timestamp']);
+  });
+
+  it('should reject a replayed callback but accept a redelivery signed afresh', async () => {
+    const signed = signCallback(secrets.mtn, completion);
+
+    await send(signed).expect(200);
+    await send(signed).expect(401);
+    await send(signCallback(secrets.mtn, completion)).expect(200);
+
+    expect(rejections.map(rejection => rejection.reason)).toEqual(['replayed']);
+    // The redelivery repeats the event, which is processed once
+    expect(settleGatewayPayment).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the nonces of different gateways apart', async () => {
+    const nonce = 'shared-nonce';
+
+    await send(signCallback(secrets.mtn, completion, { nonce }), 'mtn').expect(200);
+    await send(signCallback(secrets.orange, completion, { nonce }), 'orange').expect(200);
+
+    expect(rejections).toEqual([]);
+  });
+
+  it('should reject every callback of a gateway without a webhook secret', async () => {
+    await send(signCallback('', completion), 'bank').expect(401);
+
+    expect(rejections).toEqual([expect.objectContaining({ gateway: 'bank', reason: 'not_configured' })]);
+    expect(settleGatewayPayment).not.toHaveBeenCalled();
+  });
+
+  it('should only accept callbacks from the allow-listed IPs of a gateway', async () => {
+    webhookSecurityService.setAllowedIps('mtn', '41.202.0.0/16, 10.1.2.3');
+    await send(signCallback(secrets.mtn, completion)).expect(403);
+
+    webhookSecurityService.setAllowedIps('mtn', '41.202.0.0/16, 127.0.0.1, ::1');
+    await send(signCallback(secrets.mtn, completion)).expect(200);
+
+    expect(rejections.map(rejection => rejection.reason)).toEqual(['ip_not_allowed']);
+    expect(webhookSecurityService.isAllowedIp('mtn', '::ffff:41.202.7.9')).toBe(true);
+    expect(webhookSecurityService.isAllowedIp('mtn', '41.203.7.9')).toBe(false);
+  });
+
+  it('should not let a forged payout update touch a withdrawal', async () => {
+    const payout = { type: 'payout', reference: 'WD-7', status: 'failed' };
+
+    await request(app).post('/api/payment/webhook/mtn').send(payout).expect(401);
+    expect(handlePayoutUpdate).not.toHaveBeenCalled();
+
+    await send(signCallback(secrets.mtn, payout)).expect(200);
+    expect(handlePayoutUpdate).toHaveBeenCalledWith('mtn', expect.objectContaining({ reference: 'WD-7', status: 'failed' }));
+  });
+
+  it('should verify Stripe events with the Stripe-Signature scheme', async () => {
+    const handleSuccessfulPayment = jest.spyOn(paymentService, 'handleSuccessfulPayment').mockResolvedValue({ id: 'pi_1' });
+    const event = {
+      id: 'evt_stripe_1',
+      type: 'payment_intent.succeeded',
+      data: { object: { id: 'pi_1', amount: 500000, metadata: { userId: '1' } } }
+    };
+
+    await send(signStripeEvent('guessed-secret', event), 'stripe').expect(401);
+    await send(signStripeEvent(secrets.stripe, event), 'stripe').expect(200);
+
+    expect(handleSuccessfulPayment).toHaveBeenCalledWith('1', 5000, 'pi_1', 'stripe');
+    expect(rejections.map(rejection => rejection.reason)).toEqual(['invalid_signature']);
+  });
+
+  it('should turn away unknown gateways', async () => {
+    await send(signCallback(secrets.mtn, completion), 'paypal').expect(401);
+
+    expect(rejections).toEqual([expect.objectContaining({ gateway: 'paypal', reason: 'unsupported_gateway' })]);
+  });
+});
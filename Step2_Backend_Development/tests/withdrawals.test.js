@@ -0,0 +1,329 @@
+jest.unmock('../redisClient');
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const db = require('../db');
+const redisClient = require('../redisClient');
+const paymentService = require('../services/paymentService');
+const withdrawalService = require('../services/withdrawalService');
+const webhookSecurityService = require('../services/webhookSecurityService');
+const { createFakeDatabase, sum } = require('./helpers/fakeDatabase');
+const { postSignedCallback } = require('./helpers/webhooks');
+
+webhookSecurityService.secrets.mtn = 'mtn-webhook-secret';
+
+const app = express();
+app.use(express.json({ verify: webhookSecurityService.captureRawBody }));
+app.use('/api/v1/withdrawals', require('../routes/withdrawals'));
+app.use('/api/payment', require('../routes/payment'));
+
+// Withdrawals are the only table of their own; users and the ledger come from the shared fake
+const createWithdrawalDatabase = () => createFakeDatabase({
+  users: [
+    { id: 1, username: 'alice', email: 'alice@example.com', balance: 50000 },
+    { id: 9, username: 'admin', email: 'admin@example.com', role: 'admin', is_admin: true, balance: 0 }
+  ],
+  extend: ({ users }) => {
+    const withdrawals = [];
+    const find = (id) => withdrawals.find(w => w.id === id);
+
+    const query = (text, params) => {
+      if (text.includes('AS total') && text.includes('FROM withdrawals')) {
+        const total = sum(withdrawals.filter(w => w.user_id === params[0] && params[1].includes(w.status)).map(w => w.amount));
+        return { rows: [{ total }] };
+      }
+      if (text.includes('INSERT INTO withdrawals')) {
+        const row = {
+          id: withdrawals.length + 1, user_id: params[0], amount: params[1], payment_method: params[2], gateway: params[3],
+          destination: JSON.parse(params[4]), status: 'pending', gateway_transaction_id: null, failure_reason: null,
+          reviewed_by: null, reviewed_at: null, created_at: new Date(), completed_at: null
+        };
+        withdrawals.push(row);
+        return { rows: [{ ...row }] };
+      }
+      if (text.includes("SET status = 'processing'")) {
+        const row = find(params[0]);
+        if (!row || row.status !== 'pending') {
+          return { rows: [] };
+        }
+        Object.assign(row, { status: 'processing', reviewed_by: params[1], reviewed_at: params[1] ? new Date() : null });
+        return { rows: [{ ...row }] };
+      }
+      if (text.includes('SELECT * FROM withdrawals WHERE id = $1 FOR UPDATE')) {
+        const row = find(params[0]);
+        return { rows: row ? [{ ...row }] : [] };
+      }
+      if (text.includes('SET status = $2, failure_reason = $3')) {
+        const row = find(params[0]);
+        Object.assign(row, {
+          status: params[1],
+          failure_reason: params[2],
+          completed_at: params[1] === 'completed' ? new Date() : null,
+          reviewed_by: params[3] !== null ? params[3] : row.reviewed_by
+        });
+        return { rows: [{ ...row }] };
+      }
+      if (text.includes('SET gateway_transaction_id = $1')) {
+        find(params[1]).gateway_transaction_id = params[0];
+        return { rows: [] };
+      }
+      if (text.includes('SELECT status FROM withdrawals')) {
+        const row = withdrawals.find(w => w.id === params[0] && w.user_id === params[1]);
+        return { rows: row ? [{ status: row.status }] : [] };
+      }
+      if (text.includes('SELECT id FROM withdrawals')) {
+        const matches = withdrawals.filter(w => w.gateway === params[0] &&
+          ((params[1] && w.gateway_transaction_id === params[1]) || w.id === params[2]));
+        matches.sort((a, b) => (b.gateway_transaction_id === params[1]) - (a.gateway_transaction_id === params[1]));
+        return { rows: matches.slice(0, 1).map(w => ({ id: w.id })) };
+      }
+      if (text.includes('JOIN users u')) {
+        return {
+          rows: withdrawals
+            .filter(w => params[0] === null || w.status === params[0])
+            .map(w => ({ ...w, username: users.get(w.user_id).username }))
+        };
+      }
+      if (text.includes('FROM withdrawals')) {
+        return { rows: withdrawals.filter(w => w.user_id === params[0]).reverse() };
+      }
+      return undefined;
+    };
+
+    return { withdrawals, query };
+  }
+});
+
+const signToken = (user) =>
+  jwt.sign({ id: user.id, username: user.username, role: user.role }, config.jwtSecret, { expiresIn: '1h' });
+
+describe('Withdrawal Tests', () => {
+  let fakeDb;
+  let emitted;
+  let sendPayout;
+
+  beforeEach(() => {
+    redisClient.clearCache();
+    fakeDb = createWithdrawalDatabase();
+    db.query.mockImplementation(fakeDb.query);
+    db.pool.connect.mockResolvedValue({ query: jest.fn(fakeDb.query), release: jest.fn() });
+
+    emitted = [];
+    withdrawalService.setIo({ to: (channel) => ({ emit: (event, payload) => emitted.push({ channel, event, payload }) }) });
+    withdrawalService.limits = { min: 1000, max: 100000, daily: 150000, autoApproveMax: 0 };
+    sendPayout = jest.spyOn(paymentService, 'sendPayout')
+      .mockResolvedValue({ success: true, transactionId: 'MTN_PAYOUT_1', status: 'pending' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const balance = () => fakeDb.users.get(1).balance;
+  const entryTypes = () => fakeDb.entries.map(entry => entry.type);
+  const mtn = (amount) => ({ amount, paymentMethod: 'mtn_mobile_money', phoneNumber: '677123456' });
+  const payoutWebhook = (body, gateway = 'mtn') =>
+    postSignedCallback(request(app), `/api/payment/webhook/${gateway}`, `${gateway}-webhook-secret`, { type: 'payout', ...body })
+      .expect(200);
+
+  describe('Requests', () => {
+    it('should hold the amount and queue the withdrawal for approval', async () => {
+      const withdrawal = await withdrawalService.requestWithdrawal(1, mtn(20000));
+
+      expect(withdrawal).toMatchObject({ id: 1, amount: 20000, status: 'pending', gateway: 'mtn', destination: { phoneNumber: '677123456' } });
+      expect(balance()).toBe(30000);
+      expect(fakeDb.entries).toEqual([expect.objectContaining({
+        type: 'withdrawal_hold',
+        referenceType: 'withdrawal',
+        referenceId: '1',
+        postings: [{ account: 'player_cash', userId: 1, amount: -20000 }, { account: 'withdrawal_hold', userId: null, amount: 20000 }]
+      })]);
+      expect(sendPayout).not.toHaveBeenCalled();
+      expect(emitted).toEqual([expect.objectContaining({
+        channel: 'user:1',
+        event: 'withdrawal_update',
+        payload: expect.objectContaining({ newBalance: 30000 })
+      })]);
+    });
+
+    it('should refuse withdrawals outside the limits or the balance without holding anything', async () => {
+      await expect(withdrawalService.requestWithdrawal(1, mtn(500))).rejects.toThrow('must be between 1,000 FCFA and 100,000 FCFA');
+      await expect(withdrawalService.requestWithdrawal(1, mtn(100001))).rejects.toThrow('must be between');
+
+      fakeDb.users.get(1).balance = 5000;
+      await expect(withdrawalService.requestWithdrawal(1, mtn(6000))).rejects.toThrow('Insufficient balance');
+
+      expect(fakeDb.withdrawals).toEqual([]);
+      expect(fakeDb.entries).toEqual([]);
+      expect(balance()).toBe(5000);
+    });
+
+    it('should count pending and completed withdrawals against the daily limit', async () => {
+      fakeDb.users.get(1).balance = 500000;
+      await withdrawalService.requestWithdrawal(1, mtn(100000));
+      await withdrawalService.requestWithdrawal(1, mtn(40000));
+
+      await expect(withdrawalService.requestWithdrawal(1, mtn(20000)))
+        .rejects.toThrow('Daily withdrawal limit of 150,000 FCFA exceeded: 10,000 FCFA left today');
+
+      await withdrawalService.cancelWithdrawal(1, 2);
+      await expect(withdrawalService.requestWithdrawal(1, mtn(20000))).resolves.toMatchObject({ status: 'pending' });
+      await expect(withdrawalService.getLimits(1)).resolves.toMatchObject({ withdrawnToday: 120000, remainingToday: 30000 });
+    });
+
+    it('should send withdrawals within the auto-approval limit straight to the gateway', async () => {
+      withdrawalService.limits.autoApproveMax = 25000;
+      sendPayout.mockRestore();
+
+      const withdrawal = await withdrawalService.requestWithdrawal(1, {
+        amount: 25000, paymentMethod: 'bank_transfer', accountNumber: 'CM210001', bankCode: 'AFRI'
+      });
+
+      // No bank client is configured, so the simulated payout completes at once
+      expect(withdrawal).toMatchObject({ status: 'completed', gateway: 'bank' });
+      expect(withdrawal.completedAt).toBeTruthy();
+      expect(entryTypes()).toEqual(['withdrawal_hold', 'withdrawal_payout']);
+      expect(fakeDb.entries[1].postings).toEqual([
+        { account: 'withdrawal_hold', userId: null, amount: -25000 },
+        { account: 'gateway_clearing', userId: null, amount: 25000 }
+      ]);
+      expect(balance()).toBe(25000);
+    });
+  });
+
+  describe('Review and payout', () => {
+    it('should send an approved withdrawal and complete it when the gateway confirms', async () => {
+      await withdrawalService.requestWithdrawal(1, mtn(20000));
+
+      const approved = await withdrawalService.approveWithdrawal(1, 9);
+      expect(approved.status).toBe('processing');
+      expect(sendPayout).toHaveBeenCalledWith('mtn', 20000, { phoneNumber: '677123456' }, 'WD-1');
+      expect(fakeDb.withdrawals[0]).toMatchObject({ gateway_transaction_id: 'MTN_PAYOUT_1', reviewed_by: 9 });
+
+      await payoutWebhook({ transactionId: 'MTN_PAYOUT_1', reference: 'WD-1', status: 'completed' });
+      await payoutWebhook({ transactionId: 'MTN_PAYOUT_1', reference: 'WD-1', status: 'completed' });
+
+      expect(fakeDb.withdrawals[0].status).toBe('completed');
+      expect(entryTypes()).toEqual(['withdrawal_hold', 'withdrawal_payout']);
+      expect(balance()).toBe(30000);
+    });
+
+    it('should return the amount to the player when the payout fails', async () => {
+      await withdrawalService.requestWithdrawal(1, mtn(20000));
+      await withdrawalService.approveWithdrawal(1, 9);
+
+      await payoutWebhook({ transactionId: 'MTN_PAYOUT_1', status: 'failed', reason: 'Recipient account is blocked' });
+
+      expect(fakeDb.withdrawals[0]).toMatchObject({ status: 'failed', failure_reason: 'Recipient account is blocked' });
+      expect(entryTypes()).toEqual(['withdrawal_hold', 'withdrawal_reversal']);
+      expect(fakeDb.entries[1].postings).toEqual([
+        { account: 'withdrawal_hold', userId: null, amount: -20000 },
+        { account: 'player_cash', userId: 1, amount: 20000 }
+      ]);
+      expect(balance()).toBe(50000);
+    });
+
+    it('should find a payout by its reference when the webhook arrives before the gateway reply is stored', async () => {
+      await withdrawalService.requestWithdrawal(1, mtn(20000));
+      await withdrawalService.startProcessing(1, 9);
+
+      await payoutWebhook({ transactionId: 'MTN_PAYOUT_9', reference: 'WD-1', status: 'successful' });
+
+      expect(fakeDb.withdrawals[0].status).toBe('completed');
+    });
+
+    it('should fail and reverse a withdrawal the gateway refuses', async () => {
+      sendPayout.mockRejectedValue(new Error('mtn API error 400: Invalid payee'));
+      await withdrawalService.requestWithdrawal(1, mtn(20000));
+
+      const withdrawal = await withdrawalService.approveWithdrawal(1, 9);
+
+      expect(withdrawal).toMatchObject({ status: 'failed', failureReason: 'mtn API error 400: Invalid payee' });
+      expect(balance()).toBe(50000);
+    });
+
+    it('should keep the hold of a withdrawal the gateway could not be reached for until its webhook settles it', async () => {
+      sendPayout.mockRejectedValue(new Error('mtn API unreachable: fetch failed'));
+      await withdrawalService.requestWithdrawal(1, mtn(20000));
+
+      const withdrawal = await withdrawalService.approveWithdrawal(1, 9);
+
+      expect(withdrawal).toMatchObject({ status: 'processing', failureReason: null });
+      expect(entryTypes()).toEqual(['withdrawal_hold']);
+      expect(balance()).toBe(30000);
+
+      await payoutWebhook({ reference: 'WD-1', status: 'completed' });
+
+      expect(fakeDb.withdrawals[0].status).toBe('completed');
+      expect(entryTypes()).toEqual(['withdrawal_hold', 'withdrawal_payout']);
+      expect(balance()).toBe(30000);
+    });
+
+    it('should return a rejected withdrawal to the player only once', async () => {
+      await withdrawalService.requestWithdrawal(1, mtn(20000));
+
+      const rejected = await withdrawalService.rejectWithdrawal(1, 9, 'Documents required');
+      expect(rejected).toMatchObject({ status: 'rejected', failureReason: 'Documents required' });
+      expect(fakeDb.withdrawals[0].reviewed_by).toBe(9);
+      expect(balance()).toBe(50000);
+
+      await expect(withdrawalService.rejectWithdrawal(1, 9, 'Again')).rejects.toThrow('Withdrawal is rejected and can no longer be rejected');
+      await expect(withdrawalService.approveWithdrawal(1, 9)).rejects.toThrow('no longer pending');
+      expect(entryTypes()).toEqual(['withdrawal_hold', 'withdrawal_reversal']);
+    });
+
+    it('should list the queue with the players\' usernames', async () => {
+      await withdrawalService.requestWithdrawal(1, mtn(20000));
+      await withdrawalService.requestWithdrawal(1, mtn(5000));
+      await withdrawalService.approveWithdrawal(2, 9);
+
+      const queue = await withdrawalService.getWithdrawals('pending');
+
+      expect(queue).toEqual([expect.objectContaining({ id: 1, userId: 1, username: 'alice', amount: 20000, status: 'pending' })]);
+    });
+  });
+
+  describe('Player API', () => {
+    const auth = () => ({ Authorization: `Bearer ${signToken(fakeDb.users.get(1))}` });
+
+    it('should request a withdrawal and list it', async () => {
+      const created = await request(app).post('/api/v1/withdrawals').set(auth()).send(mtn(20000)).expect(201);
+      expect(created.body).toMatchObject({ id: 1, status: 'pending', amount: 20000 });
+
+      const list = await request(app).get('/api/v1/withdrawals').set(auth()).expect(200);
+      expect(list.body).toEqual([expect.objectContaining({ id: 1, status: 'pending' })]);
+
+      const limits = await request(app).get('/api/v1/withdrawals/limits').set(auth()).expect(200);
+      expect(limits.body).toMatchObject({ min: 1000, max: 100000, daily: 150000, remainingToday: 130000 });
+    });
+
+    it('should require the payout details of the method', async () => {
+      const response = await request(app).post('/api/v1/withdrawals').set(auth())
+        .send({ amount: 20000, paymentMethod: 'bank_transfer', accountNumber: 'CM210001' }).expect(400);
+
+      expect(response.body.error).toContain('bankCode');
+      await request(app).post('/api/v1/withdrawals').set(auth()).send({ amount: 20000, paymentMethod: 'paypal' }).expect(400);
+    });
+
+    it('should refuse a withdrawal over the balance', async () => {
+      const response = await request(app).post('/api/v1/withdrawals').set(auth()).send(mtn(60000)).expect(400);
+
+      expect(response.body.error).toBe('Insufficient balance');
+    });
+
+    it('should cancel a pending withdrawal but not one already sent', async () => {
+      await withdrawalService.requestWithdrawal(1, mtn(20000));
+      await withdrawalService.requestWithdrawal(1, mtn(10000));
+      await withdrawalService.approveWithdrawal(2, 9);
+
+      const cancelled = await request(app).post('/api/v1/withdrawals/1/cancel').set(auth()).expect(200);
+      expect(cancelled.body.status).toBe('cancelled');
+      await request(app).post('/api/v1/withdrawals/2/cancel').set(auth()).expect(409);
+      await request(app).post('/api/v1/withdrawals/3/cancel').set(auth()).expect(404);
+
+      expect(balance()).toBe(40000);
+    });
+  });
+});
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// The clock, timers and randomness the game engine runs on. Tests pass deterministic ones instead
+// (tests/helpers/engineHarness.js) to play whole rounds without waiting on real time.
+
+const systemClock = {
+  now: () => Date.now()
+};
+
+const systemScheduler = {
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: (timer) => clearInterval(timer)
+};
+
+const systemRandom = {
+  // `size` random bytes as a Buffer
+  bytes: (size) => crypto.randomBytes(size),
+  // Random integer in [0, max)
+  int: (max) => Math.floor(Math.random() * max)
+};
+
+module.exports = {
+  systemClock,
+  systemScheduler,
+  systemRandom
+};
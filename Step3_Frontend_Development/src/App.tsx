@@ -11,6 +11,7 @@ import TournamentPage from './pages/Tournament/TournamentPage';
 import AdminPage from './pages/Admin/AdminPage';
 import AdminDashboard from './pages/Admin/AdminDashboard';
 import RechargePage from './pages/Auth/RechargePage';
+import WithdrawPage from './pages/Auth/WithdrawPage';
 import VerificationPage from './pages/Auth/VerificationPage';
 import { useAuthStore } from './stores/authStore';
 import './App.css';
@@ -55,6 +56,7 @@ function AppRoutes() {
       <Route path="/" element={<HomePage />} />
       <Route path="/auth" element={<AuthPage />} />
       <Route path="/recharge" element={<RechargePage />} />
+      <Route path="/withdraw" element={<Protected><WithdrawPage /></Protected>} />
       <Route path="/verify" element={<VerificationPage />} />
       <Route path="/game" element={<Protected><GamePage /></Protected>} />
       <Route path="/profile" element={<Protected><ProfilePage /></Protected>} />
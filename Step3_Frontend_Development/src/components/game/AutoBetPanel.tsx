@@ -0,0 +1,274 @@
+import React, { useEffect, useState } from 'react';
+import { api } from '../../services/api';
+import { useAuthStore } from '../../stores/authStore';
+import { useGameStore, AutoBetStrategy } from '../../stores/gameStore';
+import { formatXAF, parseAmount } from '../../utils/currency';
+import { Repeat, Square, Play } from 'lucide-react';
+
+type AdjustAction = 'reset' | 'increase';
+
+// Auto tab: the server places the strategy's bets every round, so it keeps playing when this page is closed
+const AutoBetPanel: React.FC = () => {
+  const { token } = useAuthStore();
+  const { roomId, practiceMode, autoBetStrategy, setAutoBetStrategy } = useGameStore();
+  const [baseAmount, setBaseAmount] = useState('');
+  const [autoCashout, setAutoCashout] = useState('2.00');
+  const [maxBets, setMaxBets] = useState('10');
+  const [onWinAction, setOnWinAction] = useState<AdjustAction>('reset');
+  const [onWinPercent, setOnWinPercent] = useState('');
+  const [onLossAction, setOnLossAction] = useState<AdjustAction>('reset');
+  const [onLossPercent, setOnLossPercent] = useState('');
+  const [stopOnProfit, setStopOnProfit] = useState('');
+  const [stopOnLoss, setStopOnLoss] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Pick up a strategy that is already running, e.g. one started from another device
+  useEffect(() => {
+    if (!token) return;
+
+    const fetchStrategies = async () => {
+      try {
+        const response = await api.get('/v1/auto-bet/strategies', {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        const strategies: AutoBetStrategy[] = response.data;
+        setAutoBetStrategy(strategies.find(s => s.status === 'active') || strategies[0] || null);
+      } catch (err) {
+        console.error('Error fetching auto-bet strategies:', err);
+      }
+    };
+
+    fetchStrategies();
+  }, [token, setAutoBetStrategy]);
+
+  const running = autoBetStrategy?.status === 'active';
+
+  const handleStart = async () => {
+    const base = parseAmount(baseAmount);
+    const target = parseFloat(autoCashout);
+    const count = parseInt(maxBets);
+    if (!base || base <= 0) {
+      setError('Enter a base bet amount');
+      return;
+    }
+    if (!Number.isFinite(target) || target < 1.01) {
+      setError('Auto cashout must be at least 1.01x');
+      return;
+    }
+    if (!Number.isInteger(count) || count < 1 || count > 1000) {
+      setError('Number of bets must be between 1 and 1000');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await api.post('/v1/auto-bet/strategies', {
+        room: roomId,
+        baseAmount: base,
+        autoCashoutAt: target,
+        maxBets: count,
+        onWin: { action: onWinAction, percent: onWinAction === 'increase' ? parseFloat(onWinPercent) || 0 : 0 },
+        onLoss: { action: onLossAction, percent: onLossAction === 'increase' ? parseFloat(onLossPercent) || 0 : 0 },
+        ...(parseAmount(stopOnProfit) > 0 && { stopOnProfit: parseAmount(stopOnProfit) }),
+        ...(parseAmount(stopOnLoss) > 0 && { stopOnLoss: parseAmount(stopOnLoss) }),
+        practice: practiceMode
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setAutoBetStrategy(response.data);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to start auto-bet');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStop = async () => {
+    if (!autoBetStrategy) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await api.post(`/v1/auto-bet/strategies/${autoBetStrategy.id}/stop`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setAutoBetStrategy(response.data);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to stop auto-bet');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-600 rounded-lg bg-gray-700 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed';
+
+  const renderAdjustment = (
+    label: string,
+    action: AdjustAction,
+    setAction: (action: AdjustAction) => void,
+    percent: string,
+    setPercent: (percent: string) => void
+  ) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-300 mb-2">{label}</label>
+      <div className="flex space-x-2">
+        <select
+          value={action}
+          onChange={(e) => setAction(e.target.value as AdjustAction)}
+          disabled={running}
+          className="bg-gray-700 border border-gray-600 rounded-lg px-2 py-2 text-sm text-white"
+        >
+          <option value="reset">Reset to base</option>
+          <option value="increase">Increase by %</option>
+        </select>
+        {action === 'increase' && (
+          <input
+            type="number"
+            value={percent}
+            onChange={(e) => setPercent(e.target.value)}
+            placeholder="100"
+            disabled={running}
+            className={inputClass}
+          />
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div>
+      {/* Strategy Progress */}
+      {autoBetStrategy && (
+        <div className={`rounded-lg p-4 mb-6 ${running ? 'bg-blue-600' : 'bg-gray-700'}`}>
+          <div className="flex items-center justify-between mb-2">
+            <span className="font-bold flex items-center">
+              <Repeat className="w-4 h-4 mr-2" />
+              {running ? 'Auto-bet running' : 'Last auto-bet'}
+              {autoBetStrategy.practice ? ' (practice)' : ''}
+            </span>
+            <span className="text-sm">{autoBetStrategy.betsPlaced}/{autoBetStrategy.maxBets} bets</span>
+          </div>
+          <div className="grid grid-cols-3 gap-2 text-xs">
+            <div className="bg-gray-800 p-2 rounded">
+              <div className="text-gray-400">Next bet</div>
+              <div className="font-bold">{formatXAF(autoBetStrategy.currentAmount)}</div>
+            </div>
+            <div className="bg-gray-800 p-2 rounded">
+              <div className="text-gray-400">Won / Lost</div>
+              <div className="font-bold">{autoBetStrategy.wins} / {autoBetStrategy.losses}</div>
+            </div>
+            <div className="bg-gray-800 p-2 rounded">
+              <div className="text-gray-400">Net</div>
+              <div className={`font-bold ${autoBetStrategy.netProfit >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                {formatXAF(autoBetStrategy.netProfit)}
+              </div>
+            </div>
+          </div>
+          <div className="text-xs mt-2">
+            Cashing out at {autoBetStrategy.autoCashoutAt.toFixed(2)}x in room {autoBetStrategy.roomId}
+            {autoBetStrategy.stopReason ? ` • ${autoBetStrategy.stopReason}` : ''}
+          </div>
+        </div>
+      )}
+
+      {/* Strategy Settings */}
+      <div className="space-y-4 mb-6">
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Base Bet (FCFA)</label>
+            <input
+              type="number"
+              value={baseAmount}
+              onChange={(e) => setBaseAmount(e.target.value)}
+              placeholder="100"
+              disabled={running}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Auto Cashout (x)</label>
+            <input
+              type="number"
+              value={autoCashout}
+              onChange={(e) => setAutoCashout(e.target.value)}
+              placeholder="2.00"
+              disabled={running}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Number of Bets</label>
+          <input
+            type="number"
+            value={maxBets}
+            onChange={(e) => setMaxBets(e.target.value)}
+            placeholder="10"
+            disabled={running}
+            className={inputClass}
+          />
+        </div>
+
+        {renderAdjustment('On Win', onWinAction, setOnWinAction, onWinPercent, setOnWinPercent)}
+        {renderAdjustment('On Loss', onLossAction, setOnLossAction, onLossPercent, setOnLossPercent)}
+
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Stop on Profit</label>
+            <input
+              type="number"
+              value={stopOnProfit}
+              onChange={(e) => setStopOnProfit(e.target.value)}
+              placeholder="Optional"
+              disabled={running}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Stop on Loss</label>
+            <input
+              type="number"
+              value={stopOnLoss}
+              onChange={(e) => setStopOnLoss(e.target.value)}
+              placeholder="Optional"
+              disabled={running}
+              className={inputClass}
+            />
+          </div>
+        </div>
+        <p className="text-xs text-gray-400">
+          The loss limit is never exceeded: auto-bet stops before a bet that could take you past it.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-2 rounded-lg bg-red-600 text-white text-sm text-center">{error}</div>
+      )}
+
+      {running ? (
+        <button
+          onClick={handleStop}
+          disabled={loading}
+          className="w-full flex items-center justify-center bg-red-600 hover:bg-red-700 disabled:bg-gray-600 disabled:cursor-not-allowed py-3 rounded-lg font-semibold transition-colors"
+        >
+          <Square className="w-4 h-4 mr-2" />
+          {loading ? 'Stopping...' : 'Stop Auto-bet'}
+        </button>
+      ) : (
+        <button
+          onClick={handleStart}
+          disabled={loading || !baseAmount || !token}
+          className="w-full flex items-center justify-center bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed py-3 rounded-lg font-semibold transition-colors"
+        >
+          <Play className="w-4 h-4 mr-2" />
+          {loading ? 'Starting...' : 'Start Auto-bet'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AutoBetPanel;
@@ -3,18 +3,23 @@ import { motion } from 'framer-motion';
 import { useAuthStore } from '../../stores/authStore';
 import { useGameStore } from '../../stores/gameStore';
 import { useWebSocket } from '../../hooks/useWebSocket';
-import { DollarSign, Target, Zap, Wallet } from 'lucide-react';
+import { DollarSign, Target, Zap, Wallet, ArrowUpRight } from 'lucide-react';
 import { useNavigate, Link } from 'react-router-dom';
 import { formatXAF, parseAmount } from '../../utils/currency';
+import AutoBetPanel from './AutoBetPanel';
 
 const BettingInterface: React.FC = () => {
   const { user, updateBalance } = useAuthStore();
-  const { gameState, currentBet, hasPlacedBet, multiplier, setCurrentBet, setHasPlacedBet } = useGameStore();
+  const {
+    gameState, currentBet, multiplier, myBets, practiceMode, practiceBalance,
+    setCurrentBet, setHasPlacedBet, setPracticeBalance
+  } = useGameStore();
   const { isConnected, sendMessage } = useWebSocket();
   const navigate = useNavigate();
   const [betAmount, setBetAmount] = useState('');
   const [autoCashout, setAutoCashout] = useState('');
   const [loading, setLoading] = useState(false);
+  const [mode, setMode] = useState<'manual' | 'auto'>('manual');
   const [selectedInsurance, setSelectedInsurance] = useState<'basic' | 'premium' | 'elite' | null>(null);
   const [insuranceOptions, setInsuranceOptions] = useState<any[]>([]);
   const [insuranceGames, setInsuranceGames] = useState(1); // Number of games to insure
@@ -27,7 +32,17 @@ const BettingInterface: React.FC = () => {
     return Number.isFinite(parsed) ? parsed : 0;
   })();
 
+  // Practice bets play from the practice wallet, which the server refills when it runs low
+  const walletBalance = practiceMode ? practiceBalance : numericBalance;
+
   const MIN_BET = 100; // FCFA
+  const MAX_BETS_PER_ROUND = 3; // Bet slots per round, enforced by the server
+
+  // Bets placed once the round has started are queued for the next round
+  const queueing = gameState !== 'waiting';
+  const activeBets = myBets.filter(bet => !bet.queued);
+  const queuedBets = myBets.filter(bet => bet.queued);
+  const slotsFull = (queueing ? queuedBets : activeBets).length >= MAX_BETS_PER_ROUND;
 
   // Fetch insurance options when bet amount changes
   const fetchInsuranceOptions = async (amount: number) => {
@@ -64,17 +79,12 @@ const BettingInterface: React.FC = () => {
     const bet = parseAmount(betAmount);
     if (!bet || bet <= 0) return;
 
-    if (hasPlacedBet) {
-      alert('You already have an active bet. Please wait for the current round to end.');
-      return;
-    }
-
-    if (gameState !== 'waiting') {
-      alert('You can only place bets before the round starts.');
+    if (slotsFull) {
+      alert(`You can hold up to ${MAX_BETS_PER_ROUND} bets per round.`);
       return;
     }
 
-    if (numericBalance < bet) {
+    if (!practiceMode && numericBalance < bet) {
       navigate('/recharge');
       return;
     }
@@ -84,15 +94,27 @@ const BettingInterface: React.FC = () => {
       return;
     }
 
+    // The server settles the bet at this multiplier even if the page is closed
+    const autoCashoutTarget = autoCashout ? parseFloat(autoCashout) : null;
+    if (autoCashoutTarget !== null && (!Number.isFinite(autoCashoutTarget) || autoCashoutTarget < 1.01)) {
+      alert('Auto cashout must be at least 1.01x');
+      return;
+    }
+
     setLoading(true);
     try {
-      // Deduct bet amount immediately
-      const newBalance = numericBalance - bet;
-      updateBalance(newBalance);
+      // Deduct bet amount immediately (a practice stake is confirmed by the server's wallet balance)
+      if (practiceMode) {
+        setPracticeBalance(Math.max(0, practiceBalance - bet));
+      } else {
+        updateBalance(numericBalance - bet);
+      }
       
-      // Set bet state in store
-      setCurrentBet(bet);
-      setHasPlacedBet(true);
+      // Set bet state in store (the slot itself is added when the server confirms the bet)
+      if (!queueing) {
+        setCurrentBet(currentBet + (practiceMode ? 0 : bet));
+        setHasPlacedBet(true);
+      }
       
       // Send bet to backend via WebSocket with insurance
       if (isConnected) {
@@ -100,9 +122,10 @@ const BettingInterface: React.FC = () => {
           type: 'player_action',
           action: 'bet',
           amount: bet,
-          insuranceType: selectedInsurance,
-          insuranceGames: selectedInsurance ? insuranceGames : 1,
-          userId: user?.id
+          insuranceType: practiceMode ? null : selectedInsurance,
+          insuranceGames: selectedInsurance && !practiceMode ? insuranceGames : 1,
+          autoCashoutAt: autoCashoutTarget,
+          practice: practiceMode
         });
       }
       
@@ -111,18 +134,18 @@ const BettingInterface: React.FC = () => {
     } catch (error) {
       console.error('Error placing bet:', error);
       // Revert balance if bet fails
-      updateBalance(numericBalance);
+      if (practiceMode) {
+        setPracticeBalance(practiceBalance);
+      } else {
+        updateBalance(numericBalance);
+      }
     } finally {
       setLoading(false);
     }
   };
 
-  const handleCashout = async () => {
-    if (!hasPlacedBet || currentBet <= 0) {
-      alert('No active bet to cash out.');
-      return;
-    }
-
+  // Cash out `fraction` of a bet; the server keeps the rest riding. Both parts must be at least the minimum bet.
+  const handleCashout = async (betId: number, amount: number, practice: boolean, fraction = 1) => {
     if (gameState !== 'running') {
       alert('Cash out is only available while the round is running.');
       return;
@@ -131,24 +154,32 @@ const BettingInterface: React.FC = () => {
     setLoading(true);
     try {
       // Calculate winnings based on current multiplier
-      const winnings = currentBet * multiplier;
-      const newBalance = numericBalance + winnings;
+      const stake = fraction < 1 ? Math.round(amount * fraction * 100) / 100 : amount;
+      const winnings = stake * multiplier;
       
       // Update balance immediately
-      updateBalance(newBalance);
+      if (practice) {
+        setPracticeBalance(practiceBalance + winnings);
+      } else {
+        updateBalance(numericBalance + winnings);
+      }
       
-      // Send cashout to backend via WebSocket
+      // Send cashout to backend via WebSocket; the slot is removed when the server confirms it
       if (isConnected) {
         sendMessage({
           type: 'player_action',
           action: 'cashout',
-          userId: user?.id
+          betId,
+          ...(fraction < 1 && { fraction })
         });
       }
       
-      // Reset bet state
-      setCurrentBet(0);
-      setHasPlacedBet(false);
+      // Update bet state
+      const remaining = activeBets
+        .filter(bet => bet.betId !== betId || stake < amount)
+        .map(bet => (bet.betId === betId ? { ...bet, amount: amount - stake } : bet));
+      setCurrentBet(remaining.reduce((sum, bet) => sum + (bet.practice ? 0 : bet.amount), 0));
+      setHasPlacedBet(remaining.length > 0);
       
     } catch (error) {
       console.error('Error cashing out:', error);
@@ -157,6 +188,17 @@ const BettingInterface: React.FC = () => {
     }
   };
 
+  const handleCancel = (betId: number) => {
+    // The slot and balance are updated when the server confirms the refund
+    if (isConnected) {
+      sendMessage({
+        type: 'player_action',
+        action: 'cancel',
+        betId
+      });
+    }
+  };
+
   const handleQuickAmount = (amount: number) => {
     setBetAmount(amount.toString());
     fetchInsuranceOptions(amount);
@@ -197,251 +239,308 @@ const BettingInterface: React.FC = () => {
       {/* Balance Display */}
       <div className="bg-gray-700 rounded-lg p-4 mb-6">
         <div className="flex items-center justify-between">
-          <span className="text-gray-300">Balance</span>
-          <span className="text-green-400 font-bold text-lg">
-            {formatXAF(numericBalance)}
+          <span className="text-gray-300">{practiceMode ? 'Practice Balance' : 'Balance'}</span>
+          <span className={`font-bold text-lg ${practiceMode ? 'text-yellow-400' : 'text-green-400'}`}>
+            {formatXAF(walletBalance)}
           </span>
         </div>
         <div className="mt-3 text-right">
-          <Link to="/recharge" className="inline-flex items-center text-sm text-blue-400 hover:text-blue-300">
-            <Wallet className="w-4 h-4 mr-1" /> Recharge
-          </Link>
+          {practiceMode ? (
+            <span className="text-sm text-gray-400">Play money - refilled automatically</span>
+          ) : (
+            <div className="inline-flex items-center space-x-4">
+              <Link to="/recharge" className="inline-flex items-center text-sm text-blue-400 hover:text-blue-300">
+                <Wallet className="w-4 h-4 mr-1" /> Recharge
+              </Link>
+              <Link to="/withdraw" className="inline-flex items-center text-sm text-blue-400 hover:text-blue-300">
+                <ArrowUpRight className="w-4 h-4 mr-1" /> Withdraw
+              </Link>
+            </div>
+          )}
         </div>
       </div>
 
-      {/* Current Bet Status - REMOVED TEXT, KEPT FUNCTIONALITY */}
-      {hasPlacedBet && (
-        <div className="bg-blue-600 rounded-lg p-4 mb-6">
-          <div className="text-center text-white">
-            <div className="text-3xl font-bold">{formatXAF(currentBet)}</div>
-            <div className="text-sm">Multiplier: {multiplier.toFixed(2)}x</div>
-          </div>
+      {/* Bet Slots */}
+      {myBets.length > 0 && (
+        <div className="space-y-2 mb-6">
+          {myBets.map((bet) => (
+            <div key={bet.betId} className={`rounded-lg p-3 flex items-center justify-between ${bet.queued ? 'bg-gray-700' : 'bg-blue-600'}`}>
+              <div className="text-white">
+                <div className="font-bold">{formatXAF(bet.amount)}{bet.practice ? ' (practice)' : ''}</div>
+                <div className="text-xs">
+                  {bet.queued ? 'Queued for next round' : `Multiplier: ${multiplier.toFixed(2)}x`}
+                  {bet.autoCashoutAt ? ` • Auto ${bet.autoCashoutAt.toFixed(2)}x` : ''}
+                </div>
+              </div>
+              {!bet.queued && (
+                <button
+                  onClick={() => handleCashout(bet.betId, bet.amount, bet.practice)}
+                  disabled={loading || gameState !== 'running' || !isConnected}
+                  className="bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-3 py-2 rounded-lg text-sm font-semibold transition-colors"
+                >
+                  Cash Out {formatXAF(bet.amount * multiplier)}
+                </button>
+              )}
+              {!bet.queued && bet.amount >= 2 * MIN_BET && (
+                <button
+                  onClick={() => handleCashout(bet.betId, bet.amount, bet.practice, 0.5)}
+                  disabled={loading || gameState !== 'running' || !isConnected}
+                  title="Cash out half the bet and let the rest ride"
+                  className="ml-2 bg-yellow-600 hover:bg-yellow-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-3 py-2 rounded-lg text-sm font-semibold transition-colors"
+                >
+                  Half {formatXAF(bet.amount / 2 * multiplier)}
+                </button>
+              )}
+              {(bet.queued || gameState === 'waiting') && (
+                <button
+                  onClick={() => handleCancel(bet.betId)}
+                  disabled={loading || !isConnected}
+                  className="bg-red-600 hover:bg-red-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-3 py-2 rounded-lg text-sm font-semibold transition-colors"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          ))}
         </div>
       )}
 
-      {/* Bet Amount Input */}
-      <div className="mb-6">
-        <label className="block text-sm font-medium text-gray-300 mb-2">
-          Bet Amount (FCFA)
-        </label>
-        <div className="relative">
-          <input
-            type="number"
-            value={betAmount}
-            onChange={(e) => setBetAmount(e.target.value)}
-            placeholder="0"
-            disabled={hasPlacedBet}
-            className="w-full px-3 py-2 pl-10 border border-gray-600 rounded-lg bg-gray-700 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed"
-            onClick={() => {
-              if (hasPlacedBet) {
-                // Show small signal that betting is disabled
-                const input = document.querySelector('input[type="number"]') as HTMLInputElement;
-                if (input) {
-                  input.style.borderColor = '#f59e0b';
-                  setTimeout(() => {
-                    input.style.borderColor = '#4b5563';
-                  }, 300);
-                }
-              }
-            }}
-          />
-          <DollarSign className="absolute left-3 top-2.5 h-5 w-5 text-gray-400" />
-        </div>
-      </div>
-
-      {/* Quick Amount Buttons */}
-      <div className="grid grid-cols-3 gap-2 mb-6">
-        {quickAmounts.map((amount) => (
+      {/* Manual / Auto Tabs */}
+      <div className="grid grid-cols-2 gap-2 mb-6">
+        {(['manual', 'auto'] as const).map((tab) => (
           <button
-            key={amount}
-            onClick={(event) => {
-              if (hasPlacedBet) {
-                // Show small signal that betting is disabled
-                const button = event.target as HTMLButtonElement;
-                if (button) {
-                  button.style.backgroundColor = '#f59e0b';
-                  setTimeout(() => {
-                    button.style.backgroundColor = '';
-                  }, 300);
-                }
-                return;
-              }
-              handleQuickAmount(amount);
-            }}
-            disabled={hasPlacedBet}
-            className="px-3 py-2 bg-gray-700 hover:bg-gray-600 disabled:bg-gray-600 disabled:cursor-not-allowed rounded-lg text-sm transition-colors"
+            key={tab}
+            onClick={() => setMode(tab)}
+            className={`py-2 rounded-lg text-sm font-semibold capitalize transition-colors ${
+              mode === tab ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }`}
           >
-            {formatXAF(amount)}
+            {tab}
           </button>
         ))}
       </div>
 
-      {/* Insurance Options */}
-      {parseAmount(betAmount) >= 100 && (
-        <div className="mb-6">
-          <div className="flex items-center justify-between mb-3">
-            <label className="block text-sm font-medium text-gray-300">
-              🛡️ Bet Insurance (Optional)
+      {mode === 'auto' ? (
+        <AutoBetPanel />
+      ) : (
+        <>
+          {/* Bet Amount Input */}
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Bet Amount (FCFA)
             </label>
-            <div className="flex items-center space-x-2">
-              <span className="text-xs text-gray-400">For</span>
-              <select
-                value={insuranceGames}
-                onChange={(e) => setInsuranceGames(parseInt(e.target.value))}
-                className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white"
-              >
-                <option value={1}>1 game</option>
-                <option value={3}>3 games</option>
-                <option value={5}>5 games</option>
-                <option value={10}>10 games</option>
-              </select>
+            <div className="relative">
+              <input
+                type="number"
+                value={betAmount}
+                onChange={(e) => setBetAmount(e.target.value)}
+                placeholder="0"
+                disabled={slotsFull}
+                className="w-full px-3 py-2 pl-10 border border-gray-600 rounded-lg bg-gray-700 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed"
+                onClick={() => {
+                  if (slotsFull) {
+                    // Show small signal that betting is disabled
+                    const input = document.querySelector('input[type="number"]') as HTMLInputElement;
+                    if (input) {
+                      input.style.borderColor = '#f59e0b';
+                      setTimeout(() => {
+                        input.style.borderColor = '#4b5563';
+                      }, 300);
+                    }
+                  }
+                }}
+              />
+              <DollarSign className="absolute left-3 top-2.5 h-5 w-5 text-gray-400" />
             </div>
           </div>
-          
-          <div className="space-y-2">
-            {/* No Insurance Option */}
-            <button
-              onClick={() => setSelectedInsurance(null)}
-              className={`w-full p-4 rounded-lg border-2 transition-all ${
-                selectedInsurance === null
-                  ? 'border-green-500 bg-green-500/20'
-                  : 'border-gray-600 bg-gray-700 hover:border-gray-500'
-              }`}
-            >
-              <div className="flex justify-between items-center">
-                <div className="text-left">
-                  <div className="font-semibold text-lg">No Insurance</div>
-                  <div className="text-sm text-gray-400">
-                    Play without protection - Risk it all!
-                  </div>
-                </div>
-                <div className="text-right">
-                  <div className="text-lg font-bold text-green-400">
-                    {formatXAF(parseAmount(betAmount))}
-                  </div>
-                  <div className="text-xs text-gray-400">Bet Only</div>
-                </div>
-              </div>
-            </button>
-            
-            {/* Loading State */}
-            {insuranceLoading && (
-              <div className="w-full p-4 rounded-lg border-2 border-gray-600 bg-gray-700">
-                <div className="flex justify-center items-center">
-                  <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-orange-500 mr-2"></div>
-                  <div className="text-sm text-gray-400">Loading insurance options...</div>
+
+          {/* Quick Amount Buttons */}
+          <div className="grid grid-cols-3 gap-2 mb-6">
+            {quickAmounts.map((amount) => (
+              <button
+                key={amount}
+                onClick={(event) => {
+                  if (slotsFull) {
+                    // Show small signal that betting is disabled
+                    const button = event.target as HTMLButtonElement;
+                    if (button) {
+                      button.style.backgroundColor = '#f59e0b';
+                      setTimeout(() => {
+                        button.style.backgroundColor = '';
+                      }, 300);
+                    }
+                    return;
+                  }
+                  handleQuickAmount(amount);
+                }}
+                disabled={slotsFull}
+                className="px-3 py-2 bg-gray-700 hover:bg-gray-600 disabled:bg-gray-600 disabled:cursor-not-allowed rounded-lg text-sm transition-colors"
+              >
+                {formatXAF(amount)}
+              </button>
+            ))}
+          </div>
+
+          {/* Insurance Options (not offered on practice bets) */}
+          {!practiceMode && parseAmount(betAmount) >= 100 && (
+            <div className="mb-6">
+              <div className="flex items-center justify-between mb-3">
+                <label className="block text-sm font-medium text-gray-300">
+                  🛡️ Bet Insurance (Optional)
+                </label>
+                <div className="flex items-center space-x-2">
+                  <span className="text-xs text-gray-400">For</span>
+                  <select
+                    value={insuranceGames}
+                    onChange={(e) => setInsuranceGames(parseInt(e.target.value))}
+                    className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+                  >
+                    <option value={1}>1 game</option>
+                    <option value={3}>3 games</option>
+                    <option value={5}>5 games</option>
+                    <option value={10}>10 games</option>
+                  </select>
                 </div>
               </div>
-            )}
-            
-            {/* Insurance Options */}
-            {insuranceOptions.length > 0 && insuranceOptions.map((option) => {
-              const totalPremium = option.premium * insuranceGames;
-              const totalCoverage = option.coverageAmount * insuranceGames;
-              const totalCost = option.totalCost * insuranceGames;
-              const netCost = totalCost - parseAmount(betAmount);
-              
-              return (
+          
+              <div className="space-y-2">
+                {/* No Insurance Option */}
                 <button
-                  key={option.type}
-                  onClick={() => setSelectedInsurance(option.type)}
+                  onClick={() => setSelectedInsurance(null)}
                   className={`w-full p-4 rounded-lg border-2 transition-all ${
-                    selectedInsurance === option.type
-                      ? 'border-orange-500 bg-orange-500/20'
+                    selectedInsurance === null
+                      ? 'border-green-500 bg-green-500/20'
                       : 'border-gray-600 bg-gray-700 hover:border-gray-500'
                   }`}
                 >
-                  <div className="flex justify-between items-start">
-                    <div className="text-left flex-1">
-                      <div className="font-semibold text-lg capitalize">{option.type} Insurance</div>
-                      <div className="text-sm text-gray-400 mb-2">
-                        {insuranceGames} game{insuranceGames > 1 ? 's' : ''} • {formatXAF(option.premium)} per game
-                      </div>
-                      <div className="grid grid-cols-2 gap-2 text-xs">
-                        <div className="bg-gray-800 p-2 rounded">
-                          <div className="text-gray-400">Premium</div>
-                          <div className="font-bold text-red-400">{formatXAF(totalPremium)}</div>
-                        </div>
-                        <div className="bg-gray-800 p-2 rounded">
-                          <div className="text-gray-400">Coverage</div>
-                          <div className="font-bold text-green-400">{formatXAF(totalCoverage)}</div>
-                        </div>
+                  <div className="flex justify-between items-center">
+                    <div className="text-left">
+                      <div className="font-semibold text-lg">No Insurance</div>
+                      <div className="text-sm text-gray-400">
+                        Play without protection - Risk it all!
                       </div>
                     </div>
-                    <div className="text-right ml-4">
-                      <div className="text-lg font-bold">
-                        {formatXAF(totalCost)}
-                      </div>
-                      <div className="text-xs text-gray-400">Total Cost</div>
-                      <div className="text-xs text-orange-400 mt-1">
-                        +{formatXAF(netCost)} extra
+                    <div className="text-right">
+                      <div className="text-lg font-bold text-green-400">
+                        {formatXAF(parseAmount(betAmount))}
                       </div>
+                      <div className="text-xs text-gray-400">Bet Only</div>
                     </div>
                   </div>
                 </button>
-              );
-            })}
-          </div>
+            
+                {/* Loading State */}
+                {insuranceLoading && (
+                  <div className="w-full p-4 rounded-lg border-2 border-gray-600 bg-gray-700">
+                    <div className="flex justify-center items-center">
+                      <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-orange-500 mr-2"></div>
+                      <div className="text-sm text-gray-400">Loading insurance options...</div>
+                    </div>
+                  </div>
+                )}
+            
+                {/* Insurance Options */}
+                {insuranceOptions.length > 0 && insuranceOptions.map((option) => {
+                  const totalPremium = option.premium * insuranceGames;
+                  const totalCoverage = option.coverageAmount * insuranceGames;
+                  const totalCost = option.totalCost * insuranceGames;
+                  const netCost = totalCost - parseAmount(betAmount);
+              
+                  return (
+                    <button
+                      key={option.type}
+                      onClick={() => setSelectedInsurance(option.type)}
+                      className={`w-full p-4 rounded-lg border-2 transition-all ${
+                        selectedInsurance === option.type
+                          ? 'border-orange-500 bg-orange-500/20'
+                          : 'border-gray-600 bg-gray-700 hover:border-gray-500'
+                      }`}
+                    >
+                      <div className="flex justify-between items-start">
+                        <div className="text-left flex-1">
+                          <div className="font-semibold text-lg capitalize">{option.type} Insurance</div>
+                          <div className="text-sm text-gray-400 mb-2">
+                            {insuranceGames} game{insuranceGames > 1 ? 's' : ''} • {formatXAF(option.premium)} per game
+                          </div>
+                          <div className="grid grid-cols-2 gap-2 text-xs">
+                            <div className="bg-gray-800 p-2 rounded">
+                              <div className="text-gray-400">Premium</div>
+                              <div className="font-bold text-red-400">{formatXAF(totalPremium)}</div>
+                            </div>
+                            <div className="bg-gray-800 p-2 rounded">
+                              <div className="text-gray-400">Coverage</div>
+                              <div className="font-bold text-green-400">{formatXAF(totalCoverage)}</div>
+                            </div>
+                          </div>
+                        </div>
+                        <div className="text-right ml-4">
+                          <div className="text-lg font-bold">
+                            {formatXAF(totalCost)}
+                          </div>
+                          <div className="text-xs text-gray-400">Total Cost</div>
+                          <div className="text-xs text-orange-400 mt-1">
+                            +{formatXAF(netCost)} extra
+                          </div>
+                        </div>
+                      </div>
+                    </button>
+                  );
+                })}
+              </div>
           
-          <div className="mt-3 p-3 bg-gray-900 rounded-lg">
-            <div className="text-xs text-gray-400 space-y-1">
-              <p>• <strong>Premium:</strong> What you pay upfront for insurance</p>
-              <p>• <strong>Coverage:</strong> What you get back if you lose</p>
-              <p>• <strong>Multi-game:</strong> Insurance applies to {insuranceGames} consecutive game{insuranceGames > 1 ? 's' : ''}</p>
-              <p>• <strong>Auto-claim:</strong> Coverage is automatically applied when you lose</p>
+              <div className="mt-3 p-3 bg-gray-900 rounded-lg">
+                <div className="text-xs text-gray-400 space-y-1">
+                  <p>• <strong>Premium:</strong> What you pay upfront for insurance</p>
+                  <p>• <strong>Coverage:</strong> What you get back if you lose</p>
+                  <p>• <strong>Multi-game:</strong> Insurance applies to {insuranceGames} consecutive game{insuranceGames > 1 ? 's' : ''}</p>
+                  <p>• <strong>Auto-claim:</strong> Coverage is automatically applied when you lose</p>
+                </div>
+              </div>
             </div>
-          </div>
-        </div>
-      )}
+          )}
 
-      {/* Auto Cashout */}
-      <div className="mb-6">
-        <label className="block text-sm font-medium text-gray-300 mb-2">
-          Auto Cashout (x)
-        </label>
-        <div className="relative">
-          <input
-            type="number"
-            value={autoCashout}
-            onChange={(e) => setAutoCashout(e.target.value)}
-            placeholder="2.00"
-            disabled={hasPlacedBet}
-            className="w-full px-3 py-2 pl-10 border border-gray-600 rounded-lg bg-gray-700 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed"
-            onClick={() => {
-              if (hasPlacedBet) {
-                // Show small signal that betting is disabled
-                const input = document.querySelector('input[placeholder="2.00"]') as HTMLInputElement;
-                if (input) {
-                  input.style.borderColor = '#f59e0b';
-                  setTimeout(() => {
-                    input.style.borderColor = '#4b5563';
-                  }, 300);
-                }
-              }
-            }}
-          />
-          <Zap className="absolute left-3 top-2.5 h-5 w-5 text-gray-400" />
-        </div>
-      </div>
+          {/* Auto Cashout */}
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Auto Cashout (x)
+            </label>
+            <div className="relative">
+              <input
+                type="number"
+                value={autoCashout}
+                onChange={(e) => setAutoCashout(e.target.value)}
+                placeholder="2.00"
+                disabled={slotsFull}
+                className="w-full px-3 py-2 pl-10 border border-gray-600 rounded-lg bg-gray-700 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed"
+                onClick={() => {
+                  if (slotsFull) {
+                    // Show small signal that betting is disabled
+                    const input = document.querySelector('input[placeholder="2.00"]') as HTMLInputElement;
+                    if (input) {
+                      input.style.borderColor = '#f59e0b';
+                      setTimeout(() => {
+                        input.style.borderColor = '#4b5563';
+                      }, 300);
+                    }
+                  }
+                }}
+              />
+              <Zap className="absolute left-3 top-2.5 h-5 w-5 text-gray-400" />
+            </div>
+          </div>
 
-      {/* Action Buttons */}
-      <div className="space-y-3">
-        <button
-          onClick={handlePlaceBet}
-          disabled={loading || !betAmount || parseAmount(betAmount) <= 0 || gameState !== 'waiting' || !isConnected || hasPlacedBet}
-          className="w-full bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed py-3 rounded-lg font-semibold transition-colors"
-        >
-          {loading ? 'Placing Bet...' : 'Place Bet'}
-        </button>
-        
-        <button
-          onClick={handleCashout}
-          disabled={loading || !hasPlacedBet || gameState !== 'running' || !isConnected}
-          className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed py-3 rounded-lg font-semibold transition-colors"
-        >
-          {loading ? 'Processing...' : 'Cash Out'}
-        </button>
-      </div>
+          {/* Action Buttons */}
+          <div className="space-y-3">
+            <button
+              onClick={handlePlaceBet}
+              disabled={loading || !betAmount || parseAmount(betAmount) <= 0 || !isConnected || slotsFull}
+              className="w-full bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed py-3 rounded-lg font-semibold transition-colors"
+            >
+              {loading ? 'Placing Bet...' : queueing ? 'Bet on Next Round' : 'Place Bet'}
+            </button>
+          </div>
+        </>
+      )}
     </motion.div>
   );
 };
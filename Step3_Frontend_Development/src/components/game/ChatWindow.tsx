@@ -57,9 +57,7 @@ const ChatWindow: React.FC = () => {
     if (isConnected) {
       sendMessage({
         type: 'chat_message',
-        message: newMessage.trim(),
-        userId: user.id,
-        username: user.username
+        message: newMessage.trim()
       });
     }
 
@@ -0,0 +1,75 @@
+import React, { useEffect, useState } from 'react';
+import { api } from '../../services/api';
+import { useGameStore } from '../../stores/gameStore';
+import { formatXAF } from '../../utils/currency';
+
+interface GameRoom {
+  id: string;
+  name: string;
+  minBet: number;
+  maxBet: number;
+  status: {
+    gameState: 'waiting' | 'running' | 'crashed' | 'results';
+    multiplier: number;
+    activePlayers: number;
+  };
+}
+
+const ROOMS_REFRESH_MS = 5000;
+
+const RoomSelector: React.FC = () => {
+  const { roomId, setRoomId, myBets } = useGameStore();
+  const [rooms, setRooms] = useState<GameRoom[]>([]);
+
+  useEffect(() => {
+    const fetchRooms = async () => {
+      try {
+        const response = await api.get('/v1/game/rooms');
+        setRooms(response.data);
+      } catch (error) {
+        console.error('Error fetching game rooms:', error);
+      }
+    };
+
+    fetchRooms();
+    const interval = setInterval(fetchRooms, ROOMS_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Bets are settled in the room they were placed in, so the player stays until they are
+  const locked = myBets.length > 0;
+
+  if (rooms.length <= 1) {
+    return null;
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-lg border border-gray-700 p-4 mb-6">
+      <h3 className="text-sm font-semibold text-gray-400 mb-3">Game Rooms</h3>
+      <div className="grid grid-cols-2 gap-2">
+        {rooms.map((room) => (
+          <button
+            key={room.id}
+            onClick={() => setRoomId(room.id)}
+            disabled={locked && room.id !== roomId}
+            className={`p-2 rounded-lg text-left text-xs transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+              room.id === roomId ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }`}
+          >
+            <div className="font-bold text-sm">{room.name}</div>
+            <div>{formatXAF(room.minBet)} - {formatXAF(room.maxBet)}</div>
+            <div className="text-gray-400">
+              {room.status.gameState === 'running' ? `${room.status.multiplier.toFixed(2)}x` : room.status.gameState}
+              {' · '}{room.status.activePlayers} players
+            </div>
+          </button>
+        ))}
+      </div>
+      {locked && (
+        <p className="text-xs text-gray-400 mt-2">Finish or cancel your bets to switch rooms</p>
+      )}
+    </div>
+  );
+};
+
+export default RoomSelector;
@@ -1,8 +1,12 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { motion } from 'framer-motion';
-import { Clock, TrendingUp, TrendingDown, Target, CheckCircle, XCircle } from 'lucide-react';
+import { Clock, TrendingUp, TrendingDown, Target, CheckCircle, XCircle, Play, Pause, RotateCcw } from 'lucide-react';
+import { Canvas } from '@react-three/fiber';
+import { OrbitControls } from '@react-three/drei';
 import { useAuthStore } from '../../stores/authStore';
 import api from '../../utils/api';
+import Tower3D from './Tower3D';
+import { multiplierAt, MultiplierCurveParams } from '../../utils/multiplierCurve';
 
 interface RoundHistory {
   roundId: number;
@@ -17,6 +21,187 @@ interface RoundHistory {
   roundEndTime: string;
 }
 
+// Timeline recorded by the server for a settled round; t is milliseconds since the round started
+interface ReplayEvent {
+  t: number;
+  type: 'bet' | 'bet_cancelled' | 'running' | 'cashout' | 'special_block' | 'liability_limit' | 'crash';
+  betId?: number;
+  userId?: number;
+  username?: string;
+  amount?: number;
+  multiplier?: number;
+  winnings?: number;
+  auto?: boolean;
+  practice?: boolean;
+  blockType?: string;
+  crashPoint?: number;
+}
+
+interface RoundReplay {
+  roundId: number;
+  crashPoint: number;
+  curve: MultiplierCurveParams;
+  startedAt: string;
+  events: ReplayEvent[];
+}
+
+// Show the tower for a while after the crash before the replay ends
+const REPLAY_TAIL_MS = 3000;
+
+const describeEvent = (event: ReplayEvent, usernames: Map<number, string>): string => {
+  const name = (event.userId !== undefined && usernames.get(event.userId)) || 'Player';
+  switch (event.type) {
+    case 'bet':
+      return `${name} bet ${event.amount} FCFA${event.practice ? ' (practice)' : ''}`;
+    case 'bet_cancelled':
+      return `${name} cancelled a bet`;
+    case 'running':
+      return 'Betting closed - tower rising';
+    case 'cashout':
+      return `${name} ${event.auto ? 'auto-' : ''}cashed out at ${event.multiplier?.toFixed(2)}x (+${Math.round(event.winnings ?? 0)} FCFA)`;
+    case 'special_block':
+      return `Special block: ${event.blockType} at ${event.multiplier?.toFixed(2)}x`;
+    case 'liability_limit':
+      return `House payout limit reached - open bets settled at ${event.multiplier?.toFixed(2)}x`;
+    case 'crash':
+      return `Crashed at ${event.crashPoint?.toFixed(2)}x`;
+    default:
+      return event.type;
+  }
+};
+
+// Plays a round back from its recorded timeline on the same curve the live game used
+const RoundReplayPlayer: React.FC<{ roundId: number; onClose: () => void }> = ({ roundId, onClose }) => {
+  const [replay, setReplay] = useState<RoundReplay | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [position, setPosition] = useState(0); // Milliseconds since the round started
+  const [playing, setPlaying] = useState(false);
+  const frameRef = useRef<number>();
+
+  useEffect(() => {
+    api.get(`/v1/game/rounds/${roundId}/replay`)
+      .then((response) => {
+        setReplay(response.data);
+        setPosition(0);
+        setPlaying(true);
+      })
+      .catch((err: any) => {
+        console.error('Error fetching round replay:', err);
+        setError(err.response?.data?.error || 'Replay not available');
+      });
+  }, [roundId]);
+
+  const runningAt = replay?.events.find(e => e.type === 'running')?.t ?? null;
+  const crashAt = replay?.events.find(e => e.type === 'crash')?.t ?? null;
+  const endAt = (crashAt ?? replay?.events[replay.events.length - 1]?.t ?? 0) + REPLAY_TAIL_MS;
+
+  // Advance the replay clock in real time
+  useEffect(() => {
+    if (!playing) return;
+    let last = performance.now();
+    const step = (now: number) => {
+      const delta = now - last;
+      last = now;
+      setPosition(p => {
+        const next = Math.min(p + delta, endAt);
+        if (next >= endAt) setPlaying(false);
+        return next;
+      });
+      frameRef.current = requestAnimationFrame(step);
+    };
+    frameRef.current = requestAnimationFrame(step);
+    return () => {
+      if (frameRef.current) cancelAnimationFrame(frameRef.current);
+    };
+  }, [playing, endAt]);
+
+  if (error) {
+    return (
+      <div className="bg-gray-900 rounded-lg p-4 mb-4 text-center">
+        <p className="text-red-400 mb-2">{error}</p>
+        <button onClick={onClose} className="text-sm text-gray-400 hover:text-white">Close</button>
+      </div>
+    );
+  }
+
+  if (!replay) {
+    return (
+      <div className="bg-gray-900 rounded-lg p-4 mb-4 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-400"></div>
+        <span className="ml-2 text-gray-400">Loading replay...</span>
+      </div>
+    );
+  }
+
+  const crashed = crashAt !== null && position >= crashAt;
+  const running = runningAt !== null && position >= runningAt && !crashed;
+  const multiplier = crashed
+    ? replay.crashPoint
+    : running ? Math.min(multiplierAt(position - (runningAt as number), replay.curve), replay.crashPoint) : 1;
+  const gameState = crashed ? 'crashed' : running ? 'running' : 'waiting';
+  const integrity = crashed ? 0 : Math.max(0, 100 - (multiplier - 1) * 20);
+
+  const usernames = new Map<number, string>();
+  replay.events.forEach(e => {
+    if (e.type === 'bet' && e.userId !== undefined && e.username) usernames.set(e.userId, e.username);
+  });
+  const shownEvents = replay.events.filter(e => e.t <= position);
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-4 mb-4">
+      <div className="flex items-center justify-between mb-3">
+        <span className="font-semibold text-white">Replay - Round #{replay.roundId}</span>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => {
+              if (position >= endAt) setPosition(0);
+              setPlaying(!playing);
+            }}
+            className="p-2 bg-blue-600 hover:bg-blue-700 rounded-lg"
+          >
+            {playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+          </button>
+          <button onClick={() => { setPosition(0); setPlaying(true); }} className="p-2 bg-gray-600 hover:bg-gray-500 rounded-lg">
+            <RotateCcw className="w-4 h-4" />
+          </button>
+          <button onClick={onClose} className="px-3 py-2 text-sm text-gray-400 hover:text-white">Close</button>
+        </div>
+      </div>
+
+      <div className="text-center mb-2">
+        <span className={`text-2xl font-bold ${crashed ? 'text-red-400' : running ? 'text-green-400' : 'text-gray-400'}`}>
+          {crashed ? `CRASHED @ ${replay.crashPoint.toFixed(2)}x` : running ? `${multiplier.toFixed(2)}x` : 'Betting open...'}
+        </span>
+      </div>
+
+      <div className="h-64 bg-gray-800 rounded-lg overflow-hidden mb-3">
+        <Canvas camera={{ position: [0, 5, 8], fov: 60 }}>
+          <Tower3D multiplier={multiplier} gameState={gameState} integrity={integrity} />
+          <OrbitControls enablePan={false} enableZoom={true} enableRotate={true} minDistance={5} maxDistance={15} />
+        </Canvas>
+      </div>
+
+      <input
+        type="range"
+        min={0}
+        max={endAt}
+        value={position}
+        onChange={(e) => { setPlaying(false); setPosition(Number(e.target.value)); }}
+        className="w-full mb-3"
+      />
+
+      <div className="max-h-40 overflow-y-auto space-y-1 text-sm">
+        {shownEvents.map((event, index) => (
+          <div key={index} className="flex justify-between text-gray-300">
+            <span>{describeEvent(event, usernames)}</span>
+            <span className="text-gray-500">{(event.t / 1000).toFixed(2)}s</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
 interface RoundHistoryData {
   rounds: RoundHistory[];
   pagination: {
@@ -34,6 +219,7 @@ const RoundHistoryInterface: React.FC = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [currentPage, setCurrentPage] = useState(1);
+  const [replayRoundId, setReplayRoundId] = useState<number | null>(null);
 
   const fetchRoundHistory = useCallback(async (page: number = 1) => {
     if (!token) return;
@@ -178,6 +364,10 @@ const RoundHistoryInterface: React.FC = () => {
         </div>
       </div>
 
+      {replayRoundId !== null && (
+        <RoundReplayPlayer key={replayRoundId} roundId={replayRoundId} onClose={() => setReplayRoundId(null)} />
+      )}
+
       <div className="space-y-3">
         {historyData.rounds.map((round) => (
           <motion.div
@@ -198,6 +388,12 @@ const RoundHistoryInterface: React.FC = () => {
                   </div>
                   <div className="text-sm text-gray-400">
                     {formatTimeAgo(round.betTimestamp)}
+                    <button
+                      onClick={() => setReplayRoundId(round.roundId)}
+                      className="ml-3 inline-flex items-center text-blue-400 hover:text-blue-300"
+                    >
+                      <Play className="w-3 h-3 mr-1" /> Replay
+                    </button>
                   </div>
                 </div>
               </div>
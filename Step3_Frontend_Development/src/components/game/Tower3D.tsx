@@ -1,15 +1,25 @@
-import React, { useRef, useMemo, useEffect } from 'react';
+import React, { useRef, useMemo, useEffect, useState } from 'react';
 import { useFrame } from '@react-three/fiber';
 import { Box, Text } from '@react-three/drei';
 import * as THREE from 'three';
+import { SpecialBlock } from '../../stores/gameStore';
 
 interface Tower3DProps {
   multiplier: number;
   gameState: 'waiting' | 'running' | 'crashed' | 'results';
   integrity: number;
+  specialBlock?: SpecialBlock | null; // Latest special block the tower has reached
 }
 
-const Tower3D: React.FC<Tower3DProps> = ({ multiplier, gameState, integrity }) => {
+const SPECIAL_BLOCK_COLORS: Record<SpecialBlock['type'], string> = {
+  boost: '#3b82f6',
+  stability: '#06b6d4',
+  bonus: '#eab308',
+  crash: '#ef4444',
+  safety: '#a855f7'
+};
+
+const Tower3D: React.FC<Tower3DProps> = ({ multiplier, gameState, integrity, specialBlock = null }) => {
   const groupRef = useRef<THREE.Group>(null);
   const blocksRef = useRef<THREE.Mesh[]>([]);
   const crashAnimationRef = useRef<number>(0);
@@ -29,6 +39,15 @@ const Tower3D: React.FC<Tower3DProps> = ({ multiplier, gameState, integrity }) =
     }
   }, [gameState, multiplier]);
 
+  // A special block lights the top of the tower for as long as its effect lasts
+  const [activeBlock, setActiveBlock] = useState<SpecialBlock | null>(null);
+  useEffect(() => {
+    setActiveBlock(specialBlock);
+    if (!specialBlock) return;
+    const timeout = setTimeout(() => setActiveBlock(null), specialBlock.duration);
+    return () => clearTimeout(timeout);
+  }, [specialBlock]);
+
   // Calculate number of blocks based on multiplier and game state
   const numBlocks = useMemo(() => {
     if (gameState === 'crashed' || gameState === 'results') {
@@ -151,6 +170,18 @@ const Tower3D: React.FC<Tower3DProps> = ({ multiplier, gameState, integrity }) =
   // Get material properties based on game state
   const getMaterialProps = (blockIndex: number) => {
     const color = getTowerColor(blockIndex);
+
+    if (gameState === 'running' && activeBlock && blockIndex === numBlocks - 1) {
+      return {
+        color: SPECIAL_BLOCK_COLORS[activeBlock.type],
+        transparent: true,
+        opacity: 0.9,
+        roughness: 0.2,
+        metalness: 0.8,
+        emissive: SPECIAL_BLOCK_COLORS[activeBlock.type],
+        emissiveIntensity: 0.6
+      };
+    }
     
     if (gameState === 'crashed' || gameState === 'results') {
       return {
@@ -222,6 +253,19 @@ const Tower3D: React.FC<Tower3DProps> = ({ multiplier, gameState, integrity }) =
         Integrity: {gameState === 'crashed' || gameState === 'results' ? '0' : integrity}%
       </Text>
 
+      {/* Active special block */}
+      {gameState === 'running' && activeBlock && (
+        <Text
+          position={[0, numBlocks * 0.8 + 1.6, 0]}
+          fontSize={0.35}
+          color={SPECIAL_BLOCK_COLORS[activeBlock.type]}
+          anchorX="center"
+          anchorY="middle"
+        >
+          {activeBlock.name}
+        </Text>
+      )}
+
       {/* Game state indicator */}
       <Text
         position={[0, -1, 0]}
@@ -0,0 +1,98 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Shuffle, Key } from 'lucide-react';
+import { useAuthStore } from '../../stores/authStore';
+import api from '../../utils/api';
+
+const ClientSeedSettings: React.FC = () => {
+  const { token } = useAuthStore();
+  const [clientSeed, setClientSeed] = useState('');
+  const [draft, setDraft] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchClientSeed = useCallback(async () => {
+    if (!token) return;
+
+    try {
+      const response = await api.get('/user/client-seed');
+      setClientSeed(response.data.clientSeed);
+      setDraft(response.data.clientSeed);
+    } catch (err: any) {
+      console.error('Error fetching client seed:', err);
+      setError('Failed to load client seed');
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchClientSeed();
+  }, [fetchClientSeed]);
+
+  const saveClientSeed = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await api.put('/user/client-seed', { clientSeed: draft.trim() });
+      setClientSeed(response.data.clientSeed);
+      setDraft(response.data.clientSeed);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to save client seed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const rotateClientSeed = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await api.post('/user/client-seed/rotate');
+      setClientSeed(response.data.clientSeed);
+      setDraft(response.data.clientSeed);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to rotate client seed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg border border-gray-700 p-6 mb-8">
+      <h2 className="text-xl font-bold mb-2 flex items-center">
+        <Key className="w-5 h-5 mr-2" />
+        Client Seed
+      </h2>
+      <p className="text-gray-400 text-sm mb-4">
+        Your client seed is mixed into the outcome of every round you bet in. Changes apply to your next bet.
+      </p>
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          value={draft}
+          maxLength={64}
+          onChange={(e) => setDraft(e.target.value)}
+          className="flex-1 px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          onClick={saveClientSeed}
+          disabled={loading || !draft.trim() || draft.trim() === clientSeed}
+          className="bg-green-600 hover:bg-green-700 disabled:opacity-50 px-4 py-2 rounded-lg font-semibold transition-colors"
+        >
+          Save
+        </button>
+        <button
+          onClick={rotateClientSeed}
+          disabled={loading}
+          title="Generate a new random seed"
+          className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 px-4 py-2 rounded-lg transition-colors"
+        >
+          <Shuffle className="w-4 h-4" />
+        </button>
+      </div>
+      {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+    </div>
+  );
+};
+
+export default ClientSeedSettings;
@@ -1,13 +1,22 @@
 import { useEffect, useRef, useCallback, useState } from 'react';
 import { io, Socket } from 'socket.io-client';
-import { useGameStore } from '../stores/gameStore';
+import { useGameStore, SpecialBlock } from '../stores/gameStore';
 import { useAuthStore } from '../stores/authStore';
+import { multiplierAt, MultiplierCurveParams } from '../utils/multiplierCurve';
+import { createRequestId } from '../utils/requestId';
 
 interface GameUpdate {
-  type: 'game_state' | 'multiplier' | 'crash' | 'round_start' | 'round_end' | 'player_bet' | 'player_cashout' | 'initial_state' | 'state_update' | 'victory_lap' | 'crash_point_info';
+  type: 'game_state' | 'multiplier' | 'crash' | 'round_start' | 'round_end' | 'player_bet' | 'player_cashout' | 'initial_state' | 'state_update' | 'victory_lap' | 'round_commitment';
   data: any;
 }
 
+// Sent when the tower reaches a special block; the curve carries the effects of every block reached so far
+interface SpecialBlockEvent {
+  roundId: number;
+  block: SpecialBlock;
+  curve: MultiplierCurveParams;
+}
+
 const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:3001';
 
 export const useWebSocket = () => {
@@ -32,9 +41,20 @@ export const useWebSocket = () => {
     removeLiveBet,
     addRoundHistory,
     setCrashPoint,
+    setServerSeedHash,
+    setRoundCurve,
+    setSpecialBlock,
     setCurrentBet,
     setHasPlacedBet,
-    currentBet
+    addMyBet,
+    removeMyBet,
+    updateMyBet,
+    startQueuedBets,
+    clearRoundBets,
+    setPracticeBalance,
+    setAutoBetStrategy,
+    currentBet,
+    roomId
   } = useGameStore();
 
   const { updateBalance } = useAuthStore();
@@ -50,19 +70,34 @@ export const useWebSocket = () => {
           setIntegrity(update.data.integrity || 100);
           setRoundTime(update.data.time || update.data.roundTime || 0);
           setConnectedPlayers(update.data.players || update.data.connectedPlayers || 0);
-          // ✅ CRITICAL: Set crash point for frontend synchronization
+          // The crash point is only part of the state once the round has crashed
           if (update.data.crashPoint) {
             setCrashPoint(update.data.crashPoint);
-            console.log(`🎯 Crash point set: ${update.data.crashPoint}x`);
+          }
+          if (update.data.serverSeedHash) {
+            setServerSeedHash(update.data.serverSeedHash);
+          }
+          // Joining mid-round: pick up the curve from the snapshot
+          const state = update.data.state || update.data.gameState;
+          const roundCurve = useGameStore.getState().roundCurve;
+          if (state === 'running' && update.data.runningStartTime && update.data.curve && roundCurve?.startedAt !== update.data.runningStartTime) {
+            setRoundCurve({
+              startedAt: update.data.runningStartTime,
+              clockOffset: (update.data.serverTime || Date.now()) - Date.now(),
+              curve: update.data.curve
+            });
+            setSpecialBlock(update.data.specialBlock || null);
+          } else if (state !== 'running' && roundCurve) {
+            setRoundCurve(null);
+            setSpecialBlock(null);
           }
         }
         break;
         
-      case 'crash_point_info':
-        // ✅ NEW: Handle crash point information separately
-        if (update.data && update.data.crashPoint) {
-          setCrashPoint(update.data.crashPoint);
-          console.log(`🎯 Crash point info received: ${update.data.crashPoint}x (Round ${update.data.roundId})`);
+      case 'round_commitment':
+        // Server seed hash published before betting; the seed is revealed with the crash
+        if (update.data && update.data.serverSeedHash) {
+          setServerSeedHash(update.data.serverSeedHash);
         }
         break;
         
@@ -70,18 +105,19 @@ export const useWebSocket = () => {
         // Performance optimization: throttle rapid updates for smooth UI
         const now = Date.now();
         if (now - lastUpdateTime.current >= updateThrottle) {
-          setMultiplier(update.data.multiplier);
+          // With the curve known the multiplier is drawn locally; server ticks would only pull it back by the latency
+          if (!useGameStore.getState().roundCurve) {
+            setMultiplier(update.data.multiplier);
+          }
           setIntegrity(update.data.integrity);
           setRoundTime(update.data.roundTime);
-          // ✅ CRITICAL: Update crash point if provided
-          if (update.data.crashPoint) {
-            setCrashPoint(update.data.crashPoint);
-          }
           lastUpdateTime.current = now;
         }
         break;
         
       case 'crash':
+        setRoundCurve(null);
+        clearRoundBets();
         setGameState('crashed');
         setCrashPoint(update.data.crashPoint);
         setMultiplier(update.data.finalMultiplier);
@@ -106,7 +142,9 @@ export const useWebSocket = () => {
           multiplier: update.data.finalMultiplier,
           crashed: true,
           timestamp: new Date(),
-          crashPoint: update.data.crashPoint
+          crashPoint: update.data.crashPoint,
+          serverSeed: update.data.serverSeed,
+          serverSeedHash: update.data.serverSeedHash
         });
         break;
         
@@ -117,6 +155,15 @@ export const useWebSocket = () => {
         break;
         
       case 'round_start':
+        // The server sends the curve start time and parameters; the multiplier is a function of elapsed time
+        if (update.data.curve) {
+          setRoundCurve({
+            startedAt: update.data.startedAt,
+            clockOffset: update.data.serverTime - Date.now(),
+            curve: update.data.curve
+          });
+        }
+        setSpecialBlock(null);
         setGameState('running');
         setCurrentRound(update.data.round);
         setMultiplier(1.0);
@@ -129,6 +176,8 @@ export const useWebSocket = () => {
         break;
         
       case 'round_end':
+        setRoundCurve(null);
+        setSpecialBlock(null);
         setGameState('waiting');
         setMultiplier(1.0);
         setIntegrity(100);
@@ -154,7 +203,7 @@ export const useWebSocket = () => {
         setHasPlacedBet(false);
         break;
     }
-  }, [setGameState, setMultiplier, setIntegrity, setCurrentRound, setRoundTime, setConnectedPlayers, addLiveBet, removeLiveBet, addRoundHistory, setCrashPoint, setCurrentBet, setHasPlacedBet, currentBet, updateBalance]);
+  }, [setGameState, setMultiplier, setIntegrity, setCurrentRound, setRoundTime, setConnectedPlayers, addLiveBet, removeLiveBet, addRoundHistory, setCrashPoint, setServerSeedHash, setRoundCurve, setSpecialBlock, setCurrentBet, setHasPlacedBet, clearRoundBets, currentBet, updateBalance]);
 
   const connect = useCallback(() => {
     if (socketRef.current?.connected) {
@@ -162,6 +211,8 @@ export const useWebSocket = () => {
     }
 
     const socket = io(SOCKET_URL, {
+      // The server derives the player identity from this token; without it we connect as a spectator
+      auth: { token: useAuthStore.getState().token },
       transports: ['websocket', 'polling'],
       autoConnect: true,
       reconnection: true,
@@ -174,6 +225,11 @@ export const useWebSocket = () => {
       console.log('Socket.IO connected');
       setIsConnected(true);
       reconnectAttempts.current = 0;
+      // Sockets start in the default room; follow the selected one again after a reconnect
+      const { roomId: selectedRoom } = useGameStore.getState();
+      if (selectedRoom !== 'main') {
+        socket.emit('join_room', { room: selectedRoom });
+      }
     });
 
     socket.on('disconnect', () => {
@@ -186,6 +242,7 @@ export const useWebSocket = () => {
           reconnectAttempts.current++;
           // Use a direct function call instead of the connect reference
           const socket = io(SOCKET_URL, {
+            auth: { token: useAuthStore.getState().token },
             transports: ['websocket', 'polling'],
             autoConnect: true,
             reconnection: true,
@@ -207,6 +264,66 @@ export const useWebSocket = () => {
       handleGameUpdate(data);
     });
 
+    socket.on('new_round', (round) => {
+      // Only the server seed commitment is known while bets are open
+      setServerSeedHash(round.serverSeedHash || null);
+      startQueuedBets();
+    });
+
+    socket.on('special_block', (event: SpecialBlockEvent) => {
+      // Keep drawing the multiplier on the curve the block reshaped
+      const { roundCurve } = useGameStore.getState();
+      if (roundCurve) {
+        setRoundCurve({ ...roundCurve, curve: event.curve });
+      }
+      setSpecialBlock(event.block);
+    });
+
+    socket.on('bet_result', (result) => {
+      // Each bet gets its own slot; bets placed while a round runs are queued for the next one
+      if (result && result.betId) {
+        addMyBet({
+          betId: result.betId,
+          amount: result.betAmount,
+          autoCashoutAt: result.autoCashoutAt ?? null,
+          queued: !!result.queued,
+          practice: !!result.practice
+        });
+        // The server may have refilled the practice wallet before taking the stake
+        if (result.practice) {
+          setPracticeBalance(result.newBalance);
+        }
+      }
+    });
+
+    socket.on('cashout_result', (result) => {
+      // After a partial cash-out the rest of the bet keeps riding in its slot
+      if (result && result.betId) {
+        if (result.partial) {
+          updateMyBet(result.betId, { amount: result.remainingAmount });
+        } else {
+          removeMyBet(result.betId);
+        }
+      }
+    });
+
+    socket.on('cancel_result', (result) => {
+      // The server refunds the stake and any insurance premium
+      if (result && result.betId) {
+        if (result.practice) {
+          setPracticeBalance(useGameStore.getState().practiceBalance + result.refunded);
+        } else {
+          const currentUser = useAuthStore.getState().user;
+          const balance = parseFloat(String(currentUser?.balance ?? '0')) || 0;
+          updateBalance(balance + result.refunded);
+        }
+        removeMyBet(result.betId);
+        const remaining = useGameStore.getState().myBets.filter(bet => !bet.queued);
+        setCurrentBet(remaining.reduce((sum, bet) => sum + (bet.practice ? 0 : bet.amount), 0));
+        setHasPlacedBet(remaining.length > 0);
+      }
+    });
+
     socket.on('live_bets', (bets) => {
       // Handle live bets update
       console.log('Live bets update:', bets);
@@ -230,6 +347,42 @@ export const useWebSocket = () => {
       // You can emit a custom event here to update the chat component
     });
 
+    socket.on('player_cashout', (cashout) => {
+      // Auto-cashouts are settled by the server, so the player's own bet is cleared here rather than by the button
+      const currentUser = useAuthStore.getState().user;
+      if (currentUser && cashout.auto && cashout.userId === currentUser.id) {
+        if (cashout.practice) {
+          setPracticeBalance(useGameStore.getState().practiceBalance + cashout.winnings);
+        } else {
+          const balance = parseFloat(String(currentUser.balance ?? '0')) || 0;
+          updateBalance(balance + cashout.winnings);
+        }
+        removeMyBet(cashout.betId);
+        const remaining = useGameStore.getState().myBets.filter(bet => !bet.queued);
+        setCurrentBet(remaining.reduce((sum, bet) => sum + (bet.practice ? 0 : bet.amount), 0));
+        setHasPlacedBet(remaining.length > 0);
+      }
+    });
+
+    socket.on('auto_bet_progress', (progress) => {
+      // Only sent to this player; the server bets for the strategy even while this tab is throttled or closed
+      setAutoBetStrategy(progress.strategy);
+      if (progress.event === 'bet_placed') {
+        addMyBet({
+          betId: progress.betId,
+          amount: progress.amount,
+          autoCashoutAt: progress.strategy.autoCashoutAt,
+          queued: !!progress.queued,
+          practice: progress.strategy.practice
+        });
+        if (progress.strategy.practice) {
+          setPracticeBalance(progress.newBalance);
+        } else {
+          updateBalance(progress.newBalance);
+        }
+      }
+    });
+
     socket.on('balance_update', (data) => {
       // Handle balance updates from successful transactions
       console.log('Balance update received:', data);
@@ -240,8 +393,16 @@ export const useWebSocket = () => {
       }
     });
 
+    socket.on('withdrawal_update', (data) => {
+      // Withdrawals hold the balance when requested and return it if the payout fails
+      console.log('Withdrawal update received:', data);
+      if (data.newBalance !== null && data.newBalance !== undefined) {
+        updateBalance(data.newBalance);
+      }
+    });
+
     socketRef.current = socket;
-  }, [handleGameUpdate, updateBalance]);
+  }, [handleGameUpdate, updateBalance, setServerSeedHash, setRoundCurve, setSpecialBlock, setCurrentBet, setHasPlacedBet, addMyBet, removeMyBet, updateMyBet, startQueuedBets, setPracticeBalance, setAutoBetStrategy]);
 
   const disconnect = useCallback(() => {
     if (socketRef.current) {
@@ -256,7 +417,8 @@ export const useWebSocket = () => {
 
   const sendMessage = useCallback((message: any) => {
     if (socketRef.current?.connected) {
-      socketRef.current.emit('player_action', message);
+      // The request ID lets the server apply a redelivered action once
+      socketRef.current.emit('player_action', { room: useGameStore.getState().roomId, requestId: createRequestId(), ...message });
     }
   }, []);
 
@@ -265,6 +427,30 @@ export const useWebSocket = () => {
     return () => disconnect();
   }, [connect, disconnect]);
 
+  // Follow the selected game room
+  useEffect(() => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('join_room', { room: roomId });
+    }
+  }, [roomId]);
+
+  // Draw the running multiplier from the round's curve on every frame, in server time
+  useEffect(() => {
+    let frame: number;
+    const draw = () => {
+      const { roundCurve, gameState, multiplier } = useGameStore.getState();
+      if (roundCurve && gameState === 'running') {
+        const next = multiplierAt(Date.now() + roundCurve.clockOffset - roundCurve.startedAt, roundCurve.curve);
+        if (next !== multiplier) {
+          setMultiplier(next);
+        }
+      }
+      frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [setMultiplier]);
+
   return {
     isConnected,
     sendMessage
@@ -20,7 +20,8 @@ import {
   RefreshCw,
   AlertCircle,
   CheckCircle,
-  XCircle
+  XCircle,
+  Wallet
 } from 'lucide-react';
 import { useAuthStore } from '../../stores/authStore';
 import api from '../../utils/api';
@@ -78,6 +79,17 @@ interface UserManagement {
   }>;
 }
 
+interface PendingWithdrawal {
+  id: number;
+  userId: number;
+  username: string;
+  amount: number;
+  paymentMethod: string;
+  destination: Record<string, string>;
+  status: string;
+  createdAt: string;
+}
+
 const AdminDashboard: React.FC = () => {
   const { user, isAdmin, hydrated, logout } = useAuthStore();
   const navigate = useNavigate();
@@ -91,6 +103,7 @@ const AdminDashboard: React.FC = () => {
   const [gameControl, setGameControl] = useState<GameControl | null>(null);
   const [securityMetrics, setSecurityMetrics] = useState<SecurityMetrics | null>(null);
   const [userManagement, setUserManagement] = useState<UserManagement | null>(null);
+  const [withdrawals, setWithdrawals] = useState<PendingWithdrawal[] | null>(null);
 
   const fetchAdminData = useCallback(async () => {
     try {
@@ -210,6 +223,21 @@ const AdminDashboard: React.FC = () => {
     return () => clearInterval(interval);
   }, [user, isAdmin, hydrated, navigate, fetchAdminData]);
 
+  const fetchWithdrawals = useCallback(async () => {
+    try {
+      const response = await api.get('/v1/admin/withdrawals');
+      setWithdrawals(response.data?.data || []);
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Failed to load withdrawals' });
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'withdrawals') {
+      fetchWithdrawals();
+    }
+  }, [activeTab, fetchWithdrawals]);
+
   // REAL ADMIN FUNCTIONS
   const pauseGame = async () => {
     try {
@@ -428,6 +456,69 @@ const AdminDashboard: React.FC = () => {
     }
   };
 
+  const approveWithdrawal = async (withdrawalId: number) => {
+    try {
+      const token = useAuthStore.getState().token;
+      if (!token) {
+        setMessage({ type: 'error', text: 'No authentication token found' });
+        return;
+      }
+
+      const response = await fetch(`/api/v1/admin/withdrawals/${withdrawalId}/approve`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      const result = await response.json();
+      if (response.ok) {
+        setMessage({
+          type: result.data?.status === 'failed' ? 'error' : 'success',
+          text: result.data?.status === 'failed'
+            ? `Payout failed and was refunded: ${result.data.failureReason}`
+            : `Withdrawal #${withdrawalId} approved`
+        });
+        fetchWithdrawals();
+      } else {
+        setMessage({ type: 'error', text: result.error || 'Failed to approve withdrawal' });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Error approving withdrawal' });
+    }
+  };
+
+  const rejectWithdrawal = async (withdrawalId: number) => {
+    const reason = window.prompt('Reason for rejecting this withdrawal?');
+    if (!reason) return;
+
+    try {
+      const token = useAuthStore.getState().token;
+      if (!token) {
+        setMessage({ type: 'error', text: 'No authentication token found' });
+        return;
+      }
+
+      const response = await fetch(`/api/v1/admin/withdrawals/${withdrawalId}/reject`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ reason })
+      });
+      const result = await response.json();
+      if (response.ok) {
+        setMessage({ type: 'success', text: `Withdrawal #${withdrawalId} rejected and refunded` });
+        fetchWithdrawals();
+      } else {
+        setMessage({ type: 'error', text: result.error || 'Failed to reject withdrawal' });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Error rejecting withdrawal' });
+    }
+  };
+
   const clearMessage = () => setMessage(null);
 
   if (!user || !isAdmin) {
@@ -473,7 +564,8 @@ const AdminDashboard: React.FC = () => {
         { id: 'charts', label: 'Analytics Charts', icon: TrendingUp },
         { id: 'game-control', label: 'Game Control', icon: Gamepad2 },
         { id: 'security', label: 'Security', icon: Shield },
-        { id: 'users', label: 'User Management', icon: Users }
+        { id: 'users', label: 'User Management', icon: Users },
+        { id: 'withdrawals', label: 'Withdrawals', icon: Wallet }
         ].map(({ id, label, icon: Icon }) => (
           <button
             key={id}
@@ -1068,6 +1160,82 @@ const AdminDashboard: React.FC = () => {
           </motion.div>
         )}
 
+        {/* Withdrawals Tab */}
+        {activeTab === 'withdrawals' && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            className="space-y-6"
+          >
+            <div className="flex items-center justify-between">
+              <h2 className="text-2xl font-bold text-blue-400">Pending Withdrawals</h2>
+              <button
+                onClick={fetchWithdrawals}
+                className="flex items-center px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm transition-colors"
+              >
+                <RefreshCw className="w-4 h-4 mr-2" /> Refresh
+              </button>
+            </div>
+
+            {withdrawals ? (
+              <div className="bg-gray-700 p-6 rounded-lg">
+                {withdrawals.length === 0 ? (
+                  <p className="text-gray-400">No withdrawals waiting for review.</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead>
+                        <tr className="border-b border-gray-600">
+                          <th className="text-left py-2 px-4">ID</th>
+                          <th className="text-left py-2 px-4">Player</th>
+                          <th className="text-left py-2 px-4">Amount</th>
+                          <th className="text-left py-2 px-4">Method</th>
+                          <th className="text-left py-2 px-4">Destination</th>
+                          <th className="text-left py-2 px-4">Requested</th>
+                          <th className="text-left py-2 px-4">Actions</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {withdrawals.map((withdrawal) => (
+                          <tr key={withdrawal.id} className="border-b border-gray-600">
+                            <td className="py-2 px-4">#{withdrawal.id}</td>
+                            <td className="py-2 px-4">{withdrawal.username}</td>
+                            <td className="py-2 px-4">{withdrawal.amount.toLocaleString()} FCFA</td>
+                            <td className="py-2 px-4">{withdrawal.paymentMethod}</td>
+                            <td className="py-2 px-4">{Object.values(withdrawal.destination || {}).join(' / ')}</td>
+                            <td className="py-2 px-4">{new Date(withdrawal.createdAt).toLocaleString()}</td>
+                            <td className="py-2 px-4">
+                              <div className="flex space-x-2">
+                                <button
+                                  onClick={() => approveWithdrawal(withdrawal.id)}
+                                  className="px-2 py-1 bg-green-600 hover:bg-green-700 rounded text-xs transition-colors"
+                                >
+                                  Approve
+                                </button>
+                                <button
+                                  onClick={() => rejectWithdrawal(withdrawal.id)}
+                                  className="px-2 py-1 bg-red-600 hover:bg-red-700 rounded text-xs transition-colors"
+                                >
+                                  Reject
+                                </button>
+                              </div>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            ) : (
+              <div className="text-center py-12">
+                <RefreshCw className="w-16 h-16 mx-auto text-gray-400 mb-4 animate-spin" />
+                <p className="text-gray-400">Loading withdrawals...</p>
+              </div>
+            )}
+          </motion.div>
+        )}
+
         {/* Analytics Tab */}
         {activeTab === 'analytics' && (
           <motion.div
@@ -1,9 +1,10 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { motion } from 'framer-motion';
 import { DollarSign, CreditCard, Wallet, ArrowLeft, Phone, AlertCircle, CheckCircle } from 'lucide-react';
 import { Link, useSearchParams, useNavigate } from 'react-router-dom';
 import { useAuthStore } from '../../stores/authStore';
 import { formatXAF } from '../../utils/currency';
+import { createRequestId } from '../../utils/requestId';
 import api from '../../services/api';
 
 interface PaymentFormData {
@@ -32,6 +33,8 @@ const RechargePage: React.FC = () => {
   const [bankCode, setBankCode] = useState('');
   const [walletAddress, setWalletAddress] = useState('');
   const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+  // Kept until the server answers, so retrying a recharge that timed out cannot charge twice
+  const idempotencyKeyRef = useRef<string | null>(null);
   const [params] = useSearchParams();
 
   const quickAmounts = [1000, 2500, 5000, 10000, 25000, 50000]; // FCFA
@@ -138,7 +141,13 @@ const RechargePage: React.FC = () => {
       }
 
       // Make API call to backend
-      const response = await api.post('/payment/recharge', paymentData);
+      if (!idempotencyKeyRef.current) {
+        idempotencyKeyRef.current = createRequestId();
+      }
+      const response = await api.post('/payment/recharge', paymentData, {
+        headers: { 'Idempotency-Key': idempotencyKeyRef.current }
+      });
+      idempotencyKeyRef.current = null;
 
       if (response.data.success) {
         setMessage({ 
@@ -178,6 +187,9 @@ const RechargePage: React.FC = () => {
       }
     } catch (error: any) {
       console.error('Recharge error:', error);
+      if (error.response) {
+        idempotencyKeyRef.current = null;
+      }
       const errorMessage = error.response?.data?.error || error.message || 'Recharge failed. Please try again.';
       setMessage({ type: 'error', text: errorMessage });
     } finally {
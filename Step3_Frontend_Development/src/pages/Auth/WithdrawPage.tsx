@@ -0,0 +1,347 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { DollarSign, CreditCard, ArrowLeft, Phone, AlertCircle, CheckCircle, Clock, XCircle } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { useAuthStore } from '../../stores/authStore';
+import { formatXAF } from '../../utils/currency';
+import { api } from '../../services/api';
+
+type WithdrawalMethod = 'mtn_mobile_money' | 'orange_money' | 'bank_transfer';
+type WithdrawalStatus = 'pending' | 'processing' | 'completed' | 'failed' | 'rejected' | 'cancelled';
+
+interface Withdrawal {
+  id: number;
+  amount: number;
+  paymentMethod: WithdrawalMethod;
+  status: WithdrawalStatus;
+  failureReason: string | null;
+  createdAt: string;
+}
+
+interface WithdrawalLimits {
+  min: number;
+  max: number;
+  daily: number;
+  withdrawnToday: number;
+  remainingToday: number;
+  autoApproveMax: number;
+}
+
+const METHOD_LABELS: Record<WithdrawalMethod, string> = {
+  mtn_mobile_money: 'MTN Mobile Money',
+  orange_money: 'Orange Money',
+  bank_transfer: 'Bank Transfer'
+};
+
+const STATUS_STYLES: Record<WithdrawalStatus, { label: string; className: string }> = {
+  pending: { label: 'Awaiting approval', className: 'text-yellow-400' },
+  processing: { label: 'Processing', className: 'text-blue-400' },
+  completed: { label: 'Paid', className: 'text-green-400' },
+  failed: { label: 'Failed - refunded', className: 'text-red-400' },
+  rejected: { label: 'Rejected - refunded', className: 'text-red-400' },
+  cancelled: { label: 'Cancelled', className: 'text-gray-400' }
+};
+
+const WithdrawPage: React.FC = () => {
+  const { user, token, refreshUserData } = useAuthStore();
+  const [amount, setAmount] = useState(0);
+  const [paymentMethod, setPaymentMethod] = useState<WithdrawalMethod>('mtn_mobile_money');
+  const [phone, setPhone] = useState('');
+  const [accountNumber, setAccountNumber] = useState('');
+  const [bankCode, setBankCode] = useState('');
+  const [limits, setLimits] = useState<WithdrawalLimits | null>(null);
+  const [withdrawals, setWithdrawals] = useState<Withdrawal[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+
+  const balance = user?.balance || 0;
+  const maxAmount = limits ? Math.min(balance, limits.max, limits.remainingToday) : balance;
+
+  const loadWithdrawals = useCallback(async () => {
+    if (!token) return;
+    try {
+      const headers = { Authorization: `Bearer ${token}` };
+      const [limitsResponse, withdrawalsResponse] = await Promise.all([
+        api.get('/v1/withdrawals/limits', { headers }),
+        api.get('/v1/withdrawals', { headers })
+      ]);
+      setLimits(limitsResponse.data);
+      setWithdrawals(withdrawalsResponse.data);
+    } catch (error) {
+      console.error('Failed to load withdrawals:', error);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadWithdrawals();
+  }, [loadWithdrawals]);
+
+  const validateForm = (): boolean => {
+    if (limits && (amount < limits.min || amount > limits.max)) {
+      setMessage({ type: 'error', text: `Withdrawals must be between ${formatXAF(limits.min)} and ${formatXAF(limits.max)}` });
+      return false;
+    }
+    if (amount > balance) {
+      setMessage({ type: 'error', text: 'Insufficient balance' });
+      return false;
+    }
+    if (limits && amount > limits.remainingToday) {
+      setMessage({ type: 'error', text: `You can withdraw ${formatXAF(limits.remainingToday)} more today` });
+      return false;
+    }
+    if (paymentMethod === 'bank_transfer' ? !accountNumber || !bankCode : !/^\+?[0-9]{8,15}$/.test(phone)) {
+      setMessage({ type: 'error', text: paymentMethod === 'bank_transfer' ? 'Please enter account number and bank code' : 'Please enter a valid phone number' });
+      return false;
+    }
+    return true;
+  };
+
+  const handleWithdraw = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setMessage(null);
+    if (!validateForm()) return;
+
+    setLoading(true);
+    try {
+      const details = paymentMethod === 'bank_transfer' ? { accountNumber, bankCode } : { phoneNumber: phone };
+      const response = await api.post('/v1/withdrawals', { amount, paymentMethod, ...details }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const withdrawal: Withdrawal = response.data;
+
+      setMessage({
+        type: withdrawal.status === 'failed' ? 'error' : 'success',
+        text: withdrawal.status === 'pending'
+          ? `Withdrawal of ${formatXAF(withdrawal.amount)} requested. It will be paid once approved.`
+          : withdrawal.status === 'failed'
+            ? `Withdrawal failed and was refunded: ${withdrawal.failureReason}`
+            : `Withdrawal of ${formatXAF(withdrawal.amount)} is on its way.`
+      });
+      setAmount(0);
+      await Promise.all([refreshUserData(), loadWithdrawals()]);
+    } catch (error: any) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Withdrawal failed. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = async (withdrawalId: number) => {
+    try {
+      await api.post(`/v1/withdrawals/${withdrawalId}/cancel`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setMessage({ type: 'success', text: 'Withdrawal cancelled and refunded to your balance' });
+      await Promise.all([refreshUserData(), loadWithdrawals()]);
+    } catch (error: any) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to cancel withdrawal' });
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white py-12 px-4">
+      <div className="max-w-md mx-auto space-y-6">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-gray-800 rounded-lg border border-gray-700 p-8"
+        >
+          {/* Header */}
+          <div className="flex items-center mb-6">
+            <Link to="/game" className="mr-4">
+              <ArrowLeft className="w-5 h-5 text-gray-400 hover:text-white" />
+            </Link>
+            <div>
+              <h1 className="text-2xl font-bold">Withdraw Funds</h1>
+              <p className="text-gray-400">Cash out to mobile money or your bank (FCFA)</p>
+            </div>
+          </div>
+
+          <div className="bg-gray-700 rounded-lg p-4 mb-6 flex items-center justify-between">
+            <span className="text-gray-300">Available Balance</span>
+            <span className="font-bold text-lg text-green-400">{formatXAF(balance)}</span>
+          </div>
+
+          {/* Message Display */}
+          {message && (
+            <div className={`mb-6 p-4 rounded-lg flex items-center space-x-2 ${
+              message.type === 'success'
+                ? 'bg-green-900 border border-green-700 text-green-200'
+                : 'bg-red-900 border border-red-700 text-red-200'
+            }`}>
+              {message.type === 'success' ? (
+                <CheckCircle className="w-5 h-5" />
+              ) : (
+                <AlertCircle className="w-5 h-5" />
+              )}
+              <span>{message.text}</span>
+            </div>
+          )}
+
+          <form onSubmit={handleWithdraw} className="space-y-6">
+            {/* Amount Input */}
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Amount (FCFA)
+              </label>
+              <div className="flex space-x-2">
+                <div className="relative flex-1">
+                  <input
+                    type="number"
+                    value={amount || ''}
+                    onChange={(e) => setAmount(parseInt(e.target.value) || 0)}
+                    placeholder="0"
+                    min={limits?.min}
+                    max={maxAmount}
+                    className="w-full px-3 py-2 pl-10 border border-gray-600 rounded-lg bg-gray-700 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <DollarSign className="absolute left-3 top-2.5 h-5 w-5 text-gray-400" />
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setAmount(Math.floor(maxAmount))}
+                  className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm transition-colors"
+                >
+                  Max
+                </button>
+              </div>
+            </div>
+
+            {/* Payout Method */}
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Payout Method
+              </label>
+              <div className="space-y-2">
+                {(Object.keys(METHOD_LABELS) as WithdrawalMethod[]).map((method) => (
+                  <label key={method} className="flex items-center space-x-3 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="paymentMethod"
+                      value={method}
+                      checked={paymentMethod === method}
+                      onChange={() => { setPaymentMethod(method); setMessage(null); }}
+                      className="text-blue-600"
+                    />
+                    {method === 'bank_transfer' ? <CreditCard className="w-5 h-5" /> : <Phone className="w-5 h-5" />}
+                    <span>{METHOD_LABELS[method]}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {/* Payout Details */}
+            {paymentMethod === 'bank_transfer' ? (
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Account Number
+                  </label>
+                  <input
+                    type="text"
+                    value={accountNumber}
+                    onChange={(e) => setAccountNumber(e.target.value)}
+                    placeholder="Enter your bank account number"
+                    className="w-full px-3 py-2 border border-gray-600 rounded-lg bg-gray-700 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Bank Code
+                  </label>
+                  <input
+                    type="text"
+                    value={bankCode}
+                    onChange={(e) => setBankCode(e.target.value)}
+                    placeholder="Enter your bank code"
+                    className="w-full px-3 py-2 border border-gray-600 rounded-lg bg-gray-700 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Mobile Number
+                </label>
+                <input
+                  type="tel"
+                  value={phone}
+                  onChange={(e) => setPhone(e.target.value)}
+                  placeholder="e.g., 677123456"
+                  className="w-full px-3 py-2 border border-gray-600 rounded-lg bg-gray-700 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            )}
+
+            {/* Submit Button */}
+            <button
+              type="submit"
+              disabled={loading || !amount || amount > balance}
+              className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed py-3 rounded-lg font-semibold transition-colors"
+            >
+              {loading ? 'Processing...' : `Withdraw ${formatXAF(amount)}`}
+            </button>
+          </form>
+
+          {/* Info */}
+          {limits && (
+            <div className="mt-6 p-4 bg-blue-900 border border-blue-700 rounded-lg">
+              <p className="text-sm text-blue-200">
+                <strong>Limits:</strong> {formatXAF(limits.min)} to {formatXAF(limits.max)} per withdrawal,
+                {' '}{formatXAF(limits.remainingToday)} of {formatXAF(limits.daily)} left today.
+              </p>
+              <p className="text-sm text-blue-200 mt-2">
+                {limits.autoApproveMax > 0
+                  ? <>Withdrawals up to {formatXAF(limits.autoApproveMax)} are paid at once; larger ones are reviewed first.</>
+                  : <>Withdrawals are reviewed before they are paid.</>}
+                {' '}A payout that fails is refunded to your balance.
+              </p>
+            </div>
+          )}
+        </motion.div>
+
+        {/* Recent Withdrawals */}
+        {withdrawals.length > 0 && (
+          <div className="bg-gray-800 rounded-lg border border-gray-700 p-6">
+            <h2 className="text-lg font-semibold mb-4">Recent Withdrawals</h2>
+            <div className="space-y-3">
+              {withdrawals.map((withdrawal) => (
+                <div key={withdrawal.id} className="bg-gray-700 rounded-lg p-3 flex items-center justify-between">
+                  <div>
+                    <div className="font-semibold">{formatXAF(withdrawal.amount)}</div>
+                    <div className="text-xs text-gray-400">
+                      {METHOD_LABELS[withdrawal.paymentMethod]} - {new Date(withdrawal.createdAt).toLocaleString()}
+                    </div>
+                    {withdrawal.failureReason && withdrawal.status !== 'cancelled' && (
+                      <div className="text-xs text-red-300">{withdrawal.failureReason}</div>
+                    )}
+                  </div>
+                  <div className="text-right">
+                    <div className={`text-sm flex items-center justify-end ${STATUS_STYLES[withdrawal.status].className}`}>
+                      {withdrawal.status === 'pending' || withdrawal.status === 'processing'
+                        ? <Clock className="w-4 h-4 mr-1" />
+                        : withdrawal.status === 'completed'
+                          ? <CheckCircle className="w-4 h-4 mr-1" />
+                          : <XCircle className="w-4 h-4 mr-1" />}
+                      {STATUS_STYLES[withdrawal.status].label}
+                    </div>
+                    {withdrawal.status === 'pending' && (
+                      <button
+                        onClick={() => handleCancel(withdrawal.id)}
+                        className="text-xs text-gray-300 hover:text-white underline mt-1"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WithdrawPage;
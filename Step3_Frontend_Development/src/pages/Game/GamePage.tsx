@@ -3,8 +3,10 @@ import { useGameStore } from '../../stores/gameStore';
 import { useAuthStore } from '../../stores/authStore';
 import Tower3D from '../../components/game/Tower3D';
 import BettingInterface from '../../components/game/BettingInterface';
+import RoomSelector from '../../components/game/RoomSelector';
 import GameSidebar from '../../components/game/GameSidebar';
 import ChatWindow from '../../components/game/ChatWindow';
+import { api } from '../../services/api';
 import { Canvas } from '@react-three/fiber';
 import { OrbitControls } from '@react-three/drei';
 
@@ -15,12 +17,16 @@ const GamePage: React.FC = () => {
     currentRound, 
     multiplier, 
     integrity, 
+    specialBlock,
     roundTime,
+    practiceMode,
     setGameState, 
     setMultiplier, 
     setIntegrity, 
     setRoundTime, 
-    setCurrentRound 
+    setCurrentRound,
+    setPracticeMode,
+    setPracticeBalance
   } = useGameStore();
   
 
@@ -81,6 +87,14 @@ const GamePage: React.FC = () => {
   //   }
   // }, [gameState, setRoundTime, setMultiplier, setIntegrity, setGameState, multiplier, roundTime]);
 
+  // Load the practice wallet when practice mode is switched on (the server refills it if it has run low)
+  useEffect(() => {
+    if (!user || !practiceMode) return;
+    api.get('/v1/game/practice-wallet')
+      .then((response) => setPracticeBalance(response.data.balance))
+      .catch((error) => console.error('Error fetching practice wallet:', error));
+  }, [user, practiceMode, setPracticeBalance]);
+
   // Handle crash state with victory lap
   useEffect(() => {
     if (gameState === 'crashed') {
@@ -131,6 +145,24 @@ const GamePage: React.FC = () => {
         <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
           {/* Left Sidebar - Betting Interface */}
           <div className="lg:col-span-1">
+            {/* Practice Toggle */}
+            <div className="bg-gray-800 rounded-lg border border-gray-700 p-4 mb-6 flex items-center justify-between">
+              <div>
+                <div className="font-semibold">Practice</div>
+                <div className="text-xs text-gray-400">
+                  {practiceMode ? 'Betting play money - no real FCFA at stake' : 'Try the game with play money'}
+                </div>
+              </div>
+              <button
+                onClick={() => setPracticeMode(!practiceMode)}
+                role="switch"
+                aria-checked={practiceMode}
+                className={`relative w-12 h-6 rounded-full transition-colors ${practiceMode ? 'bg-yellow-500' : 'bg-gray-600'}`}
+              >
+                <span className={`absolute top-1 left-1 w-4 h-4 bg-white rounded-full transition-transform ${practiceMode ? 'translate-x-6' : ''}`} />
+              </button>
+            </div>
+            <RoomSelector />
             <BettingInterface />
           </div>
 
@@ -170,6 +202,7 @@ const GamePage: React.FC = () => {
                     multiplier={multiplier}
                     gameState={gameState}
                     integrity={integrity}
+                    specialBlock={specialBlock}
                   />
                   <OrbitControls 
                     enablePan={false}
@@ -5,6 +5,7 @@ import { User, Clock } from 'lucide-react';
 import { formatXAF } from '../../utils/currency';
 import RoundHistoryInterface from '../../components/game/RoundHistoryInterface';
 import RecentActivitiesInterface from '../../components/game/RecentActivitiesInterface';
+import ClientSeedSettings from '../../components/profile/ClientSeedSettings';
 
 const ProfilePage: React.FC = () => {
   const { user, updateUser } = useAuthStore();
@@ -105,6 +106,8 @@ const ProfilePage: React.FC = () => {
             </div>
           </div>
 
+          <ClientSeedSettings />
+
           {/* Round History Section */}
             <motion.div 
               initial={{ opacity: 0, y: 20 }} 
@@ -1,7 +1,9 @@
 import { create } from 'zustand';
+import { MultiplierCurveParams } from '../utils/multiplierCurve';
 
 interface GameState {
   // Game state
+  roomId: string; // Game room the client follows; its bets and events belong to this room
   currentRound: number;
   isGameActive: boolean;
   gameState: 'waiting' | 'running' | 'crashed' | 'results';
@@ -9,11 +11,18 @@ interface GameState {
   multiplier: number;
   integrity: number;
   crashPoint: number;
+  serverSeedHash: string | null; // Commitment published before the round; crashPoint is only known after the crash
+  roundCurve: RoundCurve | null; // Curve of the running round, used to draw the multiplier between server updates
+  specialBlock: SpecialBlock | null; // Latest special block the tower has reached in the running round
   
   // Player state
   playerBalance: number;
+  practiceMode: boolean; // New bets are placed with play money from the practice wallet
+  practiceBalance: number;
   currentBet: number;
   hasPlacedBet: boolean;
+  myBets: MyBet[]; // The player's bet slots in this round and the bets queued for the next one
+  autoBetStrategy: AutoBetStrategy | null; // Latest state of the player's server-side auto-bet strategy
   userId: string | null;
   username: string | null;
   
@@ -35,6 +44,58 @@ interface GameState {
   playerStats: PlayerStats | null;
 }
 
+interface RoundCurve {
+  startedAt: number; // Server time the running phase started
+  clockOffset: number; // Server clock minus local clock
+  curve: MultiplierCurveParams;
+}
+
+export interface SpecialBlock {
+  type: 'boost' | 'stability' | 'bonus' | 'crash' | 'safety';
+  name: string;
+  description: string;
+  effect: 'multiplier_boost' | 'integrity_stability' | 'bonus_multiplier' | 'force_crash' | 'crash_protection';
+  at: number; // Milliseconds into the running phase the tower reached it
+  duration: number;
+  multiplier: number;
+  profitImpact: string;
+}
+
+interface MyBet {
+  betId: number;
+  amount: number;
+  autoCashoutAt: number | null;
+  queued: boolean;
+  practice: boolean;
+}
+
+interface AutoBetAdjustment {
+  action: 'reset' | 'increase';
+  percent: number;
+}
+
+export interface AutoBetStrategy {
+  id: number;
+  roomId: string;
+  name: string | null;
+  baseAmount: number;
+  autoCashoutAt: number;
+  onWin: AutoBetAdjustment;
+  onLoss: AutoBetAdjustment;
+  maxBets: number;
+  stopOnProfit: number | null;
+  stopOnLoss: number | null;
+  practice: boolean;
+  status: 'active' | 'stopped' | 'completed';
+  currentAmount: number;
+  betsPlaced: number;
+  wins: number;
+  losses: number;
+  netProfit: number;
+  pendingBetId: number | null;
+  stopReason: string | null;
+}
+
 interface LiveBet {
   userId: string;
   username: string;
@@ -49,6 +110,8 @@ interface RoundHistory {
   crashed: boolean;
   timestamp: Date;
   crashPoint: number;
+  serverSeed?: string;
+  serverSeedHash?: string;
 }
 
 interface InsuranceOption {
@@ -94,6 +157,7 @@ interface PlayerStats {
 
 interface GameActions {
   // Game state actions
+  setRoomId: (roomId: string) => void;
   setCurrentRound: (round: number) => void;
   setGameActive: (active: boolean) => void;
   setGameState: (state: GameState['gameState']) => void;
@@ -101,14 +165,25 @@ interface GameActions {
   setMultiplier: (multiplier: number) => void;
   setIntegrity: (integrity: number) => void;
   setCrashPoint: (crashPoint: number) => void;
+  setServerSeedHash: (serverSeedHash: string | null) => void;
+  setRoundCurve: (roundCurve: RoundCurve | null) => void;
+  setSpecialBlock: (specialBlock: SpecialBlock | null) => void;
   
   // Batch update for better performance during fast updates
   setGameStateBatch: (updates: Partial<GameState>) => void;
   
   // Player actions
   setPlayerBalance: (balance: number) => void;
+  setPracticeMode: (practiceMode: boolean) => void;
+  setPracticeBalance: (balance: number) => void;
   setCurrentBet: (bet: number) => void;
   setHasPlacedBet: (placed: boolean) => void;
+  addMyBet: (bet: MyBet) => void;
+  removeMyBet: (betId: number) => void;
+  updateMyBet: (betId: number, changes: Partial<MyBet>) => void;
+  startQueuedBets: () => void;
+  clearRoundBets: () => void;
+  setAutoBetStrategy: (strategy: AutoBetStrategy | null) => void;
   setUserId: (userId: string) => void;
   setUsername: (username: string) => void;
   
@@ -140,6 +215,7 @@ interface GameActions {
 
 const initialState: GameState = {
   // Game state
+  roomId: 'main',
   currentRound: 0,
   isGameActive: false,
   gameState: 'waiting',
@@ -147,11 +223,18 @@ const initialState: GameState = {
   multiplier: 1.00,
   integrity: 100,
   crashPoint: 0,
+  serverSeedHash: null,
+  roundCurve: null,
+  specialBlock: null,
   
   // Player state
   playerBalance: 1000,
+  practiceMode: false,
+  practiceBalance: 0,
   currentBet: 0,
   hasPlacedBet: false,
+  myBets: [],
+  autoBetStrategy: null,
   userId: null,
   username: null,
   
@@ -177,6 +260,7 @@ export const useGameStore = create<GameState & GameActions>((set, get) => ({
   ...initialState,
 
   // Game state actions - optimized for performance
+  setRoomId: (roomId) => set({ roomId }),
   setCurrentRound: (round) => set({ currentRound: round }),
   setGameActive: (active) => set({ isGameActive: active }),
   setGameState: (state) => set({ gameState: state }),
@@ -184,14 +268,37 @@ export const useGameStore = create<GameState & GameActions>((set, get) => ({
   setMultiplier: (multiplier) => set({ multiplier }),
   setIntegrity: (integrity) => set({ integrity }),
   setCrashPoint: (crashPoint) => set({ crashPoint }),
+  setServerSeedHash: (serverSeedHash) => set({ serverSeedHash }),
+  setRoundCurve: (roundCurve) => set({ roundCurve }),
+  setSpecialBlock: (specialBlock) => set({ specialBlock }),
   
   // Batch update for better performance during fast updates
   setGameStateBatch: (updates) => set((state) => ({ ...state, ...updates })),
   
   // Player actions
   setPlayerBalance: (balance) => set({ playerBalance: balance }),
+  setPracticeMode: (practiceMode) => set({ practiceMode }),
+  setPracticeBalance: (balance) => set({ practiceBalance: balance }),
   setCurrentBet: (bet) => set({ currentBet: bet }),
   setHasPlacedBet: (placed) => set({ hasPlacedBet: placed }),
+  addMyBet: (bet) => set((state) => ({
+    myBets: [...state.myBets.filter(b => b.betId !== bet.betId), bet]
+  })),
+  removeMyBet: (betId) => set((state) => ({
+    myBets: state.myBets.filter(bet => bet.betId !== betId)
+  })),
+  updateMyBet: (betId, changes) => set((state) => ({
+    myBets: state.myBets.map(bet => (bet.betId === betId ? { ...bet, ...changes } : bet))
+  })),
+  // Queued bets join the round that has just opened
+  startQueuedBets: () => set((state) => ({
+    myBets: state.myBets.map(bet => ({ ...bet, queued: false }))
+  })),
+  // Bets of a finished round are settled; queued bets stay for the next one
+  clearRoundBets: () => set((state) => ({
+    myBets: state.myBets.filter(bet => bet.queued)
+  })),
+  setAutoBetStrategy: (strategy) => set({ autoBetStrategy: strategy }),
   setUserId: (userId) => set({ userId }),
   setUsername: (username) => set({ username }),
   
@@ -234,16 +341,24 @@ export const useGameStore = create<GameState & GameActions>((set, get) => ({
     multiplier: 1.00,
     integrity: 100,
     crashPoint: 0,
+    serverSeedHash: null,
+    roundCurve: null,
+    specialBlock: null,
     currentBet: 0,
     hasPlacedBet: false,
+    myBets: [],
     selectedInsurance: null,
     insuranceOptions: null,
   }),
   
   resetPlayer: () => set({
     playerBalance: 1000,
+    practiceMode: false,
+    practiceBalance: 0,
     currentBet: 0,
     hasPlacedBet: false,
+    myBets: [],
+    autoBetStrategy: null,
     userId: null,
     username: null,
     playerStats: null,
@@ -0,0 +1,37 @@
+// Effect of a special block the tower has reached: between `from` and `to` (ms into the running phase)
+// curve time runs at growthFactor and integrity is lost at integrityFactor
+export interface CurveEffect {
+  type: string;
+  from: number;
+  to: number;
+  growthFactor?: number;
+  integrityFactor?: number;
+}
+
+export interface MultiplierCurveParams {
+  type: 'exponential';
+  growthRate: number;
+  specialBlocks?: boolean;
+  effects?: CurveEffect[];
+}
+
+// Curve time `elapsedMs` after the running phase started: the milliseconds weighted by the growth factors active in them
+function curveTime(elapsedMs: number, effects: CurveEffect[]): number {
+  const bounds = Array.from(new Set([0, ...effects.flatMap(effect => [effect.from, effect.to])])).sort((a, b) => a - b);
+  return bounds
+    .filter(from => from < elapsedMs)
+    .reduce((time, from, i) => {
+      const to = i + 1 < bounds.length ? bounds[i + 1] : Infinity;
+      const growth = effects
+        .filter(effect => effect.from <= from && effect.to >= to)
+        .reduce((factor, effect) => factor * (effect.growthFactor ?? 1), 1);
+      return time + (Math.min(to, elapsedMs) - from) * growth;
+    }, 0);
+}
+
+// Same curve as the server: m(t) = e^(growthRate * t), t in seconds of curve time since the running phase started
+export function multiplierAt(elapsedMs: number, curve: MultiplierCurveParams): number {
+  if (elapsedMs <= 0) return 1;
+  const time = curve.effects ? curveTime(elapsedMs, curve.effects) : elapsedMs;
+  return Math.floor(100 * Math.exp(curve.growthRate * time / 1000) + 1e-9) / 100;
+}
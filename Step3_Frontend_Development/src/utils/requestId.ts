@@ -0,0 +1,8 @@
+// Unique ID of a bet, cash-out or recharge request. The server applies a retried request with the same ID once.
+export function createRequestId(): string {
+  // randomUUID is only available in secure contexts (HTTPS or localhost)
+  if (typeof crypto !== 'undefined' && typeof (crypto as any).randomUUID === 'function') {
+    return (crypto as any).randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}